@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+// Check docs/openapi.yaml against the routes the app mounts.
+//   node bin/check-openapi.js [--spec <openapi.yaml>]
+// Every operation in the spec must be a route (Express :param is {param}), every /api route must
+// be in the spec, path parameters must be declared and every $ref must resolve. Routes are read
+// from the Express router of server.js (imported, not started; see lib/openapi.js).
+// Exit code: 0 in step, 1 mismatches found, 2 usage/IO error.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import YAML from 'yaml';
+
+import { appRoutes, specProblems } from '../lib/openapi.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const args = process.argv.slice(2);
+let specFile = path.join(ROOT, 'docs', 'openapi.yaml');
+for (let i = 0; i < args.length; i++){
+  const a = args[i];
+  if (a === '--spec' && args[i + 1]) specFile = args[++i];
+  else if (a === '-h' || a === '--help') usage(0);
+  else usage(2);
+}
+
+let spec;
+try { spec = YAML.parse(fs.readFileSync(specFile, 'utf8')); }
+catch (e) {
+  console.error(e.message);
+  process.exit(2);
+}
+
+const { app } = await import('../server.js');
+const routes = appRoutes(app);
+const { problems, operations } = specProblems(spec, routes);
+
+for (const p of problems) console.log(p);
+console.log(problems.length ? `${problems.length} problem(s); ${operations} operations, ${routes.size} routes.` : `OK: ${operations} operations documented, ${routes.size} routes.`);
+process.exit(problems.length ? 1 : 0);
+
+function usage(code){
+  console.error('usage: node bin/check-openapi.js [--spec <openapi.yaml>]');
+  process.exit(code);
+}
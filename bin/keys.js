@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+// Signing key helper.
+//   node bin/keys.js generate   new Ed25519 key pair (kid, public_key, private_key) as JSON
+//   node bin/keys.js id <base64 public key>   fingerprint key id for a public key
+// To rotate: add the new key to SIGN_KEYRING_FILE as "current" and keep the old entry
+// (public_key only is enough) with status "retired", or move the old SIGN_PUBLIC_KEY into
+// SIGN_RETIRED_PUBLIC_KEYS when using env vars.
+import { generateKeyPair, keyId } from '../lib/keyring.js';
+
+const [cmd, arg] = process.argv.slice(2);
+if (cmd === 'generate') {
+  console.log(JSON.stringify({ ...generateKeyPair(), status: 'current' }, null, 2));
+} else if (cmd === 'id' && arg) {
+  console.log(keyId(arg));
+} else {
+  console.error('usage: node bin/keys.js generate | id <base64 public key>');
+  process.exit(2);
+}
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// Encrypt and decrypt evidence packs for sending by email (see lib/pack-crypto.js).
+//   node bin/pack-crypt.js keygen                          recipient key pair as JSON (keep it private)
+//   node bin/pack-crypt.js encrypt <in.zip> <out.zip.enc> (--recipient <base64 public key> | passphrase)
+//   node bin/pack-crypt.js decrypt <in.zip.enc> <out.zip> [--identity <key.json>]
+// The passphrase comes from PACK_PASSPHRASE, never the command line. An auditor runs keygen,
+// sends the public_key and decrypts with the saved JSON as --identity.
+// Exit code: 0 done, 1 decryption failed (wrong passphrase/key or changed file), 2 usage/IO error.
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+
+import { decryptStream, encryptStream, generateRecipientKey } from '../lib/pack-crypto.js';
+
+const [cmd, ...args] = process.argv.slice(2);
+const files = [];
+let recipient = null;
+let identityFile = null;
+for (let i = 0; i < args.length; i++){
+  const a = args[i];
+  if (a === '--recipient' && args[i + 1]) recipient = args[++i];
+  else if (a === '--identity' && args[i + 1]) identityFile = args[++i];
+  else if (a === '-h' || a === '--help') usage(0);
+  else if (!a.startsWith('--')) files.push(a);
+  else usage(2);
+}
+
+if (cmd === 'keygen' && !files.length){
+  console.log(JSON.stringify(generateRecipientKey(), null, 2));
+  process.exit(0);
+}
+if (!['encrypt', 'decrypt'].includes(cmd) || files.length !== 2) usage(2);
+const [input, output] = files;
+const passphrase = process.env.PACK_PASSPHRASE || null;
+
+try {
+  if (cmd === 'encrypt'){
+    if (!recipient && !passphrase) throw new Error('Set PACK_PASSPHRASE or give --recipient');
+    await pipeline(fs.createReadStream(input), await encryptStream(recipient ? { recipient } : { passphrase }), fs.createWriteStream(output));
+  } else {
+    const identity = identityFile ? JSON.parse(fs.readFileSync(identityFile, 'utf8')) : null;
+    await pipeline(fs.createReadStream(input), decryptStream(identity ? { identity } : { passphrase }), fs.createWriteStream(output));
+  }
+  console.log(`${cmd === 'encrypt' ? 'Encrypted' : 'Decrypted'} ${input} -> ${output}`);
+} catch (e) {
+  if (cmd === 'decrypt') fs.rmSync(output, { force: true });
+  console.error(e.message);
+  process.exit(e.code === 'PACK_DECRYPT_FAILED' ? 1 : 2);
+}
+
+function usage(code){
+  console.error('usage: node bin/pack-crypt.js keygen | encrypt <in> <out> [--recipient <base64 public key>] | decrypt <in> <out> [--identity <key.json>]');
+  process.exit(code);
+}
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// Re-identify the tokens of a pseudonymised evidence pack (see lib/privacy.js) from the
+// organisation's own source files and its pseudonymisation key (GET /api/privacy/keys/:key_id,
+// saved as JSON).
+//   node bin/reidentify.js --key-file <key.json> [--pack <evidence.zip>]... [--token <token>]... <source.csv|.json>...
+// Every token in the packs, and each --token, is looked up among all values of the source files
+// (CSV with a header row, or JSON arrays of objects such as a full pack's clients.json).
+// Prints token,kind,value as CSV. Exit code: 0 all found, 1 some not found, 2 usage/IO error.
+import fs from 'fs';
+
+import { parse } from 'csv-parse/sync';
+
+import { keyIdOf, Pseudonymiser } from '../lib/privacy.js';
+import { readZipEntries } from '../lib/unzip.js';
+
+const TOKEN_RE = /\b[CTNMW]_[a-f0-9]{16}\b/g;
+const KIND_OF = { C: 'client', T: 'tx', N: 'name', M: 'matter', W: 'entry' };
+
+const args = process.argv.slice(2);
+const packs = [];
+const sources = [];
+const wanted = new Set();
+let keyFile = null;
+for (let i = 0; i < args.length; i++){
+  const a = args[i];
+  if (a === '--key-file' && args[i + 1]) keyFile = args[++i];
+  else if (a === '--pack' && args[i + 1]) packs.push(args[++i]);
+  else if (a === '--token' && args[i + 1]) wanted.add(args[++i]);
+  else if (a === '-h' || a === '--help') usage(0);
+  else if (!a.startsWith('--')) sources.push(a);
+  else usage(2);
+}
+if (!keyFile || !sources.length || (!packs.length && !wanted.size)) usage(2);
+
+let found;
+try {
+  const doc = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+  const key = Buffer.from(doc.key || '', 'base64');
+  if (key.length !== 32 || (doc.key_id && keyIdOf(key) !== doc.key_id)) throw new Error(`${keyFile} is not a pseudonymisation key`);
+  for (const file of packs){
+    for (const [name, buf] of readZipEntries(fs.readFileSync(file))){
+      if (/\.(json|csv|html)$/.test(name)) for (const t of buf.toString('utf8').match(TOKEN_RE) || []) wanted.add(t);
+    }
+  }
+  found = lookup(new Pseudonymiser(key), wanted, sources);
+} catch (e) {
+  console.error(e.message);
+  process.exit(2);
+}
+
+const cell = (v) => /[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+console.log('token,kind,value');
+for (const t of Array.from(wanted).sort()) console.log([t, KIND_OF[t[0]] || '', found.get(t) ?? ''].map(cell).join(','));
+const missing = Array.from(wanted).filter(t => !found.has(t)).length;
+if (missing) console.error(`${missing} of ${wanted.size} token(s) not found in the source files.`);
+process.exit(missing ? 1 : 0);
+
+// Token -> value, hashing every distinct value of the sources under every kind.
+function lookup(pseudo, tokens, files){
+  const out = new Map();
+  const values = new Set();
+  for (const file of files) for (const row of rowsOf(file)) for (const v of Object.values(row)) if (v != null && v !== '') values.add(String(v));
+  for (const v of values){
+    for (const kind of Object.values(KIND_OF)){
+      const t = pseudo.token(kind, v);
+      if (tokens.has(t) && !out.has(t)) out.set(t, v.trim());
+    }
+  }
+  return out;
+}
+
+function rowsOf(file){
+  const text = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+  if (file.endsWith('.json')) return JSON.parse(text);
+  return parse(text, { columns: true, skip_empty_lines: true, relax_column_count: true });
+}
+
+function usage(code){
+  console.error('usage: node bin/reidentify.js --key-file <key.json> [--pack <evidence.zip>]... [--token <token>]... <source.csv|.json>...');
+  process.exit(code);
+}
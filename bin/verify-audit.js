@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Verify the audit log's hash chains in pack storage (configured as for the server).
+//   node bin/verify-audit.js [--chain <org id|system>]... [--pack <evidence.zip>]... [--json]
+// Without --chain every chain is checked. --pack also compares a pack's audit_log.json with the
+// stored log, entry for entry: a log rewritten after the pack was made no longer matches it.
+// Exit code: 0 intact, 1 problems found, 2 usage/IO error.
+import fs from 'fs';
+
+import { auditLog } from '../lib/audit.js';
+import { readZipEntries } from '../lib/unzip.js';
+
+const args = process.argv.slice(2);
+const chains = [];
+const packs = [];
+let json = false;
+for (let i = 0; i < args.length; i++){
+  const a = args[i];
+  if (a === '--chain' && args[i + 1]) chains.push(args[++i]);
+  else if (a === '--pack' && args[i + 1]) packs.push(args[++i]);
+  else if (a === '--json') json = true;
+  else if (a === '-h' || a === '--help') usage(0);
+  else usage(2);
+}
+
+const results = [];
+try {
+  for (const chain of chains.length ? chains : await auditLog.chains()) results.push({ chain, ...(await auditLog.verify(chain)) });
+  for (const file of packs) results.push({ pack: file, ...(await auditLog.checkSegment(segmentOf(file))) });
+} catch (e) {
+  console.error(e.message);
+  process.exit(2);
+}
+const ok = results.every(r => r.ok);
+
+if (json) {
+  console.log(JSON.stringify({ ok, results }, null, 2));
+} else {
+  if (!results.length) console.log('No audit log entries.');
+  for (const r of results){
+    const what = r.pack ? `${r.pack} (${r.chain} ${r.first_seq ?? '-'}–${r.last_seq ?? '-'})` : `${r.chain} (${r.entries} entries)`;
+    console.log(`${r.ok ? 'OK    ' : 'FAILED'}  ${what}`);
+    for (const p of r.problems) console.log(`        ${p.problem}${p.seq != null ? ` at entry ${p.seq}` : ''}: ${p.detail}`);
+  }
+  console.log(ok ? '\nAudit log intact.' : '\nAudit log verification FAILED.');
+}
+process.exit(ok ? 0 : 1);
+
+function segmentOf(file){
+  let entries;
+  try { entries = readZipEntries(fs.readFileSync(file)); }
+  catch (e) { throw new Error(`Cannot read ${file}: ${e.message}`); }
+  const raw = entries.get('audit_log.json');
+  if (!raw) throw new Error(`${file} has no audit_log.json`);
+  return JSON.parse(raw.toString('utf8'));
+}
+
+function usage(code){
+  console.error('usage: node bin/verify-audit.js [--chain <org id|system>]... [--pack <evidence.zip>]... [--json]');
+  process.exit(code);
+}
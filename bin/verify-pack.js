@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// Verify a TrancheReady evidence zip offline.
+//   node bin/verify-pack.js trancheready-evidence.zip [--pubkey <base64|file>]... [--keys <jwks.json>] [--allow-unsigned] [--json]
+// --keys takes the JWK set published at /.well-known/trancheready-keys.json (saved to a file).
+// With a key given, an unsigned pack fails unless --allow-unsigned; a signed pack fails without one.
+// Exit code: 0 verified, 1 verification failed, 2 usage/IO error.
+import fs from 'fs';
+
+import { verifyPack } from '../lib/verify-pack.js';
+
+const args = process.argv.slice(2);
+const pubkeys = [];
+let file = null;
+let json = false;
+let allowUnsigned = false;
+for (let i = 0; i < args.length; i++){
+  const a = args[i];
+  if (a === '--pubkey') pubkeys.push(readKey(args[++i]));
+  else if (a === '--keys') pubkeys.push(...readJwks(args[++i]));
+  else if (a === '--json') json = true;
+  else if (a === '--allow-unsigned') allowUnsigned = true;
+  else if (a === '-h' || a === '--help') usage(0);
+  else if (!file) file = a;
+  else usage(2);
+}
+if (!file) usage(2);
+
+let zip;
+try { zip = fs.readFileSync(file); }
+catch (e) { console.error(`Cannot read ${file}: ${e.message}`); process.exit(2); }
+
+const report = verifyPack(zip, { publicKeys: pubkeys, allowUnsigned });
+
+if (json) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  for (const e of report.errors) console.log(`ERROR    ${e}`);
+  for (const f of report.files) console.log(`${f.status.toUpperCase().padEnd(9)}${f.name}`);
+  for (const n of report.extra) console.log(`EXTRA    ${n} (not in manifest)`);
+  const s = report.signature;
+  if (!s.present) console.log('SIGNATURE  none');
+  else if (!s.checked) console.log(`SIGNATURE  present (${s.key_id}), NOT checked: pass --pubkey or --keys`);
+  else console.log(`SIGNATURE  ${s.valid ? 'valid' : 'INVALID'} (${s.key_id}${s.key_known ? '' : ', key not in supplied keys'})`);
+  const a = report.audit;
+  if (a){
+    for (const p of a.problems) console.log(`AUDIT    ${p.problem}${p.seq != null ? ` at entry ${p.seq}` : ''}: ${p.detail}`);
+    if (a.ok) console.log(`AUDIT    ${a.entries} log entries (${a.chain} ${a.from_seq}–${a.to_seq}), chain intact`);
+  }
+  if (!report.ok) console.log(s.present && !s.checked ? '\nNOT verified: the signature was not checked.' : '\nVerification FAILED.');
+  else console.log(s.checked ? '\nVerified.' : '\nFiles match the manifest; the pack is not signed.');
+}
+process.exit(report.ok ? 0 : 1);
+
+function readKey(v){
+  if (!v) usage(2);
+  return fs.existsSync(v) ? fs.readFileSync(v, 'utf8').trim() : v.trim();
+}
+
+function readJwks(file){
+  if (!file) usage(2);
+  try {
+    const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return (doc.keys || []).filter(k => k.kty === 'OKP' && k.crv === 'Ed25519').map(k => Buffer.from(k.x, 'base64url').toString('base64'));
+  } catch (e) {
+    console.error(`Cannot read key set ${file}: ${e.message}`);
+    process.exit(2);
+  }
+}
+
+function usage(code){
+  console.error('usage: node bin/verify-pack.js <pack.zip> [--pubkey <base64|file>]... [--keys <jwks.json>] [--allow-unsigned] [--json]');
+  process.exit(code);
+}
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+// Watchlist helper (lists live in WATCHLISTS_DIR, see lib/watchlists.js).
+//   node bin/watchlists.js list                      loaded lists: source, category, version, entries, sha256
+//   node bin/watchlists.js import <file> [id]        check a list file and copy it into WATCHLISTS_DIR
+//   node bin/watchlists.js screen <name> [--dob YYYY-MM-DD] [--country AU] [--category sanctions|pep]
+import fs from 'fs';
+import path from 'path';
+
+import { cfg } from '../lib/config.js';
+import { countryCode } from '../lib/countries.js';
+import { Screener, matchView } from '../lib/screening.js';
+import { loadWatchlists, parseWatchlist } from '../lib/watchlists.js';
+
+const [cmd, ...args] = process.argv.slice(2);
+const opt = (name) => { const i = args.indexOf(`--${name}`); return i >= 0 ? args.splice(i, 2)[1] : undefined; };
+
+try {
+  if (cmd === 'list') {
+    console.log(JSON.stringify({ dir: cfg.WATCHLISTS_DIR, lists: (await loadWatchlists()).meta() }, null, 2));
+  } else if (cmd === 'import' && args[0]) {
+    const list = await parseWatchlist(args[0]);
+    const ext = path.extname(args[0]).toLowerCase();
+    const dest = path.join(cfg.WATCHLISTS_DIR, (args[1] || list.id) + ext);
+    fs.mkdirSync(cfg.WATCHLISTS_DIR, { recursive: true });
+    fs.copyFileSync(args[0], dest);
+    console.log(JSON.stringify({ file: dest, source: list.source, category: list.category, version: list.version, entries: list.entries.length, sha256: list.sha256 }, null, 2));
+  } else if (cmd === 'screen' && args[0]) {
+    const dob = opt('dob'), country = opt('country'), category = opt('category') || 'sanctions';
+    const screener = new Screener(await loadWatchlists());
+    const matches = screener.screen({ name: args.join(' '), dob, country: countryCode(country) || country?.toUpperCase() }, category).slice(0, 10).map(matchView);
+    console.log(JSON.stringify(matches, null, 2));
+  } else {
+    console.error('usage: node bin/watchlists.js list | import <file> [id] | screen <name> [--dob YYYY-MM-DD] [--country CC] [--category sanctions|pep]');
+    process.exit(2);
+  }
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
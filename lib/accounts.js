@@ -0,0 +1,279 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+import { cfg } from './config.js';
+import { createStorage } from './storage/index.js';
+import { newTotpSecret, totpStep, totpUri } from './totp.js';
+
+// Organisations and their users, persisted in the storage backend:
+//   accounts/orgs/<org_id>.json       { id, name, user_ids, created_utc }
+//   accounts/users/<user_id>.json     { id, org_id, email, name, role, password, totp, disabled, ... }
+//   accounts/emails/<sha256>.json     { user_id }   (emails are unique across organisations)
+// Passwords are scrypt hashes; TOTP is optional per user (see totp.js). Raising
+// sessions_valid_after signs a user out everywhere (see sessions.js).
+
+export const ROLES = ['admin', 'analyst', 'auditor'];
+
+// What each role may do: read (packs, cases, jobs), write (uploads, case triage, mapping
+// profiles) and admin (users of the organisation).
+const PERMISSIONS = {
+  admin: new Set(['read', 'write', 'admin']),
+  analyst: new Set(['read', 'write']),
+  auditor: new Set(['read'])
+};
+
+const ID_RE = /^(org|usr)_[a-f0-9]{16}$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD = 10;
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 32 };
+
+export class AccountError extends Error {
+  constructor(message, code = 'ACCOUNT_INVALID'){
+    super(message);
+    this.name = 'AccountError';
+    this.code = code;
+  }
+}
+
+export function can(user, action){
+  return !!user && !user.disabled && !!PERMISSIONS[user.role]?.has(action);
+}
+
+export class AccountStore {
+  constructor(storage){
+    this.storage = storage;
+    this.queue = Promise.resolve();
+  }
+
+  // A new organisation with its first user as admin.
+  createOrg({ org_name, name, email, password }){
+    return this.exclusive(async () => {
+      const orgName = text(org_name, 'Organisation name', 200);
+      const now = new Date().toISOString();
+      const org = { id: newId('org'), name: orgName, user_ids: [], created_utc: now };
+      const user = await this.newUser(org, { name, email, password, role: 'admin' }, now);
+      await this.putJson(orgKey(org.id), org);
+      return { org, user: publicUser(user) };
+    });
+  }
+
+  // Admins add users with an initial password the user then changes.
+  addUser(orgId, { name, email, password, role }){
+    return this.exclusive(async () => {
+      const org = await this.getOrg(orgId);
+      if (!org) throw new AccountError('Organisation not found', 'ACCOUNT_NOT_FOUND');
+      if (!ROLES.includes(role)) throw new AccountError(`role must be one of ${ROLES.join(', ')}`);
+      const user = await this.newUser(org, { name, email, password, role }, new Date().toISOString());
+      await this.putJson(orgKey(org.id), org);
+      return publicUser(user);
+    });
+  }
+
+  // patch: { role?, disabled?, name? }. An organisation always keeps an active admin.
+  updateUser(orgId, userId, patch = {}){
+    return this.exclusive(async () => {
+      const user = await this.getUser(userId);
+      if (!user || user.org_id !== orgId) return null;
+      const next = { ...user };
+      if (patch.role !== undefined){
+        if (!ROLES.includes(patch.role)) throw new AccountError(`role must be one of ${ROLES.join(', ')}`);
+        next.role = patch.role;
+      }
+      if (patch.disabled !== undefined){
+        if (typeof patch.disabled !== 'boolean') throw new AccountError('disabled must be true or false');
+        next.disabled = patch.disabled;
+      }
+      if (patch.name !== undefined) next.name = text(patch.name, 'Name', 200);
+      if (user.role === 'admin' && !user.disabled && (next.role !== 'admin' || next.disabled) && !(await this.otherAdmin(orgId, userId))){
+        throw new AccountError('An organisation needs at least one active admin', 'ACCOUNT_CONFLICT');
+      }
+      if (next.disabled && !user.disabled) next.sessions_valid_after = new Date().toISOString();
+      next.updated_utc = new Date().toISOString();
+      await this.putJson(userKey(userId), next);
+      return publicUser(next);
+    });
+  }
+
+  async listUsers(orgId){
+    const org = await this.getOrg(orgId);
+    if (!org) return [];
+    const users = await Promise.all(org.user_ids.map(id => this.getUser(id)));
+    return users.filter(Boolean).map(publicUser).sort((a, b) => a.email.localeCompare(b.email));
+  }
+
+  async getOrg(id){
+    return ID_RE.test(String(id)) ? this.getJson(orgKey(id)) : null;
+  }
+
+  async getUser(id){
+    return ID_RE.test(String(id)) ? this.getJson(userKey(id)) : null;
+  }
+
+  async findByEmail(email){
+    const ref = await this.getJson(emailKey(normEmail(email)));
+    return ref ? this.getUser(ref.user_id) : null;
+  }
+
+  // Password (and, once enabled, TOTP code) check. Throws AUTH_FAILED without saying which
+  // part was wrong, or TOTP_REQUIRED when the password is right and the code is missing.
+  // scrypt and the code check run outside the queue; only recording the code's step is
+  // serialised, against a fresh read of the user.
+  async authenticate({ email, password, code }){
+    const user = await this.findByEmail(email);
+    const ok = await checkPassword(user?.password, password);
+    if (!user || !ok || user.disabled) throw new AccountError('Incorrect email or password', 'AUTH_FAILED');
+    if (!user.totp?.enabled) return publicUser(user);
+    if (!code) throw new AccountError('Enter the code from your authenticator app', 'TOTP_REQUIRED');
+    const step = totpStep(user.totp.secret, code);
+    if (step == null) throw new AccountError('Invalid authentication code', 'AUTH_FAILED');
+    return this.exclusive(async () => {
+      const fresh = await this.getUser(user.id);
+      if (!fresh || fresh.disabled || fresh.password !== user.password) throw new AccountError('Incorrect email or password', 'AUTH_FAILED');
+      if (fresh.totp?.secret !== user.totp.secret) throw new AccountError('Invalid authentication code', 'AUTH_FAILED');
+      await this.useStep(fresh, step);
+      return publicUser(fresh);
+    });
+  }
+
+  changePassword(userId, { current_password, new_password }){
+    return this.exclusive(async () => {
+      const user = await this.getUser(userId);
+      if (!user || !(await checkPassword(user.password, current_password))) throw new AccountError('Current password is incorrect', 'AUTH_FAILED');
+      const now = new Date().toISOString();
+      await this.putJson(userKey(userId), { ...user, password: await hashPassword(new_password), sessions_valid_after: now, updated_utc: now });
+    });
+  }
+
+  // TOTP enrolment: setup stores a pending secret, enable confirms it with a first code.
+  totpSetup(userId){
+    return this.exclusive(async () => {
+      const user = await this.getUser(userId);
+      if (!user) throw new AccountError('User not found', 'ACCOUNT_NOT_FOUND');
+      if (user.totp?.enabled) throw new AccountError('Two-factor authentication is already on', 'ACCOUNT_CONFLICT');
+      const secret = newTotpSecret();
+      await this.putJson(userKey(userId), { ...user, totp: { secret, enabled: false, last_step: null }, updated_utc: new Date().toISOString() });
+      return { secret, otpauth_url: totpUri(secret, user.email, cfg.TOTP_ISSUER) };
+    });
+  }
+
+  totpEnable(userId, code){
+    return this.exclusive(async () => {
+      const user = await this.getUser(userId);
+      if (!user?.totp || user.totp.enabled) throw new AccountError('Start two-factor setup first', 'ACCOUNT_CONFLICT');
+      await this.useCode(user, code);
+      user.totp.enabled = true;
+      await this.putJson(userKey(userId), { ...user, updated_utc: new Date().toISOString() });
+      return publicUser(user);
+    });
+  }
+
+  // Turning TOTP off needs the password and a current code.
+  totpDisable(userId, { password, code }){
+    return this.exclusive(async () => {
+      const user = await this.getUser(userId);
+      if (!user?.totp?.enabled) throw new AccountError('Two-factor authentication is not on', 'ACCOUNT_CONFLICT');
+      if (!(await checkPassword(user.password, password))) throw new AccountError('Password is incorrect', 'AUTH_FAILED');
+      await this.useCode(user, code);
+      await this.putJson(userKey(userId), { ...user, totp: null, updated_utc: new Date().toISOString() });
+      return publicUser({ ...user, totp: null });
+    });
+  }
+
+  // Accept a code once: its time step must be newer than the last one used.
+  useCode(user, code){
+    return this.useStep(user, totpStep(user.totp.secret, code));
+  }
+
+  async useStep(user, step){
+    if (step == null || (user.totp.last_step != null && step <= user.totp.last_step)) throw new AccountError('Invalid authentication code', 'AUTH_FAILED');
+    user.totp.last_step = step;
+    await this.putJson(userKey(user.id), user);
+  }
+
+  async newUser(org, { name, email, password, role }, now){
+    const addr = normEmail(email);
+    if (!EMAIL_RE.test(addr)) throw new AccountError('A valid email address is required');
+    if (await this.getJson(emailKey(addr))) throw new AccountError('An account with that email already exists', 'ACCOUNT_CONFLICT');
+    const user = {
+      id: newId('usr'),
+      org_id: org.id,
+      email: addr,
+      name: text(name || addr, 'Name', 200),
+      role,
+      password: await hashPassword(password),
+      totp: null,
+      disabled: false,
+      sessions_valid_after: null,
+      created_utc: now,
+      updated_utc: now
+    };
+    await this.putJson(userKey(user.id), user);
+    await this.putJson(emailKey(addr), { user_id: user.id });
+    org.user_ids.push(user.id);
+    return user;
+  }
+
+  async otherAdmin(orgId, userId){
+    const org = await this.getOrg(orgId);
+    for (const id of org?.user_ids || []){
+      if (id === userId) continue;
+      const u = await this.getUser(id);
+      if (u?.role === 'admin' && !u.disabled) return true;
+    }
+    return false;
+  }
+
+  async getJson(k){
+    const buf = await this.storage.get(k);
+    return buf ? JSON.parse(buf.toString('utf8')) : null;
+  }
+
+  putJson(k, obj){
+    return this.storage.put(k, Buffer.from(JSON.stringify(obj, null, 2)), { contentType: 'application/json' });
+  }
+
+  // Read-modify-write of users, orgs and the email index is serialised.
+  exclusive(fn){
+    const next = this.queue.catch(() => {}).then(fn);
+    this.queue = next;
+    return next;
+  }
+}
+
+// What the API shows of a user: no password hash or TOTP secret.
+export function publicUser(u){
+  return { id: u.id, org_id: u.org_id, email: u.email, name: u.name, role: u.role, totp_enabled: !!u.totp?.enabled, disabled: !!u.disabled, created_utc: u.created_utc };
+}
+
+async function hashPassword(password){
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD) throw new AccountError(`Password must be at least ${MIN_PASSWORD} characters`);
+  if (password.length > 1024) throw new AccountError('Password is too long');
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+// Always runs scrypt, so unknown emails take as long as wrong passwords.
+const DUMMY_HASH = `scrypt$${SCRYPT.N}$${SCRYPT.r}$${SCRYPT.p}$${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(32).toString('base64')}`;
+async function checkPassword(stored, password){
+  const [, N, r, p, salt, hash] = (stored || DUMMY_HASH).split('$');
+  const want = Buffer.from(hash, 'base64');
+  const got = await scrypt(String(password ?? ''), Buffer.from(salt, 'base64'), want.length, { N: +N, r: +r, p: +p });
+  return crypto.timingSafeEqual(got, want) && !!stored;
+}
+
+function text(v, label, max){
+  const s = typeof v === 'string' ? v.trim() : '';
+  if (!s) throw new AccountError(`${label} is required`);
+  if (s.length > max) throw new AccountError(`${label} is limited to ${max} characters`);
+  return s;
+}
+
+function normEmail(email){ return String(email ?? '').trim().toLowerCase(); }
+function newId(kind){ return `${kind}_${crypto.randomBytes(8).toString('hex')}`; }
+function orgKey(id){ return `accounts/orgs/${id}.json`; }
+function userKey(id){ return `accounts/users/${id}.json`; }
+function emailKey(email){ return `accounts/emails/${crypto.createHash('sha256').update(email).digest('hex')}.json`; }
+
+export const accountStore = new AccountStore(createStorage());
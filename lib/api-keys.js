@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+
+import { cfg } from './config.js';
+import { createStorage } from './storage/index.js';
+
+// API keys for the /api/v1 surface (integrations pushing data without a browser), made by an
+// organisation's admins. The key is shown once; only its SHA-256 is stored:
+//   api-keys/<org_id>.json             { keys: { <key_id>: { name, prefix, sha256, scopes, rate_limit,
+//                                         created_by, created_utc, last_used_utc, revoked_utc } } }
+//   api-keys/hashes/<sha256>.json      { org_id, key_id }   (lookup by the presented key)
+// rate_limit is requests per minute for the key (see server.js); revoking deletes the lookup.
+
+// packs:write submit data for a pack, packs:read job status and pack downloads, runs:read run history.
+export const SCOPES = ['packs:write', 'packs:read', 'runs:read'];
+
+const KEY_RE = /^trk_[A-Za-z0-9_-]{43}$/;
+const KEY_ID_RE = /^key_[a-f0-9]{16}$/;
+const ORG_ID_RE = /^org_[a-f0-9]{16}$/;
+const MAX_KEYS = 50;
+// last_used_utc is written at most this often, not on every request
+const TOUCH_MS = 10 * 60 * 1000;
+
+export class ApiKeyError extends Error {
+  constructor(message, code = 'API_KEY_INVALID'){
+    super(message);
+    this.name = 'ApiKeyError';
+    this.code = code;
+  }
+}
+
+export class ApiKeyStore {
+  constructor(storage, prefix = 'api-keys/'){
+    this.storage = storage;
+    this.prefix = prefix;
+    this.queue = Promise.resolve();
+  }
+
+  // -> { key (the secret, shown once), api_key (as list() shows it) }
+  // spec: { name, scopes? (default all), rate_limit? (default API_KEY_RATE_LIMIT) }; createdBy: user id.
+  create(orgId, { name, scopes, rate_limit } = {}, createdBy = null){
+    const label = String(name ?? '').trim();
+    if (!label || label.length > 100) throw new ApiKeyError('name is required (at most 100 characters)');
+    const granted = scopes == null ? SCOPES.slice() : Array.isArray(scopes) ? Array.from(new Set(scopes)) : null;
+    if (!granted?.length || granted.some(s => !SCOPES.includes(s))) throw new ApiKeyError(`scopes must be a non-empty list of: ${SCOPES.join(', ')}`);
+    const limit = rate_limit == null ? cfg.API_KEY_RATE_LIMIT : Number(rate_limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > cfg.API_KEY_MAX_RATE_LIMIT) throw new ApiKeyError(`rate_limit must be 1-${cfg.API_KEY_MAX_RATE_LIMIT} requests per minute`);
+
+    return this.exclusive(async () => {
+      const doc = (await this.doc(orgId)) || { keys: {} };
+      if (Object.values(doc.keys).filter(k => !k.revoked_utc).length >= MAX_KEYS) throw new ApiKeyError(`At most ${MAX_KEYS} active API keys per organisation`, 'API_KEY_LIMIT');
+      const key = 'trk_' + crypto.randomBytes(32).toString('base64url');
+      const key_id = 'key_' + crypto.randomBytes(8).toString('hex');
+      const sha256 = digest(key);
+      doc.keys[key_id] = { name: label, prefix: key.slice(0, 8), sha256, scopes: granted, rate_limit: limit, created_by: createdBy, created_utc: new Date().toISOString(), last_used_utc: null, revoked_utc: null };
+      await this.putJson(this.hashKey(sha256), { org_id: orgId, key_id });
+      await this.putJson(this.key(orgId), doc);
+      return { key, api_key: publicKey(key_id, doc.keys[key_id]) };
+    });
+  }
+
+  // The organisation's keys (revoked ones included), newest first; never the secret or its hash.
+  async list(orgId){
+    const doc = await this.doc(orgId);
+    return Object.entries(doc?.keys || {}).map(([id, k]) => publicKey(id, k)).sort((a, b) => b.created_utc.localeCompare(a.created_utc));
+  }
+
+  // -> the revoked key, or null if unknown; revoking twice keeps the first time.
+  revoke(orgId, keyId){
+    if (!KEY_ID_RE.test(String(keyId))) return Promise.resolve(null);
+    return this.exclusive(async () => {
+      const doc = await this.doc(orgId);
+      const k = doc?.keys[keyId];
+      if (!k) return null;
+      if (!k.revoked_utc){
+        k.revoked_utc = new Date().toISOString();
+        await this.storage.delete(this.hashKey(k.sha256));
+        await this.putJson(this.key(orgId), doc);
+      }
+      return publicKey(keyId, k);
+    });
+  }
+
+  // The active key presented in a request -> { key_id, org_id, name, scopes, rate_limit }, or null.
+  async authenticate(presented){
+    if (!KEY_RE.test(String(presented))) return null;
+    const sha256 = digest(presented);
+    const ref = await this.getJson(this.hashKey(sha256));
+    if (!ref) return null;
+    const k = (await this.doc(ref.org_id))?.keys[ref.key_id];
+    if (!k || k.revoked_utc || k.sha256 !== sha256) return null;
+    if (!k.last_used_utc || Date.now() - Date.parse(k.last_used_utc) > TOUCH_MS) this.touch(ref.org_id, ref.key_id).catch(() => {});
+    return { key_id: ref.key_id, org_id: ref.org_id, name: k.name, scopes: k.scopes, rate_limit: k.rate_limit };
+  }
+
+  touch(orgId, keyId){
+    return this.exclusive(async () => {
+      const doc = await this.doc(orgId);
+      if (!doc?.keys[keyId]) return;
+      doc.keys[keyId].last_used_utc = new Date().toISOString();
+      await this.putJson(this.key(orgId), doc);
+    });
+  }
+
+  doc(orgId){ return this.getJson(this.key(orgId)); }
+
+  key(orgId){
+    if (!ORG_ID_RE.test(String(orgId))) throw new Error(`Invalid organisation id: ${orgId}`);
+    return `${this.prefix}${orgId}.json`;
+  }
+
+  hashKey(sha256){ return `${this.prefix}hashes/${sha256}.json`; }
+
+  async getJson(key){
+    const buf = await this.storage.get(key);
+    return buf ? JSON.parse(buf.toString('utf8')) : null;
+  }
+
+  putJson(key, value){
+    return this.storage.put(key, Buffer.from(JSON.stringify(value)), { contentType: 'application/json' });
+  }
+
+  // Read-modify-write of the key documents is serialised.
+  exclusive(fn){
+    const next = this.queue.catch(() => {}).then(fn);
+    this.queue = next;
+    return next;
+  }
+}
+
+function publicKey(key_id, k){
+  return { key_id, name: k.name, prefix: k.prefix, scopes: k.scopes, rate_limit: k.rate_limit, created_by: k.created_by, created_utc: k.created_utc, last_used_utc: k.last_used_utc, revoked_utc: k.revoked_utc };
+}
+
+function digest(key){ return crypto.createHash('sha256').update(key).digest('hex'); }
+
+export const apiKeys = new ApiKeyStore(createStorage());
@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+
+import { canonicalJson } from './ruleset.js';
+import { createStorage } from './storage/index.js';
+
+// Append-only audit log of security-relevant events, one hash chain per organisation (events
+// that belong to none, e.g. admin edits of the jurisdiction table or ruleset and watchlist file
+// changes (see reference-audit.js), go in the `system` chain):
+//   audit/<chain>/<seq>.json    one entry, written once: { seq, ts, chain, action, actor,
+//                               request_id, ip, target, details, prev_hash, hash }
+//   audit/<chain>/head.json     { seq, hash } of the latest entry
+// hash is the SHA-256 of the entry's canonical JSON without it, and prev_hash the hash of the
+// entry before (GENESIS for the first), so an edited, removed or reordered entry breaks the chain
+// from there on. Packs carry the segment of their organisation's chain from their upload to the
+// start of the build (audit_log.json), which anchors the chain up to there outside the store.
+
+export const GENESIS = '0'.repeat(64);
+export const ACTIONS = ['upload', 'pack.generated', 'pack.verify_view', 'pack.download', 'jurisdiction.rate', 'jurisdiction.tier', 'jurisdiction.end', 'privacy.key_export', 'privacy.key_rotate', 'api_key.create', 'api_key.revoke', 'ruleset.change', 'watchlist.change'];
+export const SYSTEM_CHAIN = 'system';
+
+const CHAIN_RE = /^(org_[a-f0-9]{16}|system)$/;
+const SEQ_WIDTH = 12;
+
+export class AuditLog {
+  constructor(storage, prefix = 'audit/'){
+    this.storage = storage;
+    this.prefix = prefix;
+    this.queues = new Map();
+  }
+
+  // event: { org_id?, action, actor: { type: user|api_key|admin|download_key|anonymous|system, id?, name? },
+  //          request_id?, ip?, target?: { pack_token?, job_id?, run_id?, ... }, details? }
+  // Returns the stored entry.
+  append({ org_id, action, actor, request_id = null, ip = null, target = {}, details = {} }){
+    if (!ACTIONS.includes(action)) throw new Error(`Unknown audit action: ${action}`);
+    const chain = chainOf(org_id);
+    return this.exclusive(chain, async () => {
+      const head = await this.head(chain);
+      const entry = {
+        seq: head.seq + 1,
+        ts: new Date().toISOString(),
+        chain,
+        action,
+        actor: actor || { type: 'system' },
+        request_id,
+        ip,
+        target,
+        details,
+        prev_hash: head.hash
+      };
+      entry.hash = entryHash(entry);
+      await this.putJson(this.key(chain, entry.seq), entry);
+      await this.putJson(this.key(chain, 'head'), { seq: entry.seq, hash: entry.hash });
+      return entry;
+    });
+  }
+
+  // The latest entry's { seq, hash }; an entry written after head.json was last updated (the
+  // process stopped in between) is picked up, so it is never overwritten.
+  async head(chain){
+    let head = (await this.getJson(this.key(chain, 'head'))) || { seq: 0, hash: GENESIS };
+    let next = await this.getJson(this.key(chain, head.seq + 1));
+    while (next){
+      head = { seq: next.seq, hash: next.hash };
+      next = await this.getJson(this.key(chain, head.seq + 1));
+    }
+    return head;
+  }
+
+  // Entries from seq `from` to `to` (default: the head), oldest first; missing ones are skipped.
+  async entries(chain, { from = 1, to = null } = {}){
+    const last = to ?? (await this.head(chain)).seq;
+    const out = [];
+    for (let seq = Math.max(1, from); seq <= last; seq++){
+      const entry = await this.getJson(this.key(chain, seq));
+      if (entry) out.push(entry);
+    }
+    return out;
+  }
+
+  // What a pack carries: the organisation's chain from seq `from` (its upload) to the head.
+  async segment(orgId, from){
+    const chain = chainOf(orgId);
+    const head = await this.head(chain);
+    const entries = await this.entries(chain, { from, to: head.seq });
+    return { chain, from_seq: from, to_seq: head.seq, exported_utc: new Date().toISOString(), entries };
+  }
+
+  // Check a whole chain as stored: every entry from 1 to the head present, unedited and linked
+  // to the one before, and each entry stored under its own seq. Returns verifyChain()'s report.
+  async verify(chain){
+    chain = chainOf(chain);
+    const entries = [];
+    const problems = [];
+    const seqs = (await this.storage.list(`${this.prefix}${chain}/`))
+      .map(k => k.slice(this.prefix.length + chain.length + 1).replace(/\.json$/, ''))
+      .filter(name => /^\d+$/.test(name))
+      .map(Number)
+      .sort((a, b) => a - b);
+    for (const seq of seqs){
+      const entry = await this.getJson(this.key(chain, seq));
+      if (entry?.seq !== seq) problems.push({ seq, problem: 'misfiled', detail: `stored as entry ${seq} but says ${entry?.seq}` });
+      else entries.push(entry);
+    }
+    const report = verifyChain(entries, { chain, head: await this.getJson(this.key(chain, 'head')) });
+    report.problems.unshift(...problems);
+    report.ok = report.problems.length === 0;
+    return report;
+  }
+
+  // Compare a pack's exported segment with the stored chain: same entries at the same seqs.
+  async checkSegment(segment){
+    const report = verifyChain(segment.entries || [], { chain: segment.chain, from: segment.from_seq, prevHash: segment.entries?.[0]?.prev_hash });
+    const stored = new Map((await this.entries(chainOf(segment.chain), { from: segment.from_seq, to: segment.to_seq })).map(e => [e.seq, e]));
+    for (const e of segment.entries || []){
+      const s = stored.get(e.seq);
+      if (!s) report.problems.push({ seq: e.seq, problem: 'missing', detail: 'in the pack but not in the log' });
+      else if (s.hash !== e.hash) report.problems.push({ seq: e.seq, problem: 'differs', detail: 'the log entry differs from the pack\'s copy' });
+    }
+    report.ok = report.problems.length === 0;
+    return report;
+  }
+
+  // Chains with entries: organisation ids and `system`.
+  async chains(){
+    const names = (await this.storage.list(this.prefix)).map(k => k.slice(this.prefix.length).split('/')[0]);
+    return Array.from(new Set(names)).filter(c => CHAIN_RE.test(c)).sort();
+  }
+
+  key(chain, name){
+    return `${this.prefix}${chain}/${typeof name === 'number' ? String(name).padStart(SEQ_WIDTH, '0') : name}.json`;
+  }
+
+  async getJson(k){
+    const buf = await this.storage.get(k);
+    return buf ? JSON.parse(buf.toString('utf8')) : null;
+  }
+
+  putJson(k, value){
+    return this.storage.put(k, Buffer.from(JSON.stringify(value)), { contentType: 'application/json' });
+  }
+
+  // Appends to a chain are serialised.
+  exclusive(chain, fn){
+    const next = (this.queues.get(chain) || Promise.resolve()).catch(() => {}).then(fn);
+    this.queues.set(chain, next);
+    return next;
+  }
+}
+
+// Check a run of entries (oldest first) starting at seq `from`, whose first entry should link to
+// prevHash. head: the chain's head.json, when checking a whole chain. Returns { ok, chain,
+// entries, first_seq, last_seq, problems: [{ seq, problem, detail }] } with problem one of
+// gap | edited | broken_link | wrong_chain | truncated | head_mismatch.
+export function verifyChain(entries, { chain = null, from = 1, prevHash = GENESIS, head = null } = {}){
+  const problems = [];
+  let expect = from;
+  let prev = prevHash;
+  for (const e of entries){
+    if (e.seq > expect) problems.push({ seq: expect, problem: 'gap', detail: e.seq - 1 > expect ? `entries ${expect}–${e.seq - 1} missing` : `entry ${expect} missing` });
+    if (chain && e.chain !== chain) problems.push({ seq: e.seq, problem: 'wrong_chain', detail: `belongs to ${e.chain}` });
+    if (entryHash(e) !== e.hash) problems.push({ seq: e.seq, problem: 'edited', detail: 'hash does not match the entry' });
+    else if (e.seq === expect && e.prev_hash !== prev) problems.push({ seq: e.seq, problem: 'broken_link', detail: 'prev_hash does not match the entry before' });
+    prev = e.hash;
+    expect = e.seq + 1;
+  }
+  const last = expect - 1;
+  if (head && head.seq > last) problems.push({ seq: last + 1, problem: 'truncated', detail: `head is at ${head.seq}, last entry is ${last}` });
+  else if (head && head.seq > 0 && head.hash !== entries.find(e => e.seq === head.seq)?.hash) problems.push({ seq: head.seq, problem: 'head_mismatch', detail: 'head hash does not match the entry' });
+  return { ok: problems.length === 0, chain, entries: entries.length, first_seq: entries[0]?.seq ?? null, last_seq: entries.length ? last : null, problems };
+}
+
+export function entryHash(entry){
+  const rest = { ...entry };
+  delete rest.hash;
+  return crypto.createHash('sha256').update(canonicalJson(rest)).digest('hex');
+}
+
+function chainOf(orgId){
+  const chain = orgId || SYSTEM_CHAIN;
+  if (!CHAIN_RE.test(String(chain))) throw new Error(`Invalid audit chain: ${chain}`);
+  return chain;
+}
+
+export const auditLog = new AuditLog(createStorage());
@@ -0,0 +1,194 @@
+import Stripe from 'stripe';
+
+import { cfg } from './config.js';
+import { createStorage } from './storage/index.js';
+
+// Stripe subscriptions per organisation and the plan entitlements enforced on /upload:
+//   billing/<org_id>.json              { org_id, plan, status, customer_id, subscription_id,
+//                                        price_id, current_period_end, cancel_at_period_end,
+//                                        event_created, updated_utc, usage: { 'YYYY-MM': packs } }
+//   billing/customers/<customer>.json  { org_id }
+// Subscription state only changes through signature-verified webhooks. Without
+// STRIPE_SECRET_KEY billing is off and every organisation gets the unlimited plan.
+
+// null = no limit; retention_days null = PACK_RETENTION_DAYS
+export const PLANS = {
+  free: { name: 'Free', packs_per_month: 2, max_rows: 5000, retention_days: 30 },
+  starter: { name: 'Starter', packs_per_month: 10, max_rows: 100000, retention_days: 365 },
+  team: { name: 'Team', packs_per_month: null, max_rows: 2000000, retention_days: null },
+  unlimited: { name: 'Unlimited', packs_per_month: null, max_rows: null, retention_days: null }
+};
+const PAID = ['starter', 'team'];
+// Stripe statuses that keep the paid plan (past_due: Stripe is still retrying the payment)
+const ENTITLED = new Set(['active', 'trialing', 'past_due']);
+const ORG_ID_RE = /^org_[a-f0-9]{16}$/;
+
+export class BillingError extends Error {
+  constructor(message, code = 'BILLING_INVALID', details){
+    super(message);
+    this.name = 'BillingError';
+    this.code = code;
+    if (details) this.details = details;
+  }
+}
+
+export function billingEnabled(){ return !!cfg.STRIPE_SECRET_KEY; }
+
+// Stripe client; STRIPE_API_BASE points it at a local stripe-mock (http://localhost:12111).
+let client = null;
+export function stripe(){
+  if (!billingEnabled()) throw new BillingError('Billing is not configured (STRIPE_SECRET_KEY not set)', 'BILLING_DISABLED');
+  if (!client){
+    const base = cfg.STRIPE_API_BASE ? new URL(cfg.STRIPE_API_BASE) : null;
+    client = new Stripe(cfg.STRIPE_SECRET_KEY, base ? { host: base.hostname, port: base.port || undefined, protocol: base.protocol.replace(':', '') } : {});
+  }
+  return client;
+}
+
+export function priceIdFor(plan){
+  return { starter: cfg.STRIPE_PRICE_ID_STARTER, team: cfg.STRIPE_PRICE_ID_TEAM }[plan] || '';
+}
+
+function planForPrice(priceId){
+  return PAID.find(p => priceIdFor(p) && priceIdFor(p) === priceId) || null;
+}
+
+// Plan in force for a billing record: the subscribed plan while Stripe says it is paid for.
+export function planOf(record){
+  if (!billingEnabled()) return 'unlimited';
+  return record?.plan && PAID.includes(record.plan) && ENTITLED.has(record.status) ? record.plan : 'free';
+}
+
+export function entitlementsOf(record){
+  const plan = planOf(record);
+  const e = PLANS[plan];
+  return { plan, packs_per_month: e.packs_per_month, max_rows: e.max_rows, retention_days: e.retention_days ?? cfg.PACK_RETENTION_DAYS };
+}
+
+export class BillingStore {
+  constructor(storage){
+    this.storage = storage;
+    this.queue = Promise.resolve();
+  }
+
+  async get(orgId){
+    if (!ORG_ID_RE.test(String(orgId))) return null;
+    const buf = await this.storage.get(key(orgId));
+    return buf ? JSON.parse(buf.toString('utf8')) : null;
+  }
+
+  // { plan, status, entitlements, usage: { month, packs }, subscription } for the API and /upload.
+  async summary(orgId, now = new Date()){
+    const record = await this.get(orgId);
+    const month = monthOf(now);
+    return {
+      enabled: billingEnabled(),
+      plan: planOf(record),
+      status: record?.status || null,
+      entitlements: entitlementsOf(record),
+      usage: { month, packs: record?.usage?.[month] || 0 },
+      subscription: record?.subscription_id ? {
+        id: record.subscription_id,
+        price_id: record.price_id,
+        current_period_end: record.current_period_end,
+        cancel_at_period_end: !!record.cancel_at_period_end
+      } : null
+    };
+  }
+
+  // Count a stored pack against the organisation's month.
+  recordPack(orgId, now = new Date()){
+    return this.exclusive(async () => {
+      const record = (await this.get(orgId)) || blank(orgId);
+      const month = monthOf(now);
+      record.usage = { ...record.usage, [month]: (record.usage?.[month] || 0) + 1 };
+      await this.put(record);
+      return record.usage[month];
+    });
+  }
+
+  async customerOf(orgId){
+    return (await this.get(orgId))?.customer_id || null;
+  }
+
+  // Apply a verified webhook event; returns { handled, org_id? }. Events older than the last one
+  // applied to the organisation are ignored (Stripe doesn't guarantee delivery order).
+  applyEvent(event){
+    return this.exclusive(async () => {
+      const obj = event.data?.object || {};
+      switch (event.type){
+        case 'checkout.session.completed': {
+          if (obj.mode !== 'subscription') return { handled: false };
+          const orgId = obj.client_reference_id || obj.metadata?.org_id;
+          if (!ORG_ID_RE.test(String(orgId))) return { handled: false };
+          const record = (await this.get(orgId)) || blank(orgId);
+          record.customer_id = obj.customer || record.customer_id;
+          record.subscription_id = obj.subscription || record.subscription_id;
+          await this.linkCustomer(record);
+          await this.put(record);
+          return { handled: true, org_id: orgId };
+        }
+        case 'customer.subscription.created':
+        case 'customer.subscription.updated':
+        case 'customer.subscription.deleted': {
+          const orgId = obj.metadata?.org_id || await this.orgOfCustomer(obj.customer);
+          if (!ORG_ID_RE.test(String(orgId))) return { handled: false };
+          const record = (await this.get(orgId)) || blank(orgId);
+          if (record.event_created && event.created < record.event_created) return { handled: true, org_id: orgId, stale: true };
+          // late events of a subscription the organisation has since replaced don't touch the current one
+          const replaced = record.subscription_id && obj.id !== record.subscription_id && ENTITLED.has(record.status) && event.type !== 'customer.subscription.created';
+          if (replaced) return { handled: true, org_id: orgId, stale: true };
+          const priceId = obj.items?.data?.[0]?.price?.id || null;
+          Object.assign(record, {
+            customer_id: obj.customer || record.customer_id,
+            subscription_id: obj.id,
+            price_id: priceId,
+            plan: planForPrice(priceId),
+            status: event.type === 'customer.subscription.deleted' ? 'canceled' : obj.status,
+            current_period_end: obj.current_period_end ? new Date(obj.current_period_end * 1000).toISOString() : null,
+            cancel_at_period_end: !!obj.cancel_at_period_end,
+            event_created: event.created
+          });
+          await this.linkCustomer(record);
+          await this.put(record);
+          return { handled: true, org_id: orgId };
+        }
+        default:
+          return { handled: false };
+      }
+    });
+  }
+
+  async orgOfCustomer(customerId){
+    if (!customerId) return null;
+    const buf = await this.storage.get(customerKey(customerId));
+    return buf ? JSON.parse(buf.toString('utf8')).org_id : null;
+  }
+
+  async linkCustomer(record){
+    if (!record.customer_id) return;
+    await this.storage.put(customerKey(record.customer_id), Buffer.from(JSON.stringify({ org_id: record.org_id })), { contentType: 'application/json' });
+  }
+
+  put(record){
+    record.updated_utc = new Date().toISOString();
+    return this.storage.put(key(record.org_id), Buffer.from(JSON.stringify(record, null, 2)), { contentType: 'application/json' });
+  }
+
+  // Read-modify-write of billing records is serialised.
+  exclusive(fn){
+    const next = this.queue.catch(() => {}).then(fn);
+    this.queue = next;
+    return next;
+  }
+}
+
+function blank(orgId){
+  return { org_id: orgId, plan: null, status: null, customer_id: null, subscription_id: null, price_id: null, current_period_end: null, cancel_at_period_end: false, event_created: null, usage: {} };
+}
+
+function monthOf(d){ return d.toISOString().slice(0, 7); }
+function key(orgId){ return `billing/${orgId}.json`; }
+function customerKey(id){ return `billing/customers/${String(id).replace(/[^A-Za-z0-9_]/g, '')}.json`; }
+
+export const billingStore = new BillingStore(createStorage());
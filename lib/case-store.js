@@ -0,0 +1,223 @@
+import crypto from 'crypto';
+
+import { createStorage } from './storage/index.js';
+
+// Persistent case management for the cases each evidence pack produces (see cases.js), one
+// store per organisation (see orgCases):
+//   cases/<org_id>/<case_id>.json    the case: detection fields, status, assignee, notes, history
+//   cases/<org_id>/index.json        one summary row per case, for listing and matching
+// History entries are only ever appended. Re-running the same period matches existing cases:
+// by case_id (same rule, client and transactions), otherwise an unclosed case of the same
+// rule and client that shares a transaction (or, for client-level findings, any unclosed one).
+
+export const STATUSES = ['open', 'under_review', 'escalated', 'closed_no_action', 'reported'];
+export const CLOSED = new Set(['closed_no_action', 'reported']);
+
+const CASE_ID_RE = /^CASE-[a-f0-9]{12}$/;
+const DETECTION_FIELDS = ['reason', 'points', 'count', 'window_start', 'window_end', 'window_days', 'total_amount', 'max_amount', 'countries', 'matches', 'detail'];
+
+export class CaseError extends Error {
+  constructor(message, code = 'CASE_INVALID'){
+    super(message);
+    this.name = 'CaseError';
+    this.code = code;
+  }
+}
+
+export class CaseStore {
+  constructor(storage, prefix = 'cases/'){
+    this.storage = storage;
+    this.prefix = prefix;
+    this.queue = Promise.resolve();
+  }
+
+  // Summaries, newest activity first. filter: { status?, assignee?, client_id?, type? }
+  async list(filter = {}){
+    const index = await this.index();
+    return Object.values(index)
+      .filter(c => Object.entries(filter).every(([k, v]) => v == null || v === '' || (k === 'assignee' && v === 'none' ? !c.assignee : c[k] === v)))
+      .sort((a, b) => b.updated_utc.localeCompare(a.updated_utc));
+  }
+
+  async get(id){
+    if (!CASE_ID_RE.test(String(id))) return null;
+    const buf = await this.storage.get(this.key(id));
+    return buf ? JSON.parse(buf.toString('utf8')) : null;
+  }
+
+  // Record the cases of one run. run: { pack_token?, ruleset_id, ruleset_version, lookback }.
+  // Returns { created, updated, case_ids } (case_ids maps each detected case id to the
+  // stored case it was matched to).
+  sync(detected, run){
+    return this.exclusive(async () => {
+      const index = await this.index();
+      const now = new Date().toISOString();
+      const runRef = { ...run, seen_utc: now };
+      const out = { created: 0, updated: 0, case_ids: {} };
+      for (const d of detected){
+        const existing = (index[d.case_id] && await this.get(d.case_id)) || await this.match(index, d);
+        if (existing){
+          const added = d.tx_ids.filter(id => !existing.tx_ids.includes(id));
+          Object.assign(existing, pick(d, DETECTION_FIELDS), { tx_ids: [...existing.tx_ids, ...added], updated_utc: now });
+          existing.runs.push(runRef);
+          append(existing, now, 'system', 'detected', { detected_case_id: d.case_id, ...(added.length ? { added_tx_ids: added } : {}) });
+          await this.write(existing, index);
+          out.case_ids[d.case_id] = existing.case_id;
+          out.updated++;
+        } else {
+          const c = {
+            case_id: d.case_id,
+            type: d.type,
+            client_id: d.client_id,
+            finding_id: d.finding_id,
+            status: 'open',
+            assignee: null,
+            disposition: null,
+            tx_ids: d.tx_ids.slice(),
+            ...pick(d, DETECTION_FIELDS),
+            created_utc: now,
+            updated_utc: now,
+            runs: [runRef],
+            notes: [],
+            history: []
+          };
+          append(c, now, 'system', 'created', { status: 'open' });
+          await this.write(c, index);
+          out.case_ids[d.case_id] = c.case_id;
+          out.created++;
+        }
+      }
+      await this.saveIndex(index);
+      return out;
+    });
+  }
+
+  // Status, assignee and disposition; closing statuses need a disposition reason.
+  update(id, patch, actor){
+    return this.exclusive(async () => {
+      const c = await this.get(id);
+      if (!c) return null;
+      const now = new Date().toISOString();
+      const { status, assignee, disposition } = patch || {};
+      if (status !== undefined && !STATUSES.includes(status)) throw new CaseError(`status must be one of ${STATUSES.join(', ')}`);
+      if (assignee !== undefined && assignee !== null && typeof assignee !== 'string') throw new CaseError('assignee must be a string or null');
+      if (disposition !== undefined && disposition !== null && typeof disposition !== 'string') throw new CaseError('disposition must be a string or null');
+      const nextStatus = status ?? c.status;
+      const nextDisposition = disposition === undefined ? c.disposition : (disposition?.trim() || null);
+      if (CLOSED.has(nextStatus) && !nextDisposition) throw new CaseError(`A disposition reason is required to set status ${nextStatus}`);
+
+      if (assignee !== undefined && (assignee?.trim() || null) !== c.assignee){
+        const to = assignee?.trim() || null;
+        append(c, now, actor, 'assigned', { from: c.assignee, to });
+        c.assignee = to;
+      }
+      if (nextDisposition !== c.disposition){
+        append(c, now, actor, 'disposition', { from: c.disposition, to: nextDisposition });
+        c.disposition = nextDisposition;
+      }
+      if (nextStatus !== c.status){
+        append(c, now, actor, 'status', { from: c.status, to: nextStatus });
+        c.status = nextStatus;
+      }
+      c.updated_utc = now;
+      const index = await this.index();
+      await this.write(c, index);
+      await this.saveIndex(index);
+      return c;
+    });
+  }
+
+  addNote(id, text, actor){
+    return this.exclusive(async () => {
+      const c = await this.get(id);
+      if (!c) return null;
+      const body = typeof text === 'string' ? text.trim() : '';
+      if (!body) throw new CaseError('Note text is required');
+      if (body.length > 10000) throw new CaseError('Note text is limited to 10000 characters');
+      const now = new Date().toISOString();
+      const note = { note_id: 'N-' + crypto.randomBytes(6).toString('hex'), author: actorName(actor), text: body, created_utc: now };
+      c.notes.push(note);
+      append(c, now, actor, 'note', { note_id: note.note_id });
+      c.updated_utc = now;
+      const index = await this.index();
+      await this.write(c, index);
+      await this.saveIndex(index);
+      return note;
+    });
+  }
+
+  // Unclosed case of the same rule and client sharing a transaction; client-level findings
+  // (no transactions) match any unclosed case of the rule.
+  async match(index, d){
+    const candidates = Object.values(index).filter(c => c.type === d.type && c.client_id === d.client_id && !CLOSED.has(c.status));
+    for (const s of candidates){
+      const c = await this.get(s.case_id);
+      if (!c) continue;
+      if (!d.tx_ids.length && !c.tx_ids.length) return c;
+      if (d.tx_ids.some(id => c.tx_ids.includes(id))) return c;
+    }
+    return null;
+  }
+
+  async index(){
+    const buf = await this.storage.get(this.key('index'));
+    return buf ? JSON.parse(buf.toString('utf8')) : {};
+  }
+
+  async write(c, index){
+    await this.storage.put(this.key(c.case_id), Buffer.from(JSON.stringify(c, null, 2)), { contentType: 'application/json' });
+    index[c.case_id] = summary(c);
+  }
+
+  async saveIndex(index){
+    await this.storage.put(this.key('index'), Buffer.from(JSON.stringify(index)), { contentType: 'application/json' });
+  }
+
+  key(name){ return `${this.prefix}${name}.json`; }
+
+  // Read-modify-write of a case and the index is serialised.
+  exclusive(fn){
+    const next = this.queue.catch(() => {}).then(fn);
+    this.queue = next;
+    return next;
+  }
+}
+
+function summary(c){
+  return {
+    case_id: c.case_id,
+    type: c.type,
+    client_id: c.client_id,
+    status: c.status,
+    assignee: c.assignee,
+    reason: c.reason,
+    points: c.points,
+    tx_count: c.tx_ids.length,
+    notes: c.notes.length,
+    created_utc: c.created_utc,
+    updated_utc: c.updated_utc
+  };
+}
+
+function append(c, at, actor, action, data){
+  c.history.push({ seq: c.history.length + 1, at, actor: actorName(actor), action, ...data });
+}
+
+function actorName(actor){
+  return (typeof actor === 'string' && actor.trim()) ? actor.trim().slice(0, 200) : 'unknown';
+}
+
+function pick(obj, fields){
+  return Object.fromEntries(fields.filter(f => obj[f] !== undefined).map(f => [f, obj[f]]));
+}
+
+const ORG_ID_RE = /^org_[a-f0-9]{16}$/;
+const storage = createStorage();
+const stores = new Map();
+
+// The case store of one organisation (one instance each, so their writes stay serialised).
+export function orgCases(orgId){
+  if (!ORG_ID_RE.test(String(orgId))) throw new CaseError(`Invalid organisation id: ${orgId}`);
+  if (!stores.has(orgId)) stores.set(orgId, new CaseStore(storage, `cases/${orgId}/`));
+  return stores.get(orgId);
+}
@@ -1,61 +1,27 @@
-import { parseISO } from 'date-fns';
-
-const HR_COUNTRIES = new Set(['RU','CN','HK','AE','IN','IR']);
-
-export function buildCases(txs, lookback){
-  const cases = [];
-  const byClient = new Map();
-  for (const t of txs){
-    if (!byClient.has(t.client_id)) byClient.set(t.client_id, []);
-    byClient.get(t.client_id).push(t);
-  }
-
-  for (const [client_id, list] of byClient){
-    const sorted = list.slice().sort((a,b)=> a.date.localeCompare(b.date));
-
-    // Structuring
-    const struct = sorted.filter(t => t.direction==='in' && t.method==='cash' && t.currency==='AUD' && t.amount>=9600 && t.amount<=9999);
-    if (struct.length >= 4){
-      // find any 7-day window with >=4
-      for (let i=0;i<struct.length;i++){
-        const base = parseISO(struct[i].date);
-        const win = struct.filter(t => Math.abs(parseISO(t.date) - base) <= 7*24*3600*1000);
-        if (win.length >= 4){
-          cases.push({
-            type: 'structuring',
-            client_id,
-            window_start: struct[i].date,
-            window_count: win.length,
-            sample: win.slice(0,5).map(t => t.tx_id)
-          });
-          break;
-        }
-      }
-    }
-
-    // High-risk corridor
-    const intl = sorted.filter(t => t.direction==='out' && HR_COUNTRIES.has(t.counterparty_country || '') && t.currency==='AUD');
-    if (intl.length >= 2 && intl.some(t => t.amount >= 20000)){
-      cases.push({
-        type: 'high_risk_corridor',
-        client_id,
-        count: intl.length,
-        countries: Array.from(new Set(intl.map(t => t.counterparty_country))).join(','),
-        max_amount: Math.max(...intl.map(t => t.amount))
-      });
-    }
-
-    // Large domestic
-    const large = sorted.filter(t => t.currency==='AUD' && t.amount >= 100000 && (!t.counterparty_country || t.counterparty_country === 'AU'));
-    if (large.length){
-      cases.push({
-        type: 'large_domestic',
-        client_id,
-        count: large.length,
-        max_amount: Math.max(...large.map(t => t.amount))
-      });
-    }
-  }
-
-  return cases;
+// Cases are built from the same findings that produced the score reasons (see detect.js),
+// so each case carries the reason it backs and vice versa. Screening cases also carry the
+// watchlist matches behind them, typology cases the trigger's detail (pairs, baseline, payers),
+// profile cases the client fields.
+export function buildCases(findings){
+  return findings
+    .filter(f => f.case_id)
+    .map(f => ({
+      case_id: f.case_id,
+      type: f.rule_id,
+      client_id: f.client_id,
+      finding_id: f.finding_id,
+      reason: f.text,
+      points: f.points,
+      tx_ids: f.tx_ids,
+      count: f.count,
+      window_start: f.window_start,
+      window_end: f.window_end,
+      ...(f.window_days != null ? { window_days: f.window_days } : {}),
+      total_amount: f.total_amount,
+      max_amount: f.max_amount,
+      countries: (f.countries || []).join(','),
+      ...(f.family === 'profile' ? { fields: f.fields } : {}),
+      ...(f.matches ? { matches: f.matches } : {}),
+      ...(f.detail ? { detail: f.detail } : {})
+    }));
 }
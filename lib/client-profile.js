@@ -0,0 +1,84 @@
+// One client of a run, explained for an analyst's review: the profile fields as normalised on
+// upload, every reason with its rule, points and the transactions that triggered it, the client's
+// transactions over the lookback with a monthly timeline, and the client's cases. Scores and
+// reasons come from the run record (see runs.js); profile and transactions from the run's
+// evidence pack while it is retained (data_available says whether it still is; aggregate packs
+// have none, pseudonymised ones only tokens for names and the transactions outside the cases).
+
+const MAX_TXS = 500;
+const MAX_REASON_TXS = 50;
+
+// data: runPackData(run) or null; cases: the stored case summaries of the client (case-store.js).
+export function clientProfile(run, clientId, { data = null, cases = [] } = {}){
+  const score = run.scores.find(s => s.client_id === clientId);
+  if (!score) return null;
+  const { start, end } = run.lookback;
+  const runCases = new Map(run.cases.filter(k => k.client_id === clientId).map(k => [k.case_id, k]));
+
+  const txs = data ? data.txs.filter(t => t.client_id === clientId && t.date >= start && t.date <= end).sort((a, b) => a.date.localeCompare(b.date) || a.tx_id.localeCompare(b.tx_id)) : [];
+  const byId = new Map(txs.map(t => [t.tx_id, t]));
+  const rulesOf = new Map();
+  for (const k of runCases.values()){
+    for (const id of k.tx_ids){
+      if (!rulesOf.has(id)) rulesOf.set(id, []);
+      rulesOf.get(id).push(k.type);
+    }
+  }
+
+  const reasons = score.reasons.map(r => {
+    const tx_ids = runCases.get(r.case_id)?.tx_ids || [];
+    return {
+      rule_id: r.rule_id,
+      family: r.family || null,
+      text: r.text,
+      points: r.points,
+      case_id: r.case_id || null,
+      tx_ids,
+      transactions: data ? capped(tx_ids.map(id => byId.get(id) || { tx_id: id }), MAX_REASON_TXS) : null
+    };
+  });
+
+  return {
+    run: { run_id: run.run_id, created_utc: run.created_utc, pack_token: run.pack_token, ruleset_id: run.ruleset_id, ruleset_version: run.ruleset_version, lookback: run.lookback, bands: run.bands, privacy: run.privacy?.mode || 'full' },
+    client_id: clientId,
+    score: score.score,
+    band: score.band,
+    rank: run.scores.filter(s => s.score > score.score).length + 1,
+    data_available: !!data,
+    profile: data ? data.clients.find(c => c.client_id === clientId) || null : null,
+    reasons,
+    transactions: data ? {
+      ...capped(txs.slice().reverse().map(t => ({ ...t, rule_ids: rulesOf.get(t.tx_id) || [] })), MAX_TXS),
+      in_aud: round(sum(txs.filter(t => t.direction === 'in'))),
+      out_aud: round(sum(txs.filter(t => t.direction === 'out')))
+    } : null,
+    timeline: data ? timeline(txs, start, end, rulesOf) : null,
+    cases: cases.map(c => ({ ...c, in_run: runCases.has(c.case_id) }))
+  };
+}
+
+// AUD in and out, transaction count and flagged transactions (triggering a reason) per month of
+// the lookback, months without transactions included.
+function timeline(txs, start, end, rulesOf){
+  const months = [];
+  for (let m = start.slice(0, 7); m <= end.slice(0, 7); m = nextMonth(m)) months.push({ month: m, in_aud: 0, out_aud: 0, count: 0, flagged: 0 });
+  const at = new Map(months.map(m => [m.month, m]));
+  for (const t of txs){
+    const m = at.get(t.date.slice(0, 7));
+    if (!m) continue;
+    if (t.direction === 'in' || t.direction === 'out') m[`${t.direction}_aud`] += t.amount_aud || 0;
+    m.count++;
+    if (rulesOf.has(t.tx_id)) m.flagged++;
+  }
+  for (const m of months){ m.in_aud = round(m.in_aud); m.out_aud = round(m.out_aud); }
+  return months;
+}
+
+function nextMonth(m){
+  const [y, mo] = m.split('-').map(Number);
+  return mo === 12 ? `${y + 1}-01` : `${y}-${String(mo + 1).padStart(2, '0')}`;
+}
+
+function sum(txs){ return txs.reduce((n, t) => n + (t.amount_aud || 0), 0); }
+function round(v){ return Math.round(v * 100) / 100; }
+function capped(list, max){ return { rows: list.slice(0, max), total: list.length }; }
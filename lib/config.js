@@ -1,3 +1,8 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
 export const cfg = {
   PORT: parseInt(process.env.PORT || '10000', 10),
   APP_ORIGIN: process.env.APP_ORIGIN || 'http://localhost:10000',
@@ -7,17 +12,104 @@ export const cfg = {
   // Infra
   TRUST_PROXY: process.env.TRUST_PROXY === '1',
 
-  // Verify link TTL (minutes)
-  VERIFY_TTL_MIN: parseInt(process.env.VERIFY_TTL_MIN || '60', 10),
+  // Evidence-pack storage: memory | fs | s3, retention (days) and expiry sweep interval (minutes).
+  // Default retention is 7 years, the AML/CTF Act record-keeping period.
+  STORAGE_BACKEND: process.env.STORAGE_BACKEND || 'fs',
+  STORAGE_DIR: process.env.STORAGE_DIR || path.join(ROOT, 'var', 'store'),
+  PACK_RETENTION_DAYS: parseInt(process.env.PACK_RETENTION_DAYS || '2557', 10),
+  STORAGE_SWEEP_MIN: parseInt(process.env.STORAGE_SWEEP_MIN || '60', 10),
+
+  // S3-compatible storage (AWS S3, MinIO, R2); path-style requests against S3_ENDPOINT
+  S3_ENDPOINT: process.env.S3_ENDPOINT || '',
+  S3_REGION: process.env.S3_REGION || 'us-east-1',
+  S3_BUCKET: process.env.S3_BUCKET || '',
+  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID || '',
+  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY || '',
+  S3_PREFIX: process.env.S3_PREFIX || '',
+
+  // Uploads: spooled to disk (default: OS temp dir) and streamed, so the cap can be large
+  UPLOAD_TMP_DIR: process.env.UPLOAD_TMP_DIR || '',
+  MAX_UPLOAD_MB: parseInt(process.env.MAX_UPLOAD_MB || '4096', 10),
+
+  // Pack verification (POST /api/verify, open without login): zip upload size and how much its
+  // entries may unzip to, both held in memory while the pack is checked
+  VERIFY_MAX_MB: parseInt(process.env.VERIFY_MAX_MB || '100', 10),
+  VERIFY_MAX_UNZIPPED_MB: parseInt(process.env.VERIFY_MAX_UNZIPPED_MB || '256', 10),
+
+  // Evidence-pack jobs: local persistent queue, worker threads, how long finished jobs are kept
+  JOBS_DIR: process.env.JOBS_DIR || path.join(ROOT, 'var', 'jobs'),
+  JOB_CONCURRENCY: parseInt(process.env.JOB_CONCURRENCY || '1', 10),
+  JOB_RETENTION_HOURS: parseInt(process.env.JOB_RETENTION_HOURS || '24', 10),
+
+  // Row validation: strict mode blocks pack generation when errors exceed the limit;
+  // at most VALIDATION_MAX_ISSUES issues are itemised in reports (counts are always complete)
+  VALIDATION_STRICT: process.env.VALIDATION_STRICT === '1',
+  VALIDATION_MAX_ERRORS: parseInt(process.env.VALIDATION_MAX_ERRORS || '0', 10),
+  VALIDATION_MAX_ISSUES: parseInt(process.env.VALIDATION_MAX_ISSUES || '10000', 10),
+
+  // Risk methodology: ruleset documents (JSON/YAML) and the default ruleset id
+  RULESETS_DIR: process.env.RULESETS_DIR || path.join(ROOT, 'rulesets'),
+  RULESET_ID: process.env.RULESET_ID || 'dnfbp-2025.11-v6',
+
+  // FX normalisation to AUD: bundled rates table and how stale a rate may be (days)
+  FX_RATES_FILE: process.env.FX_RATES_FILE || path.join(ROOT, 'data', 'fx', 'aud-rates.csv'),
+  FX_MAX_STALENESS_DAYS: parseInt(process.env.FX_MAX_STALENESS_DAYS || '7', 10),
+
+  // Evidence report: program.pdf alongside program.html (REPORT_PDF=0 to skip)
+  REPORT_PDF: process.env.REPORT_PDF !== '0',
+
+  // Draft AUSTRAC reports (TTR/SMR) in evidence packs: default on/off, cash threshold, and the
+  // reporting entity named in the drafts
+  REPORT_DRAFTS: process.env.REPORT_DRAFTS === '1',
+  TTR_THRESHOLD_AUD: parseFloat(process.env.TTR_THRESHOLD_AUD || '10000'),
+  REPORTING_ENTITY_NAME: process.env.REPORTING_ENTITY_NAME || '',
+  REPORTING_ENTITY_ID: process.env.REPORTING_ENTITY_ID || '',
+
+  // Evidence pack privacy mode when the upload doesn't choose one: full, pseudonymised or
+  // aggregate (see privacy.js)
+  PACK_PRIVACY: process.env.PACK_PRIVACY || 'full',
+
+  // Sanctions/PEP watchlists (OFAC SDN XML, DFAT Consolidated List XLSX/CSV, generic CSV)
+  WATCHLISTS_DIR: process.env.WATCHLISTS_DIR || path.join(ROOT, 'data', 'watchlists'),
+
+  // How often (minutes) ruleset and watchlist files are checked for changes to audit (see
+  // reference-audit.js); uploads check too
+  REFERENCE_CHECK_MIN: parseInt(process.env.REFERENCE_CHECK_MIN || '5', 10),
+
+  // Jurisdiction risk tiers: bundled ratings table (edits via the admin API are kept in storage)
+  JURISDICTIONS_FILE: process.env.JURISDICTIONS_FILE || path.join(ROOT, 'data', 'jurisdictions.json'),
+
+  // Accounts: login session lifetime (hours), Secure cookies (on unless COOKIE_SECURE=0; turn off
+  // for plain-http local dev), issuer shown in authenticator apps, and self-service sign-up of new
+  // organisations (SIGNUP_ENABLED=0 to only add users through an organisation's admins)
+  SESSION_TTL_HOURS: parseInt(process.env.SESSION_TTL_HOURS || '12', 10),
+  COOKIE_SECURE: process.env.COOKIE_SECURE !== '0',
+  TOTP_ISSUER: process.env.TOTP_ISSUER || 'TrancheReady',
+  SIGNUP_ENABLED: process.env.SIGNUP_ENABLED !== '0',
+
+  // Bearer token for admin endpoints (jurisdiction ratings); unset disables them
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || '',
+
+  // /api/v1 API keys: default and highest per-key rate limit (requests per minute), and the
+  // largest JSON body a submission may send (MB)
+  API_KEY_RATE_LIMIT: parseInt(process.env.API_KEY_RATE_LIMIT || '60', 10),
+  API_KEY_MAX_RATE_LIMIT: parseInt(process.env.API_KEY_MAX_RATE_LIMIT || '600', 10),
+  API_JSON_MAX_MB: parseInt(process.env.API_JSON_MAX_MB || '100', 10),
 
-  // Optional Ed25519 signing (base64 raw keys)
+  // Optional Ed25519 signing (base64 raw keys). The private key is the current signing key;
+  // retired public keys and/or a keyring file keep older packs verifiable after rotation.
   SIGN_PUBLIC_KEY: process.env.SIGN_PUBLIC_KEY || '',
   SIGN_PRIVATE_KEY: process.env.SIGN_PRIVATE_KEY || '',
+  SIGN_RETIRED_PUBLIC_KEYS: process.env.SIGN_RETIRED_PUBLIC_KEYS || '',
+  SIGN_KEYRING_FILE: process.env.SIGN_KEYRING_FILE || '',
 
-  // Stripe (optional)
+  // Stripe (optional): without a secret key billing is off and plan limits don't apply.
+  // STRIPE_API_BASE points the client at a local stripe-mock (e.g. http://localhost:12111).
   STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY || '',
+  STRIPE_WEBHOOK_SECRET: process.env.STRIPE_WEBHOOK_SECRET || '',
   STRIPE_PRICE_ID_STARTER: process.env.STRIPE_PRICE_ID_STARTER || '',
   STRIPE_PRICE_ID_TEAM: process.env.STRIPE_PRICE_ID_TEAM || '',
+  STRIPE_API_BASE: process.env.STRIPE_API_BASE || '',
 
   // Request log sampling (0..1)
   REQUEST_LOG_SAMPLE: Math.max(0, Math.min(1, parseFloat(process.env.REQUEST_LOG_SAMPLE || '1.0')))
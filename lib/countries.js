@@ -0,0 +1,86 @@
+// Country names and codes -> ISO 3166-1 alpha-2. Uploads and watchlists spell countries
+// many ways ("Hong Kong", "HKG", "Korea, North", "Iran (Islamic Republic of)"); English
+// names come from Intl.DisplayNames, alpha-3 codes from ALPHA3, common variants from ALIASES.
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+// alpha-2 alpha-3 pairs: ISO 3166-1, plus XK (Kosovo, user-assigned but used by FATF/EU lists)
+const ALPHA3 = [
+  'AD AND AE ARE AF AFG AG ATG AI AIA AL ALB AM ARM AO AGO AQ ATA AR ARG AS ASM AT AUT AU AUS AW ABW AX ALA AZ AZE ',
+  'BA BIH BB BRB BD BGD BE BEL BF BFA BG BGR BH BHR BI BDI BJ BEN BL BLM BM BMU BN BRN BO BOL BQ BES BR BRA BS BHS BT BTN BV BVT BW BWA BY BLR BZ BLZ ',
+  'CA CAN CC CCK CD COD CF CAF CG COG CH CHE CI CIV CK COK CL CHL CM CMR CN CHN CO COL CR CRI CU CUB CV CPV CW CUW CX CXR CY CYP CZ CZE ',
+  'DE DEU DJ DJI DK DNK DM DMA DO DOM DZ DZA EC ECU EE EST EG EGY EH ESH ER ERI ES ESP ET ETH FI FIN FJ FJI FK FLK FM FSM FO FRO FR FRA ',
+  'GA GAB GB GBR GD GRD GE GEO GF GUF GG GGY GH GHA GI GIB GL GRL GM GMB GN GIN GP GLP GQ GNQ GR GRC GS SGS GT GTM GU GUM GW GNB GY GUY ',
+  'HK HKG HM HMD HN HND HR HRV HT HTI HU HUN ID IDN IE IRL IL ISR IM IMN IN IND IO IOT IQ IRQ IR IRN IS ISL IT ITA JE JEY JM JAM JO JOR JP JPN ',
+  'KE KEN KG KGZ KH KHM KI KIR KM COM KN KNA KP PRK KR KOR KW KWT KY CYM KZ KAZ LA LAO LB LBN LC LCA LI LIE LK LKA LR LBR LS LSO LT LTU LU LUX LV LVA LY LBY ',
+  'MA MAR MC MCO MD MDA ME MNE MF MAF MG MDG MH MHL MK MKD ML MLI MM MMR MN MNG MO MAC MP MNP MQ MTQ MR MRT MS MSR MT MLT MU MUS MV MDV MW MWI MX MEX MY MYS MZ MOZ ',
+  'NA NAM NC NCL NE NER NF NFK NG NGA NI NIC NL NLD NO NOR NP NPL NR NRU NU NIU NZ NZL OM OMN PA PAN PE PER PF PYF PG PNG PH PHL PK PAK PL POL PM SPM PN PCN PR PRI PS PSE PT PRT PW PLW PY PRY QA QAT ',
+  'RE REU RO ROU RS SRB RU RUS RW RWA SA SAU SB SLB SC SYC SD SDN SE SWE SG SGP SH SHN SI SVN SJ SJM SK SVK SL SLE SM SMR SN SEN SO SOM SR SUR SS SSD ST STP SV SLV SX SXM SY SYR SZ SWZ ',
+  'TC TCA TD TCD TF ATF TG TGO TH THA TJ TJK TK TKL TL TLS TM TKM TN TUN TO TON TR TUR TT TTO TV TUV TW TWN TZ TZA UA UKR UG UGA UM UMI US USA UY URY UZ UZB ',
+  'VA VAT VC VCT VE VEN VG VGB VI VIR VN VNM VU VUT WF WLF WS WSM XK XKX YE YEM YT MYT ZA ZAF ZM ZMB ZW ZWE'
+].join('');
+const A3_BY_A2 = new Map();
+const A2_BY_A3 = new Map();
+for (const [, a2, a3] of ALPHA3.matchAll(/([A-Z]{2}) ([A-Z]{3})/g)){ A3_BY_A2.set(a2, a3); A2_BY_A3.set(a3, a2); }
+
+// Reserved and legacy two-letter codes still seen in exports
+const CODE_ALIASES = { UK: 'GB', EL: 'GR' };
+
+const ALIASES = {
+  'great britain': 'GB', 'england': 'GB', 'scotland': 'GB', 'wales': 'GB', 'northern ireland': 'GB', 'britain': 'GB',
+  'united kingdom of great britain and northern ireland': 'GB',
+  'usa': 'US', 'united states of america': 'US', 'america': 'US',
+  'korea north': 'KP', 'north korea': 'KP', 'democratic people s republic of korea': 'KP', 'dprk': 'KP',
+  'korea south': 'KR', 'south korea': 'KR', 'republic of korea': 'KR', 'korea': 'KR',
+  'hong kong': 'HK', 'hong kong sar': 'HK', 'macao': 'MO', 'macau': 'MO', 'taiwan province of china': 'TW',
+  'burma': 'MM', 'myanmar': 'MM', 'russian federation': 'RU', 'iran islamic republic of': 'IR',
+  'syrian arab republic': 'SY', 'lao people s democratic republic': 'LA', 'lao pdr': 'LA',
+  'viet nam': 'VN', 'turkey': 'TR', 'ivory coast': 'CI', 'cote d ivoire': 'CI',
+  'congo democratic republic of the': 'CD', 'democratic republic of the congo': 'CD', 'drc': 'CD', 'congo kinshasa': 'CD',
+  'congo republic of the': 'CG', 'republic of the congo': 'CG', 'congo': 'CG',
+  'venezuela bolivarian republic of': 'VE', 'bolivia plurinational state of': 'BO',
+  'tanzania united republic of': 'TZ', 'moldova republic of': 'MD', 'palestine': 'PS', 'state of palestine': 'PS',
+  'west bank': 'PS', 'gaza': 'PS', 'macedonia': 'MK', 'swaziland': 'SZ', 'czech republic': 'CZ',
+  'virgin islands uk': 'VG', 'virgin islands british': 'VG', 'virgin islands us': 'VI',
+  'vatican': 'VA', 'holy see': 'VA', 'micronesia federated states of': 'FM', 'cape verde': 'CV', 'cabo verde': 'CV',
+  'east timor': 'TL', 'holland': 'NL', 'uae': 'AE', 'ksa': 'SA'
+};
+
+let byName = null;
+function names(){
+  if (byName) return byName;
+  byName = new Map(Object.entries(ALIASES).map(([k, v]) => [normCountry(k), v]));
+  for (const code of A3_BY_A2.keys()){
+    const key = normCountry(regionNames.of(code));
+    if (!byName.has(key)) byName.set(key, code);
+  }
+  return byName;
+}
+
+export function isCountryCode(code){
+  return A3_BY_A2.has(code);
+}
+
+// "Hong Kong" / "HKG" / "hk" -> "HK", "UK" -> "GB"; null when unrecognised.
+export function countryCode(value){
+  const s = (value ?? '').toString().trim();
+  if (!s) return null;
+  const up = s.toUpperCase();
+  if (up.length === 2) return CODE_ALIASES[up] || (A3_BY_A2.has(up) ? up : null);
+  if (up.length === 3 && A2_BY_A3.has(up)) return A2_BY_A3.get(up);
+  return names().get(normCountry(s)) || null;
+}
+
+export function alpha3(code){
+  return A3_BY_A2.get(code) || null;
+}
+
+export function countryName(code){
+  return isCountryCode(code) ? regionNames.of(code) : code;
+}
+
+// case, accents, punctuation, "&"/"and"/"the" and "St."/"Saint" don't matter
+function normCountry(s){
+  return s.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+    .split(' ').filter(t => t !== 'and' && t !== 'the').map(t => (t === 'st' ? 'saint' : t)).join(' ');
+}
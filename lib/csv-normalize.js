@@ -1,96 +1,133 @@
-import { parseISO, isValid, isAfter, subMonths } from 'date-fns';
-import { z } from 'zod';
-
-// Canonical fields + synonyms (lowercased comparison)
-const CLIENT_MAP = {
-  client_id: ['client_id','clientid','customer_id','customerid','id'],
-  full_name: ['full_name','name','client_name','fullname'],
-  dob: ['dob','date_of_birth','birthdate'],
-  residency_country: ['residency_country','country','country_of_residence','residence_country'],
-  delivery_channel: ['delivery_channel','channel','onboarding_channel'],
-  services: ['services','service','products'],
-  pep_flag: ['pep','pep_flag','is_pep'],
-  sanctions_flag: ['sanctions','sanctions_flag','is_sanctioned'],
-  kyc_last_reviewed_at: ['kyc_last_reviewed_at','kyc_date','kyc_last_reviewed','last_kyc']
-};
-
-const TX_MAP = {
-  tx_id: ['tx_id','transaction_id','id'],
-  client_id: ['client_id','clientid','customer_id','customerid'],
-  date: ['date','tx_date','timestamp','posted_at'],
-  amount: ['amount','amt','value'],
-  currency: ['currency','ccy'],
-  direction: ['direction','dr_cr','in_out','flow'], // in/out
-  method: ['method','instrument','channel'],        // cash/wire/eft/cheque/mo
-  counterparty_name: ['counterparty_name','payer_name','payee_name','beneficiary'],
-  counterparty_country: ['counterparty_country','cp_country','country_to','country_from','destination_country','origin_country'],
-  matter_id: ['matter_id','file_id','case_id','engagement_id']
-};
+import crypto from 'crypto';
+
+import { parseISO, isValid, subMonths } from 'date-fns';
+
+import { ratesFor } from './fx.js';
+import { resolveHeaders } from './mapping.js';
+import { countryCode } from './countries.js';
+import { IssueLog, parseFlag, isCurrencyCode, VALUE_MESSAGES } from './validation.js';
 
 const CASH = ['cash','notes','branch_cash'];
 const OUT_KEYS = ['out','debit','send'];
 const IN_KEYS  = ['in','credit','receive'];
 
+const METHODS = ['cash', 'wire', 'eft', 'cheque', 'money_order'];
+
 const lc = v => (v ?? '').toString().trim().toLowerCase();
 
-function mapHeaders(row, dict) {
+// "1,234.50" and "1.234,50" (decimal comma, common in semicolon-delimited exports) -> 1234.5;
+// a trailing ",ddd" group is read as thousands. No digits at all ("N/A", "TBC") is NaN, not 0.
+function parseAmount(v) {
+  if (!/\d/.test(v)) return NaN;
+  let s = v.replace(/[^0-9.,-]/g, '');
+  if (s.lastIndexOf(',') > s.lastIndexOf('.') && !/,\d{3}$/.test(s)) s = s.replace(/\./g, '').replace(',', '.');
+  else s = s.replace(/,/g, '');
+  return Number(s);
+}
+
+// keyMap: header -> canonical key from resolveHeaders (null drops the column)
+function mapHeaders(row, keyMap) {
   const out = {};
   for (const k of Object.keys(row)) {
-    const lk = lc(k);
-    const canonical = Object.keys(dict).find(can => dict[can].includes(lk));
-    out[canonical || lk] = row[k];
+    const key = keyMap[k] === undefined ? lc(k) : keyMap[k];
+    if (key) out[key] = row[k];
   }
   return out;
 }
 
-export function normalizeClients(rows) {
-  const headerMap = {};
-  if (rows[0]) {
-    for (const k of Object.keys(rows[0])) {
-      const lk = lc(k);
-      const canonical = Object.keys(CLIENT_MAP).find(can => CLIENT_MAP[can].includes(lk));
-      headerMap[k] = canonical || lk;
+// issues: IssueLog collecting field-level problems (see validation.js). Rows without a
+// client_id, and repeats of an earlier client_id, are dropped.
+export function normalizeClients(rows, { mapping, headers = rows[0] ? Object.keys(rows[0]) : [], issues = new IssueLog() } = {}) {
+  const headerMap = resolveHeaders('clients', headers, mapping);
+  const seen = new Set();
+  const clients = [];
+
+  rows.forEach((raw, i) => {
+    const r = mapHeaders(raw, headerMap);
+    const id = (r.client_id ?? '').toString().trim();
+    const add = (field, code, severity, message) => issues.add('clients', i, { id: id || null, field, value: r[field], code, severity, message });
+
+    if (!id) return add('client_id', 'missing_value', 'error', 'client_id is required');
+    if (seen.has(id)) return add('client_id', 'duplicate_id', 'error', VALUE_MESSAGES.duplicate_id('client_id', id));
+    seen.add(id);
+    r.client_id = id;
+
+    for (const field of ['pep_flag', 'sanctions_flag']) {
+      const flag = parseFlag(r[field]);
+      if (flag === null) add(field, 'invalid_flag', 'error', `${field} must be true/false or yes/no; treated as false`);
+      else if (field in r) r[field] = String(flag);
     }
-  }
-
-  const schema = z.object({
-    client_id: z.string().min(1).or(z.number().transform(String)),
-    full_name: z.string().optional(),
-    dob: z.string().optional(),
-    residency_country: z.string().optional(),
-    delivery_channel: z.string().optional(),
-    services: z.string().optional(),
-    pep_flag: z.string().optional(),
-    sanctions_flag: z.string().optional(),
-    kyc_last_reviewed_at: z.string().optional()
+    if (r.residency_country) {
+      const raw = r.residency_country.toString().trim();
+      r.residency_country = countryCode(raw) || raw.toUpperCase();
+      if (!countryCode(raw)) add('residency_country', 'invalid_country', 'warning', 'Country not recognised (expected an ISO 3166 code or English name)');
+    }
+    for (const field of ['dob', 'kyc_last_reviewed_at']) {
+      if (r[field] && !isValid(parseISO(String(r[field]).trim()))) add(field, 'invalid_date', 'warning', 'Unparseable date (expected YYYY-MM-DD)');
+    }
+    clients.push(r);
   });
 
-  const normalized = rows.map(r => mapHeaders(r, CLIENT_MAP))
-    .map(r => schema.safeParse(r).success ? r : r); // keep row even if soft-invalid
-  return { clients: normalized, clientHeaderMap: headerMap };
+  return { clients, clientHeaderMap: headerMap };
 }
 
-export function normalizeTransactions(rows) {
-  const headerMap = {};
-  if (rows[0]) {
-    for (const k of Object.keys(rows[0])) {
-      const lk = lc(k);
-      const canonical = Object.keys(TX_MAP).find(can => TX_MAP[can].includes(lk));
-      headerMap[k] = canonical || lk;
-    }
-  }
+export function normalizeTransactions(rows, { lookbackMonths = 18, fx = ratesFor(), mapping, clientIds, issues } = {}) {
+  const n = createTxNormalizer({ fx, mapping, clientIds, issues });
+  const txs = rows.map((r, i) => n.push(r, i)).filter(Boolean);
+  const { rejects, warnings, txHeaderMap } = n.result();
+  return { txs, rejects, warnings, txHeaderMap, lookback: lookbackFrom(n.latest, lookbackMonths) };
+}
 
+// Incremental transaction normaliser for streamed input: push() one raw row at a time and
+// get back the normalised tx (or null when rejected). Only the header map, the latest date
+// and a capped sample of rejects/warnings are retained, so memory stays bounded.
+// clientIds: Set of known client ids (transactions for other clients are rejected);
+// issues: IssueLog for field-level problems (see validation.js).
+export function createTxNormalizer({ fx = ratesFor(), mapping, clientIds = null, issues = new IssueLog(), maxReported = 1000 } = {}) {
+  let headerMap = null;
   const rejects = [];
-  const txs = rows.map((r, i) => {
-    const t = mapHeaders(r, TX_MAP);
+  const warnings = [];
+  const counts = { rows: 0, txs: 0, rejects: 0, warnings: 0 };
+  const state = { latest: null };
+  const seenIds = new Set(); // 53-bit hashes of tx_ids, to keep duplicate checks small
+
+  function push(r, i = counts.rows) {
+    counts.rows++;
+    if (!headerMap) headerMap = resolveHeaders('transactions', Object.keys(r), mapping);
+    const t = mapHeaders(r, headerMap);
+    const txId = (t.tx_id ?? '').toString().trim() || null;
+    const errors = [];
+    const add = (field, code, severity, message) => {
+      issues.add('transactions', i, { id: txId, field, value: t[field], code, severity, message });
+      if (severity === 'error') errors.push(message);
+    };
 
     // Date
-    let d = typeof t.date === 'string' ? parseISO(t.date) : null;
+    const dateRaw = (t.date ?? '').toString().trim();
+    let d = dateRaw ? parseISO(dateRaw) : null;
     if (!isValid(d)) d = null;
+    if (!dateRaw) add('date', 'missing_value', 'error', 'date is required');
+    else if (!d) add('date', 'invalid_date', 'error', 'Unparseable date (expected YYYY-MM-DD)');
 
     // Amount
-    let amt = typeof t.amount === 'string' ? Number(t.amount.replace(/[^0-9.-]/g, '')) : Number(t.amount);
-    if (!Number.isFinite(amt)) amt = null;
+    const amtRaw = (t.amount ?? '').toString().trim();
+    let amt = typeof t.amount === 'string' ? parseAmount(t.amount) : Number(t.amount);
+    if (!Number.isFinite(amt) || !amtRaw) amt = null;
+    if (!amtRaw) add('amount', 'missing_value', 'error', 'amount is required');
+    else if (amt === null) add('amount', 'invalid_amount', 'error', 'Amount is not a number');
+
+    // Client
+    const clientId = (t.client_id ?? '').toString().trim();
+    if (!clientId) add('client_id', 'missing_value', 'error', 'client_id is required');
+    else if (clientIds && !clientIds.has(clientId)) add('client_id', 'unknown_client', 'error', VALUE_MESSAGES.unknown_client('client_id', clientId));
+
+    // Transaction id
+    if (!txId) add('tx_id', 'missing_value', 'warning', 'tx_id is missing');
+    else {
+      const h = idHash(txId);
+      if (seenIds.has(h)) add('tx_id', 'duplicate_id', 'error', VALUE_MESSAGES.duplicate_id('tx_id', txId));
+      else seenIds.add(h);
+    }
 
     // Direction
     const dirRaw = lc(t.direction);
@@ -98,6 +135,7 @@ export function normalizeTransactions(rows) {
     if (OUT_KEYS.some(x => dirRaw.includes(x))) direction = 'out';
     else if (IN_KEYS.some(x => dirRaw.includes(x))) direction = 'in';
     else if (dirRaw === 'in' || dirRaw === 'out') direction = dirRaw;
+    if (dirRaw && !direction) add('direction', 'unknown_value', 'warning', 'Direction not recognised (expected in/out, credit/debit)');
 
     // Method
     const mRaw = lc(t.method);
@@ -108,16 +146,22 @@ export function normalizeTransactions(rows) {
     else if (mRaw.includes('cheque') || mRaw.includes('check')) method = 'cheque';
     else if (mRaw.includes('mo') || mRaw.includes('money order')) method = 'money_order';
     else method = mRaw || null;
+    if (mRaw && !METHODS.includes(method)) add('method', 'unknown_value', 'warning', `Method not recognised (expected ${METHODS.join('/')})`);
 
-    // Country
-    const ctry = (t.counterparty_country || '').toString().trim().toUpperCase();
+    // Currency and country
+    const currency = (t.currency || 'AUD').toString().trim().toUpperCase();
+    if (!isCurrencyCode(currency)) add('currency', 'invalid_currency', 'warning', 'Not an ISO 4217 currency code');
+    // names and alpha-3 codes ("Hong Kong", "HKG") are stored as alpha-2
+    const ctryRaw = (t.counterparty_country || '').toString().trim();
+    const ctry = countryCode(ctryRaw) || ctryRaw.toUpperCase();
+    if (ctryRaw && !countryCode(ctryRaw)) add('counterparty_country', 'invalid_country', 'warning', 'Country not recognised (expected an ISO 3166 code or English name)');
 
     const tx = {
-      tx_id: t.tx_id ?? null,
-      client_id: (t.client_id ?? '').toString(),
+      tx_id: txId,
+      client_id: clientId,
       date: d ? d.toISOString().slice(0,10) : null,
       amount: amt,
-      currency: (t.currency || 'AUD').toString().toUpperCase(),
+      currency,
       direction,
       method,
       counterparty_name: t.counterparty_name || null,
@@ -125,22 +169,47 @@ export function normalizeTransactions(rows) {
       matter_id: t.matter_id || null
     };
 
-    if (!tx.client_id || !tx.date || !Number.isFinite(tx.amount)) {
-      rejects.push({ index: i, reason: 'Missing client_id/date/amount', row: r });
+    if (errors.length) {
+      counts.rejects++;
+      if (rejects.length < maxReported) rejects.push({ index: i, reason: errors.join('; '), row: r });
       return null;
     }
+
+    // AUD equivalent; kept (with amount_aud null) and reported when no rate is available
+    const fxRate = fx.rateFor(tx.currency, tx.date);
+    tx.amount_aud = fxRate ? Math.round(tx.amount * fxRate.rate * 100) / 100 : null;
+    tx.fx_rate = fxRate ? fxRate.rate : null;
+    tx.fx_date = fxRate ? fxRate.date : null;
+    if (!fxRate) {
+      counts.warnings++;
+      issues.add('transactions', i, { id: tx.tx_id, field: 'currency', value: tx.currency, code: 'fx_rate_missing', severity: 'warning', message: `No ${tx.currency}→AUD rate on or before ${tx.date}` });
+      if (warnings.length < maxReported) {
+        warnings.push({ index: i, tx_id: tx.tx_id, category: 'fx_rate_missing', reason: `No ${tx.currency}→AUD rate on or before ${tx.date}`, currency: tx.currency, date: tx.date });
+      }
+    }
+
+    counts.txs++;
+    if (!state.latest || tx.date > state.latest) state.latest = tx.date;
     return tx;
-  }).filter(Boolean);
-
-  // Lookback: 18 months based on latest tx date
-  const latest = txs.reduce((acc, t) => {
-    const d = parseISO(t.date);
-    return !acc || isAfter(d, acc) ? d : acc;
-  }, null);
-  const lookback = {
-    end: (latest || new Date()).toISOString().slice(0,10),
-    start: subMonths(latest || new Date(), 18).toISOString().slice(0,10)
+  }
+
+  return {
+    push,
+    counts,
+    get latest() { return state.latest; },
+    result: () => ({ rejects, warnings, counts: { ...counts }, txHeaderMap: headerMap || {} })
   };
+}
 
-  return { txs, rejects, txHeaderMap: headerMap, lookback };
+function idHash(id) {
+  return Number(crypto.createHash('md5').update(id).digest().readBigUInt64BE(0) >> 11n);
+}
+
+// Lookback: ruleset-defined months (default 18) back from the latest tx date
+export function lookbackFrom(latestDate, lookbackMonths = 18) {
+  const latest = latestDate ? parseISO(latestDate) : new Date();
+  return {
+    end: latest.toISOString().slice(0,10),
+    start: subMonths(latest, lookbackMonths).toISOString().slice(0,10)
+  };
 }
@@ -0,0 +1,357 @@
+import crypto from 'crypto';
+
+import { parseISO, differenceInCalendarDays, isAfter, isValid } from 'date-fns';
+
+import { countryCode } from './countries.js';
+import { jaroWinkler, matchView, nameTokens } from './screening.js';
+
+// Single detector layer: evaluates every ruleset rule once and emits typed findings
+// with the exact triggering transaction ids. Scoring (rules.js) and case generation
+// (cases.js) both consume these findings, and every finding (profile, behaviour,
+// screening) gets a case, so a score reason always has a case and a case always has a
+// score reason. Screening rules match clients and counterparties against the watchlists
+// in ctx.screener (see screening.js); without one they never fire.
+// in_tier conditions look countries up in ctx.jurisdictions (see jurisdictions.js) as of the
+// transaction date, or the end of the lookback for client fields. shared_counterparty rules
+// look across clients, so their matches are collected in a first pass (ctx.shared).
+
+const DAY_MS = 86400000;
+
+function daysBetween(a, b){ return Math.abs(differenceInCalendarDays(parseISO(a), parseISO(b))); }
+
+export function indexByClient(txs, lookback){
+  // Index txs by client within lookback, oldest first
+  const txByClient = new Map();
+  for (const t of inLookback(txs, lookback)){
+    if (!txByClient.has(t.client_id)) txByClient.set(t.client_id, []);
+    txByClient.get(t.client_id).push(t);
+  }
+  for (const list of txByClient.values()) list.sort((a,b)=> a.date.localeCompare(b.date));
+  return txByClient;
+}
+
+// Findings are only produced for clients in the clients file; transactions for unknown
+// clients have nothing to score against.
+export function detectAll(clients, txs, lookback, ruleset, { screener, jurisdictions } = {}){
+  const txByClient = indexByClient(txs, lookback);
+  const ctx = contextFor(lookback, ruleset, screener, jurisdictions);
+  for (const [clientId, list] of txByClient) collectShared(ctx, ruleset, clientId, list);
+  return clients.flatMap(c => detectClient(c, txByClient.get(c.client_id) || [], ctx, ruleset));
+}
+
+// Same as detectAll over a disk spool (see ingest.js), one partition in memory at a time.
+export async function detectSpool(clients, spool, lookback, ruleset, { screener, jurisdictions } = {}){
+  const ctx = contextFor(lookback, ruleset, screener, jurisdictions);
+  if (ctx.shared.size){
+    for await (const [clientId, list] of spool.byClient()) collectShared(ctx, ruleset, clientId, inLookback(list, lookback));
+  }
+  const clientById = new Map(clients.map(c => [c.client_id, c]));
+  const found = new Map();
+  for await (const [clientId, list] of spool.byClient()){
+    const c = clientById.get(clientId);
+    if (!c) continue;
+    found.set(clientId, detectClient(c, inLookback(list, lookback).sort((a,b)=> a.date.localeCompare(b.date)), ctx, ruleset));
+  }
+  // clients without transactions still get profile findings; keep clients-file order
+  return clients.flatMap(c => found.get(c.client_id) ?? detectClient(c, [], ctx, ruleset));
+}
+
+function contextFor(lookback, ruleset, screener = null, jurisdictions = null){
+  // rule id -> counterparty key -> { name, clients }, filled by collectShared
+  const shared = new Map(ruleset.rules.filter(r => r.trigger?.type === 'shared_counterparty').map(r => [r.id, new Map()]));
+  return { lists: ruleset.lists, asOf: parseISO(lookback.end), asOfIso: lookback.end, screener: screener?.empty ? null : screener, jurisdictions, shared };
+}
+
+function collectShared(ctx, ruleset, clientId, txlist){
+  for (const [ruleId, byParty] of ctx.shared){
+    const rule = ruleset.rules.find(r => r.id === ruleId);
+    for (const t of txlist){
+      const key = partyKey(t.counterparty_name);
+      if (!key || !evalCondition(rule.match, t, ctx)) continue;
+      if (!byParty.has(key)) byParty.set(key, { name: t.counterparty_name, clients: new Set() });
+      byParty.get(key).clients.add(clientId);
+    }
+  }
+}
+
+function inLookback(list, lookback){
+  const lbStart = parseISO(lookback.start);
+  return list.filter(t => isAfter(parseISO(t.date), lbStart) || t.date === lookback.start);
+}
+
+// All findings for one client; txlist must be within lookback and sorted by date.
+export function detectClient(c, txlist, ctx, ruleset){
+  const findings = [];
+  for (const rule of ruleset.rules){
+    const f = rule.family === 'profile' ? detectProfile(rule, c, ctx)
+      : rule.family === 'screening' ? detectScreening(rule, c, txlist, ctx)
+      : detectBehaviour(rule, c, txlist, ctx);
+    if (f) findings.push({ rule_id: rule.id, family: rule.family, client_id: c.client_id, text: rule.text, points: rule.points, ...f });
+  }
+  for (const f of findings){
+    f.finding_id = findingId(f);
+    // the case shares the finding's id; profile cases (PEP flag, high-risk residency, ...) carry
+    // the client fields behind them instead of transactions
+    f.case_id = 'CASE-' + f.finding_id.slice(2);
+  }
+  return findings;
+}
+
+function detectProfile(rule, client, ctx){
+  if (!evalCondition(rule.when, client, ctx)) return null;
+  return { fields: fieldsOf(rule.when), tx_ids: [] };
+}
+
+function detectBehaviour(rule, client, txlist, ctx){
+  const matched = txlist.filter(t => evalCondition(rule.match, t, ctx));
+  const hit = TRIGGERS[rule.trigger.type](rule, matched, ctx, { client, txlist });
+  if (!hit) return null;
+  const txs = hit.txs.slice().sort((a, b) => a.date.localeCompare(b.date));
+  return {
+    ...(hit.note ? { text: `${rule.text}: ${hit.note}` } : {}),
+    tx_ids: txs.map(t => t.tx_id),
+    ...summarise(txs, rule.trigger),
+    ...(hit.detail ? { detail: hit.detail } : {})
+  };
+}
+
+// Client: its best match of the category. Counterparty: transactions whose counterparty's
+// best match falls in range. Only the best match counts, so tiered rules don't double up.
+function detectScreening(rule, client, txlist, ctx){
+  if (!ctx.screener) return null;
+  const { subject, category, min_score, max_score = Infinity } = rule.screen;
+  const inRange = m => m && m.score >= min_score && m.score < max_score;
+  if (subject === 'client'){
+    const m = ctx.screener.best({ name: client.full_name, dob: client.dob, country: client.residency_country }, category);
+    if (!inRange(m)) return null;
+    const match = matchView(m);
+    return {
+      text: `${rule.text}: ${match.name} (${match.list}, score ${match.score})`,
+      fields: ['full_name', 'dob', 'residency_country'],
+      tx_ids: [],
+      matches: [match],
+      countries: m.entry.countries
+    };
+  }
+  const hit = [];
+  const matches = new Map(); // counterparty name -> match
+  for (const t of txlist){
+    if (!t.counterparty_name) continue;
+    const m = ctx.screener.best({ name: t.counterparty_name, country: t.counterparty_country }, category);
+    if (!inRange(m)) continue;
+    hit.push(t);
+    if (!matches.has(t.counterparty_name)) matches.set(t.counterparty_name, { counterparty: t.counterparty_name, ...matchView(m) });
+  }
+  if (!hit.length) return null;
+  const list = Array.from(matches.values());
+  return {
+    text: `${rule.text}: ${list.map(m => `${m.counterparty} → ${m.name} (${m.list}, score ${m.score})`).join('; ')}`,
+    tx_ids: hit.map(t => t.tx_id),
+    matches: list,
+    ...summarise(hit, { type: 'count' })
+  };
+}
+
+// Trigger types (see ruleset.js). Each gets the rule's matching transactions for one client,
+// oldest first, and returns { txs, note?, detail? } when the rule fires, otherwise null.
+const TRIGGERS = {
+  window({ trigger }, matched){
+    // first run of >= min_count matches where each falls within `days` of the first
+    for (let i=0;i<matched.length;i++){
+      const win = [matched[i]];
+      for (let j=i+1;j<matched.length;j++){
+        if (daysBetween(matched[i].date, matched[j].date) <= trigger.days) win.push(matched[j]);
+      }
+      if (win.length >= trigger.min_count) return { txs: win };
+    }
+    return null;
+  },
+
+  count({ trigger }, matched, ctx){
+    if (matched.length < trigger.min_count) return null;
+    if (trigger.any && !matched.some(t => evalCondition(trigger.any, t, ctx))) return null;
+    return { txs: matched };
+  },
+
+  // Pass-through: each inflow is paired with the first unpaired outflow within `days`
+  // of a similar size (min_ratio..1/min_ratio of the inflow).
+  in_out({ trigger }, matched){
+    const used = new Set();
+    const pairs = [];
+    for (let i = 0; i < matched.length; i++){
+      const tin = matched[i];
+      if (tin.direction !== 'in' || !(tin.amount_aud > 0)) continue;
+      for (let j = i + 1; j < matched.length; j++){
+        const tout = matched[j];
+        const days = daysBetween(tin.date, tout.date);
+        if (days > trigger.days) break;
+        if (tout.direction !== 'out' || used.has(tout) || !(tout.amount_aud > 0)) continue;
+        const ratio = tout.amount_aud / tin.amount_aud;
+        if (ratio < trigger.min_ratio || ratio > 1 / trigger.min_ratio) continue;
+        used.add(tout);
+        pairs.push({ in_tx: tin.tx_id, out_tx: tout.tx_id, days });
+        break;
+      }
+    }
+    if (pairs.length < trigger.min_count) return null;
+    const ids = new Set(pairs.flatMap(p => [p.in_tx, p.out_tx]));
+    return { txs: matched.filter(t => ids.has(t.tx_id)), note: `${pairs.length} in/out pair(s)`, detail: { pairs } };
+  },
+
+  // Velocity: for every window of `days` ending on a transaction, the AUD total against the
+  // client's own average per `days` over up to baseline_days before it. Needs at least one
+  // window's worth of earlier history; reports the window with the highest ratio.
+  spike({ trigger }, matched){
+    const day = matched.map(t => Date.parse(t.date) / DAY_MS);
+    const sum = [0];
+    for (const t of matched) sum.push(sum[sum.length - 1] + (Number.isFinite(t.amount_aud) ? t.amount_aud : 0));
+    let best = null;
+    for (let i = 0, w = 0, b = 0; i < matched.length; i++){
+      const start = day[i] - trigger.days; // window is (start, day[i]]
+      while (day[w] <= start) w++;
+      while (day[b] <= start - trigger.baseline_days) b++;
+      const span = Math.min(trigger.baseline_days, start - day[0]);
+      if (span < trigger.days) continue;
+      const total = sum[i + 1] - sum[w];
+      const baseline = (sum[w] - sum[b]) / (span / trigger.days);
+      if (total < trigger.min_total || total < baseline * trigger.factor) continue;
+      const ratio = baseline > 0 ? total / baseline : Infinity;
+      if (!best || ratio > best.ratio) best = { ratio, from: w, to: i, total, baseline };
+    }
+    if (!best) return null;
+    const ratio = Number.isFinite(best.ratio) ? Math.round(best.ratio * 10) / 10 : null;
+    return {
+      txs: matched.slice(best.from, best.to + 1),
+      note: ratio ? `${ratio}× baseline` : 'no activity in the baseline period',
+      detail: { window_total: round2(best.total), baseline_avg: round2(best.baseline), ratio, baseline_days: trigger.baseline_days }
+    };
+  },
+
+  // First run of transactions within `days` that reaches min_distinct values of `field`.
+  distinct({ trigger }, matched){
+    const counts = new Map();
+    const keyOf = t => partyKey(t[trigger.field]);
+    for (let l = 0, r = 0; r < matched.length; r++){
+      const k = keyOf(matched[r]);
+      if (k) counts.set(k, (counts.get(k) || 0) + 1);
+      while (daysBetween(matched[l].date, matched[r].date) > trigger.days){
+        const kl = keyOf(matched[l++]);
+        if (!kl) continue;
+        if (counts.get(kl) === 1) counts.delete(kl);
+        else counts.set(kl, counts.get(kl) - 1);
+      }
+      if (counts.size >= trigger.min_distinct){
+        return { txs: matched.slice(l, r + 1), note: `${counts.size} distinct ${trigger.field} values in ${trigger.days} days`, detail: { distinct: counts.size } };
+      }
+    }
+    return null;
+  },
+
+  // Inflows to a matter whose payer is neither the client nor someone the client paid on
+  // the same matter (a refund from the agent is related, a deposit from a stranger is not).
+  third_party({ trigger }, matched, _ctx, { client, txlist }){
+    const clientKey = partyKey(client.full_name);
+    const related = new Set(txlist.filter(t => t.direction === 'out' && t.matter_id).map(t => `${t.matter_id}|${partyKey(t.counterparty_name)}`));
+    const hit = matched.filter(t => {
+      const key = partyKey(t.counterparty_name);
+      if (t.direction !== 'in' || !t.matter_id || !key || sameParty(key, clientKey)) return false;
+      return !related.has(`${t.matter_id}|${key}`);
+    });
+    if (hit.length < trigger.min_count) return null;
+    const payers = Array.from(new Set(hit.map(t => t.counterparty_name)));
+    return { txs: hit, note: payers.join(', '), detail: { counterparties: payers, matters: Array.from(new Set(hit.map(t => t.matter_id))) } };
+  },
+
+  // Counterparties that matching transactions of at least min_clients clients share
+  // (collected across all clients before detection, see collectShared).
+  shared_counterparty(rule, matched, ctx, { client }){
+    const byParty = ctx.shared.get(rule.id);
+    const parties = new Map();
+    const hit = matched.filter(t => {
+      const p = byParty.get(partyKey(t.counterparty_name));
+      if (!p || p.clients.size < rule.trigger.min_clients) return false;
+      parties.set(p.name, p);
+      return true;
+    });
+    if (!hit.length) return null;
+    const counterparties = Array.from(parties.values()).map(p => ({ name: p.name, clients: Array.from(p.clients).sort() }));
+    return {
+      txs: hit,
+      note: counterparties.map(p => `${p.name} (${p.clients.length} clients)`).join(', '),
+      detail: { counterparties: counterparties.map(p => ({ name: p.name, other_clients: p.clients.filter(id => id !== client.client_id) })) }
+    };
+  }
+};
+
+// Normalised party name for comparisons ('' when there is none).
+function partyKey(name){
+  return nameTokens(name).sort().join(' ');
+}
+
+function sameParty(a, b){
+  return !!a && !!b && (a === b || jaroWinkler(a, b) >= 0.95);
+}
+
+function round2(x){ return Math.round(x * 100) / 100; }
+
+function summarise(list, trigger){
+  const amounts = list.map(t => t.amount_aud).filter(Number.isFinite);
+  const countries = Array.from(new Set(list.map(t => t.counterparty_country).filter(Boolean)));
+  return {
+    count: list.length,
+    window_start: list[0].date,
+    window_end: list[list.length - 1].date,
+    ...(['window', 'spike', 'distinct'].includes(trigger.type) ? { window_days: trigger.days } : {}),
+    total_amount: amounts.reduce((a, b) => a + b, 0),
+    max_amount: amounts.length ? Math.max(...amounts) : null,
+    countries
+  };
+}
+
+export function evalCondition(cond, obj, ctx){
+  if (cond.all) return cond.all.every(c => evalCondition(c, obj, ctx));
+  if (cond.any) return cond.any.some(c => evalCondition(c, obj, ctx));
+  if (cond.not) return !evalCondition(cond.not, obj, ctx);
+
+  const v = obj[cond.field];
+  const s = (v ?? '').toString().trim();
+  switch (cond.op){
+    case 'eq': return v === cond.value;
+    case 'ne': return v !== cond.value;
+    case 'in': return Array.isArray(cond.value) && cond.value.includes(v);
+    case 'in_list': return (ctx.lists[cond.value] || []).includes(s.toUpperCase());
+    case 'in_tier': {
+      if (!s || !ctx.jurisdictions) return false;
+      const tier = ctx.jurisdictions.tierOf(countryCode(s) || s.toUpperCase(), typeof obj.date === 'string' ? obj.date : ctx.asOfIso);
+      return Array.isArray(cond.value) ? cond.value.includes(tier) : tier === cond.value;
+    }
+    case 'contains': return s.toLowerCase().includes(String(cond.value).toLowerCase());
+    case 'gt': return Number.isFinite(v) && v > cond.value;
+    case 'gte': return Number.isFinite(v) && v >= cond.value;
+    case 'lt': return Number.isFinite(v) && v < cond.value;
+    case 'lte': return Number.isFinite(v) && v <= cond.value;
+    case 'between': return Number.isFinite(v) && v >= cond.value[0] && v <= cond.value[1];
+    case 'multiple_of': return Number.isFinite(v) && v !== 0 && Math.abs(v - Math.round(v / cond.value) * cond.value) < 0.005;
+    case 'truthy': return v === true || s.toLowerCase() === 'true';
+    case 'empty': return s === '';
+    case 'older_than_days': {
+      if (!s) return false;
+      const d = parseISO(s);
+      return isValid(d) && differenceInCalendarDays(ctx.asOf, d) > cond.value;
+    }
+    default: return false;
+  }
+}
+
+function fieldsOf(cond){
+  if (cond.all || cond.any) return (cond.all || cond.any).map(fieldsOf).flat().filter((v, i, a) => a.indexOf(v) === i);
+  if (cond.not) return fieldsOf(cond.not);
+  return [cond.field];
+}
+
+// Stable id: the same rule firing on the same client and transactions always yields
+// the same finding (and therefore the same case) across runs.
+function findingId(f){
+  const h = crypto.createHash('sha256').update([f.rule_id, f.client_id, ...f.tx_ids].join('|')).digest('hex');
+  return 'F-' + h.slice(0, 12);
+}
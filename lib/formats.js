@@ -0,0 +1,249 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { Transform } from 'stream';
+
+import { parse as csvParse } from 'csv-parse';
+import ExcelJS from 'exceljs';
+
+// Input formats for client/transaction files: CSV (delimiter and encoding sniffed), XLSX
+// (one sheet), JSON (an array of records, top level or under one property) and NDJSON.
+// The format is detected from the content; the file name only settles JSON vs NDJSON.
+// Every reader yields flat { header: string } records for the normalisers.
+
+const SAMPLE_BYTES = 64 * 1024;
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// -> { format: csv|xlsx|json|ndjson, encoding, bom, delimiter? }
+export async function detectFormat(file, name = ''){
+  const fh = await fsp.open(file);
+  let buf;
+  try {
+    const { buffer, bytesRead } = await fh.read(Buffer.alloc(SAMPLE_BYTES), 0, SAMPLE_BYTES, 0);
+    buf = buffer.subarray(0, bytesRead);
+  } finally { await fh.close(); }
+
+  if (buf.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) return { format: 'xlsx', encoding: null, bom: false };
+
+  const { encoding, bom } = detectEncoding(buf);
+  const text = new TextDecoder(encoding).decode(buf);
+  const first = text.trimStart()[0];
+  if (first === '[') return { format: 'json', encoding, bom };
+  if (first === '{'){
+    const ext = path.extname(name).toLowerCase();
+    const lines = text.split(/\r?\n/).filter(l => l.trim());
+    const ndjson = ext === '.ndjson' || ext === '.jsonl' || (ext !== '.json' && lines.length > 1 && isJsonObject(lines[0]));
+    return { format: ndjson ? 'ndjson' : 'json', encoding, bom };
+  }
+  return { format: 'csv', encoding, bom, delimiter: sniffDelimiter(text) };
+}
+
+// BOM first; otherwise NUL-byte patterns for UTF-16, then strict UTF-8, else Windows-1252.
+export function detectEncoding(buf){
+  if (buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) return { encoding: 'utf-8', bom: true };
+  if (buf[0] === 0xff && buf[1] === 0xfe) return { encoding: 'utf-16le', bom: true };
+  if (buf[0] === 0xfe && buf[1] === 0xff) return { encoding: 'utf-16be', bom: true };
+  const n = Math.min(buf.length, 2000);
+  let evenNul = 0, oddNul = 0;
+  for (let i = 0; i < n; i++) if (buf[i] === 0) (i % 2 ? oddNul++ : evenNul++);
+  if (oddNul > n / 8 && oddNul > evenNul * 4) return { encoding: 'utf-16le', bom: false };
+  if (evenNul > n / 8 && evenNul > oddNul * 4) return { encoding: 'utf-16be', bom: false };
+  // don't judge a multi-byte sequence cut off by the sample
+  const cut = buf.length === SAMPLE_BYTES ? buf.lastIndexOf(0x0a) : buf.length;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buf.subarray(0, cut > 0 ? cut : buf.length));
+    return { encoding: 'utf-8', bom: false };
+  } catch {
+    return { encoding: 'windows-1252', bom: false };
+  }
+}
+
+// Delimiter giving the same non-zero field count on the most sample lines (header count breaks ties).
+export function sniffDelimiter(text){
+  const lines = text.split(/\r?\n/).filter(l => l.trim()).slice(0, 20);
+  if (lines.length && text.length >= SAMPLE_BYTES) lines.pop(); // may be truncated
+  let best = { d: ',', consistent: -1, width: 0 };
+  for (const d of DELIMITERS){
+    const counts = lines.map(l => countOutsideQuotes(l, d));
+    if (!counts[0]) continue;
+    const consistent = counts.filter(c => c === counts[0]).length;
+    if (consistent > best.consistent || (consistent === best.consistent && counts[0] > best.width)) best = { d, consistent, width: counts[0] };
+  }
+  return best.d;
+}
+
+// Async iterable of records. opts: sheet (XLSX name or 1-based index), onBytes(read, total),
+// onHeaders(headers). For XLSX, info.sheet/info.sheets are filled in while reading.
+export async function* readRecords(file, info, { sheet, onBytes, onHeaders } = {}){
+  const total = (await fsp.stat(file)).size;
+  let read = 0;
+  const raw = fs.createReadStream(file);
+  if (onBytes) raw.on('data', c => { read += c.length; onBytes(read, total); });
+  try {
+    if (info.format === 'xlsx') yield* xlsxRecords(raw, info, sheet, onHeaders);
+    else if (info.format === 'json') yield* jsonRecords(decoded(raw, info.encoding), onHeaders);
+    else if (info.format === 'ndjson') yield* ndjsonRecords(decoded(raw, info.encoding), onHeaders);
+    else {
+      const parser = decoded(raw, info.encoding).pipe(csvParse({
+        columns: h => { onHeaders?.(h); return h; },
+        delimiter: info.delimiter || ',',
+        skip_empty_lines: true,
+        bom: true,
+        relax_column_count: true
+      }));
+      raw.on('error', e => parser.destroy(e));
+      yield* parser;
+    }
+  } catch (e) {
+    if (e.code === 'INPUT_INVALID' || e.code === 'ENOENT') throw e;
+    throw inputError(`Could not read ${info.format.toUpperCase()} input: ${e.message}`);
+  } finally {
+    raw.destroy();
+  }
+}
+
+// Detect, then read. info is returned up front and completed as the records are read.
+export async function openRecords(file, { name, sheet, onBytes, onHeaders } = {}){
+  const info = await detectFormat(file, name);
+  return { info, records: readRecords(file, info, { sheet, onBytes, onHeaders }) };
+}
+
+async function* xlsxRecords(raw, info, sheet, onHeaders){
+  const reader = new ExcelJS.stream.xlsx.WorkbookReader(raw, { sharedStrings: 'cache', styles: 'cache', hyperlinks: 'ignore', worksheets: 'emit', entries: 'emit' });
+  info.sheets = [];
+  info.sheet = null;
+  for await (const ws of reader){
+    const name = ws.name || `Sheet${ws.id}`;
+    info.sheets.push(name);
+    const wanted = sheet == null || sheet === ''
+      ? info.sheet === null
+      : String(sheet) === name || String(sheet) === String(info.sheets.length);
+    if (!wanted || info.sheet !== null) continue;
+    info.sheet = name;
+    let headers = null;
+    for await (const row of ws){
+      const values = (row.values || []).slice(1).map(cellText);
+      if (!headers){
+        if (!values.some(v => v.trim())) continue;
+        headers = values.map((h, i) => h.trim() || `column_${i + 1}`);
+        onHeaders?.(headers);
+        continue;
+      }
+      if (!values.some(v => v.trim())) continue;
+      yield Object.fromEntries(headers.map((h, i) => [h, values[i] ?? '']));
+    }
+  }
+  if (info.sheet === null) throw inputError(`Sheet not found: ${sheet} (workbook has: ${info.sheets.join(', ')})`);
+}
+
+async function* ndjsonRecords(text, onHeaders){
+  const rl = readline.createInterface({ input: text, crlfDelay: Infinity });
+  let line = 0, seen = false;
+  for await (const l of rl){
+    line++;
+    if (!l.trim()) continue;
+    let obj;
+    try { obj = JSON.parse(l); }
+    catch { throw inputError(`Invalid JSON on line ${line}`); }
+    const rec = flatRecord(obj, line);
+    if (!seen){ seen = true; onHeaders?.(Object.keys(rec)); }
+    yield rec;
+  }
+}
+
+// Streams the elements of the first array at the top level (or one level down, e.g.
+// { "transactions": [...] }) without holding the whole document.
+async function* jsonRecords(text, onHeaders){
+  let depth = 0, inStr = false, esc = false, target = -1, item = null, from = -1, n = 0;
+  for await (const chunk of text){
+    const s = chunk.toString('utf8');
+    from = item !== null ? 0 : -1;
+    for (let i = 0; i < s.length; i++){
+      const c = s[i];
+      if (inStr){
+        if (esc) esc = false;
+        else if (c === '\\') esc = true;
+        else if (c === '"') inStr = false;
+        continue;
+      }
+      if (c === '"'){
+        if (depth === target && item === null) throw inputError(`JSON record ${n + 1} is not an object`);
+        inStr = true;
+      } else if (c === '{' || c === '['){
+        if (target < 0 && c === '[' && depth <= 1){ target = ++depth; continue; }
+        if (depth === target && item === null){
+          if (c !== '{') throw inputError(`JSON record ${n + 1} is not an object`);
+          item = ''; from = i;
+        }
+        depth++;
+      } else if (c === '}' || c === ']'){
+        depth--;
+        if (item !== null && depth === target){
+          const obj = JSON.parse(item + s.slice(from, i + 1));
+          item = null; from = -1; n++;
+          const rec = flatRecord(obj, n);
+          if (n === 1) onHeaders?.(Object.keys(rec));
+          yield rec;
+        } else if (target > 0 && depth === target - 1) return; // end of the records array
+      } else if (depth === target && item === null && !/[\s,]/.test(c)){
+        throw inputError(`JSON record ${n + 1} is not an object`);
+      }
+    }
+    if (item !== null) item += s.slice(from);
+  }
+  if (target < 0) throw inputError('JSON input has no array of records');
+}
+
+function flatRecord(obj, n){
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) throw inputError(`JSON record ${n} is not an object`);
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) out[k] = v == null ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return out;
+}
+
+function cellText(v){
+  if (v == null) return '';
+  if (v instanceof Date){
+    const iso = v.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  if (typeof v === 'object'){
+    if ('result' in v) return cellText(v.result);   // formula
+    if (v.richText) return v.richText.map(t => t.text).join('');
+    if ('text' in v) return cellText(v.text);       // hyperlink
+    if (v.error) return '';
+  }
+  return String(v);
+}
+
+// raw bytes in some encoding -> UTF-8 stream (TextDecoder also drops a BOM)
+function decoded(raw, encoding = 'utf-8'){
+  const td = new TextDecoder(encoding);
+  const out = new Transform({
+    transform(chunk, _enc, cb){ cb(null, td.decode(chunk, { stream: true })); },
+    flush(cb){ cb(null, td.decode()); }
+  });
+  raw.on('error', e => out.destroy(e));
+  return raw.pipe(out);
+}
+
+function countOutsideQuotes(line, d){
+  let n = 0, q = false;
+  for (const c of line){
+    if (c === '"') q = !q;
+    else if (c === d && !q) n++;
+  }
+  return n;
+}
+
+function isJsonObject(line){
+  try { const v = JSON.parse(line); return !!v && typeof v === 'object' && !Array.isArray(v); }
+  catch { return false; }
+}
+
+function inputError(message){
+  const err = new Error(message);
+  err.code = 'INPUT_INVALID';
+  return err;
+}
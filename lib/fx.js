@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+import { parse as csvParse } from 'csv-parse/sync';
+import { parseISO, isValid, differenceInCalendarDays } from 'date-fns';
+
+import { cfg } from './config.js';
+
+export const BASE_CCY = 'AUD';
+
+// Rates tables are CSV: date,currency,aud_per_unit (AUD for one unit of currency).
+// RBA-style quotes (units of currency per AUD) are accepted as a per_aud column and inverted.
+const DATE_KEYS = ['date', 'as_of', 'rate_date'];
+const CCY_KEYS = ['currency', 'ccy', 'code'];
+const AUD_PER_UNIT_KEYS = ['aud_per_unit', 'rate', 'to_aud'];
+const PER_AUD_KEYS = ['per_aud', 'units_per_aud'];
+
+export class FxTable {
+  constructor(rows, source, sha256){
+    this.source = source;
+    this.sha256 = sha256;
+    this.byCcy = new Map(); // ccy -> [{ date, rate }] ascending
+    for (const r of rows){
+      if (!this.byCcy.has(r.currency)) this.byCcy.set(r.currency, []);
+      this.byCcy.get(r.currency).push({ date: r.date, rate: r.rate });
+    }
+    for (const list of this.byCcy.values()) list.sort((a,b)=> a.date.localeCompare(b.date));
+  }
+
+  get currencies(){ return Array.from(this.byCcy.keys()).sort(); }
+
+  // Rate on the transaction date, else the latest earlier rate within maxStaleDays.
+  rateFor(currency, date, maxStaleDays = cfg.FX_MAX_STALENESS_DAYS){
+    if (currency === BASE_CCY) return { rate: 1, date, source: 'base' };
+    const list = this.byCcy.get(currency);
+    if (!list || !date) return null;
+    // binary search: last entry with r.date <= date
+    let lo = 0, hi = list.length - 1, idx = -1;
+    while (lo <= hi){
+      const mid = (lo + hi) >> 1;
+      if (list[mid].date <= date){ idx = mid; lo = mid + 1; } else hi = mid - 1;
+    }
+    const hit = idx >= 0 ? list[idx] : null;
+    if (!hit || differenceInCalendarDays(parseISO(date), parseISO(hit.date)) > maxStaleDays) return null;
+    return { rate: hit.rate, date: hit.date, source: this.source };
+  }
+
+  // Uploaded rates take precedence over the bundled table for any currency they cover.
+  overlay(top){
+    const merged = new FxTable([], `${top.source}+${this.source}`, hashOf([top.sha256, this.sha256].join('|')));
+    for (const [ccy, list] of this.byCcy) merged.byCcy.set(ccy, list);
+    for (const [ccy, list] of top.byCcy) merged.byCcy.set(ccy, list);
+    return merged;
+  }
+
+  meta(){
+    return { base: BASE_CCY, source: this.source, sha256: this.sha256, currencies: this.currencies, max_staleness_days: cfg.FX_MAX_STALENESS_DAYS };
+  }
+}
+
+export function parseRatesCsv(buf, source = 'upload'){
+  const text = Buffer.isBuffer(buf) ? buf.toString('utf8') : String(buf);
+  const records = csvParse(text, { columns: h => h.map(x => x.trim().toLowerCase()), skip_empty_lines: true, bom: true });
+  const rows = [];
+  const errors = [];
+  records.forEach((r, i) => {
+    const date = pick(r, DATE_KEYS);
+    const currency = (pick(r, CCY_KEYS) || '').trim().toUpperCase();
+    const d = date ? parseISO(date.trim()) : null;
+    let rate = Number(pick(r, AUD_PER_UNIT_KEYS));
+    if (!Number.isFinite(rate) || rate <= 0){
+      const inv = Number(pick(r, PER_AUD_KEYS));
+      rate = Number.isFinite(inv) && inv > 0 ? 1 / inv : NaN;
+    }
+    if (!d || !isValid(d) || !/^[A-Z]{3}$/.test(currency) || !Number.isFinite(rate)){
+      errors.push({ index: i, reason: 'Invalid FX row (need date, currency, aud_per_unit)', row: r });
+      return;
+    }
+    rows.push({ date: d.toISOString().slice(0,10), currency, rate });
+  });
+  if (!rows.length) {
+    const err = new Error('FX rates file has no usable rows');
+    err.code = 'FX_INVALID';
+    err.errors = errors.slice(0, 20);
+    throw err;
+  }
+  return new FxTable(rows, source, hashOf(text));
+}
+
+let bundled = null;
+export function bundledRates(){
+  if (bundled) return bundled;
+  bundled = fs.existsSync(cfg.FX_RATES_FILE)
+    ? parseRatesCsv(fs.readFileSync(cfg.FX_RATES_FILE), 'bundled')
+    : new FxTable([], 'bundled', hashOf(''));
+  return bundled;
+}
+
+// Rates for one run: the bundled table, overlaid by an uploaded rates CSV if given.
+export function ratesFor(uploadBuf){
+  const base = bundledRates();
+  return uploadBuf ? base.overlay(parseRatesCsv(uploadBuf, 'upload')) : base;
+}
+
+function pick(r, keys){
+  for (const k of keys) if (r[k] != null && r[k] !== '') return r[k];
+  return null;
+}
+
+function hashOf(s){ return crypto.createHash('sha256').update(s).digest('hex'); }
@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import { once } from 'events';
+
+import { normalizeClients, createTxNormalizer } from './csv-normalize.js';
+import { openRecords } from './formats.js';
+
+// Streaming ingestion: input files (CSV, XLSX, JSON, NDJSON; see formats.js) are read as
+// streams and normalised row by row. Transactions are spooled to disk as NDJSON, both in
+// input order (for the evidence pack) and hash-partitioned by client_id (so detection can
+// load one partition at a time). Memory is bounded by the largest partition, not by the
+// file size.
+
+const PARTITIONS = 64;
+
+// mapping: optional { field: header } for the file (see mapping.js); source: { name, sheet }
+// (original file name, XLSX sheet); issues: shared IssueLog (see validation.js); maxRows: the
+// plan's row limit per file (see billing.js), reading stops with PLAN_LIMIT past it. Both
+// return input: the detected format/encoding.
+export async function ingestClients(file, { mapping, source = {}, issues, onProgress, maxRows } = {}){
+  const rows = [];
+  let headers = [];
+  const { info, records } = await openRecords(file, { ...source, onBytes: progressOf('clients', onProgress), onHeaders: h => { headers = h; } });
+  for await (const r of records){
+    if (maxRows && rows.length >= maxRows) throw rowLimitError('clients', maxRows);
+    rows.push(r);
+  }
+  return { ...normalizeClients(rows, { mapping, headers, issues }), headers, input: info };
+}
+
+// clientIds: Set of client ids from the clients file; other client_ids are rejected.
+export async function ingestTransactions(file, { fx, mapping, source = {}, clientIds, issues, workDir, onProgress, maxRows } = {}){
+  const spool = await TxSpool.create(workDir);
+  const n = createTxNormalizer({ fx, mapping, clientIds, issues });
+  let headers = [];
+  let info;
+  try {
+    const opened = await openRecords(file, { ...source, onBytes: progressOf('transactions', onProgress, () => n.counts.rows), onHeaders: h => { headers = h; } });
+    info = opened.info;
+    let i = 0;
+    for await (const r of opened.records){
+      if (maxRows && i >= maxRows) throw rowLimitError('transactions', maxRows);
+      const tx = n.push(r, i++);
+      if (tx) await spool.write(tx);
+    }
+    await spool.close();
+    onProgress?.({ stage: 'transactions', rows: n.counts.rows });
+  } catch (e) {
+    await spool.remove();
+    throw e;
+  }
+  return { spool, latest: n.latest, headers, input: info, ...n.result() };
+}
+
+function rowLimitError(file, maxRows){
+  const err = new Error(`The ${file} file has more than ${maxRows} rows, the limit of your plan.`);
+  err.code = 'PLAN_LIMIT';
+  err.details = { file, max_rows: maxRows };
+  return err;
+}
+
+function progressOf(stage, onProgress, rows = () => undefined){
+  if (!onProgress) return undefined;
+  let last = 0;
+  return (read, total) => {
+    const now = Date.now();
+    if (now - last < 250 && read < total) return; // throttle
+    last = now;
+    onProgress({ stage, bytes: read, total, rows: rows() });
+  };
+}
+
+export class TxSpool {
+  static async create(workDir = os.tmpdir()){
+    const dir = await fsp.mkdtemp(path.join(workDir, 'tr-spool-'));
+    return new TxSpool(dir);
+  }
+
+  constructor(dir){
+    this.dir = dir;
+    this.count = 0;
+    this.writers = null;
+  }
+
+  get allFile(){ return path.join(this.dir, 'all.ndjson'); }
+  partFile(p){ return path.join(this.dir, `part-${String(p).padStart(2, '0')}.ndjson`); }
+
+  static partitionOf(clientId){
+    return crypto.createHash('md5').update(String(clientId)).digest().readUInt16LE(0) % PARTITIONS;
+  }
+
+  async write(tx){
+    if (!this.writers) {
+      this.writers = {
+        all: fs.createWriteStream(this.allFile),
+        parts: Array.from({ length: PARTITIONS }, (_, p) => fs.createWriteStream(this.partFile(p)))
+      };
+    }
+    const line = JSON.stringify(tx) + '\n';
+    const part = this.writers.parts[TxSpool.partitionOf(tx.client_id)];
+    this.writers.all.write(line);
+    part.write(line);
+    this.count++;
+    // check needDrain at await time: one stream may drain while waiting on the other
+    for (const w of [this.writers.all, part]) if (w.writableNeedDrain) await once(w, 'drain');
+  }
+
+  async close(){
+    if (!this.writers) return;
+    const all = [this.writers.all, ...this.writers.parts];
+    await Promise.all(all.map(w => new Promise((resolve, reject) => w.end(err => err ? reject(err) : resolve()))));
+  }
+
+  // Transactions in input order.
+  async *all(){
+    yield* readNdjson(this.allFile);
+  }
+
+  // [client_id, txs] for every client with transactions, one partition in memory at a time.
+  async *byClient(){
+    for (let p = 0; p < PARTITIONS; p++){
+      const groups = new Map();
+      for await (const tx of readNdjson(this.partFile(p))){
+        if (!groups.has(tx.client_id)) groups.set(tx.client_id, []);
+        groups.get(tx.client_id).push(tx);
+      }
+      yield* groups;
+    }
+  }
+
+  async forClient(clientId){
+    const out = [];
+    for await (const tx of readNdjson(this.partFile(TxSpool.partitionOf(clientId)))){
+      if (tx.client_id === clientId) out.push(tx);
+    }
+    return out;
+  }
+
+  async remove(){
+    await fsp.rm(this.dir, { recursive: true, force: true });
+  }
+}
+
+async function* readNdjson(file){
+  if (!fs.existsSync(file)) return;
+  const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  for await (const line of rl) if (line) yield JSON.parse(line);
+}
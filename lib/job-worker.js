@@ -0,0 +1,13 @@
+import { parentPort, workerData } from 'worker_threads';
+
+import { preparePack } from './pipeline.js';
+
+// One pack job, off the main thread. Progress and the prepared pack go back as messages;
+// storing the pack (and everything after) happens in the parent, see jobs.js.
+const { inputs, workDir, audit } = workerData;
+try {
+  const prepared = await preparePack({ ...inputs, audit, workDir, onProgress: p => parentPort.postMessage({ type: 'progress', ...p }) });
+  parentPort.postMessage({ type: 'done', prepared });
+} catch (e) {
+  parentPort.postMessage({ type: 'error', error: { message: e.message, code: e.code || null, details: e.details ?? e.errors } });
+}
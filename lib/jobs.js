@@ -0,0 +1,266 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { Worker } from 'worker_threads';
+
+import { auditLog } from './audit.js';
+import { cfg } from './config.js';
+import { storePack } from './pipeline.js';
+
+// Evidence-pack jobs. /upload moves the uploaded files into a job directory and returns at
+// once; a worker thread runs the pipeline and the pack is stored from the main thread.
+// The queue is persisted on local disk, so queued and interrupted jobs resume after restart:
+//   <JOBS_DIR>/<id>/job.json
+//   <JOBS_DIR>/<id>/inputs/{clients,transactions,fx_rates,compare_run.json,privacy.key}
+//   <JOBS_DIR>/<id>/work/          (spool + zip while running)
+
+const ID_RE = /^[a-f0-9]{32}$/;
+const TERMINAL = new Set(['succeeded', 'failed', 'cancelled']);
+// progress (0-100) covered by each stage
+const STAGES = { queued: [0, 0], clients: [0, 5], transactions: [5, 60], scoring: [60, 75], packaging: [75, 95], storing: [95, 100] };
+const USER_ERRORS = new Set(['RULESET_NOT_FOUND', 'RULESET_INVALID', 'FX_INVALID', 'INPUT_INVALID', 'VALIDATION_FAILED', 'PLAN_LIMIT']);
+
+export class JobQueue extends EventEmitter {
+  constructor(dir = cfg.JOBS_DIR, { concurrency = cfg.JOB_CONCURRENCY, retentionHours = cfg.JOB_RETENTION_HOURS, log = console } = {}){
+    super();
+    this.setMaxListeners(0);
+    this.dir = dir;
+    this.concurrency = Math.max(1, concurrency);
+    this.retentionHours = retentionHours;
+    this.log = log;
+    this.jobs = new Map();     // id -> job record
+    this.pending = [];         // queued ids, oldest first
+    this.workers = new Map();  // id -> Worker
+    this.savedAt = new Map();  // id -> last progress save (ms)
+    this.saving = new Map();   // id -> pending job.json write
+    this.timer = null;
+  }
+
+  // Load persisted jobs, requeue anything that was running when the process stopped. log: the
+  // server's logger (pino-style: obj, msg), for the queue made at import with console.
+  async start({ log } = {}){
+    if (log) this.log = log;
+    await fsp.mkdir(this.dir, { recursive: true });
+    for (const id of await fsp.readdir(this.dir)){
+      if (!ID_RE.test(id)) continue;
+      let job;
+      try { job = JSON.parse(await fsp.readFile(path.join(this.dir, id, 'job.json'), 'utf8')); }
+      catch { continue; }
+      if (job.status === 'running') Object.assign(job, { status: 'queued', stage: 'queued', progress: 0, started_utc: null });
+      this.jobs.set(id, job);
+      if (job.status === 'queued') this.pending.push(id);
+    }
+    this.pending.sort((a, b) => this.jobs.get(a).created_utc.localeCompare(this.jobs.get(b).created_utc));
+    await this.sweep();
+    if (!this.timer){
+      this.timer = setInterval(() => this.sweep().catch(e => this.log.error?.({ err: e }, 'job sweep failed')), 15 * 60 * 1000);
+      this.timer.unref();
+    }
+    this.pump();
+  }
+
+  // files: { clients, transactions, fx_rates? } paths of uploaded files (moved, not copied).
+  // owner: { org_id, user_id } of the uploader, or { org_id, api_key_id } for /api/v1 submissions;
+  // the pack and its cases belong to that organisation.
+  // entitlements: the organisation's plan limits when submitted (see billing.js).
+  // compareRun: the run record (see runs.js) the pack's run_diff.json compares with.
+  // audit: { actor, request_id, ip, details } of the upload, recorded in the organisation's audit
+  // log; the pack carries the log from there on (see audit.js).
+  // privacy: { mode, key_id?, key? } (see privacy.js); the key stays with the inputs until the job ends.
+  // downloadKeySha256: hash of the pack's download key, handed to the uploader (see verify-store.js);
+  // the key itself is never part of the job.
+  async submit(files, { rulesetId, mapping, sources, strict, jurisdictions, reports, owner = {}, publicManifest = false, entitlements = {}, compareRun = null, audit = null, privacy = null, downloadKeySha256 = null } = {}){
+    const id = crypto.randomBytes(16).toString('hex');
+    const inputsDir = path.join(this.dir, id, 'inputs');
+    await fsp.mkdir(inputsDir, { recursive: true });
+    const inputs = { rulesetId: rulesetId || null, mapping: mapping || {}, sources: sources || {}, strict: strict || null, jurisdictions: jurisdictions || null, reports: !!reports, maxRows: entitlements.max_rows || null, downloadKeySha256 };
+    for (const [name, key] of [['clients', 'clientsFile'], ['transactions', 'txFile'], ['fx_rates', 'fxFile']]){
+      if (!files[name]) continue;
+      inputs[key] = path.join(inputsDir, name);
+      await moveFile(files[name], inputs[key]);
+    }
+    if (compareRun){
+      inputs.compareRunFile = path.join(inputsDir, 'compare_run.json');
+      await fsp.writeFile(inputs.compareRunFile, JSON.stringify(compareRun));
+    }
+    if (privacy){
+      inputs.privacy = { mode: privacy.mode, key_id: privacy.key_id || null };
+      if (privacy.key){
+        inputs.privacy.keyFile = path.join(inputsDir, 'privacy.key');
+        await fsp.writeFile(inputs.privacy.keyFile, privacy.key, { mode: 0o600 });
+      }
+    }
+    const job = {
+      id,
+      kind: 'evidence_pack',
+      org_id: owner.org_id || null,
+      user_id: owner.user_id || null,
+      api_key_id: owner.api_key_id || null,
+      public_manifest: !!publicManifest,
+      retention_days: entitlements.retention_days || null,
+      status: 'queued',
+      stage: 'queued',
+      progress: 0,
+      rows: null,
+      created_utc: new Date().toISOString(),
+      started_utc: null,
+      finished_utc: null,
+      result: null,
+      error: null,
+      audit_seq: null,
+      inputs
+    };
+    if (audit) job.audit_seq = (await auditLog.append({ ...audit, org_id: job.org_id, action: 'upload', target: { job_id: id } })).seq;
+    this.jobs.set(id, job);
+    await this.save(job);
+    this.pending.push(id);
+    this.pump();
+    return view(job);
+  }
+
+  get(id){
+    const job = ID_RE.test(String(id)) ? this.jobs.get(id) : null;
+    return job ? view(job) : null;
+  }
+
+  // Cancel a queued or running job; returns the job view, or null if unknown.
+  async cancel(id){
+    const job = ID_RE.test(String(id)) ? this.jobs.get(id) : null;
+    if (!job) return null;
+    if (TERMINAL.has(job.status)) return view(job);
+    this.pending = this.pending.filter(p => p !== id);
+    job.status = 'cancelled'; // before terminate, so the worker's exit isn't reported as a failure
+    await this.workers.get(id)?.terminate();
+    await this.finish(job, 'cancelled');
+    return view(job);
+  }
+
+  pump(){
+    while (this.workers.size < this.concurrency && this.pending.length){
+      const job = this.jobs.get(this.pending.shift());
+      if (job?.status === 'queued') this.run(job).catch(e => this.finish(job, 'failed', { error: internalError(job, e, this.log) }));
+    }
+  }
+
+  async run(job){
+    const workDir = path.join(this.dir, job.id, 'work');
+    await fsp.mkdir(workDir, { recursive: true });
+    const audit = job.audit_seq ? await auditLog.segment(job.org_id, job.audit_seq) : null;
+    const worker = new Worker(new URL('./job-worker.js', import.meta.url), { workerData: { inputs: job.inputs, workDir, audit } });
+    this.workers.set(job.id, worker);
+    this.update(job, { status: 'running', stage: 'clients', progress: 0, started_utc: new Date().toISOString() });
+
+    let storing = null;
+    worker.on('message', (m) => {
+      if (job.status !== 'running') return;
+      if (m.type === 'progress') this.progress(job, m);
+      else if (m.type === 'error') this.finish(job, 'failed', { error: publicError(job, m.error, this.log) });
+      else if (m.type === 'done'){
+        this.update(job, { stage: 'storing', progress: STAGES.storing[0] });
+        storing = storePack(m.prepared, { org_id: job.org_id, created_by: job.user_id, api_key_id: job.api_key_id, download_key_sha256: job.inputs.downloadKeySha256, public_manifest: job.public_manifest, retention_days: job.retention_days, job_id: job.id })
+          .then(result => { if (job.status === 'running') return this.finish(job, 'succeeded', { result }); })
+          .catch(e => this.finish(job, 'failed', { error: internalError(job, e, this.log) }));
+      }
+    });
+    worker.on('error', e => { if (job.status === 'running') this.finish(job, 'failed', { error: internalError(job, e, this.log) }); });
+    worker.on('exit', async () => {
+      await storing;
+      this.workers.delete(job.id);
+      if (job.status === 'running') await this.finish(job, 'failed', { error: { message: 'Worker stopped unexpectedly.', code: null } });
+      this.pump();
+    });
+  }
+
+  progress(job, p){
+    const [from, to] = STAGES[p.stage] || [job.progress, job.progress];
+    const frac = p.total ? Math.min(1, p.bytes / p.total) : 0;
+    job.stage = p.stage;
+    job.progress = Math.max(job.progress, Math.round(from + (to - from) * frac));
+    if (p.rows != null) job.rows = p.rows;
+    this.emit(`job:${job.id}`, view(job));
+    // progress is persisted at most every 2s; stage/status changes always are
+    const now = Date.now();
+    if (now - (this.savedAt.get(job.id) || 0) > 2000) this.save(job).catch(() => {});
+  }
+
+  update(job, patch){
+    Object.assign(job, patch);
+    this.emit(`job:${job.id}`, view(job));
+    return this.save(job);
+  }
+
+  async finish(job, status, patch = {}){
+    await this.update(job, { status, ...(status === 'succeeded' ? { progress: 100 } : {}), finished_utc: new Date().toISOString(), ...patch });
+    this.savedAt.delete(job.id);
+    this.saving.delete(job.id);
+    // inputs and scratch are not kept once the job is over
+    await fsp.rm(path.join(this.dir, job.id, 'inputs'), { recursive: true, force: true });
+    await fsp.rm(path.join(this.dir, job.id, 'work'), { recursive: true, force: true });
+  }
+
+  // Writes are chained per job so a slow earlier save can't land after a later one.
+  save(job){
+    const file = path.join(this.dir, job.id, 'job.json');
+    const tmp = `${file}.${process.pid}.tmp`;
+    this.savedAt.set(job.id, Date.now());
+    const prev = this.saving.get(job.id) || Promise.resolve();
+    const next = prev.catch(() => {}).then(async () => {
+      await fsp.writeFile(tmp, JSON.stringify(job));
+      await fsp.rename(tmp, file);
+    });
+    this.saving.set(job.id, next);
+    return next;
+  }
+
+  // Forget finished jobs older than the retention window; returns the number removed.
+  async sweep(){
+    const cutoff = Date.now() - this.retentionHours * 3600 * 1000;
+    let removed = 0;
+    for (const job of Array.from(this.jobs.values())){
+      if (!TERMINAL.has(job.status) || Date.parse(job.finished_utc) > cutoff) continue;
+      this.jobs.delete(job.id);
+      await fsp.rm(path.join(this.dir, job.id), { recursive: true, force: true });
+      removed++;
+    }
+    return removed;
+  }
+
+  // Queued and running jobs of an organisation (packs not yet counted in its usage).
+  activeCount(orgId){
+    let n = 0;
+    for (const job of this.jobs.values()) if (job.org_id === orgId && !TERMINAL.has(job.status)) n++;
+    return n;
+  }
+
+  isTerminal(status){ return TERMINAL.has(status); }
+}
+
+// What clients see: no server paths.
+function view(job){
+  const rest = { ...job };
+  delete rest.inputs;
+  return rest;
+}
+
+function publicError(job, err, log){
+  if (USER_ERRORS.has(err.code)) return { message: err.message, code: err.code, details: err.details };
+  log.error?.({ job_id: job.id, err: err.message }, 'job failed');
+  return { message: 'Processing failed.', code: null };
+}
+
+function internalError(job, e, log){
+  return publicError(job, { message: e.message, code: e.code }, log);
+}
+
+async function moveFile(from, to){
+  try { await fsp.rename(from, to); }
+  catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    await fsp.copyFile(from, to, fs.constants.COPYFILE_EXCL);
+    await fsp.rm(from, { force: true });
+  }
+}
+
+export const jobQueue = new JobQueue();
@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+import { z } from 'zod';
+
+import { cfg } from './config.js';
+import { countryCode } from './countries.js';
+import { canonicalJson } from './ruleset.js';
+import { createStorage } from './storage/index.js';
+
+// Jurisdiction risk: tiered country ratings (FATF black and grey lists, internal policy),
+// each with effective dates and a source. Rulesets refer to tiers with the in_tier
+// condition, so points per tier are part of the methodology (see ruleset.js).
+// The bundled table (JURISDICTIONS_FILE) seeds an editable copy kept in pack storage under
+// jurisdictions/table.json. Edits keep history: a new rating closes the country's previous
+// one instead of replacing it, so older runs can still be explained.
+
+const DATE = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected YYYY-MM-DD');
+const TierId = z.string().regex(/^[a-z0-9_]+$/);
+
+export const Tier = z.object({
+  id: TierId,
+  label: z.string().min(1),
+  source_url: z.string().url().optional()
+}).strict();
+
+export const Rating = z.object({
+  country: z.string().min(2).transform((v, ctx) => countryCode(v) || (ctx.addIssue({ code: 'custom', message: `Unknown country: ${v}` }), z.NEVER)),
+  tier: TierId,
+  effective_from: DATE,
+  effective_to: DATE.nullable().optional(),
+  source: z.string().min(1),
+  source_url: z.string().url().optional(),
+  note: z.string().optional()
+}).strict();
+
+export const TableSchema = z.object({
+  version: z.string().min(1),
+  title: z.string().optional(),
+  tiers: z.array(Tier).min(1),
+  ratings: z.array(Rating)
+}).strict().superRefine((doc, ctx) => {
+  const tiers = new Set(doc.tiers.map(t => t.id));
+  const byCountry = new Map();
+  doc.ratings.forEach((r, i) => {
+    if (!tiers.has(r.tier)) ctx.addIssue({ code: 'custom', path: ['ratings', i, 'tier'], message: `Unknown tier ${r.tier}` });
+    if (r.effective_to && r.effective_to <= r.effective_from) ctx.addIssue({ code: 'custom', path: ['ratings', i, 'effective_to'], message: 'effective_to must be after effective_from' });
+    for (const o of byCountry.get(r.country) || []){
+      if (overlaps(o, r.effective_from, r.effective_to)) ctx.addIssue({ code: 'custom', path: ['ratings', i], message: `Overlapping ratings for ${r.country}` });
+    }
+    byCountry.set(r.country, [...(byCountry.get(r.country) || []), r]);
+  });
+});
+
+export class JurisdictionError extends Error {
+  constructor(message, issues){
+    super(message);
+    this.name = 'JurisdictionError';
+    this.code = 'JURISDICTION_INVALID';
+    this.issues = issues;
+  }
+}
+
+export function parseJurisdictions(raw){
+  const parsed = TableSchema.safeParse(raw);
+  if (!parsed.success) throw new JurisdictionError('Jurisdiction table failed validation', parsed.error.issues);
+  return parsed.data;
+}
+
+export class JurisdictionTable {
+  constructor(doc){
+    this.doc = doc;
+    this.sha256 = crypto.createHash('sha256').update(canonicalJson(doc)).digest('hex');
+    this.byCountry = new Map();
+    for (const r of doc.ratings){
+      if (!this.byCountry.has(r.country)) this.byCountry.set(r.country, []);
+      this.byCountry.get(r.country).push(r);
+    }
+  }
+
+  // Tier id in effect for a country on a date (YYYY-MM-DD), or null.
+  tierOf(code, date){
+    const r = (this.byCountry.get(code) || []).find(x => x.effective_from <= date && (!x.effective_to || date < x.effective_to));
+    return r ? r.tier : null;
+  }
+
+  // The tier table as it applied between two dates: what rulesMeta.corridors records.
+  snapshot(from, to){
+    const ratings = this.doc.ratings.filter(r => overlaps(r, from, to));
+    return {
+      version: this.doc.version,
+      sha256: this.sha256,
+      window: { from, to },
+      tiers: this.doc.tiers.map(t => ({ ...t, countries: Array.from(new Set(ratings.filter(r => r.tier === t.id).map(r => r.country))).sort() })),
+      ratings
+    };
+  }
+}
+
+// ratings are [effective_from, effective_to); to = null means open-ended
+function overlaps(r, from, to){
+  return (!to || r.effective_from < to) && (!r.effective_to || r.effective_to > from);
+}
+
+let bundled = null; // { mtimeMs, table }
+export function bundledJurisdictions(){
+  const { mtimeMs } = fs.statSync(cfg.JURISDICTIONS_FILE);
+  if (bundled?.mtimeMs === mtimeMs) return bundled.table;
+  const table = new JurisdictionTable(parseJurisdictions(JSON.parse(fs.readFileSync(cfg.JURISDICTIONS_FILE, 'utf8'))));
+  bundled = { mtimeMs, table };
+  return table;
+}
+
+const KEY = 'jurisdictions/table.json';
+
+// The editable table in pack storage; edits are serialised and bump the version.
+export class JurisdictionStore {
+  constructor(storage){
+    this.storage = storage;
+    this.queue = Promise.resolve();
+  }
+
+  async get(){
+    const buf = await this.storage.get(KEY);
+    return buf ? new JurisdictionTable(parseJurisdictions(JSON.parse(buf.toString('utf8')))) : bundledJurisdictions();
+  }
+
+  // New rating for a country from effective_from; the rating it supersedes is closed then,
+  // ratings starting on or after that date are replaced. Returns the stored rating.
+  rate(country, input){
+    return this.edit(doc => {
+      const rating = Rating.parse({ ...input, country });
+      doc.ratings = doc.ratings.filter(r => r.country !== rating.country || r.effective_from < rating.effective_from);
+      for (const r of doc.ratings){
+        if (r.country === rating.country && overlaps(r, rating.effective_from, null)) r.effective_to = rating.effective_from;
+      }
+      doc.ratings.push(rating);
+      return rating;
+    });
+  }
+
+  // End a country's current rating on a date (default today); returns it, or null if none.
+  end(country, effectiveTo = new Date().toISOString().slice(0, 10)){
+    return this.edit(doc => {
+      const code = countryCode(country);
+      const date = DATE.parse(effectiveTo);
+      const open = doc.ratings.find(r => r.country === code && overlaps(r, date, null) && r.effective_from <= date);
+      const later = doc.ratings.filter(r => r.country === code && r.effective_from > date);
+      if (!open && !later.length) return null;
+      doc.ratings = doc.ratings.filter(r => !later.includes(r));
+      if (open){
+        if (open.effective_from === date) doc.ratings = doc.ratings.filter(r => r !== open);
+        else open.effective_to = date;
+      }
+      return open || later[0];
+    });
+  }
+
+  // Add or relabel a tier.
+  setTier(input){
+    return this.edit(doc => {
+      const tier = Tier.parse(input);
+      const i = doc.tiers.findIndex(t => t.id === tier.id);
+      if (i >= 0) doc.tiers[i] = tier; else doc.tiers.push(tier);
+      return tier;
+    });
+  }
+
+  edit(fn){
+    const next = this.queue.catch(() => {}).then(async () => {
+      const doc = structuredClone((await this.get()).doc);
+      let result;
+      try { result = fn(doc); }
+      catch (e) {
+        if (e instanceof z.ZodError) throw new JurisdictionError('Invalid jurisdiction rating', e.issues);
+        throw e;
+      }
+      doc.version = new Date().toISOString();
+      doc.ratings.sort((a, b) => a.tier.localeCompare(b.tier) || a.country.localeCompare(b.country) || a.effective_from.localeCompare(b.effective_from));
+      const table = new JurisdictionTable(parseJurisdictions(doc));
+      await this.storage.put(KEY, Buffer.from(JSON.stringify(table.doc, null, 2)), { contentType: 'application/json' });
+      return { result, table };
+    });
+    this.queue = next;
+    return next;
+  }
+}
+
+export const jurisdictionStore = new JurisdictionStore(createStorage());
@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+import nacl from 'tweetnacl';
+
+import { cfg } from './config.js';
+
+// Ed25519 keyring for manifest signing. One current key signs; retired keys are kept
+// (public half only is enough) so packs signed before a rotation still verify.
+// Key ids are fingerprints: ed25519:<first 16 hex of SHA-256(raw public key)>.
+//
+// Sources, merged in order:
+//   SIGN_KEYRING_FILE  JSON { current?: kid, keys: [{ public_key?, private_key?, status?, not_after? }] }
+//   SIGN_PRIVATE_KEY / SIGN_PUBLIC_KEY   current key (public derived from private if omitted)
+//   SIGN_RETIRED_PUBLIC_KEYS             comma-separated base64 public keys
+
+export function keyId(publicKey){
+  const raw = Buffer.isBuffer(publicKey) ? publicKey : Buffer.from(publicKey, 'base64');
+  return 'ed25519:' + crypto.createHash('sha256').update(raw).digest('hex').slice(0, 16);
+}
+
+export class Keyring {
+  constructor(){
+    this.keys = new Map(); // kid -> { kid, publicKey: Buffer, secretKey: Buffer|null, status, not_after }
+    this.currentKid = null;
+    this.errors = [];
+  }
+
+  add({ public_key, private_key, status = 'retired', not_after = null }){
+    let publicKey = public_key ? Buffer.from(public_key, 'base64') : null;
+    let secretKey = private_key ? Buffer.from(private_key, 'base64') : null;
+    if (secretKey){
+      if (secretKey.length !== nacl.sign.secretKeyLength) throw new Error('Ed25519 private key must be 64 bytes (base64)');
+      const derived = Buffer.from(nacl.sign.keyPair.fromSecretKey(new Uint8Array(secretKey)).publicKey);
+      if (publicKey && !derived.equals(publicKey)) throw new Error('Ed25519 private key does not match its public key');
+      publicKey = derived;
+    }
+    if (!publicKey || publicKey.length !== nacl.sign.publicKeyLength) throw new Error('Ed25519 public key must be 32 bytes (base64)');
+    const kid = keyId(publicKey);
+    const prev = this.keys.get(kid);
+    this.keys.set(kid, { kid, publicKey, secretKey: secretKey || prev?.secretKey || null, status, not_after });
+    if (status === 'current') this.setCurrent(kid);
+    return kid;
+  }
+
+  setCurrent(kid){
+    const k = this.keys.get(kid);
+    if (!k) throw new Error(`Unknown signing key ${kid}`);
+    if (!k.secretKey) throw new Error(`Signing key ${kid} has no private key`);
+    for (const other of this.keys.values()) if (other.status === 'current') other.status = 'retired';
+    k.status = 'current';
+    this.currentKid = kid;
+  }
+
+  current(){ return this.currentKid ? this.keys.get(this.currentKid) : null; }
+  find(kid){ return this.keys.get(kid) || null; }
+
+  // Sign with the current key; throws if signing is not possible.
+  sign(message){
+    const k = this.current();
+    if (!k) throw new Error(this.errors[0] || 'No current signing key configured');
+    const signature = nacl.sign.detached(new Uint8Array(message), new Uint8Array(k.secretKey));
+    return { alg: 'Ed25519', key_id: k.kid, signature: Buffer.from(signature).toString('base64') };
+  }
+
+  // true/false when a key could be tried; null when no key is known.
+  verify(message, signatureB64, kid){
+    const sig = Buffer.from(signatureB64 || '', 'base64');
+    if (sig.length !== nacl.sign.signatureLength) return false;
+    const candidates = this.find(kid) ? [this.find(kid)] : Array.from(this.keys.values()); // legacy ids (ed25519:app)
+    if (!candidates.length) return null;
+    return candidates.some(k => nacl.sign.detached.verify(new Uint8Array(message), new Uint8Array(sig), new Uint8Array(k.publicKey)));
+  }
+
+  // Public keys as a JWK set (RFC 8037 OKP/Ed25519).
+  jwks(){
+    return {
+      keys: Array.from(this.keys.values()).map(k => ({
+        kty: 'OKP',
+        crv: 'Ed25519',
+        alg: 'EdDSA',
+        use: 'sig',
+        kid: k.kid,
+        x: k.publicKey.toString('base64url'),
+        status: k.status,
+        ...(k.not_after ? { not_after: k.not_after } : {})
+      }))
+    };
+  }
+
+  static fromConfig(c = cfg){
+    const ring = new Keyring();
+    const attempt = (label, fn) => { try { fn(); } catch (e) { ring.errors.push(`${label}: ${e.message}`); } };
+
+    if (c.SIGN_KEYRING_FILE) attempt('SIGN_KEYRING_FILE', () => {
+      const doc = JSON.parse(fs.readFileSync(c.SIGN_KEYRING_FILE, 'utf8'));
+      for (const k of doc.keys || []) attempt(`keyring entry ${k.public_key || '(private only)'}`, () => ring.add({ ...k, status: k.status === 'current' ? 'retired' : (k.status || 'retired') }));
+      const cur = doc.current || (doc.keys || []).filter(k => k.status === 'current').map(k => keyId(k.public_key || derivePublic(k.private_key)))[0];
+      if (cur) ring.setCurrent(cur);
+    });
+    if (c.SIGN_PRIVATE_KEY) attempt('SIGN_PRIVATE_KEY', () => ring.add({ public_key: c.SIGN_PUBLIC_KEY || undefined, private_key: c.SIGN_PRIVATE_KEY, status: 'current' }));
+    else if (c.SIGN_PUBLIC_KEY) attempt('SIGN_PUBLIC_KEY', () => ring.add({ public_key: c.SIGN_PUBLIC_KEY }));
+    for (const pk of (c.SIGN_RETIRED_PUBLIC_KEYS || '').split(',').map(s => s.trim()).filter(Boolean)){
+      attempt('SIGN_RETIRED_PUBLIC_KEYS', () => { if (!ring.find(keyId(pk))) ring.add({ public_key: pk }); });
+    }
+    return ring;
+  }
+}
+
+export function generateKeyPair(){
+  const kp = nacl.sign.keyPair();
+  const public_key = Buffer.from(kp.publicKey).toString('base64');
+  return { kid: keyId(public_key), public_key, private_key: Buffer.from(kp.secretKey).toString('base64') };
+}
+
+function derivePublic(privateKey){
+  return Buffer.from(nacl.sign.keyPair.fromSecretKey(new Uint8Array(Buffer.from(privateKey, 'base64'))).publicKey);
+}
+
+export const keyring = Keyring.fromConfig();
@@ -0,0 +1,26 @@
+import pino from 'pino';
+import pinoHttp from 'pino-http';
+
+import { cfg } from './config.js';
+import { reqIdFromHeaders } from './request-id.js';
+
+// Structured logs: JSON lines on stdout at LOG_LEVEL. Every request gets an id (the proxy's
+// when it sent one, see request-id.js), returned in X-Request-Id, on each request log line and
+// in the audit entries the request leaves (see audit.js).
+export const logger = pino({ level: cfg.LOG_LEVEL });
+
+export const httpLogger = pinoHttp({
+  logger,
+  genReqId: (req, res) => {
+    const id = reqIdFromHeaders(req);
+    res.setHeader('X-Request-Id', id);
+    return id;
+  },
+  customLogLevel: (_req, res, err) => err || res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info',
+  customProps: (req) => req.user ? { user_id: req.user.id, org_id: req.user.org_id } : req.apiKey ? { api_key_id: req.apiKey.key_id, org_id: req.apiKey.org_id } : {},
+  // no headers (session cookies, bearer tokens) and no query strings (download keys)
+  serializers: {
+    req: (req) => ({ id: req.id, method: req.method, url: req.url.split('?')[0], remoteAddress: req.remoteAddress }),
+    res: (res) => ({ statusCode: res.statusCode })
+  }
+});
@@ -1,41 +1,74 @@
 import crypto from 'crypto';
-import nacl from 'tweetnacl';
-import { cfg } from './config.js';
 
-export function buildManifest(namedFiles, rulesMeta){
+import { keyring } from './keyring.js';
+import { canonicalJson } from './ruleset.js';
+
+// 2: the signature covers the whole manifest (see signingMessage); packs without manifest_version
+// were signed over files, created_utc and ruleset_id only.
+export const MANIFEST_VERSION = 2;
+
+// namedFiles values are Buffers, or { bytes, sha256 } for files hashed while streamed to disk.
+export function buildManifest(namedFiles, rulesMeta, ring = keyring){
   const files = Object.entries(namedFiles).map(([name, buf]) => ({
     name,
-    bytes: buf.length,
-    sha256: sha256Hex(buf)
+    bytes: Buffer.isBuffer(buf) ? buf.length : buf.bytes,
+    sha256: Buffer.isBuffer(buf) ? sha256Hex(buf) : buf.sha256
   }));
   const manifest = {
+    manifest_version: MANIFEST_VERSION,
     created_utc: new Date().toISOString(),
     hash_algo: 'SHA-256',
     ruleset_id: rulesMeta.ruleset_id,
+    ruleset: {
+      id: rulesMeta.ruleset_id,
+      version: rulesMeta.ruleset_version,
+      sha256: rulesMeta.ruleset_sha256,
+      file: 'ruleset.json'
+    },
+    ...(rulesMeta.fx ? { fx: { base: rulesMeta.fx.base, source: rulesMeta.fx.source, sha256: rulesMeta.fx.sha256 } } : {}),
+    ...(rulesMeta.corridors?.sha256 ? { jurisdictions: { version: rulesMeta.corridors.version, sha256: rulesMeta.corridors.sha256 } } : {}),
+    ...(rulesMeta.privacy ? { privacy: rulesMeta.privacy } : {}),
+    ...(rulesMeta.watchlists ? { watchlists: rulesMeta.watchlists.map(w => ({ id: w.id, source: w.source, category: w.category, version: w.version, sha256: w.sha256 })) } : {}),
     files
   };
 
-  if (cfg.SIGN_PRIVATE_KEY && cfg.SIGN_PUBLIC_KEY){
+  // Sign with the keyring's current key. Failures are recorded in the manifest (and
+  // reported to the caller) instead of silently producing an unsigned pack.
+  if (ring.current() || ring.errors.length){
     try{
-      const msg = Buffer.from(JSON.stringify({
-        files,
-        created_utc: manifest.created_utc,
-        ruleset_id: manifest.ruleset_id
-      }));
-      const secret = Buffer.from(cfg.SIGN_PRIVATE_KEY, 'base64');
-      const signature = nacl.sign.detached(new Uint8Array(msg), new Uint8Array(secret));
-      manifest.signing = {
-        key_id: 'ed25519:app',
-        signature: Buffer.from(signature).toString('base64')
-      };
-    }catch(_e){
-      // skip signing on error
+      manifest.signing = ring.sign(signingMessage(manifest));
+    }catch(e){
+      manifest.signing_error = e.message;
     }
   }
 
   return manifest;
 }
 
-function sha256Hex(buf){
+// Summary for API responses: which key signed, or why signing failed.
+export function signingStatus(manifest){
+  if (manifest.signing) return { signed: true, key_id: manifest.signing.key_id };
+  if (manifest.signing_error) return { signed: false, error: manifest.signing_error };
+  return { signed: false };
+}
+
+// Bytes covered by the Ed25519 signature (shared with pack verification): the canonical JSON of
+// everything but the signing result itself, so provenance (fx, watchlists, jurisdictions) and the
+// privacy mode can't be changed either. Older packs keep verifying with their narrower message.
+export function signingMessage(manifest){
+  if (manifest.manifest_version >= 2){
+    const signed = { ...manifest };
+    delete signed.signing;
+    delete signed.signing_error;
+    return Buffer.from(canonicalJson(signed));
+  }
+  return Buffer.from(JSON.stringify({
+    files: manifest.files,
+    created_utc: manifest.created_utc,
+    ruleset_id: manifest.ruleset_id
+  }));
+}
+
+export function sha256Hex(buf){
   return crypto.createHash('sha256').update(buf).digest('hex');
 }
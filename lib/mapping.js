@@ -0,0 +1,245 @@
+import { z } from 'zod';
+
+import { createStorage } from './storage/index.js';
+
+// Column mapping: canonical fields, their synonyms, and which header feeds which field.
+// Exact synonym matches (after normalising case/punctuation) are applied automatically;
+// anything fuzzier is only suggested until the user confirms it and submits a mapping
+// ({ field: header }) with the upload.
+
+export const FIELDS = {
+  clients: {
+    client_id: ['client_id','clientid','customer_id','customerid','id'],
+    full_name: ['full_name','name','client_name','fullname'],
+    dob: ['dob','date_of_birth','birthdate'],
+    residency_country: ['residency_country','country','country_of_residence','residence_country'],
+    delivery_channel: ['delivery_channel','channel','onboarding_channel'],
+    services: ['services','service','products'],
+    pep_flag: ['pep','pep_flag','is_pep'],
+    sanctions_flag: ['sanctions','sanctions_flag','is_sanctioned'],
+    kyc_last_reviewed_at: ['kyc_last_reviewed_at','kyc_date','kyc_last_reviewed','last_kyc']
+  },
+  transactions: {
+    tx_id: ['tx_id','transaction_id','id'],
+    client_id: ['client_id','clientid','customer_id','customerid'],
+    date: ['date','tx_date','timestamp','posted_at'],
+    amount: ['amount','amt','value'],
+    currency: ['currency','ccy'],
+    direction: ['direction','dr_cr','in_out','flow'], // in/out
+    method: ['method','instrument','channel'],        // cash/wire/eft/cheque/mo
+    counterparty_name: ['counterparty_name','payer_name','payee_name','beneficiary'],
+    counterparty_country: ['counterparty_country','cp_country','country_to','country_from','destination_country','origin_country'],
+    matter_id: ['matter_id','file_id','case_id','engagement_id']
+  }
+};
+
+export const REQUIRED = {
+  clients: ['client_id'],
+  transactions: ['client_id', 'date', 'amount']
+};
+
+const SUGGEST_MIN = 0.5;
+
+// "Txn Date" -> "txn_date", "Amount (AUD)" -> "amount_aud"
+export function normHeader(h){
+  return (h ?? '').toString().trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// 0..1: best of bigram (Dice) similarity and token overlap, against the field and its synonyms
+export function scoreHeader(kind, header, field){
+  const h = normHeader(header);
+  let best = 0;
+  for (const syn of [field, ...FIELDS[kind][field]]){
+    if (h === syn) return 1;
+    best = Math.max(best, dice(h.replace(/_/g, ''), syn.replace(/_/g, '')), tokenOverlap(h, syn));
+  }
+  return Math.round(best * 100) / 100;
+}
+
+// Mapping actually used for a file: explicit { field: header } first, then exact synonym
+// matches for the remaining fields. Returns { field: header }.
+export function appliedMapping(kind, headers, explicit = {}){
+  const fields = FIELDS[kind];
+  const out = {};
+  const used = new Set();
+  for (const [field, header] of Object.entries(explicit || {})){
+    if (fields[field] && headers.includes(header) && !used.has(header)){ out[field] = header; used.add(header); }
+  }
+  for (const h of headers){
+    if (used.has(h)) continue;
+    const n = normHeader(h);
+    const field = Object.keys(fields).find(f => !out[f] && fields[f].includes(n));
+    if (field){ out[field] = h; used.add(h); }
+  }
+  return out;
+}
+
+// header -> canonical key for the normalisers. Unmapped headers pass through normalised,
+// unless that name is a canonical field fed by another column (then they are dropped: null).
+export function resolveHeaders(kind, headers, explicit = {}){
+  const applied = appliedMapping(kind, headers, explicit);
+  const byHeader = new Map(Object.entries(applied).map(([f, h]) => [h, f]));
+  return Object.fromEntries(headers.map(h => {
+    if (byHeader.has(h)) return [h, byHeader.get(h)];
+    const n = normHeader(h);
+    return [h, FIELDS[kind][n] ? null : n];
+  }));
+}
+
+// What /api/validate reports per file: the mapping in effect, fuzzy suggestions for the
+// fields still open, required fields without a column and headers that feed nothing.
+export function mappingReport(kind, headers, explicit = {}){
+  const applied = appliedMapping(kind, headers, explicit);
+  const sources = Object.fromEntries(Object.keys(applied).map(f => [f, explicit?.[f] === applied[f] ? 'confirmed' : 'exact']));
+  const free = headers.filter(h => !Object.values(applied).includes(h));
+  const open = Object.keys(FIELDS[kind]).filter(f => !applied[f]);
+
+  const suggestions = {};
+  const pairs = [];
+  for (const f of open){
+    const ranked = free.map(h => ({ header: h, score: scoreHeader(kind, h, f) }))
+      .filter(s => s.score >= SUGGEST_MIN)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 3);
+    if (ranked.length) suggestions[f] = ranked;
+    for (const s of ranked) pairs.push({ field: f, ...s });
+  }
+  // one header per field, best scores first
+  const suggested = {};
+  const taken = new Set();
+  for (const p of pairs.sort((a, b) => b.score - a.score)){
+    if (suggested[p.field] || taken.has(p.header)) continue;
+    suggested[p.field] = p.header;
+    taken.add(p.header);
+  }
+
+  return {
+    headers,
+    fields: Object.keys(FIELDS[kind]),
+    mapping: applied,
+    sources,
+    suggested,
+    suggestions,
+    required: REQUIRED[kind],
+    missing: REQUIRED[kind].filter(f => !applied[f]),
+    unmapped: free,
+    ignored: Object.entries(explicit || {}).filter(([f, h]) => applied[f] !== h).map(([field, header]) => ({ field, header }))
+  };
+}
+
+const KindMapping = (kind) => z.record(z.string(), z.string().min(1)).superRefine((m, ctx) => {
+  for (const f of Object.keys(m)) if (!FIELDS[kind][f]) ctx.addIssue({ code: 'custom', path: [f], message: `Unknown ${kind} field: ${f}` });
+});
+export const Mapping = z.object({
+  clients: KindMapping('clients').optional(),
+  transactions: KindMapping('transactions').optional()
+}).strict();
+
+// Parse a submitted mapping (object or JSON string); throws code MAPPING_INVALID.
+export function parseMapping(raw){
+  if (raw == null || raw === '') return {};
+  let value = raw;
+  if (typeof raw === 'string'){
+    try { value = JSON.parse(raw); }
+    catch { throw mappingError('Mapping is not valid JSON'); }
+  }
+  const r = Mapping.safeParse(value);
+  if (!r.success) throw mappingError('Invalid column mapping', r.error.issues);
+  return r.data;
+}
+
+function mappingError(message, issues = []){
+  const err = new Error(message);
+  err.code = 'MAPPING_INVALID';
+  err.issues = issues;
+  return err;
+}
+
+// Saved mappings per data source (e.g. "Xero export"), kept in the pack storage backend
+// under mapping-profiles/<org_id>/<id>.json, one set per organisation (see orgMappingProfiles).
+export class MappingProfiles {
+  constructor(storage, prefix = 'mapping-profiles/'){
+    this.storage = storage;
+    this.prefix = prefix;
+  }
+
+  async list(){
+    const out = [];
+    for (const k of await this.storage.list(this.prefix)){
+      const p = await this.read(k);
+      if (p) out.push({ id: p.id, name: p.name, source: p.source, updated_utc: p.updated_utc });
+    }
+    return out.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async get(id){
+    return PROFILE_ID_RE.test(String(id)) ? this.read(this.key(id)) : null;
+  }
+
+  // Create or replace by name; returns the stored profile.
+  async save({ name, source = '', mapping }){
+    const id = profileId(name);
+    if (!id) throw mappingError('Profile name is required');
+    const prev = await this.get(id);
+    const now = new Date().toISOString();
+    const profile = {
+      id,
+      name: String(name).trim(),
+      source: String(source || '').trim(),
+      mapping: parseMapping(mapping),
+      created_utc: prev?.created_utc || now,
+      updated_utc: now
+    };
+    await this.storage.put(this.key(id), Buffer.from(JSON.stringify(profile, null, 2)), { contentType: 'application/json' });
+    return profile;
+  }
+
+  async remove(id){
+    if (!(await this.get(id))) return false;
+    await this.storage.delete(this.key(id));
+    return true;
+  }
+
+  key(id){ return `${this.prefix}${id}.json`; }
+
+  async read(k){
+    const buf = await this.storage.get(k);
+    return buf ? JSON.parse(buf.toString('utf8')) : null;
+  }
+}
+
+const PROFILE_ID_RE = /^[a-z0-9][a-z0-9-]{0,63}$/;
+function profileId(name){ return normHeader(name).replace(/_/g, '-').slice(0, 64); }
+
+function bigrams(s){
+  const out = [];
+  for (let i = 0; i < s.length - 1; i++) out.push(s.slice(i, i + 2));
+  return out;
+}
+
+function dice(a, b){
+  const A = bigrams(a), B = bigrams(b);
+  if (!A.length || !B.length) return 0;
+  const counts = new Map();
+  for (const g of A) counts.set(g, (counts.get(g) || 0) + 1);
+  let hits = 0;
+  for (const g of B) if (counts.get(g) > 0){ hits++; counts.set(g, counts.get(g) - 1); }
+  return (2 * hits) / (A.length + B.length);
+}
+
+// share of tokens that match (equal, or one abbreviates the other: "txn"/"tx", "cpty"/"cp")
+function tokenOverlap(a, b){
+  const ta = a.split('_').filter(Boolean), tb = b.split('_').filter(Boolean);
+  if (!ta.length || !tb.length) return 0;
+  const match = (x, y) => x === y || (Math.min(x.length, y.length) >= 2 && (x.startsWith(y) || y.startsWith(x)));
+  const hits = ta.filter(x => tb.some(y => match(x, y))).length;
+  return hits / Math.max(ta.length, tb.length);
+}
+
+const ORG_ID_RE = /^org_[a-f0-9]{16}$/;
+const storage = createStorage();
+
+export function orgMappingProfiles(orgId){
+  if (!ORG_ID_RE.test(String(orgId))) throw mappingError(`Invalid organisation id: ${orgId}`);
+  return new MappingProfiles(storage, `mapping-profiles/${orgId}/`);
+}
@@ -0,0 +1,93 @@
+// Plain-English descriptions of ruleset rules for the evidence report (see program-html.js).
+// Generated from the rule itself, so custom rulesets are described the same way; a rule's
+// own `description` is used instead when it has one.
+
+const FIELD_NAMES = {
+  amount_aud: 'amount in AUD',
+  pep_flag: 'PEP flag',
+  kyc_last_reviewed_at: 'last KYC review date',
+  dob: 'date of birth'
+};
+
+// tiers: [{ id, label }] from the jurisdiction snapshot, for in_tier conditions
+export function describeRule(rule, { tiers = [], lists = {} } = {}){
+  if (rule.description) return rule.description;
+  const ctx = { tiers: new Map(tiers.map(t => [t.id, t.label])), lists };
+  const parts = [];
+  if (rule.family === 'profile'){
+    parts.push(`Applies when the client's ${condition(rule.when, ctx)}.`);
+  } else if (rule.family === 'behaviour'){
+    parts.push(`Looks at the client's transactions in the lookback period where ${condition(rule.match, ctx)}.`);
+    parts.push(`It fires on ${trigger(rule.trigger, ctx)}.`);
+  } else if (rule.family === 'screening'){
+    parts.push(screening(rule.screen));
+  }
+  parts.push(`Adds ${rule.points} point${rule.points === 1 ? '' : 's'} to the client's score.`);
+  if (rule.smr_category) parts.push(`Its cases get a draft SMR under "${rule.smr_category}".`);
+  return parts.join(' ');
+}
+
+function field(name){
+  return FIELD_NAMES[name] || name.replace(/_/g, ' ');
+}
+
+function condition(c, ctx, nested = false){
+  if (c.all) return group(c.all.map(x => condition(x, ctx, true)), 'and', nested);
+  if (c.any) return group(c.any.map(x => condition(x, ctx, true)), 'or', nested);
+  if (c.not?.op === 'empty') return `${field(c.not.field)} is not empty`;
+  if (c.not?.op === 'truthy') return `${field(c.not.field)} is not set`;
+  if (c.not) return `not (${condition(c.not, ctx)})`;
+  return `${field(c.field)} ${op(c, ctx)}`;
+}
+
+function group(parts, word, nested){
+  const s = parts.length > 2 ? `${parts.slice(0, -1).join(', ')} ${word} ${parts[parts.length - 1]}` : parts.join(` ${word} `);
+  return nested && parts.length > 1 ? `(${s})` : s;
+}
+
+function op({ op, value }, ctx){
+  switch (op){
+    case 'eq': return `is ${quote(value)}`;
+    case 'ne': return `is not ${quote(value)}`;
+    case 'in': return `is one of ${[].concat(value).map(quote).join(', ')}`;
+    case 'in_list': return `is on the "${value}" list${ctx.lists[value] ? ` (${ctx.lists[value].length} entries)` : ''}`;
+    case 'in_tier': return `is in the jurisdiction tier ${[].concat(value).map(v => quote(ctx.tiers.get(v) || v)).join(' or ')}`;
+    case 'contains': return `contains ${quote(value)}`;
+    case 'gt': return `is more than ${num(value)}`;
+    case 'gte': return `is at least ${num(value)}`;
+    case 'lt': return `is less than ${num(value)}`;
+    case 'lte': return `is at most ${num(value)}`;
+    case 'between': return `is between ${num(value[0])} and ${num(value[1])}`;
+    case 'multiple_of': return `is a multiple of ${num(value)}`;
+    case 'truthy': return 'is set';
+    case 'empty': return 'is empty';
+    case 'older_than_days': return `is more than ${value} days ago`;
+    default: return `${op} ${quote(value)}`;
+  }
+}
+
+function trigger(t, ctx){
+  switch (t.type){
+    case 'window': return `at least ${t.min_count} such transaction${plural(t.min_count)} within ${t.days} days`;
+    case 'count': return `${t.min_count === 1 ? 'any such transaction' : `at least ${t.min_count} such transactions`}${t.any ? `, at least one where ${condition(t.any, ctx)}` : ''}`;
+    case 'in_out': return `${t.min_count > 1 ? `at least ${t.min_count} times` : 'funds'} received and paid out again within ${t.days} days, the outflow between ${pct(t.min_ratio)} and ${pct(1 / t.min_ratio)} of the inflow`;
+    case 'spike': return `a ${t.days}-day total at least ${t.factor} times the client's own average for ${t.days} days over the previous ${t.baseline_days} days${t.min_total ? ` (and at least ${num(t.min_total)} AUD)` : ''}`;
+    case 'distinct': return `at least ${t.min_distinct} different ${field(t.field)} values within ${t.days} days`;
+    case 'third_party': return `${t.min_count > 1 ? `at least ${t.min_count} payments` : 'a payment'} into a matter from someone other than the client or a party the client paid on that matter`;
+    case 'shared_counterparty': return `a counterparty that such transactions of at least ${t.min_clients} different clients share`;
+    default: return t.type;
+  }
+}
+
+function screening(s){
+  const who = s.subject === 'client'
+    ? "The client's name, with date of birth and country where known,"
+    : "Each counterparty name on the client's transactions, with its country where known,";
+  const range = s.max_score != null ? `at least ${s.min_score} but below ${s.max_score}` : `${s.min_score} or more`;
+  return `${who} is compared with the ${s.category === 'pep' ? 'PEP' : 'sanctions'} watchlists; it fires when the best match scores ${range} (1 is an exact match).`;
+}
+
+function quote(v){ return typeof v === 'string' ? `"${v}"` : String(v); }
+function num(v){ return typeof v === 'number' ? v.toLocaleString('en-AU') : String(v); }
+function pct(r){ return `${Math.round(r * 100)}%`; }
+function plural(n){ return n === 1 ? '' : 's'; }
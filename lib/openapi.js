@@ -0,0 +1,70 @@
+// docs/openapi.yaml against the routes the Express app actually mounts (bin/check-openapi.js,
+// test/openapi.test.js). Express :param is {param} in the spec.
+
+export const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// 'METHOD /path' of every route on the app's router, mounted routers included.
+export function appRoutes(app){
+  const routes = new Set();
+  const walk = (stack, base) => {
+    for (const layer of stack){
+      if (layer.route){
+        const paths = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+        for (const p of paths.filter(x => typeof x === 'string')){
+          for (const method of METHODS) if (layer.route.methods[method]) routes.add(`${method.toUpperCase()} ${toSpecPath(base + p)}`);
+        }
+      } else if (layer.name === 'router' && layer.handle?.stack){
+        walk(layer.handle.stack, base + mountPath(layer));
+      }
+    }
+  };
+  walk(app._router?.stack || [], '');
+  return routes;
+}
+
+// Mismatches between a parsed spec and the routes (see appRoutes) -> list of messages.
+// Every operation must be a route, every /api route must be documented, path parameters must be
+// declared, operations need responses and known security schemes, and every $ref must resolve.
+export function specProblems(spec, routes){
+  const problems = [];
+  const documented = new Set();
+  const deref = (obj) => {
+    if (!obj?.$ref) return obj;
+    if (!obj.$ref.startsWith('#/')) return undefined;
+    return obj.$ref.slice(2).split('/').reduce((o, k) => o?.[k.replace(/~1/g, '/').replace(/~0/g, '~')], spec);
+  };
+  for (const [p, item] of Object.entries(spec.paths || {})){
+    const params = Array.from(p.matchAll(/\{(\w+)\}/g), m => m[1]);
+    for (const method of METHODS){
+      const op = item[method];
+      if (!op) continue;
+      const id = `${method.toUpperCase()} ${p}`;
+      documented.add(id);
+      if (!routes.has(id)) problems.push(`${id}: in the spec, but no such route`);
+      const declared = new Set([...(item.parameters || []), ...(op.parameters || [])].map(deref).filter(x => x?.in === 'path').map(x => x.name));
+      for (const name of params) if (!declared.has(name)) problems.push(`${id}: path parameter {${name}} not declared`);
+      for (const name of declared) if (!params.includes(name)) problems.push(`${id}: declares path parameter ${name}, not in the path`);
+      if (!op.responses || !Object.keys(op.responses).length) problems.push(`${id}: no responses`);
+      for (const req of op.security || []) for (const scheme of Object.keys(req)) if (!spec.components?.securitySchemes?.[scheme]) problems.push(`${id}: unknown security scheme ${scheme}`);
+    }
+  }
+  for (const id of routes) if (id.split(' ')[1].startsWith('/api/') && !documented.has(id)) problems.push(`${id}: route not in the spec`);
+  walkRefs(spec, (ref) => { if (deref({ $ref: ref }) === undefined) problems.push(`unresolved $ref ${ref}`); });
+  return { problems, operations: documented.size };
+}
+
+function toSpecPath(p){ return p.replace(/:(\w+)/g, '{$1}'); }
+
+// Express 4 keeps a mounted router's path only as its regexp (/^\/api\/v1\/?(?=\/|$)/i).
+function mountPath(layer){
+  const m = String(layer.regexp?.source || '').match(/^\^((?:\\\/[\w-]+)*)\\\/\?\(\?=\\\/\|\$\)$/);
+  return m ? m[1].replace(/\\\//g, '/') : '';
+}
+
+function walkRefs(node, onRef){
+  if (Array.isArray(node)) for (const v of node) walkRefs(v, onRef);
+  else if (node && typeof node === 'object'){
+    if (typeof node.$ref === 'string') onRef(node.$ref);
+    for (const v of Object.values(node)) walkRefs(v, onRef);
+  }
+}
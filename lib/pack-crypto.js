@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { Transform } from 'stream';
+
+// Encrypted evidence packs, for sending a zip by email: the auditor decrypts it with a passphrase
+// shared out of band, or with the private half of an X25519 key pair they generated (`npm run
+// pack-crypt -- keygen`) and whose public key they sent. File layout:
+//   TRENC1\n
+//   {"v":1,"cipher":"aes-256-gcm","chunk":65536,"nonce_prefix":..,"kdf":{..}}\n
+//   chunks of the zip, each AES-256-GCM sealed with its 16-byte tag
+// kdf is { type: 'scrypt', salt, N, r, p } (passphrase) or { type: 'x25519', recipient, epk }: an
+// ephemeral key agreed with the recipient's key, HKDF-SHA256 over it. Chunk nonces are the prefix,
+// a 32-bit counter and a last-chunk flag, and the two header lines are the additional data of
+// every chunk, so chunks can't be reordered, dropped, truncated or moved to another file, nor
+// the header changed.
+
+const MAGIC = Buffer.from('TRENC1\n');
+const CHUNK = 64 * 1024;
+const TAG = 16;
+const MAX_HEADER = 4096;
+const SCRYPT = { N: 2 ** 15, r: 8, p: 1 };
+const HKDF_INFO = 'trancheready-pack-encryption-v1';
+const MIN_PASSPHRASE = 12;
+// PKCS#8 wrapping of a raw X25519 private key
+const X25519_PKCS8 = Buffer.from('302e020100300506032b656e04220420', 'hex');
+
+const scrypt = promisify(crypto.scrypt);
+
+export class PackCryptoError extends Error {
+  constructor(message, code = 'PACK_CRYPTO_INVALID'){
+    super(message);
+    this.name = 'PackCryptoError';
+    this.code = code;
+  }
+}
+
+// A new recipient key pair: { key_id, public_key, private_key } (raw X25519 keys, base64).
+export function generateRecipientKey(){
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+  const pub = rawPublic(publicKey);
+  return { key_id: recipientKeyId(pub), public_key: pub.toString('base64'), private_key: Buffer.from(privateKey.export({ format: 'jwk' }).d, 'base64url').toString('base64') };
+}
+
+export function recipientKeyId(pub){
+  return 'x25519:' + crypto.createHash('sha256').update(pub).digest('hex').slice(0, 16);
+}
+
+// Transform: zip in, encrypted file out. to: { passphrase } or { recipient } (base64 public key).
+export async function encryptStream(to = {}){
+  const { key, kdf } = await sealingKey(to);
+  const prefix = crypto.randomBytes(7);
+  const header = Buffer.concat([MAGIC, Buffer.from(JSON.stringify({ v: 1, cipher: 'aes-256-gcm', chunk: CHUNK, nonce_prefix: prefix.toString('base64'), kdf }) + '\n')]);
+  let buf = Buffer.alloc(0);
+  let counter = 0;
+  let started = false;
+  const start = (push) => { if (!started){ started = true; push(header); } };
+  const seal = (plain, last) => {
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce(prefix, counter++, last));
+    cipher.setAAD(header);
+    return Buffer.concat([cipher.update(plain), cipher.final(), cipher.getAuthTag()]);
+  };
+  return new Transform({
+    transform(chunk, _enc, cb){
+      start(b => this.push(b));
+      buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+      // a full chunk is held back until more follows, so the last one is always flagged
+      while (buf.length > CHUNK){
+        this.push(seal(buf.subarray(0, CHUNK), false));
+        buf = buf.subarray(CHUNK);
+      }
+      cb();
+    },
+    flush(cb){
+      start(b => this.push(b));
+      this.push(seal(buf, true));
+      cb();
+    }
+  });
+}
+
+// Transform: encrypted file in, zip out. using: { passphrase } or { identity: { private_key } }.
+// Fails (PACK_DECRYPT_FAILED) on a wrong passphrase or key and on any change to the file.
+export function decryptStream(using = {}){
+  let buf = Buffer.alloc(0);
+  let header = null;
+  let key = null;
+  let prefix = null;
+  let counter = 0;
+  const open = (sealed, last) => {
+    if (sealed.length < TAG) throw new PackCryptoError('The encrypted pack is truncated', 'PACK_DECRYPT_FAILED');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, nonce(prefix, counter++, last));
+    decipher.setAAD(header);
+    decipher.setAuthTag(sealed.subarray(sealed.length - TAG));
+    try { return Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG)), decipher.final()]); }
+    catch { throw new PackCryptoError(counter === 1 ? 'Wrong passphrase or key, or the encrypted pack was changed' : 'The encrypted pack was changed', 'PACK_DECRYPT_FAILED'); }
+  };
+  const drain = (push) => {
+    while (buf.length > CHUNK + TAG){
+      push(open(buf.subarray(0, CHUNK + TAG), false));
+      buf = buf.subarray(CHUNK + TAG);
+    }
+  };
+  return new Transform({
+    async transform(chunk, _enc, cb){
+      try {
+        buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+        if (!header){
+          const end = buf.indexOf(0x0a, MAGIC.length);
+          if (end < 0){
+            if (buf.length > MAX_HEADER || (buf.length >= MAGIC.length && !buf.subarray(0, MAGIC.length).equals(MAGIC))) throw notEncrypted();
+            return cb();
+          }
+          header = Buffer.from(buf.subarray(0, end + 1));
+          buf = buf.subarray(end + 1);
+          ({ key, prefix } = await openingKey(header, using));
+        }
+        drain(b => this.push(b));
+        cb();
+      } catch (e) { cb(e); }
+    },
+    flush(cb){
+      try {
+        if (!header) throw notEncrypted();
+        drain(b => this.push(b));
+        this.push(open(buf, true));
+        cb();
+      } catch (e) { cb(e); }
+    }
+  });
+}
+
+async function sealingKey({ passphrase, recipient }){
+  if ((passphrase == null) === (recipient == null)) throw new PackCryptoError('Give either a passphrase or a recipient public key');
+  if (passphrase != null){
+    if (String(passphrase).length < MIN_PASSPHRASE) throw new PackCryptoError(`The passphrase needs at least ${MIN_PASSPHRASE} characters`);
+    const salt = crypto.randomBytes(16);
+    return { key: await scrypt(String(passphrase), salt, 32, scryptOptions(SCRYPT)), kdf: { type: 'scrypt', salt: salt.toString('base64'), ...SCRYPT } };
+  }
+  const rpk = decodeKey(recipient, 'recipient public key');
+  const eph = crypto.generateKeyPairSync('x25519');
+  const epk = rawPublic(eph.publicKey);
+  const shared = crypto.diffieHellman({ privateKey: eph.privateKey, publicKey: publicKeyObject(rpk) });
+  return { key: hkdf(shared, epk, rpk), kdf: { type: 'x25519', recipient: recipientKeyId(rpk), epk: epk.toString('base64') } };
+}
+
+async function openingKey(header, { passphrase, identity }){
+  let h;
+  try { h = JSON.parse(header.subarray(MAGIC.length).toString('utf8')); }
+  catch { throw notEncrypted(); }
+  if (h.v !== 1 || h.cipher !== 'aes-256-gcm' || h.chunk !== CHUNK) throw new PackCryptoError('Unsupported encrypted pack format');
+  const prefix = Buffer.from(h.nonce_prefix, 'base64');
+  if (h.kdf?.type === 'scrypt'){
+    if (passphrase == null) throw new PackCryptoError('This pack is encrypted with a passphrase');
+    const { N, r, p } = h.kdf;
+    if (![N, r, p].every(Number.isInteger) || N > 2 ** 20 || r > 32 || p > 16) throw new PackCryptoError('Unsupported scrypt parameters');
+    return { key: await scrypt(String(passphrase), Buffer.from(h.kdf.salt, 'base64'), 32, scryptOptions({ N, r, p })), prefix };
+  }
+  if (h.kdf?.type === 'x25519'){
+    if (!identity?.private_key) throw new PackCryptoError(`This pack is encrypted to key ${h.kdf.recipient}; give its private key`);
+    const priv = crypto.createPrivateKey({ key: Buffer.concat([X25519_PKCS8, decodeKey(identity.private_key, 'private key')]), format: 'der', type: 'pkcs8' });
+    const rpk = rawPublic(crypto.createPublicKey(priv));
+    if (recipientKeyId(rpk) !== h.kdf.recipient) throw new PackCryptoError(`This pack is encrypted to key ${h.kdf.recipient}, not ${recipientKeyId(rpk)}`, 'PACK_DECRYPT_FAILED');
+    const epk = Buffer.from(h.kdf.epk, 'base64');
+    return { key: hkdf(crypto.diffieHellman({ privateKey: priv, publicKey: publicKeyObject(epk) }), epk, rpk), prefix };
+  }
+  throw new PackCryptoError('Unsupported key derivation');
+}
+
+function nonce(prefix, counter, last){
+  const n = Buffer.alloc(12);
+  prefix.copy(n, 0);
+  n.writeUInt32BE(counter, 7);
+  n[11] = last ? 1 : 0;
+  return n;
+}
+
+function hkdf(shared, epk, rpk){
+  return Buffer.from(crypto.hkdfSync('sha256', shared, Buffer.concat([epk, rpk]), HKDF_INFO, 32));
+}
+
+function scryptOptions({ N, r, p }){
+  return { N, r, p, maxmem: 256 * N * r };
+}
+
+function decodeKey(b64, what){
+  const raw = Buffer.from(String(b64).trim(), 'base64');
+  if (raw.length !== 32) throw new PackCryptoError(`The ${what} must be 32 bytes, base64`);
+  return raw;
+}
+
+function publicKeyObject(raw){
+  return crypto.createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x: raw.toString('base64url') }, format: 'jwk' });
+}
+
+function rawPublic(keyObject){
+  return Buffer.from(keyObject.export({ format: 'jwk' }).x, 'base64url');
+}
+
+function notEncrypted(){
+  return new PackCryptoError('Not an encrypted TrancheReady pack');
+}
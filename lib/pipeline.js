@@ -0,0 +1,260 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { once } from 'events';
+
+import { cfg } from './config.js';
+import { lookbackFrom } from './csv-normalize.js';
+import { ratesFor } from './fx.js';
+import { ingestClients, ingestTransactions } from './ingest.js';
+import { JurisdictionTable, parseJurisdictions } from './jurisdictions.js';
+import { mappingReport } from './mapping.js';
+import { loadRuleset } from './ruleset.js';
+import { scoreAll } from './rules.js';
+import { buildCases } from './cases.js';
+import { orgCases } from './case-store.js';
+import { billingStore } from './billing.js';
+import { auditLog } from './audit.js';
+import { diffRuns, fileDigest, orgRuns, runRecord, runSnapshot } from './runs.js';
+import { simulate } from './simulate.js';
+import { buildManifest, signingStatus } from './manifest.js';
+import { renderProgramHTML, reportModel } from './program-html.js';
+import { renderProgramPDF } from './program-pdf.js';
+import { buildReportDrafts, reportFiles, reportTxFilter } from './reports.js';
+import { IssueLog, strictVerdict, issuesCsv } from './validation.js';
+import { loadWatchlists } from './watchlists.js';
+import { Aggregator, Pseudonymiser } from './privacy.js';
+import { zipToFile } from './zip.js';
+import { verifyStore, newToken } from './verify-store.js';
+
+// Upload → evidence pack, shared by /api/validate and the pack jobs behind /upload.
+// Inputs are file paths (disk uploads); transactions are streamed, never loaded whole.
+// onProgress receives { stage, bytes?, total?, rows? } events. mapping is the confirmed
+// column mapping { clients?, transactions?, profile? } (see mapping.js); sources carries
+// { clients?, transactions? }: { name, sheet } for format detection (see formats.js).
+// strict: { enabled, maxErrors } (see validation.js); a blocked run produces no pack.
+// jurisdictions: a jurisdiction table document (see jurisdictions.js), the bundled one if absent.
+// reports: include draft TTR/SMR files (see reports.js). maxRows: the plan's row limit per file.
+// compareRunFile: a stored run record (see runs.js) to compare with; the diff goes in the pack.
+// audit: the organisation's audit log segment from the upload on (audit_log.json, see audit.js).
+// privacy: { mode, key_id?, keyFile? } (see privacy.js); the run record keeps the real ids either way.
+
+async function ingest({ clientsFile, txFile, fxFile, rulesetId, mapping = {}, sources = {}, strict, onProgress, workDir, maxRows }){
+  const ruleset = loadRuleset(rulesetId || cfg.RULESET_ID);
+  const fx = ratesFor(fxFile ? await fsp.readFile(fxFile) : undefined);
+  const issues = new IssueLog();
+  const c = await ingestClients(clientsFile, { mapping: mapping.clients, source: sources.clients, issues, onProgress, maxRows });
+  const clientIds = new Set(c.clients.map(x => x.client_id));
+  const tx = await ingestTransactions(txFile, { fx, mapping: mapping.transactions, source: sources.transactions, clientIds, issues, workDir, onProgress, maxRows });
+  const lookback = lookbackFrom(tx.latest, ruleset.lookback_months);
+  const columns = {
+    profile: mapping.profile || null,
+    clients: mappingReport('clients', c.headers, mapping.clients),
+    transactions: mappingReport('transactions', tx.headers, mapping.transactions)
+  };
+  const formats = { clients: c.input, transactions: tx.input };
+  const validation = { counts: issues.summary(), issues: issues.list, strict: strictVerdict(issues.counts, strict || {}) };
+  return { ruleset, fx, clients: c.clients, clientHeaderMap: c.clientHeaderMap, lookback, ...tx, columns, formats, validation };
+}
+
+export async function runValidation(opts){
+  const r = await ingest(opts);
+  await r.spool.remove();
+  return {
+    ok: !r.validation.strict.blocked,
+    counts: { clients: r.clients.length, txs: r.counts.txs, rejects: r.counts.rejects, warnings: r.counts.warnings },
+    clientHeaderMap: r.clientHeaderMap,
+    txHeaderMap: r.txHeaderMap,
+    rejects: r.rejects,
+    warnings: r.warnings,
+    lookback: r.lookback,
+    fx: r.fx.meta(),
+    formats: r.formats,
+    mapping: r.columns,
+    issue_counts: r.validation.counts,
+    strict: r.validation.strict,
+    issues: r.validation.issues
+  };
+}
+
+// Score an upload under its ruleset and a candidate side by side (see simulate.js); candidate is
+// a parsed ruleset, jurisdictions the current JurisdictionTable. Nothing is stored.
+export async function runSimulation({ candidate, jurisdictions, ...opts }){
+  const r = await ingest(opts);
+  try {
+    if (r.validation.strict.blocked) throw validationError(r.validation);
+    opts.onProgress?.({ stage: 'scoring', rows: r.counts.txs });
+    const result = await simulate({ clients: r.clients, txs: r.spool, latest: r.latest, baseline: r.ruleset, candidate, jurisdictions });
+    return { ok: true, dataset: { source: 'upload', clients: r.clients.length, transactions: r.counts.txs, rejects: r.counts.rejects }, ...result };
+  } finally {
+    await r.spool.remove();
+  }
+}
+
+// Ingest, score and zip into workDir (owned by the caller); nothing is stored yet.
+// Runs inside the job worker; returns { zipPath, manifest, risk, cases, run, history, reports? }
+// where history is what the run record keeps (see runs.js).
+export async function preparePack(opts){
+  const { onProgress = () => {}, workDir } = opts;
+  let spool = null;
+  try {
+    const r = await ingest(opts);
+    spool = r.spool;
+    if (r.validation.strict.blocked) throw validationError(r.validation);
+
+    onProgress({ stage: 'scoring', rows: r.counts.txs });
+    // watchlists are only loaded (and listed in the manifest) when the ruleset screens
+    const watchlists = r.ruleset.rules.some(x => x.family === 'screening') ? await loadWatchlists() : null;
+    // jurisdictions: the table as it was when the job was submitted (see server.js)
+    const jurisdictions = opts.jurisdictions ? new JurisdictionTable(parseJurisdictions(opts.jurisdictions)) : undefined;
+    const { scores, findings, rulesMeta } = await scoreAll(r.clients, spool, r.lookback, r.ruleset, { watchlists, jurisdictions });
+    rulesMeta.fx = r.fx.meta();
+    const cases = buildCases(findings);
+
+    onProgress({ stage: 'packaging' });
+    const privacy = opts.privacy || { mode: 'full' };
+    const pseudo = privacy.mode === 'pseudonymised' ? new Pseudonymiser(await fsp.readFile(privacy.keyFile)) : null;
+    const totals = privacy.mode === 'aggregate' ? new Aggregator() : null;
+    rulesMeta.privacy = { mode: privacy.mode, ...(privacy.key_id ? { key_id: privacy.key_id } : {}) };
+    // the report's case tables and the draft reports need some transactions, picked up on the way past
+    const caseTxIds = new Set(cases.flatMap(k => k.tx_ids));
+    const wanted = opts.reports ? reportTxFilter(cases) : null;
+    const caseTxs = new Map();
+    const reportTxs = [];
+    const txs = tap(spool.all(), t => {
+      if (caseTxIds.has(t.tx_id)) caseTxs.set(t.tx_id, t);
+      if (wanted?.(t)) reportTxs.push(t);
+      totals?.addTx(t);
+    });
+    let txJson = null;
+    if (totals) await drain(txs);
+    else txJson = await writeJsonArray(pseudo ? mapped(txs, t => pseudo.tx(t)) : txs, path.join(workDir, 'transactions.json'));
+    const reports = opts.reports ? buildReportDrafts({ clients: r.clients, cases, txs: reportTxs, ruleset: r.ruleset }) : null;
+    const previous = opts.compareRunFile ? JSON.parse(await fsp.readFile(opts.compareRunFile, 'utf8')) : null;
+    const history = runSnapshot({ rulesMeta, ruleset: r.ruleset, scores, cases, counts: r.counts, inputs: await inputDigests(opts), comparedTo: previous?.run_id || null });
+    const changes = previous ? diffRuns(previous, history) : null;
+    // what the pack shows: as uploaded, tokenised, or counts only
+    const view = pseudo ? pseudo.pack({ clients: r.clients, scores, cases, caseTxs, issues: r.validation.issues, changes, ruleset: r.ruleset })
+      : { clients: r.clients, scores, cases, caseTxs, issues: r.validation.issues, changes };
+    const aggregates = totals?.build({ ruleset: r.ruleset, lookback: r.lookback, scores, cases, validation: r.validation });
+    const files = {
+      ...(aggregates ? { 'aggregates.json': Buffer.from(JSON.stringify(aggregates, null, 2)) } : {
+        'clients.json': Buffer.from(JSON.stringify(view.clients, null, 2)),
+        'transactions.json': txJson,
+        'cases.json': Buffer.from(JSON.stringify(view.cases, null, 2))
+      }),
+      'ruleset.json': r.ruleset.bytes,
+      ...(aggregates ? {} : { 'validation_report.csv': Buffer.from(issuesCsv(view.issues)) }),
+      ...(reports ? reportFiles(reports) : {}),
+      ...(changes ? { 'run_diff.json': Buffer.from(JSON.stringify(aggregates ? diffSummary(changes) : view.changes, null, 2)) } : {}),
+      ...(opts.audit ? { 'audit_log.json': Buffer.from(JSON.stringify(opts.audit, null, 2)) } : {})
+    };
+    const report = reportModel({
+      ruleset: r.ruleset, rulesMeta, clients: view.clients, scores: view.scores, cases: view.cases, caseTxs: view.caseTxs,
+      counts: r.counts, rejects: r.rejects, warnings: r.warnings, columns: r.columns, validation: r.validation,
+      reports: reports?.summary, changes: view.changes, aggregates, files
+    });
+    files['program.html'] = Buffer.from(renderProgramHTML(report));
+    if (cfg.REPORT_PDF) files['program.pdf'] = await renderProgramPDF(report);
+
+    const manifest = buildManifest(files, rulesMeta);
+    const zipPath = await zipToFile({ ...files, 'manifest.json': Buffer.from(JSON.stringify(manifest, null, 2)) }, path.join(workDir, 'evidence.zip'));
+    const run = { ruleset_id: rulesMeta.ruleset_id, ruleset_version: rulesMeta.ruleset_version, lookback: r.lookback };
+    return { zipPath, manifest, risk: scores, cases, run, history, ...(reports ? { reports: reports.summary } : {}) };
+  } finally {
+    await spool?.remove();
+  }
+}
+
+// What the run record says about the input files: names, sizes and hashes.
+async function inputDigests({ clientsFile, txFile, fxFile, sources = {} }){
+  return {
+    clients: await fileDigest(clientsFile, sources.clients?.name || null),
+    transactions: await fileDigest(txFile, sources.transactions?.name || null),
+    ...(fxFile ? { fx_rates: await fileDigest(fxFile) } : {})
+  };
+}
+
+// An aggregate pack's run comparison: which runs, and how many clients and cases changed.
+function diffSummary({ from, to, ruleset_changed, summary }){
+  return { from, to, ruleset_changed, summary };
+}
+
+function validationError({ counts, strict }){
+  const err = new Error(`Strict validation failed: ${strict.errors} row error(s), at most ${strict.max_errors} allowed.`);
+  err.code = 'VALIDATION_FAILED';
+  err.details = { ...counts, max_errors: strict.max_errors };
+  return err;
+}
+
+// Persist a prepared pack behind a new verify/download token and record its cases with the
+// organisation's (see case-store.js); cases.matched maps detected case ids to the existing cases
+// they joined. access: { org_id, created_by, api_key_id?, download_key_sha256?, public_manifest,
+// retention_days } (see verify-store.js). The result is kept with the job, which every member can
+// read, so it never holds the download key: the uploader got that with the upload response. The
+// pack counts against the organisation's monthly plan usage, is recorded in its run history
+// (see runs.js) and its audit log (see audit.js; access.job_id).
+export async function storePack({ zipPath, manifest, risk, cases = [], run = {}, history, reports }, access = {}){
+  const token = newToken();
+  const zip = await fileDigest(zipPath);
+  await verifyStore.put(token, { path: zipPath }, manifest, access, access.retention_days || undefined);
+  const synced = await orgCases(access.org_id).sync(cases, { pack_token: token, ...run });
+  await billingStore.recordPack(access.org_id);
+  const saved = history ? await orgRuns(access.org_id).save(runRecord(history, { org_id: access.org_id, created_by: access.created_by, pack_token: token, caseIds: synced.case_ids })) : null;
+  await auditLog.append({
+    org_id: access.org_id,
+    action: 'pack.generated',
+    actor: access.created_by ? { type: 'user', id: access.created_by } : access.api_key_id ? { type: 'api_key', id: access.api_key_id } : { type: 'system' },
+    target: { pack_token: token, job_id: access.job_id || null, run_id: saved?.run_id || null },
+    details: { zip_sha256: zip.sha256, zip_bytes: zip.bytes, files: manifest.files.length, signed: !!manifest.signing, ruleset_id: run.ruleset_id || null, ruleset_version: run.ruleset_version || null }
+  });
+  const matched = Object.fromEntries(Object.entries(synced.case_ids).filter(([a, b]) => a !== b));
+  return {
+    ok: true,
+    run_id: saved?.run_id || null,
+    compared_to: saved?.compared_to || null,
+    risk,
+    cases: { created: synced.created, updated: synced.updated, matched },
+    ...(reports ? { reports } : {}),
+    signing: signingStatus(manifest),
+    token,
+    verify_url: new URL('/verify/' + token, cfg.APP_ORIGIN || 'http://localhost:10000').toString(),
+    public_manifest: !!access.public_manifest,
+    download_url: new URL(`/download/${token}`, cfg.APP_ORIGIN || 'http://localhost:10000').toString()
+  };
+}
+
+async function* tap(items, fn){
+  for await (const item of items){ fn(item); yield item; }
+}
+
+async function* mapped(items, fn){
+  for await (const item of items) yield fn(item);
+}
+
+async function drain(items){
+  for await (const item of items) void item;
+}
+
+// Write an async iterable of objects as a JSON array (one element per line), hashing as it
+// goes; returns { path, bytes, sha256 } for buildManifest/zipToFile.
+async function writeJsonArray(items, file){
+  const out = fs.createWriteStream(file);
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+  let first = true;
+  const write = async (s) => {
+    hash.update(s);
+    bytes += Buffer.byteLength(s);
+    if (!out.write(s)) await once(out, 'drain');
+  };
+  await write('[');
+  for await (const item of items){
+    await write((first ? '\n  ' : ',\n  ') + JSON.stringify(item));
+    first = false;
+  }
+  await write(first ? ']\n' : '\n]\n');
+  await new Promise((resolve, reject) => out.end(err => err ? reject(err) : resolve()));
+  return { path: file, bytes, sha256: hash.digest('hex') };
+}
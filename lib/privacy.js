@@ -0,0 +1,296 @@
+import crypto from 'crypto';
+
+import { cfg } from './config.js';
+import { createStorage } from './storage/index.js';
+import { VALUE_MESSAGES } from './validation.js';
+
+// Privacy modes for evidence packs, chosen per upload (PACK_PRIVACY is the default):
+//   full           client and transaction data as uploaded
+//   pseudonymised  ids and names replaced by keyed tokens: HMAC-SHA256 under the organisation's
+//                  pseudonymisation key, so a value gets the same token in every file of the pack
+//                  (and in other packs under the same key); dates of birth cut to the year, client
+//                  fields outside CLIENT_FIELDS dropped, row-level validation detail tokenised
+//   aggregate      no client, transaction or case records: counts and totals (aggregates.json)
+// The key never goes in a pack; it is kept apart, per organisation:
+//   privacy/<org_id>.json    { current: key_id, keys: { <key_id>: { key, created_utc, retired_utc } } }
+// Admins export it to hold separately; with it and their own source files they re-identify
+// tokens (bin/reidentify.js). The server uses it to map a pseudonymised pack's client and
+// transaction ids back to the run's (see runPackData in runs.js).
+
+export const PRIVACY_MODES = ['full', 'pseudonymised', 'aggregate'];
+
+// token prefix per kind of value; names cover client, counterparty and watchlist names alike
+const KINDS = { client: 'C', tx: 'T', name: 'N', matter: 'M', entry: 'W' };
+// client fields a pseudonymised pack keeps as they are
+const CLIENT_FIELDS = ['residency_country', 'delivery_channel', 'services', 'pep_flag', 'sanctions_flag', 'kyc_last_reviewed_at'];
+// validation_report.csv fields holding identifying values
+const ISSUE_FIELDS = { client_id: 'client', tx_id: 'tx', full_name: 'name', counterparty_name: 'name', matter_id: 'matter' };
+const KEY_ID_RE = /^pk_[a-f0-9]{16}$/;
+const ORG_ID_RE = /^org_[a-f0-9]{16}$/;
+
+export class PrivacyError extends Error {
+  constructor(message, code = 'PRIVACY_INVALID'){
+    super(message);
+    this.name = 'PrivacyError';
+    this.code = code;
+  }
+}
+
+// The privacy mode of an upload (body.privacy); draft AUSTRAC reports need the full data.
+export function privacyRequested(body = {}, { reports = false } = {}){
+  const mode = String(body.privacy || cfg.PACK_PRIVACY).trim().toLowerCase();
+  if (!PRIVACY_MODES.includes(mode)) throw new PrivacyError(`privacy must be one of ${PRIVACY_MODES.join(', ')}`);
+  if (mode !== 'full' && reports) throw new PrivacyError('Draft AUSTRAC reports need privacy=full: they carry the details to lodge');
+  return mode;
+}
+
+export function keyIdOf(key){
+  return 'pk_' + crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+// Replaces identifying values with tokens; everything a pseudonymised pack holds goes through one.
+export class Pseudonymiser {
+  constructor(key){
+    this.key = key;
+  }
+
+  // `${prefix}_${16 hex}`; names are compared trimmed, case- and space-insensitively.
+  token(kind, value){
+    if (value == null || value === '') return value ?? null;
+    const v = kind === 'name' ? String(value).trim().replace(/\s+/g, ' ').toLowerCase() : String(value).trim();
+    return `${KINDS[kind]}_${crypto.createHmac('sha256', this.key).update(`${kind}:${v}`).digest('hex').slice(0, 16)}`;
+  }
+
+  client(c){
+    const out = { client_id: this.token('client', c.client_id), full_name: this.token('name', c.full_name), dob: birthYear(c.dob) };
+    for (const f of CLIENT_FIELDS) if (f in c) out[f] = c[f];
+    return out;
+  }
+
+  tx(t){
+    return { ...t, tx_id: this.token('tx', t.tx_id), client_id: this.token('client', t.client_id), counterparty_name: this.token('name', t.counterparty_name), matter_id: this.token('matter', t.matter_id) };
+  }
+
+  // Case (cases.js): the reason text names the counterparties and watchlist entries behind it.
+  case(k){
+    const names = caseNames(k);
+    return {
+      ...k,
+      client_id: this.token('client', k.client_id),
+      reason: this.text(k.reason, names),
+      tx_ids: k.tx_ids.map(id => this.token('tx', id)),
+      ...(k.matches ? { matches: k.matches.map(m => this.match(m)) } : {}),
+      ...(k.detail ? { detail: this.detail(k.detail) } : {})
+    };
+  }
+
+  match(m){
+    return {
+      ...m,
+      entry_id: this.token('entry', m.entry_id),
+      name: this.token('name', m.name),
+      matched_name: this.token('name', m.matched_name),
+      ...(m.counterparty ? { counterparty: this.token('name', m.counterparty) } : {})
+    };
+  }
+
+  // Typology detail (detect.js): transaction pairs, counterparties, matters.
+  detail(d){
+    return {
+      ...d,
+      ...(d.pairs ? { pairs: d.pairs.map(p => ({ ...p, in_tx: this.token('tx', p.in_tx), out_tx: this.token('tx', p.out_tx) })) } : {}),
+      ...(d.counterparties ? { counterparties: d.counterparties.map(p => typeof p === 'string' ? this.token('name', p)
+        : { ...p, name: this.token('name', p.name), ...(p.other_clients ? { other_clients: p.other_clients.map(id => this.token('client', id)) } : {}) }) } : {}),
+      ...(d.matters ? { matters: d.matters.map(id => this.token('matter', id)) } : {})
+    };
+  }
+
+  // Everything a pseudonymised pack and its report show of a run. caseTxs: Map tx_id ->
+  // transaction (see preparePack); changes: diffRuns() or null.
+  pack({ clients, scores, cases, caseTxs, issues, changes, ruleset }){
+    const kases = cases.map(k => this.case(k));
+    const caseText = new Map(kases.map(k => [k.case_id, k.reason]));
+    const ruleText = new Map(ruleset.rules.map(r => [r.id, r.text]));
+    return {
+      clients: clients.map(c => this.client(c)),
+      scores: scores.map(s => this.score(s, caseText)),
+      cases: kases,
+      caseTxs: new Map(Array.from(caseTxs.values(), t => [this.token('tx', t.tx_id), this.tx(t)])),
+      issues: issues.map(i => this.issue(i)),
+      changes: changes && this.diff(changes, caseText, ruleText)
+    };
+  }
+
+  // Score reasons backed by a case take its tokenised text; the others (profile rules) carry
+  // no names.
+  score(s, caseText){
+    return { ...s, client_id: this.token('client', s.client_id), reasons: s.reasons.map(r => ({ rule_id: r.rule_id, family: r.family, text: caseText.get(r.case_id) ?? r.text, points: r.points, ...(r.case_id ? { case_id: r.case_id } : {}) })) };
+  }
+
+  // Run comparison (diffRuns): the earlier run's texts may name parties no longer in the data, so
+  // reasons and cases not in this run take their rule's text.
+  diff(d, caseText, ruleText){
+    const client = (c) => ({ ...c, client_id: this.token('client', c.client_id) });
+    const reason = (r) => ({ ...r, text: ruleText.get(r.rule_id) ?? r.rule_id });
+    const kase = (k) => ({ ...client(k), reason: caseText.get(k.case_id) ?? ruleText.get(k.type) ?? k.type });
+    return {
+      ...d,
+      band_changes: d.band_changes.map(client),
+      reasons: d.reasons.map(c => ({ ...client(c), new: c.new.map(reason), resolved: c.resolved.map(reason) })),
+      new_cases: d.new_cases.map(kase),
+      resolved_cases: d.resolved_cases.map(kase),
+      new_clients: d.new_clients.map(client),
+      removed_clients: d.removed_clients.map(client)
+    };
+  }
+
+  // validation.js issue: identifying values tokenised, and a message that quotes one rebuilt
+  // around its token (VALUE_MESSAGES) rather than searched for the raw text.
+  issue(i){
+    const kind = ISSUE_FIELDS[i.field];
+    const swap = (raw, kind) => raw == null || raw === '' ? raw ?? null : this.token(kind, raw);
+    const value = kind ? swap(i.value, kind) : i.field === 'dob' ? birthYear(i.value) : i.value;
+    const message = kind && VALUE_MESSAGES[i.code] ? VALUE_MESSAGES[i.code](i.field, value) : i.message;
+    return { ...i, id: swap(i.id, i.file === 'clients' ? 'client' : 'tx'), value, message };
+  }
+
+  // Text with each of `names` (as they appear in it) replaced by its token.
+  text(s, names = []){
+    let out = s ?? '';
+    for (const n of names.filter(Boolean).sort((a, b) => b.length - a.length)) out = out.split(n).join(this.token('name', n));
+    return out;
+  }
+}
+
+// Counts and totals only, for aggregate packs. Transactions are added one at a time (addTx) as they
+// stream past; build() puts it together with the scoring.
+export class Aggregator {
+  constructor(){
+    this.months = new Map();
+    this.methods = new Map();
+    this.countries = new Map();
+    this.total = { count: 0, in_aud: 0, out_aud: 0 };
+  }
+
+  addTx(t){
+    for (const [map, key] of [[this.months, (t.date || '').slice(0, 7) || 'unknown'], [this.methods, t.method || 'unknown'], [this.countries, t.counterparty_country || 'unknown']]){
+      if (!map.has(key)) map.set(key, { count: 0, in_aud: 0, out_aud: 0 });
+      add(map.get(key), t);
+    }
+    add(this.total, t);
+  }
+
+  build({ ruleset, lookback, scores, cases, validation }){
+    const clients = new Map();
+    for (const s of scores) for (const r of s.reasons) clients.set(r.rule_id, (clients.get(r.rule_id) || 0) + 1);
+    const byType = new Map();
+    for (const k of cases){
+      if (!byType.has(k.type)) byType.set(k.type, { type: k.type, cases: 0, clients: new Set(), total_aud: 0 });
+      const b = byType.get(k.type);
+      b.cases++;
+      b.clients.add(k.client_id);
+      b.total_aud += k.total_amount || 0;
+    }
+    const rows = (map, key) => Array.from(map, ([k, v]) => ({ [key]: k, ...rounded(v) })).sort((a, b) => String(a[key]).localeCompare(String(b[key])));
+    return {
+      privacy: 'aggregate',
+      ruleset: { id: ruleset.id, version: ruleset.version },
+      lookback,
+      clients: scores.length,
+      flagged_clients: scores.filter(s => s.score > 0).length,
+      bands: ruleset.bands.map(b => ({ band: b.band, clients: scores.filter(s => s.band === b.band).length })),
+      rules: ruleset.rules.map(r => ({ rule_id: r.id, family: r.family, text: r.text, points: r.points, clients: clients.get(r.id) || 0 })),
+      cases: { total: cases.length, by_type: Array.from(byType.values()).map(b => ({ type: b.type, text: ruleset.rules.find(r => r.id === b.type)?.text || b.type, cases: b.cases, clients: b.clients.size, total_aud: round(b.total_aud) })) },
+      transactions: { ...rounded(this.total), by_month: rows(this.months, 'month'), by_method: rows(this.methods, 'method'), by_counterparty_country: rows(this.countries, 'country') },
+      validation: validation ? { ...validation.counts, strict: validation.strict } : null
+    };
+  }
+}
+
+// The organisations' pseudonymisation keys, kept apart from the packs.
+export class PrivacyKeyStore {
+  constructor(storage, prefix = 'privacy/'){
+    this.storage = storage;
+    this.prefix = prefix;
+    this.queue = Promise.resolve();
+  }
+
+  // { key_id, key } of the organisation's current key, made on first use.
+  async current(orgId){
+    const doc = await this.doc(orgId);
+    if (doc?.current) return { key_id: doc.current, key: Buffer.from(doc.keys[doc.current].key, 'base64') };
+    return this.rotate(orgId, { onlyIfNone: true });
+  }
+
+  // A key of the organisation by id (current or retired), or null.
+  async find(orgId, keyId){
+    if (!KEY_ID_RE.test(String(keyId))) return null;
+    const k = (await this.doc(orgId))?.keys[keyId];
+    return k ? Buffer.from(k.key, 'base64') : null;
+  }
+
+  // Key ids, newest first; the keys themselves only come out of find().
+  async list(orgId){
+    const doc = await this.doc(orgId);
+    return Object.entries(doc?.keys || {})
+      .map(([key_id, k]) => ({ key_id, created_utc: k.created_utc, retired_utc: k.retired_utc || null, current: key_id === doc.current }))
+      .sort((a, b) => b.created_utc.localeCompare(a.created_utc));
+  }
+
+  // New current key; the old one is kept (retired) for the packs pseudonymised under it.
+  rotate(orgId, { onlyIfNone = false } = {}){
+    return this.exclusive(async () => {
+      const doc = (await this.doc(orgId)) || { current: null, keys: {} };
+      if (onlyIfNone && doc.current) return { key_id: doc.current, key: Buffer.from(doc.keys[doc.current].key, 'base64') };
+      const key = crypto.randomBytes(32);
+      const key_id = keyIdOf(key);
+      const now = new Date().toISOString();
+      if (doc.current) doc.keys[doc.current].retired_utc = now;
+      doc.keys[key_id] = { key: key.toString('base64'), created_utc: now, retired_utc: null };
+      doc.current = key_id;
+      await this.storage.put(this.key(orgId), Buffer.from(JSON.stringify(doc)), { contentType: 'application/json' });
+      return { key_id, key };
+    });
+  }
+
+  async doc(orgId){
+    const buf = await this.storage.get(this.key(orgId));
+    return buf ? JSON.parse(buf.toString('utf8')) : null;
+  }
+
+  key(orgId){
+    if (!ORG_ID_RE.test(String(orgId))) throw new Error(`Invalid organisation id: ${orgId}`);
+    return `${this.prefix}${orgId}.json`;
+  }
+
+  // Read-modify-write of the key documents is serialised.
+  exclusive(fn){
+    const next = this.queue.catch(() => {}).then(fn);
+    this.queue = next;
+    return next;
+  }
+}
+
+// Counterparty and watchlist names a case's text may quote.
+function caseNames(k){
+  const names = [];
+  for (const m of k.matches || []) names.push(m.counterparty, m.name);
+  for (const p of k.detail?.counterparties || []) names.push(typeof p === 'string' ? p : p.name);
+  return names;
+}
+
+function birthYear(v){
+  const m = /^\s*(\d{4})/.exec(v ?? '');
+  return m ? m[1] : null;
+}
+
+function add(acc, t){
+  acc.count++;
+  if (t.direction === 'in') acc.in_aud += t.amount_aud || 0;
+  if (t.direction === 'out') acc.out_aud += t.amount_aud || 0;
+}
+
+function rounded(v){ return { count: v.count, in_aud: round(v.in_aud), out_aud: round(v.out_aud) }; }
+function round(v){ return Math.round(v * 100) / 100; }
+
+export const privacyKeys = new PrivacyKeyStore(createStorage());
@@ -0,0 +1,154 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+import ejs from 'ejs';
+
+import { sha256Hex } from './manifest.js';
+import { describeRule } from './methodology.js';
+
+// The evidence report included in every pack as program.html (and program.pdf, see
+// program-pdf.js). reportModel gathers what both render from; long lists are capped
+// and say so, the full data is in the pack's JSON/CSV files.
+
+const TEMPLATE = fileURLToPath(new URL('../views/program.ejs', import.meta.url));
+const MAX_CLIENTS = 500;
+const MAX_CASES = 200;
+const MAX_CASE_TXS = 25;
+const MAX_ROW_SAMPLES = 20;
+const PRIVACY_NOTES = {
+  pseudonymised: 'Pseudonymised: client, transaction, matter and watchlist entry ids and all names are keyed tokens, the same value having the same token throughout the pack; dates of birth are cut to the year and other client details left out. The organisation holds the key to re-identify them.',
+  aggregate: 'Aggregate only: the pack holds counts and totals (aggregates.json), no client, transaction or case records.'
+};
+
+// files: the pack files so far (Buffers or { bytes, sha256 }), listed with their hashes.
+// caseTxs: Map tx_id -> transaction for the transaction tables of the cases shown.
+// changes: the comparison with an earlier run (diffRuns, see runs.js), when one was asked for.
+// rulesMeta.privacy: the pack's privacy mode (see privacy.js). Pseudonymised packs pass tokenised
+// clients, scores, cases and changes, and show no rejected/warning row samples; aggregate packs
+// (aggregates: Aggregator.build()) show no clients, cases or per-client changes at all.
+export function reportModel({ ruleset, rulesMeta, clients, scores, cases, caseTxs = new Map(), counts = {}, rejects = [], warnings = [], columns = null, validation = null, reports = null, changes = null, aggregates = null, files = {} }){
+  const privacy = rulesMeta.privacy || { mode: 'full' };
+  const aggregate = privacy.mode === 'aggregate';
+  const samples = privacy.mode === 'full' ? MAX_ROW_SAMPLES : 0;
+  const names = new Map(clients.map(c => [c.client_id, c.full_name]));
+  const ranked = scores.slice().sort((a, b) => b.score - a.score || a.client_id.localeCompare(b.client_id));
+  const bandOrder = bandRanges(ruleset.bands);
+  const bands = bandOrder.map(({ band, rule }) => {
+    const n = scores.filter(s => s.band === band).length;
+    return { band, rule, clients: n, pct: scores.length ? Math.round(n / scores.length * 1000) / 10 : 0 };
+  });
+  const fired = new Map();
+  for (const s of scores) for (const r of s.reasons) fired.set(r.rule_id, (fired.get(r.rule_id) || 0) + 1);
+  const tiers = rulesMeta.corridors?.tiers || [];
+
+  return {
+    generated_utc: new Date().toISOString(),
+    ruleset: { id: ruleset.id, version: ruleset.version, title: ruleset.title || null, effective_from: ruleset.effective_from || null, sha256: rulesMeta.ruleset_sha256 },
+    lookback: rulesMeta.lookback,
+    privacy: { ...privacy, note: PRIVACY_NOTES[privacy.mode] || null },
+    summary: {
+      clients: scores.length,
+      transactions: counts.txs ?? null,
+      flagged: scores.filter(s => s.score > 0).length,
+      cases: cases.length,
+      top_rules: [...fired].sort((a, b) => b[1] - a[1]).slice(0, 5).map(([id, n]) => ({ id, text: ruleset.rules.find(r => r.id === id)?.text || id, clients: n }))
+    },
+    bands,
+    clients: aggregate ? null : capped(ranked, MAX_CLIENTS, s => ({
+      client_id: s.client_id,
+      name: names.get(s.client_id) || null,
+      score: s.score,
+      band: s.band,
+      reasons: s.reasons.map(r => ({ text: r.text, points: r.points, case_id: r.case_id || null }))
+    })),
+    cases: aggregate ? null : capped(cases.slice().sort((a, b) => b.points - a.points), MAX_CASES, k => ({
+      case_id: k.case_id,
+      type: k.type,
+      client_id: k.client_id,
+      name: names.get(k.client_id) || null,
+      reason: k.reason,
+      points: k.points,
+      window_start: k.window_start,
+      window_end: k.window_end,
+      total_amount: k.total_amount,
+      matches: (k.matches || []).map(m => `${m.name} (${m.list}, score ${m.score})`),
+      txs: capped(k.tx_ids.map(id => caseTxs.get(id) || { tx_id: id }), MAX_CASE_TXS, t => t)
+    })),
+    case_types: aggregates?.cases.by_type || null,
+    methodology: {
+      bands: bandOrder,
+      rules: ruleset.rules.map(r => ({ id: r.id, family: r.family, text: r.text, points: r.points, description: describeRule(r, { tiers, lists: ruleset.lists }), clients: fired.get(r.id) || 0 })),
+      jurisdictions: rulesMeta.corridors?.tiers ? { version: rulesMeta.corridors.version, window: rulesMeta.corridors.window, tiers: tiers.map(t => ({ label: t.label, countries: t.countries })) } : null,
+      watchlists: rulesMeta.watchlists || null,
+      fx: rulesMeta.fx || null
+    },
+    quality: {
+      counts,
+      issues: validation ? Object.entries(validation.counts.by_code).sort((a, b) => b[1] - a[1]).map(([code, rows]) => ({ code, rows })) : [],
+      errors: validation?.counts.errors ?? 0,
+      warnings: validation?.counts.warnings ?? 0,
+      strict: validation?.strict || null,
+      columns: columnRows(columns),
+      profile: columns?.profile || null,
+      rejects: { rows: rejects.slice(0, samples).map(x => ({ row: x.index + 1, reason: x.reason })), total: counts.rejects ?? rejects.length },
+      warnings_sample: { rows: warnings.slice(0, samples).map(x => ({ row: x.index + 1, reason: x.reason })), total: counts.warnings ?? warnings.length }
+    },
+    reports,
+    changes: changes && {
+      from: changes.from,
+      ruleset_changed: changes.ruleset_changed,
+      summary: changes.summary,
+      ...(aggregate ? {} : {
+        band_changes: capped(changes.band_changes, MAX_CLIENTS, c => ({ ...c, name: names.get(c.client_id) || null })),
+        reasons: capped(changes.reasons, MAX_CLIENTS, c => ({ ...c, name: names.get(c.client_id) || null })),
+        cases: capped([...changes.new_cases.map(k => ({ ...k, change: 'new' })), ...changes.resolved_cases.map(k => ({ ...k, change: 'no longer detected' }))], MAX_CASES, k => k),
+        clients: capped([...changes.new_clients.map(c => ({ ...c, change: 'new' })), ...changes.removed_clients.map(c => ({ ...c, change: 'not in this run' }))], MAX_CLIENTS, c => c)
+      })
+    },
+    files: Object.entries(files).map(([name, f]) => ({ name, bytes: Buffer.isBuffer(f) ? f.length : f.bytes, sha256: Buffer.isBuffer(f) ? sha256Hex(f) : f.sha256 }))
+  };
+}
+
+export function renderProgramHTML(model){
+  return ejs.render(template(), { r: model, fmt }, { filename: TEMPLATE });
+}
+
+let cached = null;
+function template(){
+  cached ??= fs.readFileSync(TEMPLATE, 'utf8');
+  return cached;
+}
+
+// Field <- column, and whether it was confirmed by the user or matched a known synonym.
+function columnRows(columns){
+  const rows = [];
+  for (const kind of ['clients', 'transactions']){
+    const r = columns?.[kind];
+    if (!r) continue;
+    for (const [field, header] of Object.entries(r.mapping)) rows.push({ file: kind, field, column: header, source: r.sources[field] });
+    for (const field of r.missing) rows.push({ file: kind, field, column: null, source: 'missing (required)' });
+  }
+  return rows;
+}
+
+// Score ranges in words, highest band first (same cut-offs as rules.js banding).
+function bandRanges(bands){
+  const sorted = bands.slice().sort((a, b) => b.min - a.min);
+  return sorted.map((b, i) => {
+    const above = sorted[i - 1]?.min;
+    const rule = i === sorted.length - 1 && i > 0 ? `under ${above}` : above == null ? `${b.min} or more` : `${b.min} to under ${above}`;
+    return { band: b.band, rule };
+  });
+}
+
+function capped(list, max, fn){
+  return { rows: list.slice(0, max).map(fn), total: list.length };
+}
+
+// Formatting shared by the HTML template and the PDF.
+export const fmt = {
+  aud: v => Number.isFinite(v) ? v.toLocaleString('en-AU', { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : '—',
+  num: v => Number.isFinite(v) ? v.toLocaleString('en-AU') : '—',
+  shown: ({ rows, total }) => total > rows.length ? ` (first ${rows.length} of ${total})` : '',
+  window: (a, b) => a ? (b && b !== a ? `${a} to ${b}` : a) : '—'
+};
@@ -0,0 +1,266 @@
+import PDFDocument from 'pdfkit';
+
+import { fmt } from './program-html.js';
+
+// program.pdf: the evidence report (see program-html.js) as an A4 PDF for filing. Drawn
+// directly with pdfkit from the same model, so packs need no headless browser.
+
+const MARGIN = 40;
+const INK = '#0D1321';
+const MUTED = '#5B677A';
+const LINE = '#E6EAF2';
+const HEAD_BG = '#F7F9FD';
+const BAND = { High: '#7B1E1E', Medium: '#7A4B00', Low: '#175B34' };
+
+export function renderProgramPDF(r){
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, bufferPages: true, info: { Title: `TrancheReady Evidence Report (${r.ruleset.id} v${r.ruleset.version})`, Creator: 'TrancheReady', CreationDate: new Date(r.generated_utc) } });
+  const chunks = [];
+  doc.on('data', c => chunks.push(c));
+  const done = new Promise((resolve, reject) => { doc.on('end', () => resolve(Buffer.concat(chunks))); doc.on('error', reject); });
+  const pdf = new Writer(doc);
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(INK).text('TrancheReady Evidence Report');
+  pdf.para(`Generated ${r.generated_utc} · Ruleset ${r.ruleset.title || r.ruleset.id} (${r.ruleset.id} v${r.ruleset.version}) · Lookback ${fmt.window(r.lookback.start, r.lookback.end)}`, { color: MUTED, size: 9 });
+  if (r.privacy.note) pdf.para(`Privacy. ${r.privacy.note}${r.privacy.key_id ? ` Key ${r.privacy.key_id}.` : ''}`, { size: 9 });
+
+  // Executive summary
+  pdf.heading('Executive summary', { newPage: false });
+  const s = r.summary;
+  pdf.para(`${fmt.num(s.clients)} client(s) and ${fmt.num(s.transactions)} transaction(s) were assessed under the ${r.ruleset.title || r.ruleset.id} ruleset for ${fmt.window(r.lookback.start, r.lookback.end)}. ${fmt.num(s.flagged)} client(s) have at least one risk indicator and ${fmt.num(s.cases)} case(s) were raised for review.`);
+  pdf.subheading('Risk band distribution');
+  pdf.table([
+    { label: 'Band', width: 90, color: row => BAND[row[0]] },
+    { label: 'Score', width: 70 },
+    { label: 'Clients', width: 60, align: 'right' },
+    { label: 'Share', width: 60, align: 'right' },
+    { label: '', width: 235, bar: true }
+  ], r.bands.map(b => [b.band, b.rule, fmt.num(b.clients), `${b.pct}%`, b.pct]));
+  if (s.top_rules.length){
+    pdf.subheading('Most frequent risk indicators');
+    pdf.table([{ label: 'Indicator', width: 435 }, { label: 'Clients', width: 80, align: 'right' }], s.top_rules.map(t => [t.text, fmt.num(t.clients)]));
+  }
+
+  // Client risk
+  if (r.clients){
+    pdf.heading(`Client risk${fmt.shown(r.clients)}`);
+    pdf.para('Highest scores first. Each reason adds the points shown; the full list is in clients.json and the job result.', { color: MUTED, size: 9 });
+    pdf.table([
+      { label: 'Client', width: 70 },
+      { label: 'Name', width: 95 },
+      { label: 'Score', width: 40, align: 'right' },
+      { label: 'Band', width: 55, color: row => BAND[row[3]] },
+      { label: 'Reasons', width: 255 }
+    ], r.clients.rows.map(c => [c.client_id, c.name || '—', String(c.score), c.band, c.reasons.map(x => `${x.text} (+${x.points})${x.case_id ? ` [${x.case_id}]` : ''}`).join('\n') || 'None']));
+  }
+
+  // Cases
+  if (!r.cases){
+    pdf.heading('Cases by type');
+    if (!s.cases) pdf.para('No cases were raised.', { color: MUTED });
+    else pdf.table([{ label: 'Indicator', width: 275 }, { label: 'Cases', width: 70, align: 'right' }, { label: 'Clients', width: 70, align: 'right' }, { label: 'AUD', width: 100, align: 'right' }], (r.case_types || []).map(t => [`${t.text}\n${t.type}`, fmt.num(t.cases), fmt.num(t.clients), fmt.aud(t.total_aud)]));
+  } else {
+    pdf.heading(`Cases${fmt.shown(r.cases)}`);
+    if (!r.cases.total) pdf.para('No cases were raised.', { color: MUTED });
+    for (const k of r.cases.rows){
+      pdf.subheading(`${k.case_id} — ${k.reason}`);
+      pdf.para(`Client ${k.client_id}${k.name ? ` (${k.name})` : ''} · +${k.points} points · ${fmt.window(k.window_start, k.window_end)} · AUD ${fmt.aud(k.total_amount)}`, { size: 9 });
+      if (k.matches.length) pdf.para(`Watchlist matches: ${k.matches.join('; ')}`, { size: 9 });
+      if (k.txs.total){
+        pdf.table([
+          { label: 'Transaction', width: 70 },
+          { label: 'Date', width: 60 },
+          { label: 'Dir.', width: 30 },
+          { label: 'Amount', width: 85, align: 'right' },
+          { label: 'AUD', width: 70, align: 'right' },
+          { label: 'Method', width: 55 },
+          { label: 'Counterparty', width: 145 }
+        ], k.txs.rows.map(t => [t.tx_id, t.date || '—', t.direction || '—', `${fmt.aud(t.amount)} ${t.currency || ''}`, fmt.aud(t.amount_aud), t.method || '—', [t.counterparty_name, t.counterparty_country].filter(Boolean).join(', ') || '—']), { size: 8 });
+        if (k.txs.total > k.txs.rows.length) pdf.para(`First ${k.txs.rows.length} of ${k.txs.total} transactions; all are listed in cases.json.`, { color: MUTED, size: 8 });
+      }
+    }
+  }
+
+  // Changes since the previous run
+  if (r.changes){
+    const d = r.changes;
+    const c = d.summary;
+    pdf.heading('Changes since the previous run');
+    pdf.para(`Compared with run ${d.from.run_id} of ${d.from.created_utc} (${d.from.ruleset_id} v${d.from.ruleset_version}, ${fmt.window(d.from.lookback.start, d.from.lookback.end)}): ${c.band_changes} client(s) changed band (${c.moved_up} up, ${c.moved_down} down), ${c.new_reasons} reason(s) newly apply and ${c.resolved_reasons} no longer apply, ${c.new_cases} case(s) are new and ${c.resolved_cases} no longer detected; ${c.new_clients} client(s) are new and ${c.removed_clients} no longer present. ${d.ruleset_changed ? "The ruleset differs from the previous run's, so some changes come from the rules rather than the clients. " : ''}The ${d.band_changes ? 'full comparison' : 'summary'} is in run_diff.json.`);
+    if (d.band_changes?.total){
+      pdf.subheading(`Band changes${fmt.shown(d.band_changes)}`);
+      pdf.table([
+        { label: 'Client', width: 90 },
+        { label: 'Name', width: 145 },
+        { label: 'From', width: 80, color: row => BAND[row[2]] },
+        { label: 'To', width: 80, color: row => BAND[row[3]] },
+        { label: 'Score', width: 120, align: 'right' }
+      ], d.band_changes.rows.map(x => [x.client_id, x.name || '—', x.from_band, x.to_band, `${x.from_score} -> ${x.to_score}`]));
+    }
+    if (d.reasons?.total){
+      pdf.subheading(`Reasons${fmt.shown(d.reasons)}`);
+      const list = rs => rs.map(x => `${x.text} (+${x.points})`).join('\n') || '—';
+      pdf.table([{ label: 'Client', width: 90 }, { label: 'New', width: 212 }, { label: 'No longer applies', width: 213 }], d.reasons.rows.map(x => [x.client_id, list(x.new), list(x.resolved)]));
+    }
+    if (d.cases?.total){
+      pdf.subheading(`Cases${fmt.shown(d.cases)}`);
+      pdf.table([{ label: 'Case', width: 110 }, { label: 'Client', width: 80 }, { label: 'Reason', width: 220 }, { label: 'Change', width: 105 }], d.cases.rows.map(k => [k.case_id, k.client_id, `${k.reason} (+${k.points})`, k.change]));
+    }
+    if (d.clients?.total){
+      pdf.subheading(`Clients${fmt.shown(d.clients)}`);
+      pdf.table([{ label: 'Client', width: 150 }, { label: 'Band', width: 100, color: row => BAND[row[1]] }, { label: 'Score', width: 80, align: 'right' }, { label: 'Change', width: 185 }], d.clients.rows.map(x => [x.client_id, x.band, String(x.score), x.change]));
+    }
+  }
+
+  // Methodology
+  const m = r.methodology;
+  pdf.heading('Methodology');
+  pdf.para(`Each client is scored by adding the points of every rule below that applies to it, over the ${fmt.window(r.lookback.start, r.lookback.end)} lookback period. The total sets the risk band: ${m.bands.map(b => `${b.band} ${b.rule}`).join(', ')} points. Rules are those of ruleset ${r.ruleset.id} version ${r.ruleset.version}${r.ruleset.effective_from ? `, effective ${r.ruleset.effective_from}` : ''} (ruleset.json in this pack).`);
+  pdf.table([
+    { label: 'Rule', width: 135 },
+    { label: 'Points', width: 40, align: 'right' },
+    { label: 'How it works', width: 295 },
+    { label: 'Clients', width: 45, align: 'right' }
+  ], m.rules.map(x => [`${x.text}\n${x.id} · ${x.family}`, String(x.points), x.description, fmt.num(x.clients)]), { size: 8 });
+  if (m.jurisdictions){
+    pdf.subheading('Jurisdiction ratings');
+    pdf.para(`Jurisdiction table version ${m.jurisdictions.version}, ratings in force between ${fmt.window(m.jurisdictions.window.from, m.jurisdictions.window.to)}.`, { size: 9 });
+    pdf.table([{ label: 'Tier', width: 200 }, { label: 'Countries', width: 315 }], m.jurisdictions.tiers.map(t => [t.label, t.countries.join(', ') || '—']));
+  }
+  if (m.watchlists){
+    pdf.subheading('Watchlists screened');
+    pdf.table([{ label: 'List', width: 215 }, { label: 'Category', width: 80 }, { label: 'Version', width: 150 }, { label: 'Entries', width: 70, align: 'right' }],
+      m.watchlists.map(w => [`${w.id} (${w.source})`, w.category, w.version || '—', fmt.num(w.entries)]));
+  }
+  if (m.fx) pdf.para(`Foreign-currency amounts are converted to ${m.fx.base} using the ${m.fx.source} rates${m.fx.currencies?.length ? ` (${m.fx.currencies.join(', ')})` : ''}, taking the latest rate on or before each transaction date.`, { size: 9 });
+
+  // Data quality
+  const q = r.quality;
+  pdf.heading('Data quality');
+  pdf.para(`${fmt.num(q.counts.rows ?? s.transactions)} transaction row(s) read, ${fmt.num(s.transactions)} accepted, ${fmt.num(q.rejects.total)} rejected and ${fmt.num(q.warnings_sample.total)} accepted with warnings. Validation found ${fmt.num(q.errors)} error(s) and ${fmt.num(q.warnings)} warning(s) ${r.privacy.mode === 'aggregate' ? '(no row-level detail in an aggregate pack)' : '(row-level detail in validation_report.csv)'}. Strict mode was ${q.strict?.enabled ? `on, allowing at most ${q.strict.max_errors} error(s)` : 'off'}.`);
+  if (q.issues.length) pdf.table([{ label: 'Issue', width: 435 }, { label: 'Rows', width: 80, align: 'right' }], q.issues.map(i => [i.code, fmt.num(i.rows)]));
+  if (q.columns.length){
+    pdf.subheading('Column mapping');
+    if (q.profile) pdf.para(`Mapping profile: ${q.profile.name} (${q.profile.id})`, { size: 9 });
+    pdf.table([{ label: 'File', width: 90 }, { label: 'Field', width: 140 }, { label: 'Column', width: 150 }, { label: 'Source', width: 135 }], q.columns.map(c => [c.file, c.field, c.column ?? '—', c.source]), { size: 8 });
+  }
+  for (const [title, list] of [['Rejected rows', q.rejects], ['Rows with warnings', q.warnings_sample]]){
+    if (!list.rows.length) continue;
+    pdf.subheading(`${title}${fmt.shown(list)}`);
+    pdf.table([{ label: 'Row', width: 50, align: 'right' }, { label: 'Reason', width: 465 }], list.rows.map(x => [String(x.row), x.reason]), { size: 8 });
+  }
+
+  if (r.reports){
+    pdf.subheading('Draft AUSTRAC reports');
+    pdf.para(`TTR drafts (cash of at least AUD ${fmt.num(r.reports.threshold_aud)}): ${r.reports.ttr.exported} exported of ${r.reports.ttr.drafts}. SMR drafts: ${r.reports.smr.exported} exported of ${r.reports.smr.drafts}. ${r.reports.issues ? `${r.reports.issues} missing required field(s): see reports/report_issues.csv. ` : ''}Drafts are under reports/ and need completing and review before lodgement.`);
+  }
+
+  // Pack integrity
+  pdf.heading('Pack integrity', { newPage: false });
+  pdf.para("SHA-256 of the pack's data files. manifest.json lists every file in the pack, including this report, with its hash and, when signing is configured, an Ed25519 signature; check a pack with npm run verify-pack or the /verify page.", { size: 9 });
+  pdf.table([{ label: 'File', width: 120 }, { label: 'Bytes', width: 60, align: 'right' }, { label: 'SHA-256', width: 335, mono: true }], r.files.map(f => [f.name, fmt.num(f.bytes), f.sha256]), { size: 8 });
+  pdf.para(`Ruleset SHA-256: ${r.ruleset.sha256}`, { size: 8 });
+
+  pdf.footers(`TrancheReady Evidence Report · ${r.ruleset.id} v${r.ruleset.version} · ${r.generated_utc}`);
+  doc.end();
+  return done;
+}
+
+// Flowing text and tables that break across pages (repeating table headers).
+class Writer {
+  constructor(doc){
+    this.doc = doc;
+    this.width = doc.page.width - MARGIN * 2;
+  }
+
+  get bottom(){ return this.doc.page.height - MARGIN - 14; }
+
+  ensure(h){
+    if (this.doc.y + h > this.bottom) this.doc.addPage();
+  }
+
+  heading(title, { newPage = true } = {}){
+    const doc = this.doc;
+    if (newPage && doc.y > MARGIN + 1) doc.addPage(); else { doc.moveDown(1); this.ensure(60); }
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(INK).text(clean(title), MARGIN, doc.y);
+    doc.moveTo(MARGIN, doc.y + 2).lineTo(MARGIN + this.width, doc.y + 2).lineWidth(1.5).strokeColor(LINE).stroke();
+    doc.moveDown(0.6);
+  }
+
+  subheading(title){
+    this.doc.moveDown(0.6);
+    this.ensure(50);
+    this.doc.font('Helvetica-Bold').fontSize(11).fillColor(INK).text(clean(title), MARGIN, this.doc.y, { width: this.width });
+    this.doc.moveDown(0.3);
+  }
+
+  para(text, { color = INK, size = 10 } = {}){
+    this.doc.font('Helvetica').fontSize(size).fillColor(color).text(clean(text), MARGIN, this.doc.y, { width: this.width });
+    this.doc.moveDown(0.4);
+  }
+
+  // columns: [{ label, width, align?, color?(row), bar?, mono? }]; widths add up to the page width
+  table(columns, rows, { size = 9 } = {}){
+    const doc = this.doc;
+    const pad = 4;
+    const font = c => c.mono ? 'Courier' : 'Helvetica';
+    const cells = row => columns.map((c, i) => c.bar ? '' : clean(row[i]));
+    const height = texts => Math.max(...columns.map((c, i) => {
+      doc.font(font(c)).fontSize(size);
+      return doc.heightOfString(texts[i] || ' ', { width: c.width - pad * 2 });
+    })) + pad * 2;
+
+    const header = () => {
+      const h = height(columns.map(c => c.label));
+      this.ensure(h + 20);
+      const y = doc.y;
+      doc.rect(MARGIN, y, this.width, h).fill(HEAD_BG);
+      let x = MARGIN;
+      for (const c of columns){
+        doc.font('Helvetica-Bold').fontSize(size).fillColor(INK).text(c.label, x + pad, y + pad, { width: c.width - pad * 2, align: c.align || 'left' });
+        x += c.width;
+      }
+      doc.y = y + h;
+    };
+
+    header();
+    for (const row of rows){
+      const texts = cells(row);
+      const h = height(texts);
+      if (doc.y + h > this.bottom){ doc.addPage(); header(); }
+      const y = doc.y;
+      let x = MARGIN;
+      columns.forEach((c, i) => {
+        if (c.bar){
+          const w = Math.max(1, (c.width - pad * 2) * Math.min(100, row[i]) / 100);
+          doc.rect(x + pad, y + pad + 2, w, 7).fill('#2455FF');
+        } else {
+          doc.font(font(c)).fontSize(size).fillColor(c.color?.(row) || INK).text(texts[i], x + pad, y + pad, { width: c.width - pad * 2, align: c.align || 'left' });
+        }
+        x += c.width;
+      });
+      doc.moveTo(MARGIN, y + h).lineTo(MARGIN + this.width, y + h).lineWidth(0.5).strokeColor(LINE).stroke();
+      doc.y = y + h;
+    }
+    doc.x = MARGIN;
+    doc.moveDown(0.6);
+  }
+
+  footers(text){
+    const doc = this.doc;
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++){
+      doc.switchToPage(i);
+      doc.page.margins.bottom = 0; // writing into the margin would otherwise start a new page
+      const y = doc.page.height - MARGIN + 8;
+      doc.font('Helvetica').fontSize(7).fillColor(MUTED);
+      doc.text(clean(text), MARGIN, y, { width: this.width - 60, lineBreak: false });
+      doc.text(`Page ${i + 1} of ${count}`, MARGIN + this.width - 60, y, { width: 60, align: 'right', lineBreak: false });
+    }
+  }
+}
+
+// The standard PDF fonts only cover WinAnsi; spell out the symbols the rule texts use.
+const REPLACE = { '≥': '>=', '≤': '<=', '→': '->', '←': '<-', '✓': 'yes' };
+function clean(v){
+  return String(v ?? '').replace(/[≥≤→←✓]/g, c => REPLACE[c]).replace(/[^\n\x20-\x7E\xA0-\xFF–—‘’“”•…€]/g, '?');
+}
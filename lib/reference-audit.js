@@ -0,0 +1,67 @@
+import { auditLog } from './audit.js';
+import { cfg } from './config.js';
+import { listRulesets, loadRuleset } from './ruleset.js';
+import { loadWatchlists } from './watchlists.js';
+
+// Rulesets and watchlists are files, picked up whenever they change on disk, so an edited weight,
+// threshold or list would otherwise change scores with no trace. Each check compares what loads
+// now with the sha256 last recorded (audit/reference-seen.json, outside the chains) and appends
+// ruleset.change / watchlist.change to the system chain with the old and new sha256; a file seen
+// for the first time has old_sha256 null, a removed one new_sha256 null. Rulesets that fail
+// validation are skipped until they load.
+
+const SEEN_KEY = 'reference-seen.json';
+let queue = Promise.resolve();
+
+// -> the audit entries appended (checks are serialised).
+export function auditReferenceChanges(log = null){
+  const next = queue.catch(() => {}).then(() => check(log));
+  queue = next;
+  return next;
+}
+
+// Check every everyMin minutes (and once now); log: pino-style (obj, msg), the server's logger.
+export function startReferenceWatch(everyMin = cfg.REFERENCE_CHECK_MIN, log = console){
+  const run = () => auditReferenceChanges(log).catch(e => log.error?.({ err: e }, 'ruleset/watchlist change check failed'));
+  run();
+  if (!everyMin) return null;
+  const timer = setInterval(run, everyMin * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+async function check(log){
+  const key = auditLog.prefix + SEEN_KEY;
+  const buf = await auditLog.storage.get(key);
+  const seen = buf ? JSON.parse(buf.toString('utf8')) : { rulesets: {}, watchlists: {} };
+
+  const rulesets = {};
+  for (const id of listRulesets()){
+    try {
+      const r = loadRuleset(id);
+      rulesets[id] = { version: r.version, sha256: r.sha256 };
+    } catch (e) {
+      log?.warn?.({ ruleset_id: id, err: e.message }, 'ruleset not loadable, change not audited');
+      if (seen.rulesets[id]) rulesets[id] = seen.rulesets[id];
+    }
+  }
+  const watchlists = {};
+  for (const l of (await loadWatchlists()).meta()) watchlists[l.id] = { version: l.version, sha256: l.sha256, entries: l.entries };
+
+  const appended = [];
+  for (const [id, before, now] of changes(seen.rulesets, rulesets)){
+    appended.push(await auditLog.append({ action: 'ruleset.change', actor: { type: 'system' }, target: { ruleset_id: id }, details: { old_version: before?.version ?? null, version: now?.version ?? null, old_sha256: before?.sha256 || null, new_sha256: now?.sha256 || null } }));
+  }
+  for (const [id, before, now] of changes(seen.watchlists, watchlists)){
+    appended.push(await auditLog.append({ action: 'watchlist.change', actor: { type: 'system' }, target: { watchlist_id: id }, details: { old_version: before?.version ?? null, version: now?.version ?? null, entries: now?.entries ?? null, old_sha256: before?.sha256 || null, new_sha256: now?.sha256 || null } }));
+  }
+  if (appended.length || !buf) await auditLog.storage.put(key, Buffer.from(JSON.stringify({ rulesets, watchlists })), { contentType: 'application/json' });
+  return appended;
+}
+
+// [id, before, now] for every id added, removed or with a different sha256.
+function changes(before, now){
+  return Array.from(new Set([...Object.keys(before), ...Object.keys(now)])).sort()
+    .filter(id => before[id]?.sha256 !== now[id]?.sha256)
+    .map(id => [id, before[id] || null, now[id] || null]);
+}
@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+
+import { XMLBuilder } from 'fast-xml-parser';
+
+import { cfg } from './config.js';
+import { parseFlag, issuesCsv } from './validation.js';
+
+// Draft AUSTRAC reports for an evidence pack (optional, see reportsRequested):
+//   TTR  one per cash transaction of at least TTR_THRESHOLD_AUD (either direction)
+//   SMR  one per case whose rule has an smr_category in the ruleset
+// Drafts are laid out after AUSTRAC's bulk-upload files (XML and CSV, one record per report)
+// but are not lodgeable as is: fields the upload doesn't hold (customer address, ID documents,
+// occupation) are listed in to_complete. Drafts missing a required field are left out of the
+// export and listed in reports/report_issues.csv instead.
+
+export const LAYOUT = 'trancheready-austrac-draft-1';
+
+const TTR_REQUIRED = ['reporting_entity_name', 'customer_name', 'customer_dob', 'tx_date', 'direction', 'amount', 'currency', 'amount_aud'];
+const SMR_REQUIRED = ['reporting_entity_name', 'customer_name', 'category', 'grounds'];
+const TTR_TO_COMPLETE = ['customer address', 'customer occupation', 'identification documents', 'branch where the transaction took place', 'person conducting the transaction (if not the customer)'];
+const SMR_TO_COMPLETE = ['customer address', 'identification documents', 'further grounds for suspicion', 'other parties involved'];
+
+const TTR_COLUMNS = ['draft_id', 'reporting_entity_name', 'reporting_entity_id', 'client_id', 'customer_name', 'customer_dob', 'customer_country',
+  'tx_id', 'tx_date', 'direction', 'amount', 'currency', 'amount_aud', 'method', 'counterparty_name', 'counterparty_country', 'matter_id', 'to_complete'];
+const SMR_COLUMNS = ['draft_id', 'case_id', 'reporting_entity_name', 'reporting_entity_id', 'client_id', 'customer_name', 'customer_dob', 'customer_country',
+  'category', 'grounds', 'rule_id', 'tx_count', 'tx_ids', 'total_amount_aud', 'window_start', 'window_end', 'watchlist_matches', 'to_complete'];
+
+// Upload field `reports` (true/false); REPORT_DRAFTS is the default.
+export function reportsRequested(body = {}){
+  const flag = parseFlag(body.reports);
+  return flag === null ? cfg.REPORT_DRAFTS : flag;
+}
+
+// Transactions the drafts need: TTR candidates and anything a case points at.
+export function reportTxFilter(cases, threshold = cfg.TTR_THRESHOLD_AUD){
+  const caseTx = new Set(cases.flatMap(c => c.tx_ids));
+  return t => isTtrCandidate(t, threshold) || caseTx.has(t.tx_id);
+}
+
+function isTtrCandidate(t, threshold){
+  return t.method === 'cash' && Number.isFinite(t.amount_aud) && t.amount_aud >= threshold;
+}
+
+// -> { ttr, smr, issues: [{ file, row, id, field, value, code, severity, message }], summary }
+export function buildReportDrafts({ clients, cases, txs, ruleset, entity = defaultEntity(), threshold = cfg.TTR_THRESHOLD_AUD }){
+  const clientById = new Map(clients.map(c => [c.client_id, c]));
+  const txById = new Map(txs.map(t => [t.tx_id, t]));
+  const rules = new Map(ruleset.rules.map(r => [r.id, r]));
+
+  const ttr = txs.filter(t => isTtrCandidate(t, threshold)).map(t => {
+    const c = clientById.get(t.client_id) || {};
+    return {
+      draft_id: draftId('TTR', t.client_id, t.tx_id),
+      ...entityFields(entity),
+      ...customerFields(c, t.client_id),
+      tx_id: t.tx_id,
+      tx_date: t.date,
+      direction: t.direction,
+      amount: t.amount,
+      currency: t.currency,
+      amount_aud: t.amount_aud,
+      method: t.method,
+      counterparty_name: t.counterparty_name,
+      counterparty_country: t.counterparty_country,
+      matter_id: t.matter_id,
+      to_complete: TTR_TO_COMPLETE
+    };
+  });
+
+  const smr = cases.filter(k => rules.get(k.type)?.smr_category).map(k => {
+    const c = clientById.get(k.client_id) || {};
+    return {
+      draft_id: draftId('SMR', k.case_id),
+      case_id: k.case_id,
+      ...entityFields(entity),
+      ...customerFields(c, k.client_id),
+      category: rules.get(k.type).smr_category,
+      grounds: grounds(k),
+      rule_id: k.type,
+      tx_count: k.tx_ids.length,
+      tx_ids: k.tx_ids,
+      total_amount_aud: k.total_amount,
+      window_start: k.window_start,
+      window_end: k.window_end,
+      watchlist_matches: (k.matches || []).map(m => `${m.name} (${m.list} ${m.entry_id}, score ${m.score})`),
+      transactions: k.tx_ids.map(id => txById.get(id)).filter(Boolean),
+      to_complete: SMR_TO_COMPLETE
+    };
+  });
+
+  const issues = [...check('ttr_drafts', ttr, TTR_REQUIRED), ...check('smr_drafts', smr, SMR_REQUIRED)];
+  const invalid = new Set(issues.map(i => i.id));
+  const summary = {
+    layout: LAYOUT,
+    threshold_aud: threshold,
+    ttr: { drafts: ttr.length, exported: ttr.filter(d => !invalid.has(d.draft_id)).length },
+    smr: { drafts: smr.length, exported: smr.filter(d => !invalid.has(d.draft_id)).length },
+    issues: issues.length
+  };
+  return { ttr: ttr.filter(d => !invalid.has(d.draft_id)), smr: smr.filter(d => !invalid.has(d.draft_id)), issues, summary };
+}
+
+// Pack files for the drafts (all under reports/).
+export function reportFiles({ ttr, smr, issues, summary }){
+  const generated = new Date().toISOString();
+  return {
+    'reports/ttr_drafts.xml': Buffer.from(toXml('ttrList', 'ttr', ttr.map(ttrXml), generated)),
+    'reports/ttr_drafts.csv': Buffer.from(toCsv(TTR_COLUMNS, ttr)),
+    'reports/smr_drafts.xml': Buffer.from(toXml('smrList', 'smr', smr.map(smrXml), generated)),
+    'reports/smr_drafts.csv': Buffer.from(toCsv(SMR_COLUMNS, smr)),
+    'reports/report_issues.csv': Buffer.from(issuesCsv(issues)),
+    'reports/summary.json': Buffer.from(JSON.stringify({ ...summary, generated_utc: generated }, null, 2))
+  };
+}
+
+function defaultEntity(){
+  return { name: cfg.REPORTING_ENTITY_NAME, id: cfg.REPORTING_ENTITY_ID };
+}
+
+function entityFields(entity){
+  return { reporting_entity_name: entity.name || null, reporting_entity_id: entity.id || null };
+}
+
+function customerFields(c, clientId){
+  return { client_id: clientId, customer_name: c.full_name || null, customer_dob: c.dob || null, customer_country: c.residency_country || null };
+}
+
+function grounds(k){
+  const parts = [k.reason];
+  if (k.count) parts.push(`${k.count} transaction(s) between ${k.window_start} and ${k.window_end} totalling AUD ${k.total_amount}`);
+  return parts.join('. ');
+}
+
+function check(file, drafts, required){
+  const out = [];
+  drafts.forEach((d, i) => {
+    for (const field of required){
+      if (d[field] == null || d[field] === '') {
+        out.push({ file, row: i + 1, id: d.draft_id, field, value: '', code: 'missing_value', severity: 'error', message: `${field} is required; draft not exported` });
+      }
+    }
+  });
+  return out;
+}
+
+function draftId(kind, ...parts){
+  return `${kind}-` + crypto.createHash('sha256').update(parts.join('|')).digest('hex').slice(0, 12);
+}
+
+// --------- XML ---------
+const builder = new XMLBuilder({ format: true, ignoreAttributes: false, attributeNamePrefix: '@_', suppressEmptyNode: true });
+
+function toXml(root, item, records, generated){
+  const body = builder.build({ [root]: { '@_layout': LAYOUT, '@_generated': generated, '@_status': 'draft', [item]: records } });
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + body;
+}
+
+function entityXml(d){
+  return { name: d.reporting_entity_name, id: d.reporting_entity_id ?? undefined };
+}
+
+function customerXml(d){
+  return { clientId: d.client_id, fullName: d.customer_name, dob: d.customer_dob ?? undefined, country: d.customer_country ?? undefined };
+}
+
+function txXml(t){
+  return {
+    txId: t.tx_id,
+    date: t.date ?? t.tx_date,
+    direction: t.direction,
+    amount: { '#text': t.amount, '@_currency': t.currency },
+    amountAud: t.amount_aud,
+    method: t.method,
+    counterparty: t.counterparty_name || t.counterparty_country ? { name: t.counterparty_name ?? undefined, country: t.counterparty_country ?? undefined } : undefined,
+    matterId: t.matter_id ?? undefined
+  };
+}
+
+function ttrXml(d){
+  return {
+    draftId: d.draft_id,
+    reportingEntity: entityXml(d),
+    customer: customerXml(d),
+    transaction: txXml(d),
+    toComplete: { field: d.to_complete }
+  };
+}
+
+function smrXml(d){
+  return {
+    draftId: d.draft_id,
+    caseId: d.case_id,
+    reportingEntity: entityXml(d),
+    subject: customerXml(d),
+    suspicion: { category: d.category, grounds: d.grounds, ruleId: d.rule_id },
+    transactions: d.transactions.length ? { transaction: d.transactions.map(txXml), '@_count': d.tx_count, '@_totalAud': d.total_amount_aud } : undefined,
+    watchlistMatches: d.watchlist_matches.length ? { match: d.watchlist_matches } : undefined,
+    toComplete: { field: d.to_complete }
+  };
+}
+
+// --------- CSV ---------
+function toCsv(columns, rows){
+  const cell = v => {
+    const s = v == null ? '' : Array.isArray(v) ? v.join('; ') : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [columns.join(','), ...rows.map(r => columns.map(c => cell(r[c])).join(','))].join('\r\n') + '\r\n';
+}
@@ -0,0 +1,245 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+import { z } from 'zod';
+import YAML from 'yaml';
+
+import { cfg } from './config.js';
+
+// Rulesets are JSON/YAML documents in cfg.RULESETS_DIR, named <id>.json|.yaml|.yml.
+// They are re-read when the file changes, so methodology edits need no deploy.
+
+const ID_RE = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+const EXTS = ['.json', '.yaml', '.yml'];
+
+export const OPS = [
+  'eq', 'ne', 'in', 'in_list', 'in_tier', 'contains',
+  'gt', 'gte', 'lt', 'lte', 'between', 'multiple_of',
+  'truthy', 'empty', 'older_than_days'
+];
+
+// The value each op takes (see evalCondition in detect.js). A value of the wrong shape would make
+// the rule silently never fire, so the ruleset is rejected instead.
+const num = z.number().finite();
+const OP_VALUES = {
+  eq: z.union([z.string(), num, z.boolean()]),
+  ne: z.union([z.string(), num, z.boolean()]),
+  in: z.array(z.union([z.string(), num])).min(1),
+  in_list: z.string().min(1),
+  in_tier: z.union([z.string().min(1), z.array(z.string().min(1)).min(1)]),
+  contains: z.string().min(1),
+  gt: num,
+  gte: num,
+  lt: num,
+  lte: num,
+  between: z.tuple([num, num]).refine(([min, max]) => min <= max, { message: 'between takes [min, max] with min <= max' }),
+  multiple_of: num.positive(),
+  truthy: z.undefined(),
+  empty: z.undefined(),
+  older_than_days: z.number().int().min(0)
+};
+
+const Condition = z.lazy(() => z.union([
+  z.object({ all: z.array(Condition).min(1) }).strict(),
+  z.object({ any: z.array(Condition).min(1) }).strict(),
+  z.object({ not: Condition }).strict(),
+  z.object({
+    field: z.string().min(1),
+    op: z.enum(OPS),
+    value: z.unknown().optional()
+  }).strict().superRefine((c, ctx) => {
+    const check = OP_VALUES[c.op].safeParse(c.value);
+    if (check.success) return;
+    const expected = c.value === undefined ? 'needs a value' : ['truthy', 'empty'].includes(c.op) ? 'takes no value' : `has an invalid value (${check.error.issues[0].message})`;
+    ctx.addIssue({ code: 'custom', path: ['value'], message: `${c.op} on ${c.field} ${expected}` });
+  })
+]));
+
+// smr_category: cases of the rule get a draft SMR with this category (see reports.js)
+// description: plain-English methodology text for the report (generated when absent, see methodology.js)
+const RuleBase = {
+  id: z.string().regex(/^[a-z0-9_]+$/),
+  text: z.string().min(1),
+  description: z.string().min(1).optional(),
+  points: z.number().finite(),
+  smr_category: z.string().min(1).optional()
+};
+
+const ProfileRule = z.object({
+  ...RuleBase,
+  family: z.literal('profile'),
+  when: Condition
+}).strict();
+
+// How a behavioural rule fires on a client's matching transactions (see detect.js):
+//   window               >= min_count within `days`
+//   count                >= min_count, at least one satisfying `any`
+//   in_out               inflow followed within `days` by an outflow of min_ratio..1/min_ratio of it
+//   spike                total over `days` >= factor x the client's average over the prior baseline_days
+//   distinct             >= min_distinct different values of `field` within `days`
+//   third_party          inflows to a matter from someone other than the client or a party it paid on it
+//   shared_counterparty  counterparty also used by matching transactions of >= min_clients clients
+const Trigger = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('window'),
+    days: z.number().int().min(0),
+    min_count: z.number().int().min(1)
+  }).strict(),
+  z.object({
+    type: z.literal('count'),
+    min_count: z.number().int().min(1),
+    any: Condition.optional()
+  }).strict(),
+  z.object({
+    type: z.literal('in_out'),
+    days: z.number().int().min(0),
+    min_ratio: z.number().gt(0).max(1),
+    min_count: z.number().int().min(1).default(1)
+  }).strict(),
+  z.object({
+    type: z.literal('spike'),
+    days: z.number().int().min(1),
+    baseline_days: z.number().int().min(1),
+    factor: z.number().gt(1),
+    min_total: z.number().min(0).default(0)
+  }).strict(),
+  z.object({
+    type: z.literal('distinct'),
+    field: z.string().min(1),
+    days: z.number().int().min(0),
+    min_distinct: z.number().int().min(2)
+  }).strict(),
+  z.object({
+    type: z.literal('third_party'),
+    min_count: z.number().int().min(1).default(1)
+  }).strict(),
+  z.object({
+    type: z.literal('shared_counterparty'),
+    min_clients: z.number().int().min(2)
+  }).strict()
+]);
+
+const BehaviourRule = z.object({
+  ...RuleBase,
+  family: z.literal('behaviour'),
+  match: Condition,
+  trigger: Trigger
+}).strict();
+
+// Watchlist screening (see screening.js): fires when the best match of the category for the
+// client (full_name, dob, residency_country) or for a counterparty of one of its transactions
+// (counterparty_name, counterparty_country) scores in [min_score, max_score).
+const ScreeningRule = z.object({
+  ...RuleBase,
+  family: z.literal('screening'),
+  screen: z.object({
+    subject: z.enum(['client', 'counterparty']),
+    category: z.enum(['sanctions', 'pep']),
+    min_score: z.number().min(0).max(1),
+    max_score: z.number().min(0).max(1).optional()
+  }).strict().refine(s => s.max_score == null || s.max_score > s.min_score, { message: 'max_score must be above min_score' })
+}).strict();
+
+export const RulesetSchema = z.object({
+  id: z.string().regex(ID_RE),
+  version: z.number().int().min(1),
+  title: z.string().optional(),
+  effective_from: z.string().optional(),
+  lookback_months: z.number().int().min(1).max(120),
+  lists: z.record(z.array(z.string())).default({}),
+  bands: z.array(z.object({ band: z.string().min(1), min: z.number() }).strict()).min(1),
+  rules: z.array(z.union([ProfileRule, BehaviourRule, ScreeningRule])).min(1)
+}).strict().superRefine((doc, ctx) => {
+  const ids = new Set();
+  doc.rules.forEach((r, i) => {
+    if (ids.has(r.id)) ctx.addIssue({ code: 'custom', path: ['rules', i, 'id'], message: `Duplicate rule id ${r.id}` });
+    ids.add(r.id);
+  });
+  for (const name of listRefs(doc.rules)){
+    if (!doc.lists[name]) ctx.addIssue({ code: 'custom', path: ['lists'], message: `Unknown list ${name}` });
+  }
+  if (!doc.bands.some(b => b.min <= 0)) ctx.addIssue({ code: 'custom', path: ['bands'], message: 'Bands must include a floor band with min <= 0' });
+});
+
+export class RulesetError extends Error {
+  constructor(message, code, issues){
+    super(message);
+    this.name = 'RulesetError';
+    this.code = code;
+    this.issues = issues;
+  }
+}
+
+const cache = new Map(); // id -> { mtimeMs, file, ruleset }
+
+export function listRulesets(){
+  if (!fs.existsSync(cfg.RULESETS_DIR)) return [];
+  return fs.readdirSync(cfg.RULESETS_DIR)
+    .filter(f => EXTS.includes(path.extname(f)))
+    .map(f => path.basename(f, path.extname(f)))
+    .filter(id => ID_RE.test(id))
+    .sort();
+}
+
+export function loadRuleset(id = cfg.RULESET_ID){
+  if (!ID_RE.test(String(id))) throw new RulesetError(`Invalid ruleset id: ${id}`, 'RULESET_NOT_FOUND');
+  const file = EXTS.map(ext => path.join(cfg.RULESETS_DIR, id + ext)).find(f => fs.existsSync(f));
+  if (!file) throw new RulesetError(`Unknown ruleset: ${id}`, 'RULESET_NOT_FOUND');
+
+  const { mtimeMs } = fs.statSync(file);
+  const hit = cache.get(id);
+  if (hit && hit.file === file && hit.mtimeMs === mtimeMs) return hit.ruleset;
+
+  const text = fs.readFileSync(file, 'utf8');
+  let raw;
+  try {
+    raw = path.extname(file) === '.json' ? JSON.parse(text) : YAML.parse(text);
+  } catch (e) {
+    throw new RulesetError(`Ruleset ${id} is not valid ${path.extname(file).slice(1)}: ${e.message}`, 'RULESET_INVALID');
+  }
+
+  const ruleset = parseRuleset(raw);
+  if (ruleset.id !== id) throw new RulesetError(`Ruleset file ${id} declares id ${ruleset.id}`, 'RULESET_INVALID');
+  cache.set(id, { mtimeMs, file, ruleset });
+  return ruleset;
+}
+
+// Validate a ruleset document and attach its canonical bytes + hash (non-enumerable,
+// so they never leak into the document itself).
+export function parseRuleset(raw){
+  const parsed = RulesetSchema.safeParse(raw);
+  if (!parsed.success) throw new RulesetError('Ruleset failed validation', 'RULESET_INVALID', parsed.error.issues);
+  const doc = parsed.data;
+  const bytes = Buffer.from(canonicalJson(doc));
+  Object.defineProperty(doc, 'bytes', { value: bytes });
+  Object.defineProperty(doc, 'sha256', { value: crypto.createHash('sha256').update(bytes).digest('hex') });
+  return doc;
+}
+
+// Stable serialisation (sorted object keys) so the hash identifies the methodology,
+// not the formatting of the source file.
+export function canonicalJson(value){
+  return JSON.stringify(sortKeys(value), null, 2) + '\n';
+}
+
+function sortKeys(v){
+  if (Array.isArray(v)) return v.map(sortKeys);
+  if (v && typeof v === 'object') {
+    return Object.fromEntries(Object.keys(v).sort().map(k => [k, sortKeys(v[k])]));
+  }
+  return v;
+}
+
+function listRefs(rules){
+  const out = new Set();
+  const walk = c => {
+    if (!c) return;
+    if (c.all) c.all.forEach(walk);
+    else if (c.any) c.any.forEach(walk);
+    else if (c.not) walk(c.not);
+    else if (c.op === 'in_list') out.add(String(c.value));
+  };
+  for (const r of rules){ walk(r.when); walk(r.match); walk(r.trigger?.any); }
+  return out;
+}
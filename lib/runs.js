@@ -0,0 +1,239 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+
+import { privacyKeys, Pseudonymiser } from './privacy.js';
+import { createStorage } from './storage/index.js';
+import { readZipEntries } from './unzip.js';
+import { verifyStore } from './verify-store.js';
+
+// Run history: every stored pack leaves a run record, so later runs can be compared with it
+// (ongoing monitoring), one set per organisation:
+//   runs/<org_id>/<run_id>.json    { run_id, org_id, created_utc, created_by, pack_token, ruleset_*,
+//                                    lookback, bands, inputs, counts, compared_to, privacy, scores, cases }
+//   runs/<org_id>/index.json       one summary row per run, newest first
+// scores keep each client's band and reasons (rule_id, family, text, points, case_id); cases keep
+// the stored case id (see case-store.js), the id detected in the run and the transactions.
+// The data itself (clients, transactions) stays in the run's evidence pack, see runPackData.
+
+const RUN_ID_RE = /^run_[a-f0-9]{16}$/;
+const ORG_ID_RE = /^org_[a-f0-9]{16}$/;
+
+export class RunStore {
+  constructor(storage, prefix){
+    this.storage = storage;
+    this.prefix = prefix;
+    this.queue = Promise.resolve();
+  }
+
+  async list(){
+    return (await this.getJson(this.key('index'))) || [];
+  }
+
+  async get(id){
+    return RUN_ID_RE.test(String(id)) ? this.getJson(this.key(id)) : null;
+  }
+
+  async latest(){
+    const [first] = await this.list();
+    return first ? this.get(first.run_id) : null;
+  }
+
+  // Store a run record (see runRecord) under a new id; returns it.
+  save(record){
+    return this.exclusive(async () => {
+      const run = { run_id: `run_${crypto.randomBytes(8).toString('hex')}`, ...record };
+      await this.storage.put(this.key(run.run_id), Buffer.from(JSON.stringify(run)), { contentType: 'application/json' });
+      const index = await this.list();
+      index.unshift(summary(run));
+      await this.storage.put(this.key('index'), Buffer.from(JSON.stringify(index)), { contentType: 'application/json' });
+      return run;
+    });
+  }
+
+  key(name){ return `${this.prefix}${name}.json`; }
+
+  async getJson(k){
+    const buf = await this.storage.get(k);
+    return buf ? JSON.parse(buf.toString('utf8')) : null;
+  }
+
+  // Read-modify-write of the index is serialised.
+  exclusive(fn){
+    const next = this.queue.catch(() => {}).then(fn);
+    this.queue = next;
+    return next;
+  }
+}
+
+// The record of one stored pack. snapshot: runSnapshot() from the job; caseIds maps detected
+// case ids to the stored cases they were recorded as (case-store.js sync).
+export function runRecord(snapshot, { org_id, created_by, pack_token, caseIds = {} }){
+  const stored = (id) => caseIds[id] || id;
+  return {
+    org_id,
+    created_utc: new Date().toISOString(),
+    created_by: created_by || null,
+    pack_token,
+    ...snapshot,
+    scores: snapshot.scores.map(s => ({ ...s, reasons: s.reasons.map(r => r.case_id ? { ...r, case_id: stored(r.case_id) } : r) })),
+    cases: snapshot.cases.map(k => ({ ...k, case_id: stored(k.case_id), detected_case_id: k.case_id }))
+  };
+}
+
+// What a run keeps of the scoring, taken in the job (before the pack is stored).
+// inputs: { clients, transactions, fx_rates? }: { name, bytes, sha256 } (see fileDigest).
+export function runSnapshot({ rulesMeta, ruleset, scores, cases, counts, inputs, comparedTo = null }){
+  return {
+    ruleset_id: rulesMeta.ruleset_id,
+    ruleset_version: rulesMeta.ruleset_version,
+    ruleset_sha256: rulesMeta.ruleset_sha256,
+    lookback: rulesMeta.lookback,
+    bands: ruleset.bands.slice().sort((a, b) => b.min - a.min).map(b => b.band),
+    inputs,
+    counts: { clients: scores.length, transactions: counts.txs ?? null, cases: cases.length },
+    compared_to: comparedTo,
+    privacy: rulesMeta.privacy || { mode: 'full' },
+    scores: scores.map(s => ({
+      client_id: s.client_id,
+      score: s.score,
+      band: s.band,
+      reasons: s.reasons.map(r => ({ rule_id: r.rule_id, family: r.family, text: r.text, points: r.points, ...(r.case_id ? { case_id: r.case_id } : {}) }))
+    })),
+    cases: cases.map(k => ({ case_id: k.case_id, type: k.type, client_id: k.client_id, reason: k.reason, points: k.points, tx_ids: k.tx_ids }))
+  };
+}
+
+// What changed from run a to run b (a is the earlier one): band changes, reasons per client that
+// are new or no longer apply, new and no-longer-detected cases, clients appearing and disappearing.
+// Cases are the same when they have the same id, or the same rule and client and share a
+// transaction (how case-store.js matches re-runs), so a run still being packed compares too.
+export function diffRuns(a, b){
+  const before = new Map(a.scores.map(s => [s.client_id, s]));
+  const after = new Map(b.scores.map(s => [s.client_id, s]));
+  const rank = (band) => { const i = b.bands.indexOf(band); return i < 0 ? b.bands.length : i; };
+
+  const band_changes = [];
+  const reasons = [];
+  for (const s of b.scores){
+    const p = before.get(s.client_id);
+    if (!p) continue;
+    if (p.band !== s.band){
+      band_changes.push({ client_id: s.client_id, from_band: p.band, to_band: s.band, from_score: p.score, to_score: s.score, direction: rank(s.band) < rank(p.band) ? 'up' : 'down' });
+    }
+    const had = new Set(p.reasons.map(r => r.rule_id));
+    const has = new Set(s.reasons.map(r => r.rule_id));
+    const added = s.reasons.filter(r => !had.has(r.rule_id)).map(reasonRef);
+    const resolved = p.reasons.filter(r => !has.has(r.rule_id)).map(reasonRef);
+    if (added.length || resolved.length) reasons.push({ client_id: s.client_id, new: added, resolved });
+  }
+  band_changes.sort((x, y) => (x.direction === y.direction ? 0 : x.direction === 'up' ? -1 : 1) || x.client_id.localeCompare(y.client_id));
+
+  const new_clients = b.scores.filter(s => !before.has(s.client_id)).map(clientRef);
+  const removed_clients = a.scores.filter(s => !after.has(s.client_id)).map(clientRef);
+  const new_cases = b.cases.filter(k => !a.cases.some(p => sameCase(p, k))).map(caseRef);
+  const resolved_cases = a.cases.filter(p => !b.cases.some(k => sameCase(p, k))).map(caseRef);
+
+  return {
+    from: runRef(a),
+    to: runRef(b),
+    ruleset_changed: a.ruleset_sha256 !== b.ruleset_sha256,
+    summary: {
+      clients_before: a.scores.length,
+      clients_after: b.scores.length,
+      band_changes: band_changes.length,
+      moved_up: band_changes.filter(c => c.direction === 'up').length,
+      moved_down: band_changes.filter(c => c.direction === 'down').length,
+      new_reasons: reasons.reduce((n, r) => n + r.new.length, 0),
+      resolved_reasons: reasons.reduce((n, r) => n + r.resolved.length, 0),
+      new_cases: new_cases.length,
+      resolved_cases: resolved_cases.length,
+      new_clients: new_clients.length,
+      removed_clients: removed_clients.length
+    },
+    band_changes,
+    reasons,
+    new_cases,
+    resolved_cases,
+    new_clients,
+    removed_clients
+  };
+}
+
+// The normalised clients and transactions of a run, read back from its evidence pack; null once
+// the pack has expired, and for aggregate packs (which have none). A pseudonymised pack's client
+// ids, and the ids of the run's case transactions, are mapped back with the organisation's key;
+// names and the other ids stay tokens (pseudonymised: true).
+export async function runPackData(run){
+  const mode = run.privacy?.mode || 'full';
+  if (mode === 'aggregate') return null;
+  const pack = await verifyStore.get(run.pack_token);
+  if (!pack) return null;
+  const entries = readZipEntries(pack.zipBuffer);
+  const read = (name) => JSON.parse(entries.get(name)?.toString('utf8') ?? 'null');
+  const clients = read('clients.json');
+  const txs = read('transactions.json');
+  if (!clients || !txs) return null;
+  if (mode === 'full') return { clients, txs };
+  const key = await privacyKeys.find(run.org_id, run.privacy.key_id);
+  if (!key) return null;
+  const pseudo = new Pseudonymiser(key);
+  const ids = new Map(run.scores.map(s => [pseudo.token('client', s.client_id), s.client_id]));
+  const txIds = new Map(run.cases.flatMap(k => k.tx_ids).map(id => [pseudo.token('tx', id), id]));
+  return {
+    pseudonymised: true,
+    clients: clients.map(c => ({ ...c, client_id: ids.get(c.client_id) ?? c.client_id })),
+    txs: txs.map(t => ({ ...t, tx_id: txIds.get(t.tx_id) ?? t.tx_id, client_id: ids.get(t.client_id) ?? t.client_id }))
+  };
+}
+
+// { name, bytes, sha256 } of an input file, streamed.
+export async function fileDigest(file, name = null){
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+  await pipeline(fs.createReadStream(file), async function* (src){
+    for await (const chunk of src){ hash.update(chunk); bytes += chunk.length; }
+  });
+  return { name, bytes, sha256: hash.digest('hex') };
+}
+
+function sameCase(p, k){
+  if ([p.case_id, p.detected_case_id].includes(k.case_id)) return true;
+  if (p.type !== k.type || p.client_id !== k.client_id) return false;
+  if (!p.tx_ids.length && !k.tx_ids.length) return true;
+  return k.tx_ids.some(id => p.tx_ids.includes(id));
+}
+
+function runRef(r){
+  return { run_id: r.run_id || null, created_utc: r.created_utc || null, ruleset_id: r.ruleset_id, ruleset_version: r.ruleset_version, lookback: r.lookback, inputs: r.inputs };
+}
+function reasonRef(r){ return { rule_id: r.rule_id, text: r.text, points: r.points }; }
+function clientRef(s){ return { client_id: s.client_id, score: s.score, band: s.band }; }
+function caseRef(k){ return { case_id: k.case_id, type: k.type, client_id: k.client_id, reason: k.reason, points: k.points }; }
+
+function summary(run){
+  return {
+    run_id: run.run_id,
+    created_utc: run.created_utc,
+    created_by: run.created_by,
+    pack_token: run.pack_token,
+    ruleset_id: run.ruleset_id,
+    ruleset_version: run.ruleset_version,
+    lookback: run.lookback,
+    inputs: run.inputs,
+    counts: run.counts,
+    bands: Object.fromEntries(run.bands.map(band => [band, run.scores.filter(s => s.band === band).length])),
+    compared_to: run.compared_to,
+    privacy: run.privacy?.mode || 'full'
+  };
+}
+
+const storage = createStorage();
+const stores = new Map();
+
+// The run history of one organisation.
+export function orgRuns(orgId){
+  if (!ORG_ID_RE.test(String(orgId))) throw new Error(`Invalid organisation id: ${orgId}`);
+  if (!stores.has(orgId)) stores.set(orgId, new RunStore(storage, `runs/${orgId}/`));
+  return stores.get(orgId);
+}
@@ -0,0 +1,181 @@
+import { parseDob } from './watchlists.js';
+
+// Fuzzy name screening against loaded watchlists (see watchlists.js). Names are compared
+// token by token (order-insensitive, Jaro-Winkler per token), then adjusted by date of
+// birth and country where both sides have them. Scores are 0..1; which scores count as a
+// match is up to the ruleset's screening rules (min_score / max_score).
+
+const NOISE = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'sir', 'hon', 'the', 'and', 'of',
+  'ltd', 'limited', 'pty', 'inc', 'llc', 'plc', 'co', 'corp', 'corporation', 'company', 'gmbh', 'sa', 'ag', 'bv']);
+const PARTICLES = new Set(['al', 'el', 'bin', 'ibn', 'abu', 'bint', 'van', 'von', 'der', 'den', 'de', 'da', 'di', 'la', 'le']);
+const CACHE_MAX = 50000;
+
+export class Screener {
+  constructor(watchlists){
+    this.lists = watchlists.lists;
+    this.names = [];        // { tokens, keys, text, entry, list }
+    this.byKey = new Map(); // phonetic key -> name indexes
+    for (const list of this.lists){
+      for (const entry of list.entries){
+        for (const text of [entry.name, ...entry.aliases]){
+          const tokens = nameTokens(text);
+          if (!tokens.length) continue;
+          const keys = blockingKeys(tokens);
+          const i = this.names.push({ tokens, keys, text, entry, list }) - 1;
+          for (const k of keys){
+            if (!this.byKey.has(k)) this.byKey.set(k, []);
+            this.byKey.get(k).push(i);
+          }
+        }
+      }
+    }
+    this.cache = new Map();
+  }
+
+  get empty(){ return this.names.length === 0; }
+
+  // Best-scoring entry of a category for a name, or null.
+  // subject: { name, dob?, country? } (country as alpha-2)
+  best(subject, category){
+    const key = `${category}|${subject.name}|${subject.dob || ''}|${subject.country || ''}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+    const hit = this.screen(subject, category)[0] || null;
+    if (this.cache.size >= CACHE_MAX) this.cache.clear();
+    this.cache.set(key, hit);
+    return hit;
+  }
+
+  // All candidate entries of a category, best first (one result per entry).
+  screen({ name, dob, country }, category){
+    const tokens = nameTokens(name);
+    if (!tokens.length || tokens.join('').length < 3) return [];
+    const keys = blockingKeys(tokens);
+    const shared = new Map(); // name index -> distinct shared keys
+    for (const k of keys) for (const i of this.byKey.get(k) || []) shared.set(i, (shared.get(i) || 0) + 1);
+
+    const dobParsed = dob ? parseDob(dob) : null;
+    const byEntry = new Map();
+    for (const [i, n] of shared){
+      const cand = this.names[i];
+      if (cand.entry.category !== category) continue;
+      if (n < Math.min(2, keys.length, cand.keys.length)) continue;
+      const nameScore = scoreNames(tokens, cand.tokens);
+      if (nameScore < 0.7) continue;
+      const m = adjust(nameScore, cand.entry, dobParsed, country);
+      const prev = byEntry.get(cand.entry);
+      if (!prev || m.score > prev.score) byEntry.set(cand.entry, { ...m, name_score: round(nameScore), matched_name: cand.text, entry: cand.entry, list: cand.list });
+    }
+    return Array.from(byEntry.values()).sort((a, b) => b.score - a.score);
+  }
+}
+
+// What findings, cases and the API show for a match.
+export function matchView(m){
+  return {
+    list: m.list.id,
+    list_version: m.list.version,
+    source: m.list.source,
+    category: m.entry.category,
+    entry_id: m.entry.uid,
+    name: m.entry.name,
+    matched_name: m.matched_name,
+    type: m.entry.type,
+    programs: m.entry.programs,
+    score: m.score,
+    name_score: m.name_score,
+    dob: m.dob,
+    country: m.country
+  };
+}
+
+export function nameTokens(s){
+  return (s ?? '').toString().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/['’`]/g, '').split(/[^a-z0-9]+/).filter(t => t && !NOISE.has(t));
+}
+
+function blockingKeys(tokens){
+  return Array.from(new Set(tokens.filter(t => t.length >= 3 && !PARTICLES.has(t)).map(soundex)));
+}
+
+// Shorter name's tokens paired greedily with the longer name's; missing tokens cost a little,
+// a single-token name against a longer one costs more.
+function scoreNames(a, b){
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+  const pairs = [];
+  for (let i = 0; i < short.length; i++) for (let j = 0; j < long.length; j++) pairs.push([tokenSim(short[i], long[j]), i, j]);
+  pairs.sort((x, y) => y[0] - x[0]);
+  const usedS = new Set(), usedL = new Set();
+  let sum = 0;
+  for (const [s, i, j] of pairs){
+    if (usedS.has(i) || usedL.has(j)) continue;
+    usedS.add(i); usedL.add(j); sum += s;
+  }
+  const avg = sum / short.length;
+  const factor = short.length === 1 && long.length > 1 ? 0.75 : 0.9 + 0.1 * (short.length / long.length);
+  // "Abdulrahman" vs "Abdul Rahman"
+  const joined = jaroWinkler(a.join(''), b.join(''));
+  return Math.max(avg * factor, a.length !== b.length ? joined * 0.95 : 0);
+}
+
+function tokenSim(x, y){
+  if (x === y) return 1;
+  if (x.length === 1 || y.length === 1) return x[0] === y[0] ? 0.9 : 0; // initials
+  return jaroWinkler(x, y);
+}
+
+// DOB: same date +0.05, same year (or within a listed range) +0.02, otherwise -0.15.
+// Country: listed +0.03, not listed -0.03. Only when both sides have a value.
+function adjust(nameScore, entry, dob, country){
+  let score = nameScore;
+  let dobResult = null, countryResult = null;
+  if (dob && entry.dob.length){
+    if (dob.date && entry.dob.some(d => d.date === dob.date)){ dobResult = 'match'; score += 0.05; }
+    else if (entry.dob.some(d => dob.from <= d.to + 1 && dob.to >= d.from - 1)){ dobResult = 'year'; score += 0.02; }
+    else { dobResult = 'mismatch'; score -= 0.15; }
+  }
+  if (country && entry.countries.length){
+    if (entry.countries.includes(country)){ countryResult = 'match'; score += 0.03; }
+    else { countryResult = 'mismatch'; score -= 0.03; }
+  }
+  return { score: round(Math.max(0, Math.min(1, score))), dob: dobResult, country: countryResult };
+}
+
+function round(x){ return Math.round(x * 1000) / 1000; }
+
+export function jaroWinkler(a, b){
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const am = new Array(a.length).fill(false), bm = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i++){
+    for (let j = Math.max(0, i - range); j < Math.min(b.length, i + range + 1); j++){
+      if (bm[j] || a[i] !== b[j]) continue;
+      am[i] = bm[j] = true; matches++; break;
+    }
+  }
+  if (!matches) return 0;
+  let t = 0, k = 0;
+  for (let i = 0; i < a.length; i++){
+    if (!am[i]) continue;
+    while (!bm[k]) k++;
+    if (a[i] !== b[k]) t++;
+    k++;
+  }
+  const jaro = (matches / a.length + matches / b.length + (matches - t / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+const SOUNDEX = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+function soundex(t){
+  if (/\d/.test(t)) return t;
+  let out = t[0], last = SOUNDEX[t[0]] || 0;
+  for (let i = 1; i < t.length && out.length < 4; i++){
+    const c = SOUNDEX[t[i]] || 0;
+    if (c && c !== last) out += c;
+    if (t[i] !== 'h' && t[i] !== 'w') last = c;
+  }
+  return out.padEnd(4, '0');
+}
@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+
+import { cfg } from './config.js';
+import { createStorage } from './storage/index.js';
+
+// Login sessions behind an HttpOnly cookie. Only the SHA-256 of the cookie value is stored:
+//   sessions/<sha256>.json    { user_id, org_id, created_utc, expires_utc, ip, user_agent }
+// A session is also void once its user's sessions_valid_after has passed its creation
+// (password change, user disabled), checked by the auth middleware.
+
+export const SESSION_COOKIE = 'tr_session';
+const TOKEN_RE = /^[A-Za-z0-9_-]{43}$/;
+
+export class SessionStore {
+  constructor(storage){ this.storage = storage; }
+
+  async create(user, { ip = null, userAgent = null } = {}, ttlHours = cfg.SESSION_TTL_HOURS){
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const session = {
+      user_id: user.id,
+      org_id: user.org_id,
+      created_utc: new Date(now).toISOString(),
+      expires_utc: new Date(now + ttlHours * 3600 * 1000).toISOString(),
+      ip,
+      user_agent: userAgent ? String(userAgent).slice(0, 300) : null
+    };
+    await this.storage.put(key(token), Buffer.from(JSON.stringify(session)), { contentType: 'application/json' });
+    return { token, session };
+  }
+
+  // null if unknown or expired (expired sessions are deleted on sight)
+  async get(token){
+    if (!TOKEN_RE.test(String(token))) return null;
+    const buf = await this.storage.get(key(token));
+    if (!buf) return null;
+    const session = JSON.parse(buf.toString('utf8'));
+    if (Date.now() > Date.parse(session.expires_utc)){ await this.destroy(token); return null; }
+    return session;
+  }
+
+  async destroy(token){
+    if (TOKEN_RE.test(String(token))) await this.storage.delete(key(token));
+  }
+}
+
+// Cookie header for a new session (or an expired one, to clear it).
+export function sessionCookie(token, { clear = false } = {}){
+  const parts = [`${SESSION_COOKIE}=${clear ? '' : token}`, 'Path=/', 'HttpOnly', 'SameSite=Lax'];
+  parts.push(clear ? 'Max-Age=0' : `Max-Age=${cfg.SESSION_TTL_HOURS * 3600}`);
+  if (cfg.COOKIE_SECURE) parts.push('Secure');
+  return parts.join('; ');
+}
+
+export function readCookie(header, name){
+  for (const part of String(header || '').split(';')){
+    const i = part.indexOf('=');
+    if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+
+function key(token){ return `sessions/${crypto.createHash('sha256').update(token).digest('hex')}.json`; }
+
+export const sessionStore = new SessionStore(createStorage());
@@ -0,0 +1,151 @@
+import YAML from 'yaml';
+
+import { lookbackFrom } from './csv-normalize.js';
+import { buildCases } from './cases.js';
+import { canonicalJson, loadRuleset, parseRuleset, RulesetError } from './ruleset.js';
+import { scoreAll } from './rules.js';
+import { diffRuns, runPackData, runSnapshot } from './runs.js';
+import { loadWatchlists } from './watchlists.js';
+
+// Rule back-testing: score one dataset under the current ruleset and a candidate side by side,
+// to see what a change of weights, thresholds or bands would do before it is made. Nothing is
+// stored and no pack is built. The dataset is an upload (see pipeline.js runSimulation) or the
+// data of a stored run, read back from its evidence pack.
+
+export class SimulationError extends Error {
+  constructor(message, code = 'SIMULATION_INVALID'){
+    super(message);
+    this.name = 'SimulationError';
+    this.code = code;
+  }
+}
+
+// The candidate ruleset, from one of:
+//   ruleset_id   an installed ruleset (e.g. a draft next version)
+//   document     a whole ruleset document, JSON or YAML (text or object)
+//   overrides    changes on top of the baseline: { lookback_months?, bands?, lists?,
+//                rules?: { <rule_id>: { ...fields } | null } }; null drops the rule, fields of an
+//                unknown rule id (with family etc.) add one
+// The candidate must pass the same validation as an installed ruleset.
+export function candidateRuleset(baseline, { ruleset_id, document, overrides } = {}){
+  if ([ruleset_id, document, overrides].filter(v => v != null && v !== '').length !== 1){
+    throw new SimulationError('Give exactly one of candidate_ruleset, candidate or overrides');
+  }
+  if (ruleset_id) return loadRuleset(ruleset_id);
+  if (document != null) return parseRuleset(parseDoc(document, 'candidate'));
+
+  const o = parseDoc(overrides, 'overrides');
+  if (!o || typeof o !== 'object' || Array.isArray(o)) throw new SimulationError('overrides must be an object');
+  const doc = JSON.parse(baseline.bytes.toString('utf8'));
+  for (const k of ['lookback_months', 'bands', 'lists', 'title']) if (o[k] !== undefined) doc[k] = o[k];
+  for (const [id, patch] of Object.entries(o.rules || {})){
+    const i = doc.rules.findIndex(r => r.id === id);
+    if (patch === null){
+      if (i < 0) throw new RulesetError(`overrides remove unknown rule ${id}`, 'RULESET_INVALID');
+      doc.rules.splice(i, 1);
+    } else if (i < 0) {
+      doc.rules.push({ id, ...patch });
+    } else {
+      doc.rules[i] = { ...doc.rules[i], ...patch, id };
+    }
+  }
+  return parseRuleset(doc);
+}
+
+// clients and txs (an array of normalised transactions or a TxSpool) scored under both rulesets,
+// each with its own lookback up to latest (the last transaction date).
+export async function simulate({ clients, txs, latest, baseline, candidate, jurisdictions }){
+  const screens = [baseline, candidate].some(rs => rs.rules.some(x => x.family === 'screening'));
+  const watchlists = screens ? await loadWatchlists() : null;
+  const runs = [];
+  for (const ruleset of [baseline, candidate]){
+    const lookback = lookbackFrom(latest, ruleset.lookback_months);
+    const { scores, findings, rulesMeta } = await scoreAll(clients, txs, lookback, ruleset, { watchlists, jurisdictions });
+    runs.push({ ruleset, scores, findings, snapshot: runSnapshot({ rulesMeta, ruleset, scores, cases: buildCases(findings), counts: {}, inputs: {} }) });
+  }
+  const [a, b] = runs;
+  const diff = diffRuns(a.snapshot, b.snapshot);
+
+  return {
+    baseline: side(a.snapshot),
+    candidate: side(b.snapshot),
+    summary: {
+      clients: clients.length,
+      flagged_before: a.scores.filter(s => s.score > 0).length,
+      flagged_after: b.scores.filter(s => s.score > 0).length,
+      score_changes: b.scores.filter((s, i) => s.score !== a.scores[i].score).length,
+      band_changes: diff.summary.band_changes,
+      moved_up: diff.summary.moved_up,
+      moved_down: diff.summary.moved_down,
+      cases_before: a.snapshot.counts.cases,
+      cases_after: b.snapshot.counts.cases,
+      new_cases: diff.summary.new_cases,
+      resolved_cases: diff.summary.resolved_cases
+    },
+    bands: bandTable(a.snapshot, b.snapshot),
+    rules: ruleTable(a, b),
+    band_changes: diff.band_changes,
+    reasons: diff.reasons
+  };
+}
+
+// The clients and transactions of a stored run, from its evidence pack (while it is retained).
+// Only full packs will do: screening needs the real names, and aggregate packs have no rows.
+export async function runDataset(run){
+  const mode = run.privacy?.mode || 'full';
+  if (mode !== 'full') throw new SimulationError(`Run ${run.run_id} was packed ${mode}, without the data to re-score; upload the data instead`, 'RUN_DATA_UNAVAILABLE');
+  const data = await runPackData(run);
+  if (!data) throw new SimulationError(`The evidence pack of run ${run.run_id} has expired; upload the data instead`, 'RUN_DATA_EXPIRED');
+  return { ...data, latest: run.lookback.end };
+}
+
+function parseDoc(v, what){
+  if (typeof v !== 'string') return v;
+  try { return v.trim().startsWith('{') ? JSON.parse(v) : YAML.parse(v); }
+  catch (e) { throw new SimulationError(`${what} is not valid JSON or YAML: ${e.message}`); }
+}
+
+function side(s){
+  return { ruleset_id: s.ruleset_id, ruleset_version: s.ruleset_version, ruleset_sha256: s.ruleset_sha256, lookback: s.lookback };
+}
+
+// Clients per band under each ruleset, the candidate's bands first (highest first).
+function bandTable(a, b){
+  const count = (s, band) => s.scores.filter(x => x.band === band).length;
+  const names = [...b.bands, ...a.bands.filter(x => !b.bands.includes(x))];
+  return names.map(band => {
+    const before = a.bands.includes(band) ? count(a, band) : null;
+    const after = b.bands.includes(band) ? count(b, band) : null;
+    return { band, baseline: before, candidate: after, change: (after ?? 0) - (before ?? 0) };
+  });
+}
+
+// Per rule: points, clients it fires for and findings under each ruleset (null: not in that
+// ruleset); status says whether the candidate added, removed or modified the rule.
+function ruleTable(a, b){
+  const hits = ({ ruleset, scores, findings }) => new Map(ruleset.rules.map(r => [r.id, {
+    definition: canonicalJson(r),
+    text: r.text,
+    family: r.family,
+    points: r.points,
+    clients: scores.filter(s => s.reasons.some(x => x.rule_id === r.id)).length,
+    findings: findings.filter(f => f.rule_id === r.id).length
+  }]));
+  const before = hits(a);
+  const after = hits(b);
+  const ids = [...after.keys(), ...[...before.keys()].filter(id => !after.has(id))];
+  return ids.map(id => {
+    const x = before.get(id) || null;
+    const y = after.get(id) || null;
+    const strip = h => h && { points: h.points, clients: h.clients, findings: h.findings };
+    return {
+      rule_id: id,
+      text: (y || x).text,
+      family: (y || x).family,
+      status: !x ? 'added' : !y ? 'removed' : x.definition !== y.definition ? 'modified' : 'unchanged',
+      baseline: strip(x),
+      candidate: strip(y),
+      change: (y?.clients ?? 0) - (x?.clients ?? 0)
+    };
+  });
+}
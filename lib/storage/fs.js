@@ -0,0 +1,65 @@
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Filesystem backend: one file per key under `root`. Writes go to a temp file and are
+// renamed into place so readers never see a partial object.
+export class FsStorage {
+  constructor({ root }){
+    this.name = 'fs';
+    this.root = path.resolve(root);
+  }
+
+  file(key){
+    const full = path.resolve(this.root, key);
+    if (!full.startsWith(this.root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return full;
+  }
+
+  async put(key, buf){
+    const full = this.file(key);
+    await fs.mkdir(path.dirname(full), { recursive: true });
+    const tmp = `${full}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, buf);
+    await fs.rename(tmp, full);
+  }
+
+  async putFile(key, file){
+    const full = this.file(key);
+    await fs.mkdir(path.dirname(full), { recursive: true });
+    const tmp = `${full}.${process.pid}.${Date.now()}.tmp`;
+    await fs.copyFile(file, tmp);
+    await fs.rename(tmp, full);
+  }
+
+  async getStream(key){
+    const full = this.file(key);
+    try { await fs.access(full); } catch { return null; }
+    return createReadStream(full);
+  }
+
+  async get(key){
+    try { return await fs.readFile(this.file(key)); }
+    catch (e) { if (e.code === 'ENOENT') return null; throw e; }
+  }
+
+  async delete(key){
+    await fs.rm(this.file(key), { force: true });
+  }
+
+  async list(prefix = ''){
+    const out = [];
+    const walk = async (dir) => {
+      let entries;
+      try { entries = await fs.readdir(dir, { withFileTypes: true }); }
+      catch (e) { if (e.code === 'ENOENT') return; throw e; }
+      for (const e of entries){
+        const full = path.join(dir, e.name);
+        if (e.isDirectory()) await walk(full);
+        else if (!e.name.endsWith('.tmp')) out.push(path.relative(this.root, full).split(path.sep).join('/'));
+      }
+    };
+    await walk(this.root);
+    return out.filter(k => k.startsWith(prefix)).sort();
+  }
+}
@@ -0,0 +1,26 @@
+import { cfg } from '../config.js';
+
+import { FsStorage } from './fs.js';
+import { MemoryStorage } from './memory.js';
+import { S3Storage } from './s3.js';
+
+// Blob storage with a common async interface: put(key, buf, opts), putFile(key, path, opts),
+// get(key) -> Buffer|null, getStream(key) -> Readable|null, delete(key), list(prefix) -> keys.
+// Pick a backend with STORAGE_BACKEND.
+export function createStorage(backend = cfg.STORAGE_BACKEND){
+  switch (backend){
+    case 'memory': return new MemoryStorage();
+    case 'fs': return new FsStorage({ root: cfg.STORAGE_DIR });
+    case 's3': return new S3Storage({
+      endpoint: cfg.S3_ENDPOINT,
+      region: cfg.S3_REGION,
+      bucket: cfg.S3_BUCKET,
+      accessKeyId: cfg.S3_ACCESS_KEY_ID,
+      secretAccessKey: cfg.S3_SECRET_ACCESS_KEY,
+      prefix: cfg.S3_PREFIX
+    });
+    default: throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+}
+
+export { FsStorage, MemoryStorage, S3Storage };
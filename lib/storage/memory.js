@@ -0,0 +1,13 @@
+import fs from 'fs/promises';
+import { Readable } from 'stream';
+
+// Process-local backend (previous behaviour). Everything is lost on restart; use for dev only.
+export class MemoryStorage {
+  constructor(){ this.name = 'memory'; this.map = new Map(); }
+  async put(key, buf){ this.map.set(key, Buffer.from(buf)); }
+  async putFile(key, file){ this.map.set(key, await fs.readFile(file)); }
+  async get(key){ return this.map.get(key) || null; }
+  async getStream(key){ return this.map.has(key) ? Readable.from([this.map.get(key)]) : null; }
+  async delete(key){ this.map.delete(key); }
+  async list(prefix = ''){ return Array.from(this.map.keys()).filter(k => k.startsWith(prefix)).sort(); }
+}
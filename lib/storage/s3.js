@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+// S3-compatible backend (AWS S3, MinIO, R2, …) using path-style requests signed with
+// AWS Signature V4. No SDK: only PUT/GET/DELETE object and ListObjectsV2 are needed.
+export class S3Storage {
+  constructor({ endpoint, region, bucket, accessKeyId, secretAccessKey, prefix = '' }){
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+    this.name = 's3';
+    this.endpoint = new URL(endpoint);
+    this.region = region || 'us-east-1';
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.prefix = prefix ? prefix.replace(/\/+$/, '') + '/' : '';
+  }
+
+  async put(key, buf, { contentType = 'application/octet-stream' } = {}){
+    const res = await this.request('PUT', this.prefix + key, { body: buf, headers: { 'content-type': contentType } });
+    if (!res.ok) throw await s3Error(res, 'PUT', key);
+  }
+
+  // Streamed in one PUT, never held in memory: a first pass over the file gives the signed payload
+  // hash, the second is the body. Evidence zips are well below the 5 GB single-PUT limit.
+  async putFile(key, file, { contentType = 'application/octet-stream' } = {}){
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(file), hash);
+    const { size } = await fs.promises.stat(file);
+    const res = await this.request('PUT', this.prefix + key, {
+      body: Readable.toWeb(fs.createReadStream(file)),
+      payloadHash: hash.digest('hex'),
+      headers: { 'content-type': contentType, 'content-length': size }
+    });
+    if (!res.ok) throw await s3Error(res, 'PUT', key);
+  }
+
+  async getStream(key){
+    const res = await this.request('GET', this.prefix + key);
+    if (res.status === 404) return null;
+    if (!res.ok) throw await s3Error(res, 'GET', key);
+    return Readable.fromWeb(res.body);
+  }
+
+  async get(key){
+    const res = await this.request('GET', this.prefix + key);
+    if (res.status === 404) return null;
+    if (!res.ok) throw await s3Error(res, 'GET', key);
+    return Buffer.from(await res.arrayBuffer());
+  }
+
+  async delete(key){
+    const res = await this.request('DELETE', this.prefix + key);
+    if (!res.ok && res.status !== 404) throw await s3Error(res, 'DELETE', key);
+  }
+
+  async list(prefix = ''){
+    const keys = [];
+    let token = null;
+    do {
+      const query = { 'list-type': '2', prefix: this.prefix + prefix, ...(token ? { 'continuation-token': token } : {}) };
+      const res = await this.request('GET', '', { query });
+      if (!res.ok) throw await s3Error(res, 'LIST', prefix);
+      const xml = await res.text();
+      for (const m of xml.matchAll(/<Key>([^<]*)<\/Key>/g)) keys.push(xmlDecode(m[1]).slice(this.prefix.length));
+      token = /<IsTruncated>true<\/IsTruncated>/.test(xml) ? xmlDecode((xml.match(/<NextContinuationToken>([^<]*)</) || [])[1] || '') : null;
+    } while (token);
+    return keys.sort();
+  }
+
+  // body: a buffer, or a web stream together with its precomputed payloadHash.
+  async request(method, key, { body, headers = {}, query = {}, payloadHash } = {}){
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const day = amzDate.slice(0, 8);
+    const stream = Boolean(payloadHash);
+    const payload = stream ? body : body ? Buffer.from(body) : Buffer.alloc(0);
+    payloadHash ||= sha256Hex(payload);
+
+    const basePath = this.endpoint.pathname.replace(/\/+$/, '');
+    const canonicalUri = `${basePath}/${uriEncode(this.bucket)}` + (key ? '/' + key.split('/').map(uriEncode).join('/') : '/');
+    const canonicalQuery = Object.keys(query).sort().map(k => `${uriEncode(k)}=${uriEncode(query[k])}`).join('&');
+
+    const allHeaders = {
+      ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)])),
+      host: this.endpoint.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const signedHeaders = Object.keys(allHeaders).sort();
+    const canonicalHeaders = signedHeaders.map(h => `${h}:${allHeaders[h].trim()}\n`).join('');
+    const canonicalRequest = [method, canonicalUri, canonicalQuery, canonicalHeaders, signedHeaders.join(';'), payloadHash].join('\n');
+
+    const scope = `${day}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    let k = hmac('AWS4' + this.secretAccessKey, day);
+    for (const part of [this.region, 's3', 'aws4_request']) k = hmac(k, part);
+    const signature = hmac(k, stringToSign).toString('hex');
+
+    const url = `${this.endpoint.protocol}//${this.endpoint.host}${canonicalUri}${canonicalQuery ? '?' + canonicalQuery : ''}`;
+    const sendHeaders = { ...allHeaders };
+    delete sendHeaders.host; // set by fetch from the URL
+    return fetch(url, {
+      method,
+      headers: {
+        ...sendHeaders,
+        authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+      },
+      body: body ? payload : undefined,
+      ...(stream ? { duplex: 'half' } : {})
+    });
+  }
+}
+
+function uriEncode(s){
+  return encodeURIComponent(s).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+function sha256Hex(b){ return crypto.createHash('sha256').update(b).digest('hex'); }
+function hmac(key, s){ return crypto.createHmac('sha256', key).update(s).digest(); }
+function xmlDecode(s){
+  return s.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+async function s3Error(res, op, key){
+  const text = await res.text().catch(() => '');
+  const code = (text.match(/<Code>([^<]*)</) || [])[1] || res.status;
+  return new Error(`S3 ${op} ${key} failed: ${code}`);
+}
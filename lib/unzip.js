@@ -0,0 +1,56 @@
+import zlib from 'zlib';
+
+// Minimal ZIP reader (stored + deflate, no zip64/encryption) for evidence packs and
+// other small archives. Reads the central directory, so entry order and sizes come
+// from the authoritative index rather than local headers.
+
+const EOCD_SIG = 0x06054b50;
+const CDH_SIG = 0x02014b50;
+const LFH_SIG = 0x04034b50;
+
+export function readZipEntries(buf, { maxBytes = 512 * 1024 * 1024 } = {}){
+  const eocd = findEocd(buf);
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  if (p === 0xffffffff || count === 0xffff) throw new Error('ZIP64 archives are not supported');
+
+  const entries = new Map();
+  let total = 0;
+  for (let i = 0; i < count; i++){
+    if (buf.readUInt32LE(p) !== CDH_SIG) throw new Error('Corrupt ZIP central directory');
+    const flags = buf.readUInt16LE(p + 8);
+    const method = buf.readUInt16LE(p + 10);
+    const csize = buf.readUInt32LE(p + 20);
+    const usize = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const lho = buf.readUInt32LE(p + 42);
+    const name = buf.toString(flags & 0x800 ? 'utf8' : 'latin1', p + 46, p + 46 + nameLen);
+    p += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith('/')) continue; // directory entry
+    if (flags & 0x1) throw new Error(`Encrypted ZIP entry: ${name}`);
+    total += usize;
+    if (total > maxBytes) throw new Error('ZIP contents exceed size limit');
+
+    if (buf.readUInt32LE(lho) !== LFH_SIG) throw new Error(`Corrupt ZIP local header: ${name}`);
+    const start = lho + 30 + buf.readUInt16LE(lho + 26) + buf.readUInt16LE(lho + 28);
+    const raw = buf.subarray(start, start + csize);
+    let data;
+    if (method === 0) data = Buffer.from(raw);
+    else if (method === 8) data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(usize, 1) });
+    else throw new Error(`Unsupported ZIP compression method ${method}: ${name}`);
+    if (data.length !== usize) throw new Error(`ZIP entry size mismatch: ${name}`);
+    entries.set(name, data);
+  }
+  return entries;
+}
+
+function findEocd(buf){
+  // EOCD is 22 bytes plus an optional comment of up to 64 KiB
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--){
+    if (buf.readUInt32LE(i) === EOCD_SIG) return i;
+  }
+  throw new Error('Not a ZIP archive');
+}
@@ -0,0 +1,73 @@
+import { cfg } from './config.js';
+
+// Field-level validation issues raised while normalising client and transaction rows.
+// Each issue: { file, row (1 = first data record), id, field, value, code, severity, message }.
+// Severity 'error' means the value is unusable (most such rows are rejected); 'warning' means
+// the row is kept but a value was ignored or could not be interpreted.
+
+export const ISSUE_COLUMNS = ['file', 'row', 'id', 'field', 'value', 'code', 'severity', 'message'];
+
+// Messages that quote the issue's value, by code: (field, value) -> text. Pseudonymised packs
+// rebuild them around the value's token (see privacy.js); every other message quotes no value.
+export const VALUE_MESSAGES = {
+  duplicate_id: (field, value) => `Duplicate ${field} ${value}; only the first row is used`,
+  unknown_client: (field, value) => `${field} ${value} is not in the clients file`
+};
+
+// Counts are always complete; only the first `max` issues are kept for the report.
+export class IssueLog {
+  constructor({ max = cfg.VALIDATION_MAX_ISSUES } = {}){
+    this.max = max;
+    this.list = [];
+    this.counts = { errors: 0, warnings: 0, by_code: {} };
+  }
+
+  add(file, index, { id = null, field = null, value = null, code, severity = 'error', message }){
+    if (severity === 'error') this.counts.errors++; else this.counts.warnings++;
+    this.counts.by_code[code] = (this.counts.by_code[code] || 0) + 1;
+    if (this.list.length < this.max){
+      this.list.push({ file, row: index + 1, id, field, value: value == null ? null : String(value).slice(0, 200), code, severity, message });
+    }
+  }
+
+  summary(){
+    return { ...this.counts, by_code: { ...this.counts.by_code }, reported: this.list.length };
+  }
+}
+
+// Strict mode blocks pack generation when errors exceed maxErrors.
+export function strictVerdict(counts, { enabled = cfg.VALIDATION_STRICT, maxErrors = cfg.VALIDATION_MAX_ERRORS } = {}){
+  return { enabled: !!enabled, max_errors: maxErrors, errors: counts.errors, blocked: !!enabled && counts.errors > maxErrors };
+}
+
+// Strict-mode options from request fields (strict=1|true, max_errors=<n>), falling back to config.
+export function strictOptions(body = {}){
+  const flag = parseFlag(body.strict);
+  const max = parseInt(body.max_errors, 10);
+  return {
+    enabled: flag === null ? cfg.VALIDATION_STRICT : flag,
+    maxErrors: Number.isFinite(max) && max >= 0 ? max : cfg.VALIDATION_MAX_ERRORS
+  };
+}
+
+export function issuesCsv(issues){
+  const cell = v => {
+    const s = v == null ? '' : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [ISSUE_COLUMNS.join(','), ...issues.map(i => ISSUE_COLUMNS.map(c => cell(i[c])).join(','))].join('\r\n') + '\r\n';
+}
+
+// yes/no style flags -> true/false; '' -> false; anything else -> null (invalid)
+const TRUE = new Set(['true', 't', 'yes', 'y', '1']);
+const FALSE = new Set(['false', 'f', 'no', 'n', '0', '']);
+export function parseFlag(v){
+  if (v === true || v === false) return v;
+  const s = (v ?? '').toString().trim().toLowerCase();
+  if (TRUE.has(s)) return true;
+  if (FALSE.has(s)) return false;
+  return null;
+}
+
+const CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+export function isCurrencyCode(code){ return CURRENCIES.has(code); }
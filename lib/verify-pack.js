@@ -0,0 +1,91 @@
+import { verifyChain } from './audit.js';
+import { Keyring } from './keyring.js';
+import { signingMessage, sha256Hex } from './manifest.js';
+import { readZipEntries } from './unzip.js';
+
+// Verify a downloaded evidence zip without the server's copy: recompute every file's
+// SHA-256 against manifest.json, report extra/missing files, and check the Ed25519
+// signature against a keyring and/or extra public keys (base64 raw 32-byte keys). The audit log
+// segment a pack carries (audit_log.json, see audit.js) must be an unbroken run of the chain.
+// Given any key, an unsigned pack fails unless allowUnsigned; a signed pack fails when no key was
+// there to check its signature (signature.checked false), so it is never reported as verified.
+// maxBytes caps what the entries may unzip to (the declared sizes are checked before anything is
+// inflated).
+export function verifyPack(zipBuffer, { publicKeys = [], keyring = null, allowUnsigned = false, maxBytes = 256 * 1024 * 1024 } = {}){
+  const report = {
+    ok: false,
+    manifest: null,
+    files: [],
+    missing: [],
+    extra: [],
+    signature: { present: false, valid: null, checked: false, key_id: null, key_known: false },
+    audit: null,
+    errors: []
+  };
+
+  let entries;
+  try { entries = readZipEntries(zipBuffer, { maxBytes }); }
+  catch (e) { report.errors.push(`Unreadable zip: ${e.message}`); return report; }
+
+  const raw = entries.get('manifest.json');
+  if (!raw) { report.errors.push('manifest.json not found in zip'); return report; }
+  let manifest;
+  try { manifest = JSON.parse(raw.toString('utf8')); }
+  catch { report.errors.push('manifest.json is not valid JSON'); return report; }
+  if (!Array.isArray(manifest.files)) { report.errors.push('manifest.json has no files list'); return report; }
+  report.manifest = manifest;
+
+  const listed = new Set();
+  for (const f of manifest.files){
+    listed.add(f.name);
+    const buf = entries.get(f.name);
+    if (!buf) {
+      report.missing.push(f.name);
+      report.files.push({ name: f.name, status: 'missing', expected_sha256: f.sha256, actual_sha256: null });
+      continue;
+    }
+    const actual = sha256Hex(buf);
+    const ok = actual === f.sha256 && buf.length === f.bytes;
+    report.files.push({ name: f.name, status: ok ? 'pass' : 'fail', expected_sha256: f.sha256, actual_sha256: actual, bytes: buf.length });
+  }
+  report.extra = Array.from(entries.keys()).filter(n => n !== 'manifest.json' && !listed.has(n)).sort();
+
+  if (manifest.signing?.signature){
+    report.signature.present = true;
+    report.signature.key_id = manifest.signing.key_id || null;
+    const ring = new Keyring();
+    for (const k of keyring?.keys.values() || []) ring.add({ public_key: k.publicKey.toString('base64'), status: k.status === 'current' ? 'retired' : k.status });
+    for (const pk of publicKeys.filter(Boolean)){
+      try { ring.add({ public_key: pk }); }
+      catch (e) { report.errors.push(`Ignoring public key: ${e.message}`); }
+    }
+    report.signature.key_known = !!ring.find(report.signature.key_id);
+    report.signature.valid = ring.verify(signingMessage(manifest), manifest.signing.signature, report.signature.key_id);
+    report.signature.checked = report.signature.valid !== null;
+  } else if (manifest.signing_error) {
+    report.errors.push(`Pack was not signed: ${manifest.signing_error}`);
+  }
+  const keysGiven = publicKeys.some(Boolean) || (keyring?.keys.size || 0) > 0;
+  const unsignedRejected = !report.signature.present && keysGiven && !allowUnsigned;
+  if (unsignedRejected) report.errors.push('Pack is not signed (allow unsigned packs explicitly to accept it)');
+  const unchecked = report.signature.present && !report.signature.checked;
+  if (unchecked) report.errors.push(`Signature not checked: no public key for ${report.signature.key_id || 'the signing key'} was given`);
+
+  const audit = entries.get('audit_log.json');
+  if (audit){
+    try {
+      const segment = JSON.parse(audit.toString('utf8'));
+      report.audit = { ...verifyChain(segment.entries || [], { chain: segment.chain, from: segment.from_seq, prevHash: segment.entries?.[0]?.prev_hash }), from_seq: segment.from_seq, to_seq: segment.to_seq };
+    } catch {
+      report.audit = { ok: false, problems: [{ seq: null, problem: 'unreadable', detail: 'audit_log.json is not valid JSON' }] };
+    }
+  }
+
+  report.ok = report.files.every(f => f.status === 'pass')
+    && report.extra.length === 0
+    && report.signature.valid !== false
+    && !unsignedRejected
+    && !unchecked
+    && report.audit?.ok !== false;
+  return report;
+}
@@ -1,17 +1,130 @@
 import crypto from 'crypto';
 
+import { cfg } from './config.js';
+import { createStorage } from './storage/index.js';
+
+const TOKEN_RE = /^[a-f0-9]{32}$/;
+
+// Evidence packs behind verify/download tokens, persisted in a pluggable storage backend:
+//   packs/<token>/meta.json     { manifest, org_id, created_by, public_manifest, download_key_sha256,
+//                                 created_utc, expires_utc }
+//   packs/<token>/evidence.zip
+//   expiry/<expires, compact UTC>/<token>   (empty; the sweep lists these, never the packs)
+// The verify page is open to anyone with the token only when public_manifest is set; the zip
+// goes to members of org_id or to whoever holds the download key (only its hash is kept).
 class Store {
-  constructor(){ this.map = new Map(); }
-  put(token, zipBuffer, manifest, ttlMin){
-    const exp = Date.now() + (ttlMin * 60 * 1000);
-    this.map.set(token, { zipBuffer, manifest, exp });
+  constructor(storage){ this.storage = storage; this.timer = null; this.indexed = false; }
+
+  // zip is a Buffer or { path } of a zip file on disk; access: { org_id, created_by, public_manifest,
+  // download_key_sha256? }. The download key is made here unless its hash is given (a key handed
+  // out at upload, see newDownloadKey); returns the new key, or null.
+  async put(token, zip, manifest, access = {}, retentionDays = cfg.PACK_RETENTION_DAYS){
+    const now = Date.now();
+    const minted = access.download_key_sha256 ? null : newDownloadKey();
+    const meta = {
+      manifest,
+      org_id: access.org_id || null,
+      created_by: access.created_by || null,
+      public_manifest: !!access.public_manifest,
+      download_key_sha256: access.download_key_sha256 || minted.sha256,
+      created_utc: new Date(now).toISOString(),
+      expires_utc: new Date(now + retentionDays * 24 * 3600 * 1000).toISOString()
+    };
+    if (Buffer.isBuffer(zip)) await this.storage.put(key(token, 'evidence.zip'), zip, { contentType: 'application/zip' });
+    else await this.storage.putFile(key(token, 'evidence.zip'), zip.path, { contentType: 'application/zip' });
+    await this.storage.put(expiryKey(token, meta.expires_utc), Buffer.alloc(0));
+    await this.storage.put(key(token, 'meta.json'), Buffer.from(JSON.stringify(meta)), { contentType: 'application/json' });
+    return minted?.key ?? null;
+  }
+
+  // Manifest + expiry only (no zip read); null if unknown or expired.
+  async getMeta(token){
+    if (!TOKEN_RE.test(String(token))) return null;
+    const buf = await this.storage.get(key(token, 'meta.json'));
+    if (!buf) return null;
+    const meta = JSON.parse(buf.toString('utf8'));
+    if (Date.now() > Date.parse(meta.expires_utc)){ await this.remove(token, meta.expires_utc); return null; }
+    return meta;
+  }
+
+  async get(token){
+    const meta = await this.getMeta(token);
+    if (!meta) return null;
+    const zipBuffer = await this.storage.get(key(token, 'evidence.zip'));
+    return zipBuffer ? { ...meta, zipBuffer } : null;
+  }
+
+  // Readable stream of the zip, or null if unknown or expired.
+  async openZip(token){
+    const meta = await this.getMeta(token);
+    return meta ? this.storage.getStream(key(token, 'evidence.zip')) : null;
+  }
+
+  async remove(token, expiresUtc = null){
+    await this.storage.delete(key(token, 'evidence.zip'));
+    await this.storage.delete(key(token, 'meta.json'));
+    if (expiresUtc) await this.storage.delete(expiryKey(token, expiresUtc));
   }
-  get(token){
-    const v = this.map.get(token);
-    if (!v) return null;
-    if (Date.now() > v.exp){ this.map.delete(token); return null; }
-    return v;
+
+  // Delete every expired pack; returns the number removed. Only the expiry index is listed and no
+  // meta.json is read, except once per process to index packs stored before the index existed.
+  async sweep(){
+    if (!this.indexed){ await this.indexLegacy(); this.indexed = true; }
+    const now = compactUtc(new Date().toISOString());
+    let removed = 0;
+    for (const k of await this.storage.list('expiry/')){
+      const m = k.match(/^expiry\/([0-9TZ]+)\/([a-f0-9]{32})$/);
+      if (!m || m[1] >= now) continue;
+      await this.storage.delete(key(m[2], 'evidence.zip'));
+      await this.storage.delete(key(m[2], 'meta.json'));
+      await this.storage.delete(k);
+      removed++;
+    }
+    return removed;
+  }
+
+  // Expiry entries for packs that have none; packs without a readable meta.json are removed.
+  async indexLegacy(){
+    const indexed = new Set((await this.storage.list('expiry/')).map(k => k.split('/')[2]));
+    for (const k of await this.storage.list('packs/')){
+      const m = k.match(/^packs\/([a-f0-9]{32})\/meta\.json$/);
+      if (!m || indexed.has(m[1])) continue;
+      const buf = await this.storage.get(k);
+      const meta = buf ? JSON.parse(buf.toString('utf8')) : null;
+      if (meta?.expires_utc) await this.storage.put(expiryKey(m[1], meta.expires_utc), Buffer.alloc(0));
+      else await this.remove(m[1]);
+    }
+  }
+
+  // log: pino-style (obj, msg), the server's logger.
+  startSweeper(everyMin = cfg.STORAGE_SWEEP_MIN, log = console){
+    if (this.timer || !everyMin) return;
+    this.timer = setInterval(() => {
+      this.sweep()
+        .then(n => { if (n) log.info?.({ removed: n }, 'storage sweep removed expired packs'); })
+        .catch(e => log.error?.({ err: e }, 'storage sweep failed'));
+    }, everyMin * 60 * 1000);
+    this.timer.unref();
   }
 }
-export const verifyStore = new Store();
+
+// A download key for a pack not built yet: the key goes to the uploader once, the hash with the job.
+export function newDownloadKey(){
+  const key = crypto.randomBytes(24).toString('base64url');
+  return { key, sha256: sha256(key) };
+}
+
+// Constant-time check of a download key against a pack's meta.
+export function downloadKeyMatches(meta, given){
+  if (!meta?.download_key_sha256 || typeof given !== 'string' || !given) return false;
+  return crypto.timingSafeEqual(Buffer.from(sha256(given), 'hex'), Buffer.from(meta.download_key_sha256, 'hex'));
+}
+
+function key(token, name){ return `packs/${token}/${name}`; }
+// Compact UTC (20261019T120000Z) sorts and compares as text.
+function expiryKey(token, expiresUtc){ return `expiry/${compactUtc(expiresUtc)}/${token}`; }
+function compactUtc(iso){ return iso.replace(/[:-]|\.\d{3}/g, ''); }
+function sha256(s){ return crypto.createHash('sha256').update(s).digest('hex'); }
+
+export const verifyStore = new Store(createStorage());
 export function newToken(){ return crypto.randomBytes(16).toString('hex'); }
@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import fsp from 'fs/promises';
+import path from 'path';
+
+import { XMLParser } from 'fast-xml-parser';
+
+import { cfg } from './config.js';
+import { countryCode } from './countries.js';
+import { openRecords } from './formats.js';
+
+// Sanctions and PEP watchlists, imported from local files in cfg.WATCHLISTS_DIR:
+//   *.xml                OFAC SDN list (sdn.xml)
+//   *.xlsx | *.csv       DFAT Consolidated List, or a generic list with columns
+//                        name, aliases (; separated), dob, country, type, category, id, program
+// Generic lists are 'sanctions' unless they have a category column or "pep" in the file name.
+// Lists are re-read when a file changes. Every entry is
+//   { uid, name, aliases, type, dob: [{ text, date, from, to }], countries, programs, category }
+
+const EXTS = ['.xml', '.xlsx', '.csv', '.tsv', '.txt'];
+const CATEGORIES = ['sanctions', 'pep'];
+
+export class WatchlistError extends Error {
+  constructor(message, code = 'WATCHLIST_INVALID'){
+    super(message);
+    this.name = 'WatchlistError';
+    this.code = code;
+  }
+}
+
+const cache = new Map(); // file -> { mtimeMs, size, list }
+
+// All lists in dir (missing dir: none); returns a Watchlists set.
+export async function loadWatchlists(dir = cfg.WATCHLISTS_DIR){
+  let names = [];
+  try { names = (await fsp.readdir(dir)).filter(f => EXTS.includes(path.extname(f).toLowerCase())).sort(); }
+  catch (e) { if (e.code !== 'ENOENT') throw e; }
+  const lists = [];
+  for (const name of names){
+    const file = path.join(dir, name);
+    const { mtimeMs, size } = await fsp.stat(file);
+    const hit = cache.get(file);
+    if (hit && hit.mtimeMs === mtimeMs && hit.size === size){ lists.push(hit.list); continue; }
+    const list = await parseWatchlist(file);
+    cache.set(file, { mtimeMs, size, list });
+    lists.push(list);
+  }
+  return new Watchlists(lists);
+}
+
+// -> { id, file, source: ofac_sdn|dfat|csv, category, version, sha256, entries }
+export async function parseWatchlist(file){
+  const buf = await fsp.readFile(file);
+  const sha256 = crypto.createHash('sha256').update(buf).digest('hex');
+  const id = path.basename(file, path.extname(file));
+  const head = buf.subarray(0, 4096).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  let parsed;
+  if (head.startsWith('<')) parsed = parseOfacSdn(buf);
+  else parsed = await parseTabular(file, id);
+  if (!parsed.entries.length) throw new WatchlistError(`Watchlist ${path.basename(file)} has no entries`);
+  const { mtime } = await fsp.stat(file);
+  return { id, file: path.basename(file), ...parsed, version: parsed.version || mtime.toISOString().slice(0, 10), sha256 };
+}
+
+export class Watchlists {
+  constructor(lists = []){ this.lists = lists; }
+
+  get size(){ return this.lists.reduce((n, l) => n + l.entries.length, 0); }
+
+  // What goes into the manifest and program.html: which list versions were screened against.
+  meta(){
+    return this.lists.map(l => ({ id: l.id, source: l.source, category: l.category, version: l.version, sha256: l.sha256, entries: l.entries.length }));
+  }
+}
+
+// --------- OFAC SDN XML ---------
+const XML_ARRAYS = new Set(['sdnEntry', 'aka', 'program', 'address', 'dateOfBirthItem', 'nationality', 'citizenship']);
+
+function parseOfacSdn(buf){
+  let doc;
+  try {
+    doc = new XMLParser({ ignoreAttributes: true, parseTagValue: false, isArray: name => XML_ARRAYS.has(name) }).parse(buf.toString('utf8'));
+  } catch (e) {
+    throw new WatchlistError(`Watchlist XML is not valid: ${e.message}`);
+  }
+  const root = doc.sdnList;
+  if (!root) throw new WatchlistError('Unsupported watchlist XML (expected an OFAC SDN <sdnList>)');
+  const entries = (root.sdnEntry || []).map(e => ({
+    uid: `OFAC-${e.uid}`,
+    name: personName(e),
+    aliases: (e.akaList?.aka || []).map(personName).filter(Boolean),
+    type: String(e.sdnType || '').toLowerCase() || null,
+    dob: (e.dateOfBirthList?.dateOfBirthItem || []).map(d => parseDob(d.dateOfBirth)).filter(Boolean),
+    countries: unique([
+      ...(e.nationalityList?.nationality || []).map(n => n.country),
+      ...(e.citizenshipList?.citizenship || []).map(n => n.country),
+      ...(e.addressList?.address || []).map(a => a.country)
+    ].map(countryCode)),
+    programs: (e.programList?.program || []).map(String),
+    category: 'sanctions'
+  })).filter(e => e.name);
+  return { source: 'ofac_sdn', category: 'sanctions', version: usDate(root.publshInformation?.Publish_Date), entries };
+}
+
+function personName(x){
+  return [x.firstName, x.lastName].filter(Boolean).map(String).join(' ').trim();
+}
+
+// --------- DFAT Consolidated List and generic lists (CSV/XLSX) ---------
+async function parseTabular(file, id){
+  const { records } = await openRecords(file, { name: path.basename(file) });
+  const rows = [];
+  try {
+    for await (const r of records) rows.push(Object.fromEntries(Object.entries(r).map(([k, v]) => [k.trim().toLowerCase(), String(v ?? '').trim()])));
+  } catch (e) {
+    throw new WatchlistError(`Watchlist ${path.basename(file)} could not be read: ${e.message}`);
+  }
+  if (rows.length && 'name of individual or entity' in rows[0]) return parseDfat(rows);
+  if (!rows.length || !('name' in rows[0])) throw new WatchlistError(`Watchlist ${path.basename(file)} needs a name column (or the DFAT Consolidated List layout)`);
+  return parseGeneric(rows, /pep/i.test(id) ? 'pep' : 'sanctions');
+}
+
+// One entity per reference number; "12a", "12b" rows are aliases of "12".
+function parseDfat(rows){
+  const byRef = new Map();
+  let version = null;
+  for (const r of rows){
+    const ref = ((r.reference || '').match(/^\d+/) || [r.reference])[0];
+    const name = r['name of individual or entity'];
+    if (!ref || !name) continue;
+    if (!byRef.has(ref)) byRef.set(ref, { uid: `DFAT-${ref}`, name: null, aliases: [], type: null, dob: [], countries: [], programs: [], category: 'sanctions' });
+    const e = byRef.get(ref);
+    if (/primary/i.test(r['name type'] || '') && !e.name) e.name = name;
+    else e.aliases.push(name);
+    e.type = e.type || (r.type || '').toLowerCase() || null;
+    for (const d of splitList(r['date of birth'])){ const dob = parseDob(d); if (dob) e.dob.push(dob); }
+    e.countries = unique([...e.countries, ...splitList(r.citizenship).map(countryCode), countryCode(lastPart(r.address))]);
+    e.programs = unique([...e.programs, ...splitList(r.committees)]);
+    const control = auDate(r['control date']);
+    if (control && (!version || control > version)) version = control;
+  }
+  const entries = Array.from(byRef.values()).map(e => (e.name ? e : { ...e, name: e.aliases.shift() }));
+  return { source: 'dfat', category: 'sanctions', version, entries };
+}
+
+function parseGeneric(rows, defaultCategory){
+  let version = null;
+  const entries = rows.filter(r => r.name).map((r, i) => {
+    const category = CATEGORIES.includes((r.category || '').toLowerCase()) ? r.category.toLowerCase() : defaultCategory;
+    if (r.version && (!version || r.version > version)) version = r.version;
+    return {
+      uid: r.id || `ROW-${i + 1}`,
+      name: r.name,
+      aliases: splitList(r.aliases),
+      type: (r.type || '').toLowerCase() || null,
+      dob: splitList(r.dob).map(parseDob).filter(Boolean),
+      countries: unique(splitList(r.country || r.countries).map(countryCode)),
+      programs: splitList(r.program || r.list),
+      category
+    };
+  });
+  const categories = unique(entries.map(e => e.category));
+  return { source: 'csv', category: categories.length === 1 ? categories[0] : 'mixed', version, entries };
+}
+
+// --------- dates ---------
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+// "1961-03-12", "12/03/1961", "12 Mar 1961", "1961", "circa 1961", "1958 to 1960"
+// -> { text, date (YYYY-MM-DD or null), from, to (years) }
+export function parseDob(raw){
+  const text = (raw ?? '').toString().trim();
+  if (!text) return null;
+  let m = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return dob(text, +m[1], +m[2], +m[3]);
+  m = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/);
+  if (m) return dob(text, +m[3], +m[2], +m[1]);
+  m = text.match(/^(\d{1,2})\s+([a-z]{3})[a-z]*\.?\s+(\d{4})$/i);
+  if (m && MONTHS[m[2].toLowerCase()]) return dob(text, +m[3], MONTHS[m[2].toLowerCase()], +m[1]);
+  m = text.match(/(\d{4})\s*(?:to|-|–)\s*(\d{4})/);
+  if (m) return { text, date: null, from: +m[1], to: +m[2] };
+  m = text.match(/(\d{4})/);
+  if (!m) return null;
+  const circa = /circa|approx|c\./i.test(text) ? 1 : 0;
+  return { text, date: null, from: +m[1] - circa, to: +m[1] + circa };
+}
+
+function dob(text, y, mo, d){
+  if (mo < 1 || mo > 12 || d < 1 || d > 31) return { text, date: null, from: y, to: y };
+  return { text, date: `${y}-${String(mo).padStart(2, '0')}-${String(d).padStart(2, '0')}`, from: y, to: y };
+}
+
+function usDate(s){
+  const m = String(s || '').match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  return m ? `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}` : null;
+}
+
+function auDate(s){
+  const d = parseDob(s);
+  return d?.date || null;
+}
+
+function splitList(s){
+  return (s || '').split(/[;|]/).map(x => x.trim()).filter(Boolean);
+}
+
+function lastPart(s){
+  const parts = (s || '').split(',').map(x => x.trim()).filter(Boolean);
+  return parts[parts.length - 1] || '';
+}
+
+function unique(list){
+  return Array.from(new Set(list.filter(Boolean)));
+}
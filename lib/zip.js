@@ -1,5 +1,16 @@
-import archiver from 'archiver';
+import fs from 'fs';
 import { PassThrough } from 'stream';
+import { pipeline } from 'stream/promises';
+
+import archiver from 'archiver';
+
+// Entries are Buffers or { path } for files streamed from disk.
+function appendAll(archive, named){
+  for (const [name, src] of Object.entries(named)){
+    if (Buffer.isBuffer(src)) archive.append(src, { name });
+    else archive.file(src.path, { name });
+  }
+}
 
 export async function zipNamedBuffers(named){
   const archive = archiver('zip', { zlib: { level: 9 } });
@@ -12,9 +23,17 @@ export async function zipNamedBuffers(named){
   });
 
   archive.pipe(out);
-  for (const [name, buf] of Object.entries(named)){
-    archive.append(buf, { name });
-  }
+  appendAll(archive, named);
   await archive.finalize();
   return done;
 }
+
+// Stream the archive to outPath without holding it in memory.
+export async function zipToFile(named, outPath){
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const written = pipeline(archive, fs.createWriteStream(outPath));
+  appendAll(archive, named);
+  await archive.finalize();
+  await written;
+  return outPath;
+}
@@ -0,0 +1,131 @@
+// public/account.js
+const meEl = document.getElementById('me');
+const totpState = document.getElementById('totpState');
+const totpSetupBtn = document.getElementById('totpSetupBtn');
+const totpEnableForm = document.getElementById('totpEnableForm');
+const totpDisableForm = document.getElementById('totpDisableForm');
+const usersWrap = document.getElementById('usersWrap');
+const usersBody = document.getElementById('usersBody');
+const userForm = document.getElementById('userForm');
+const roleSelect = document.getElementById('roleSelect');
+const billingWrap = document.getElementById('billingWrap');
+const billingEl = document.getElementById('billing');
+const toastEl = document.getElementById('toast');
+
+const ROLE_LABELS = { admin: 'Admin', analyst: 'Analyst', auditor: 'Auditor (read-only)' };
+let me = null;
+
+function toast(msg, ms=2200){
+  toastEl.textContent = msg; toastEl.hidden = false;
+  requestAnimationFrame(()=> toastEl.classList.add('show'));
+  setTimeout(()=> { toastEl.classList.remove('show'); setTimeout(()=>toastEl.hidden=true, 180); }, ms);
+}
+function esc(s){ return (s??'').toString().replace(/[&<>"']/g,c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c])); }
+function formBody(form){ return JSON.stringify(Object.fromEntries(new FormData(form))); }
+
+async function api(url, opts = {}){
+  const res = await fetch(url, { ...opts, headers: { 'Content-Type': 'application/json', 'X-Requested-With': 'fetch', ...(opts.headers || {}) } });
+  const data = await res.json().catch(() => ({}));
+  if (res.status === 401 && url === '/api/auth/me') location.href = '/login?next=/account';
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+async function load(){
+  const data = await api('/api/auth/me');
+  me = data.user;
+  meEl.innerHTML = `
+    <div><span class="k">Name</span><span class="v">${esc(me.name)}</span></div>
+    <div><span class="k">Email</span><span class="v mono">${esc(me.email)}</span></div>
+    <div><span class="k">Organisation</span><span class="v">${esc(data.org.name)}</span></div>
+    <div><span class="k">Role</span><span class="v">${esc(ROLE_LABELS[me.role] || me.role)}</span></div>`;
+  totpState.textContent = me.totp_enabled ? 'On: sign-in asks for a code from your authenticator app.' : 'Off.';
+  totpSetupBtn.hidden = me.totp_enabled;
+  totpDisableForm.hidden = !me.totp_enabled;
+  totpEnableForm.hidden = true;
+  await loadBilling();
+  if (me.role === 'admin'){
+    if (!roleSelect.options.length) for (const r of data.roles) roleSelect.add(new Option(ROLE_LABELS[r] || r, r));
+    await loadUsers();
+  }
+}
+
+function limit(n, unit){ return n == null ? 'unlimited' : `${n.toLocaleString()} ${unit}`; }
+
+async function loadBilling(){
+  const b = await api('/api/billing');
+  if (!b.enabled) return;
+  const e = b.entitlements;
+  billingEl.innerHTML = `
+    <div><span class="k">Plan</span><span class="v">${esc(b.plans[b.plan]?.name || b.plan)}${b.status ? ` <span class="tag">${esc(b.status)}</span>` : ''}</span></div>
+    <div><span class="k">This month</span><span class="v">${b.usage.packs} of ${esc(limit(e.packs_per_month, 'packs'))}</span></div>
+    <div><span class="k">Rows per file</span><span class="v">${esc(limit(e.max_rows, 'max'))}</span></div>
+    <div><span class="k">Packs kept</span><span class="v">${e.retention_days} days</span></div>
+    ${b.subscription?.current_period_end ? `<div><span class="k">${b.subscription.cancel_at_period_end ? 'Ends' : 'Renews'}</span><span class="v">${esc(b.subscription.current_period_end.slice(0, 10))}</span></div>` : ''}`;
+  billingWrap.hidden = false;
+}
+
+async function loadUsers(){
+  const { roles, users } = await api('/api/org/users');
+  usersWrap.hidden = false;
+  usersBody.innerHTML = users.map(u => `
+    <tr data-id="${esc(u.id)}">
+      <td>${esc(u.name)}<div class="muted small mono">${esc(u.email)}</div></td>
+      <td><select data-field="role" ${u.id === me.id ? 'disabled' : ''}>${roles.map(r => `<option value="${esc(r)}" ${r === u.role ? 'selected' : ''}>${esc(ROLE_LABELS[r] || r)}</option>`).join('')}</select></td>
+      <td>${u.totp_enabled ? '<span class="badge good">On</span>' : '<span class="badge warn">Off</span>'}</td>
+      <td>${u.id === me.id ? '' : `<button class="btn ghost small" data-field="disabled" data-value="${!u.disabled}" type="button">${u.disabled ? 'Enable' : 'Disable'}</button>`}</td>
+    </tr>`).join('');
+}
+
+async function patchUser(id, patch){
+  try { await api(`/api/org/users/${encodeURIComponent(id)}`, { method: 'PATCH', body: JSON.stringify(patch) }); toast('Saved'); }
+  catch (err) { toast('Error: ' + err.message); }
+  await loadUsers();
+}
+
+usersBody.addEventListener('change', (e) => {
+  if (e.target.dataset.field === 'role') patchUser(e.target.closest('tr').dataset.id, { role: e.target.value });
+});
+usersBody.addEventListener('click', (e) => {
+  if (e.target.dataset.field === 'disabled') patchUser(e.target.closest('tr').dataset.id, { disabled: e.target.dataset.value === 'true' });
+});
+
+userForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try { await api('/api/org/users', { method: 'POST', body: formBody(userForm) }); userForm.reset(); toast('User added'); await loadUsers(); }
+  catch (err) { toast('Error: ' + err.message); }
+});
+
+document.getElementById('passwordForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try { await api('/api/auth/password', { method: 'POST', body: formBody(e.target) }); e.target.reset(); toast('Password changed'); }
+  catch (err) { toast('Error: ' + err.message); }
+});
+
+totpSetupBtn.addEventListener('click', async () => {
+  try {
+    const { secret, otpauth_url } = await api('/api/auth/totp/setup', { method: 'POST', body: '{}' });
+    document.getElementById('totpSecret').textContent = secret;
+    document.getElementById('totpUri').textContent = otpauth_url;
+    totpEnableForm.hidden = false; totpSetupBtn.hidden = true;
+  } catch (err) { toast('Error: ' + err.message); }
+});
+
+totpEnableForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try { await api('/api/auth/totp/enable', { method: 'POST', body: formBody(totpEnableForm) }); totpEnableForm.reset(); toast('Two-factor authentication on'); await load(); }
+  catch (err) { toast('Error: ' + err.message); }
+});
+
+totpDisableForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try { await api('/api/auth/totp/disable', { method: 'POST', body: formBody(totpDisableForm) }); totpDisableForm.reset(); toast('Two-factor authentication off'); await load(); }
+  catch (err) { toast('Error: ' + err.message); }
+});
+
+document.getElementById('logoutBtn').addEventListener('click', async () => {
+  await fetch('/api/auth/logout', { method: 'POST', headers: { 'X-Requested-With': 'fetch' } });
+  location.href = '/login';
+});
+
+load().catch(err => toast('Error: ' + err.message));
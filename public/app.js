@@ -2,8 +2,10 @@
 const form = document.getElementById('uform');
 const clientsInput = document.getElementById('clientsInput');
 const txInput = document.getElementById('txInput');
+const fxInput = document.getElementById('fxInput');
 const drop = document.getElementById('drop');
 const progress = document.getElementById('progress'); const bar = progress?.querySelector('.bar');
+const stageEl = document.getElementById('stage');
 const out = document.getElementById('out');
 
 const summary = document.getElementById('summary');
@@ -16,6 +18,23 @@ const riskWrap = document.getElementById('riskWrap'); const riskBody = document.
 const toastEl = document.getElementById('toast');
 const submitBtn = document.getElementById('submitBtn');
 const validateBtn = document.getElementById('validateBtn');
+const cancelBtn = document.getElementById('cancelBtn');
+
+const mappingWrap = document.getElementById('mappingWrap');
+const mappingTables = document.getElementById('mappingTables');
+const profileSelect = document.getElementById('profileSelect');
+const profileName = document.getElementById('profileName');
+const saveProfileBtn = document.getElementById('saveProfile');
+const clientsSheetRow = document.getElementById('clientsSheetRow'); const clientsSheet = document.getElementById('clientsSheet');
+const txSheetRow = document.getElementById('txSheetRow'); const txSheet = document.getElementById('txSheet');
+const strictInput = document.getElementById('strictInput'); const maxErrorsInput = document.getElementById('maxErrorsInput');
+const reportsInput = document.getElementById('reportsInput');
+const publicManifestInput = document.getElementById('publicManifestInput');
+const privacyInput = document.getElementById('privacyInput');
+const compareInput = document.getElementById('compareInput'); const compareLink = document.getElementById('compareLink');
+const issuesWrap = document.getElementById('issuesWrap'); const issuesSummary = document.getElementById('issuesSummary'); const issuesCsvLink = document.getElementById('issuesCsv');
+
+const INPUT_RE = /\.(csv|tsv|txt|xlsx|json|ndjson|jsonl)$/i;
 
 function toast(msg, ms=2200){
   toastEl.textContent = msg; toastEl.hidden = false;
@@ -33,8 +52,8 @@ if (drop){
 
   function handleDrop(e){
     const files = [...(e.dataTransfer?.files || [])];
-    const clients = files.find(f => /\.csv$/i.test(f.name) && /clients?/i.test(f.name));
-    const txs = files.find(f => /\.csv$/i.test(f.name) && /(transactions?|transfers?)/i.test(f.name));
+    const clients = files.find(f => INPUT_RE.test(f.name) && /clients?/i.test(f.name));
+    const txs = files.find(f => INPUT_RE.test(f.name) && /(transactions?|transfers?)/i.test(f.name));
     if (clients) setFile(clientsInput, clients);
     if (txs) setFile(txInput, txs);
     if (!clients || !txs) toast('Need both Clients.csv and Transactions.csv');
@@ -48,68 +67,290 @@ form?.addEventListener('submit', (e) => { e.preventDefault(); run('/upload', tru
 async function run(url, isGenerate=false){
   try{
     if (!clientsInput.files[0] || !txInput.files[0]) { toast('Select both files'); return; }
-    if (!/\.csv$/i.test(clientsInput.files[0].name) || !/\.csv$/i.test(txInput.files[0].name)) { toast('Files must be .csv'); return; }
+    if (!INPUT_RE.test(clientsInput.files[0].name) || !INPUT_RE.test(txInput.files[0].name)) { toast('Files must be CSV, XLSX, JSON or NDJSON'); return; }
 
     if (isGenerate) submitBtn.classList.add('loading');
     out.textContent = '';
-    summary.hidden = true; riskWrap.hidden = true;
-    progress.hidden = false; setBar(10);
+    summary.hidden = true; riskWrap.hidden = true; issuesWrap.hidden = true;
+    progress.hidden = false; setBar(0);
 
     const fd = new FormData();
     fd.append('clients', clientsInput.files[0]);
     fd.append('transactions', txInput.files[0]);
+    if (fxInput?.files[0]) fd.append('fx_rates', fxInput.files[0]);
+    if (!clientsSheetRow?.hidden && clientsSheet.value) fd.append('clients_sheet', clientsSheet.value);
+    if (!txSheetRow?.hidden && txSheet.value) fd.append('transactions_sheet', txSheet.value);
+    if (profileSelect?.value) fd.append('mapping_profile', profileSelect.value);
+    if (mappingReports) fd.append('mapping', JSON.stringify(collectMapping()));
+    if (strictInput?.checked){ fd.append('strict', '1'); fd.append('max_errors', maxErrorsInput.value || '0'); }
+    if (reportsInput?.checked) fd.append('reports', '1');
+    if (publicManifestInput?.checked) fd.append('public_manifest', '1');
+    if (isGenerate && privacyInput?.value) fd.append('privacy', privacyInput.value);
+    if (isGenerate && compareInput?.checked) fd.append('compare_to', 'latest');
 
-    setBar(40);
-    const res = await fetch(url, { method:'POST', body: fd, headers: { 'X-Requested-With': 'fetch' } });
-    const text = await res.text();
-    let data = {};
-    try { data = text ? JSON.parse(text) : {}; } catch {}
-
-    setBar(80);
-    if (!res.ok) {
-      out.textContent = JSON.stringify({ ok:false, status: res.status, body: data || text }, null, 2);
-      throw new Error((data && data.error) || `Request failed (${res.status})`);
+    const { status, data } = await postWithProgress(url, fd, onProgress);
+    if (status >= 400 || data.event === 'error') {
+      out.textContent = JSON.stringify({ ok:false, status, body: data }, null, 2);
+      throw new Error((data && data.error) || `Request failed (${status})`);
     }
 
     if (isGenerate){
-      verifyUrlEl.textContent = data.verify_url;
-      openVerify.href = data.verify_url;
-      downloadZip.href = data.download_url;
+      // the pack is built by a background job; follow it until it finishes
+      cancelBtn.hidden = false;
+      currentJob = data;
+      const job = await followJob(data, onJob);
+      if (job.status === 'cancelled') { toast('Cancelled'); return; }
+      if (job.status !== 'succeeded') {
+        out.textContent = JSON.stringify({ ok:false, job }, null, 2);
+        throw new Error(job.error?.message || 'Processing failed');
+      }
+      const result = job.result;
+      verifyUrlEl.textContent = result.verify_url;
+      openVerify.href = result.verify_url;
+      // the download key only comes with the upload response; with it the link works without an account
+      downloadZip.href = data.download_key ? `${result.download_url}?key=${encodeURIComponent(data.download_key)}` : result.download_url;
+      compareLink.hidden = !result.compared_to;
+      if (result.compared_to) compareLink.href = `/runs#${result.compared_to}..${result.run_id}`;
       summary.hidden = false;
 
-      renderRisk(data.risk || []);
+      renderRisk(result.risk || [], result.cases?.matched || {}, result.run_id);
       riskWrap.hidden = false;
       out.textContent = '';
       toast('Evidence ready');
     } else {
-      out.textContent = JSON.stringify(data, null, 2);
-      toast('Validated');
+      const { issues, ...rest } = data;
+      out.textContent = JSON.stringify(rest, null, 2);
+      renderSheets(data.formats);
+      renderMapping(data.mapping);
+      renderIssues(data);
+      const missing = [...(data.mapping?.clients?.missing || []), ...(data.mapping?.transactions?.missing || [])];
+      if (missing.length) toast(`Validated — map required field(s): ${missing.join(', ')}`, 4000);
+      else if (data.strict?.blocked) toast(`Strict mode: ${data.strict.errors} row error(s) would block the pack`, 4000);
+      else toast('Validated');
     }
     setBar(100);
   }catch(err){
     toast('Error: ' + (err.message || 'failed'));
   }finally{
     submitBtn.classList.remove('loading');
-    setTimeout(()=> { progress.hidden = true; setBar(0); }, 400);
+    cancelBtn.hidden = true; currentJob = null;
+    setTimeout(()=> { progress.hidden = true; setBar(0); setStage(''); }, 400);
+  }
+}
+
+let currentJob = null;
+cancelBtn?.addEventListener('click', async () => {
+  if (!currentJob) return;
+  cancelBtn.disabled = true;
+  try { await fetch(currentJob.cancel_url, { method: 'POST', headers: { 'X-Requested-With': 'fetch' } }); }
+  catch { toast('Cancel failed'); }
+  finally { cancelBtn.disabled = false; }
+});
+
+// Job updates over SSE; falls back to polling the status URL if the stream drops.
+function followJob(job, onUpdate){
+  const finished = (j) => ['succeeded', 'failed', 'cancelled'].includes(j.status);
+  return new Promise((resolve) => {
+    const poll = async () => {
+      try {
+        const j = await (await fetch(job.status_url, { headers: { 'X-Requested-With': 'fetch' } })).json();
+        onUpdate(j);
+        if (finished(j)) return resolve(j);
+      } catch {}
+      setTimeout(poll, 1000);
+    };
+    if (!window.EventSource) return poll();
+    const es = new EventSource(job.events_url);
+    es.addEventListener('job', (e) => {
+      const j = JSON.parse(e.data);
+      onUpdate(j);
+      if (finished(j)) { es.close(); resolve(j); }
+    });
+    es.onerror = () => { es.close(); poll(); };
+  });
+}
+
+// upload takes the first 30% of the bar, the job the rest
+function onJob(j){
+  setBar(30 + 0.7 * (j.progress || 0));
+  const rows = j.rows != null ? ` · ${Number(j.rows).toLocaleString()} rows` : '';
+  setStage(`${j.status === 'running' ? j.stage : j.status} ${j.progress || 0}%${rows}`);
+}
+
+// Real progress: upload bytes from XHR, then server-side stages streamed back as NDJSON.
+const STAGES = { upload: [0, 30], clients: [30, 35], transactions: [35, 75], scoring: [75, 85], packaging: [85, 95], storing: [95, 99] };
+function onProgress(p){
+  const [from, to] = STAGES[p.stage] || [0, 0];
+  const frac = p.total ? p.bytes / p.total : 0;
+  if (to) setBar(from + (to - from) * frac);
+  const rows = p.rows != null ? ` · ${Number(p.rows).toLocaleString()} rows` : '';
+  setStage(`${p.stage}${p.total ? ` ${Math.round(frac * 100)}%` : ''}${rows}`);
+}
+
+function postWithProgress(url, body, onEvent){
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    let seen = 0; let last = null;
+    const drain = () => {
+      const text = xhr.responseText;
+      if (!/x-ndjson/.test(xhr.getResponseHeader('Content-Type') || '')) return;
+      const lines = text.slice(seen).split('\n');
+      const rest = lines.pop();
+      seen = text.length - rest.length;
+      for (const l of lines){
+        if (!l.trim()) continue;
+        const ev = JSON.parse(l);
+        if (ev.event === 'progress') onEvent(ev); else last = ev;
+      }
+    };
+    xhr.open('POST', url);
+    xhr.setRequestHeader('X-Requested-With', 'fetch');
+    xhr.setRequestHeader('Accept', 'application/x-ndjson, application/json');
+    xhr.upload.onprogress = (e) => { if (e.lengthComputable) onEvent({ stage: 'upload', bytes: e.loaded, total: e.total }); };
+    xhr.onprogress = drain;
+    xhr.onerror = () => reject(new Error('Network error'));
+    xhr.onload = () => {
+      drain();
+      if (last) return resolve({ status: last.status || xhr.status, data: last });
+      let data = {};
+      try { data = xhr.responseText ? JSON.parse(xhr.responseText) : {}; } catch {}
+      resolve({ status: xhr.status, data });
+    };
+    xhr.send(body);
+  });
+}
+
+// Workbooks with several sheets get a sheet picker (used on the next validate/generate).
+function renderSheets(formats){
+  for (const [info, row, sel] of [[formats?.clients, clientsSheetRow, clientsSheet], [formats?.transactions, txSheetRow, txSheet]]){
+    if (!row) continue;
+    const sheets = info?.format === 'xlsx' ? info.sheets || [] : [];
+    row.hidden = sheets.length < 2;
+    sel.innerHTML = sheets.map(n => `<option value="${esc(n)}"${n === info.sheet ? ' selected' : ''}>${esc(n)}</option>`).join('');
   }
 }
 
+// Picking another file invalidates the sheet list and mapping from the last validation.
+[clientsInput, txInput].forEach(input => input?.addEventListener('change', () => {
+  const row = input === clientsInput ? clientsSheetRow : txSheetRow;
+  if (row) row.hidden = true;
+  mappingReports = null;
+  if (mappingWrap) mappingWrap.hidden = true;
+}));
+
+// --------- column mapping ---------
+let mappingReports = null;   // last /api/validate mapping report
+let profileMapping = null;   // mapping of the selected saved profile
+
+function renderMapping(reports){
+  if (!reports || !mappingTables) return;
+  mappingReports = reports;
+  mappingTables.innerHTML = ['clients', 'transactions'].map(kind => {
+    const r = reports[kind];
+    if (!r) return '';
+    const fields = r.fields || Object.keys(r.mapping);
+    const rows = fields.map(field => {
+      const chosen = profileMapping?.[kind]?.[field] ?? r.mapping[field] ?? r.suggested[field] ?? '';
+      const hint = r.mapping[field] ? r.sources[field] : r.suggested[field] ? `suggested ${Math.round((r.suggestions[field]?.[0]?.score || 0) * 100)}%` : '';
+      const opts = ['<option value="">— not mapped —</option>']
+        .concat(r.headers.map(h => `<option value="${esc(h)}"${h === chosen ? ' selected' : ''}>${esc(h)}</option>`)).join('');
+      return `<tr><td class="mono">${esc(field)}${r.required.includes(field) ? ' *' : ''}</td>
+        <td><select data-kind="${kind}" data-field="${esc(field)}">${opts}</select></td>
+        <td>${hint ? `<span class="tag">${esc(hint)}</span>` : ''}</td></tr>`;
+    }).join('');
+    return `<h3>${kind === 'clients' ? 'Clients.csv' : 'Transactions.csv'}</h3>
+      <div class="table-wrap mapping"><table class="table">
+        <thead><tr><th>Field</th><th>Column</th><th></th></tr></thead><tbody>${rows}</tbody></table></div>
+      ${r.unmapped.length ? `<p class="muted small">Unmapped columns: ${r.unmapped.map(esc).join(', ')}</p>` : ''}`;
+  }).join('');
+  mappingWrap.hidden = false;
+}
+
+function collectMapping(){
+  const out = { clients: {}, transactions: {} };
+  mappingTables?.querySelectorAll('select[data-kind]').forEach(sel => {
+    if (sel.value) out[sel.dataset.kind][sel.dataset.field] = sel.value;
+  });
+  return out;
+}
+
+async function loadProfiles(selected){
+  try {
+    const { profiles } = await (await fetch('/api/mapping-profiles')).json();
+    profileSelect.innerHTML = '<option value="">— none —</option>' +
+      profiles.map(p => `<option value="${esc(p.id)}"${p.id === selected ? ' selected' : ''}>${esc(p.name)}</option>`).join('');
+  } catch {}
+}
+
+profileSelect?.addEventListener('change', async () => {
+  profileMapping = null;
+  if (profileSelect.value){
+    try { profileMapping = (await (await fetch(`/api/mapping-profiles/${encodeURIComponent(profileSelect.value)}`)).json()).mapping; }
+    catch { toast('Could not load profile'); }
+  }
+  if (mappingReports) renderMapping(mappingReports);
+});
+
+saveProfileBtn?.addEventListener('click', async () => {
+  const name = profileName.value.trim();
+  if (!name) { toast('Name the data source first'); return; }
+  try {
+    const r = await fetch('/api/mapping-profiles', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Requested-With': 'fetch' },
+      body: JSON.stringify({ name, source: name, mapping: collectMapping() })
+    });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'Save failed');
+    profileMapping = data.profile.mapping;
+    await loadProfiles(data.profile.id);
+    toast('Profile saved');
+  } catch (err) { toast('Error: ' + err.message); }
+});
+
+if (profileSelect) loadProfiles();
+
+// --------- row validation ---------
+const ISSUE_COLUMNS = ['file', 'row', 'id', 'field', 'value', 'code', 'severity', 'message'];
+let issuesUrl = null;
+
+function renderIssues(data){
+  const c = data.issue_counts;
+  if (!c || !issuesWrap) return;
+  const codes = Object.entries(c.by_code).sort((a, b) => b[1] - a[1]).map(([code, n]) => `${esc(code)} ${n}`).join(', ');
+  issuesSummary.innerHTML = `<strong>${c.errors}</strong> error(s), <strong>${c.warnings}</strong> warning(s)${codes ? ` <span class="muted">(${codes})</span>` : ''}`
+    + (c.reported < c.errors + c.warnings ? ` <span class="muted">— report lists the first ${c.reported}</span>` : '');
+  if (issuesUrl) URL.revokeObjectURL(issuesUrl);
+  issuesUrl = URL.createObjectURL(new Blob([issuesCsv(data.issues || [])], { type: 'text/csv' }));
+  issuesCsvLink.href = issuesUrl;
+  issuesCsvLink.hidden = !(data.issues || []).length;
+  issuesWrap.hidden = false;
+}
+
+function issuesCsv(issues){
+  const cell = v => { const s = v == null ? '' : String(v); return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s; };
+  return [ISSUE_COLUMNS.join(','), ...issues.map(i => ISSUE_COLUMNS.map(k => cell(i[k])).join(','))].join('\r\n') + '\r\n';
+}
+
+function setStage(t){ if (stageEl) stageEl.textContent = t; }
 function setBar(p){ if(bar) bar.style.width = `${Math.max(0, Math.min(100, p))}%`; }
 
-function renderRisk(items){
+// matched: detected case id -> the stored case it joined (see /api/cases); runId links each
+// client to its profile page
+function renderRisk(items, matched = {}, runId = null){
   riskBody.innerHTML = '';
   const frag = document.createDocumentFragment();
   for (const item of items) {
     const tr = document.createElement('tr');
     tr.innerHTML = `
-      <td><span class="mono">${esc(item.client_id||'—')}</span></td>
+      <td>${runId && item.client_id ? `<a class="mono" href="/runs/${encodeURIComponent(runId)}/clients/${encodeURIComponent(item.client_id)}">${esc(item.client_id)}</a>` : `<span class="mono">${esc(item.client_id||'—')}</span>`}</td>
       <td><span class="badge ${String(item.band||'').toLowerCase()==='high'?'high':String(item.band||'').toLowerCase()==='medium'?'med':'low'}">${esc(item.band||'Low')}</span></td>
       <td>${String(item.score ?? 0)}</td>
       <td>
         ${Array.isArray(item.reasons)&&item.reasons.length?`
           <details><summary>${item.reasons.length} reason${item.reasons.length===1?'':'s'}</summary>
           <div class="reason-list">
-            ${item.reasons.map(r=>`<div class="reason"><span class="tag">${esc(r.family)} +${esc(r.points)}</span><span>${esc(r.text)}</span></div>`).join('')}
+            ${item.reasons.map(r=>`<div class="reason"><span class="tag">${esc(r.family)} +${esc(r.points)}</span><span>${esc(r.text)}${r.case_id ? ` <a class="small" href="/cases#${esc(matched[r.case_id] || r.case_id)}">case</a>` : ''}</span></div>`).join('')}
           </div></details>`:'<span class="muted">—</span>'}
       </td>`;
     frag.appendChild(tr);
@@ -0,0 +1,131 @@
+// public/cases.js
+const body = document.getElementById('casesBody');
+const fStatus = document.getElementById('fStatus');
+const fAssignee = document.getElementById('fAssignee');
+const fClient = document.getElementById('fClient');
+
+const caseWrap = document.getElementById('caseWrap');
+const caseTitle = document.getElementById('caseTitle');
+const caseFacts = document.getElementById('caseFacts');
+const caseForm = document.getElementById('caseForm');
+const cStatus = document.getElementById('cStatus');
+const cAssignee = document.getElementById('cAssignee');
+const cDisposition = document.getElementById('cDisposition');
+const notesEl = document.getElementById('notes');
+const noteForm = document.getElementById('noteForm');
+const noteText = document.getElementById('noteText');
+const historyEl = document.getElementById('history');
+const caseDetail = document.getElementById('caseDetail');
+const toastEl = document.getElementById('toast');
+
+const LABELS = { open: 'Open', under_review: 'Under review', escalated: 'Escalated', closed_no_action: 'Closed – no action', reported: 'Reported' };
+const BADGE = { open: 'warn', under_review: 'warn', escalated: 'high', closed_no_action: 'good', reported: 'high' };
+let current = null;
+
+function toast(msg, ms=2200){
+  toastEl.textContent = msg; toastEl.hidden = false;
+  requestAnimationFrame(()=> toastEl.classList.add('show'));
+  setTimeout(()=> { toastEl.classList.remove('show'); setTimeout(()=>toastEl.hidden=true, 180); }, ms);
+}
+function esc(s){ return (s??'').toString().replace(/[&<>"']/g,c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c])); }
+function when(iso){ return iso ? iso.replace('T', ' ').slice(0, 16) : '—'; }
+function badge(status){ return `<span class="badge ${BADGE[status] || ''}">${esc(LABELS[status] || status)}</span>`; }
+
+async function api(url, opts = {}){
+  const res = await fetch(url, { ...opts, headers: { 'Content-Type': 'application/json', ...(opts.headers || {}) } });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+async function loadList(){
+  const q = new URLSearchParams();
+  if (fStatus.value) q.set('status', fStatus.value);
+  if (fAssignee.value.trim()) q.set('assignee', fAssignee.value.trim());
+  if (fClient.value.trim()) q.set('client_id', fClient.value.trim());
+  try {
+    const data = await api('/api/cases?' + q);
+    if (fStatus.options.length === 1){
+      for (const s of data.statuses){ fStatus.add(new Option(LABELS[s] || s, s)); cStatus.add(new Option(LABELS[s] || s, s)); }
+    }
+    body.innerHTML = data.cases.length ? data.cases.map(c => `
+      <tr>
+        <td><a href="#${esc(c.case_id)}" class="mono">${esc(c.case_id)}</a><div class="muted small">${esc(c.type)}</div></td>
+        <td class="mono">${esc(c.client_id)}</td>
+        <td>${badge(c.status)}</td>
+        <td>${esc(c.assignee || '—')}</td>
+        <td>${esc(c.reason)} <span class="tag">+${esc(c.points)}</span>${c.notes ? ` <span class="tag">${c.notes} note${c.notes === 1 ? '' : 's'}</span>` : ''}</td>
+        <td class="small">${esc(when(c.updated_utc))}</td>
+      </tr>`).join('') : '<tr><td colspan="6" class="muted">No cases.</td></tr>';
+  } catch (e) {
+    body.innerHTML = `<tr><td colspan="6">${esc(e.message)}</td></tr>`;
+  }
+}
+
+async function loadCase(id){
+  if (!id){ caseWrap.hidden = true; current = null; return; }
+  try {
+    current = await api('/api/cases/' + encodeURIComponent(id));
+  } catch (e) {
+    toast(e.message); caseWrap.hidden = true; return;
+  }
+  renderCase();
+  caseWrap.hidden = false;
+  caseWrap.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function renderCase(){
+  const c = current;
+  caseTitle.innerHTML = `${esc(c.case_id)} ${badge(c.status)}`;
+  const facts = [
+    ['Client', c.client_id], ['Type', c.type], ['Reason', c.reason], ['Points', c.points],
+    ['Transactions', c.tx_ids.join(', ') || '—'], ['Window', c.window_start ? `${c.window_start} → ${c.window_end}` : '—'],
+    ['Total (AUD)', c.total_amount ?? '—'], ['Countries', c.countries || '—'],
+    ['Runs', c.runs.length], ['Opened', when(c.created_utc)]
+  ];
+  caseFacts.innerHTML = facts.map(([k, v]) => `<div><span class="k">${esc(k)}</span> <span class="v">${esc(v)}</span></div>`).join('');
+  cStatus.value = c.status;
+  cAssignee.value = c.assignee || '';
+  cDisposition.value = c.disposition || '';
+  notesEl.innerHTML = c.notes.length ? c.notes.map(n => `
+    <div class="note"><div class="muted small">${esc(n.author)} · ${esc(when(n.created_utc))}</div><div>${esc(n.text)}</div></div>`).join('') : '<p class="muted small">No notes yet.</p>';
+  historyEl.innerHTML = c.history.map(h => `<li><span class="mono">${esc(when(h.at))}</span> ${esc(h.actor)} — ${esc(describe(h))}</li>`).join('');
+  caseDetail.textContent = JSON.stringify({ matches: c.matches, detail: c.detail, runs: c.runs }, null, 2);
+}
+
+function describe(h){
+  switch (h.action){
+    case 'created': return 'case opened';
+    case 'detected': return `detected again${h.added_tx_ids ? ` (+${h.added_tx_ids.length} transaction${h.added_tx_ids.length === 1 ? '' : 's'})` : ''}`;
+    case 'status': return `status ${LABELS[h.from] || h.from} → ${LABELS[h.to] || h.to}`;
+    case 'assigned': return `assignee ${h.from || 'none'} → ${h.to || 'none'}`;
+    case 'disposition': return `disposition: ${h.to || '(cleared)'}`;
+    case 'note': return 'note added';
+    default: return h.action;
+  }
+}
+
+caseForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    const data = await api('/api/cases/' + encodeURIComponent(current.case_id), {
+      method: 'PATCH',
+      body: JSON.stringify({ status: cStatus.value, assignee: cAssignee.value.trim() || null, disposition: cDisposition.value.trim() || null })
+    });
+    current = data.case; renderCase(); loadList(); toast('Saved');
+  } catch (err) { toast(err.message, 3500); }
+});
+
+noteForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  if (!noteText.value.trim()) return;
+  try {
+    await api(`/api/cases/${encodeURIComponent(current.case_id)}/notes`, { method: 'POST', body: JSON.stringify({ text: noteText.value }) });
+    noteText.value = '';
+    await loadCase(current.case_id); loadList();
+  } catch (err) { toast(err.message, 3500); }
+});
+
+for (const el of [fStatus, fAssignee, fClient]) el.addEventListener('change', loadList);
+window.addEventListener('hashchange', () => loadCase(location.hash.slice(1)));
+loadList().then(() => loadCase(location.hash.slice(1)));
@@ -0,0 +1,127 @@
+// public/client.js
+const root = document.getElementById('client');
+const runNote = document.getElementById('runNote');
+const expired = document.getElementById('expired');
+const facts = document.getElementById('facts');
+const reasonsEl = document.getElementById('reasons');
+const timelineWrap = document.getElementById('timelineWrap');
+const timelineEl = document.getElementById('timeline');
+const txNote = document.getElementById('txNote');
+const txBody = document.getElementById('txBody');
+const caseBody = document.getElementById('caseBody');
+const toastEl = document.getElementById('toast');
+
+const LABELS = { open: 'Open', under_review: 'Under review', escalated: 'Escalated', closed_no_action: 'Closed – no action', reported: 'Reported' };
+const BADGE = { open: 'warn', under_review: 'warn', escalated: 'high', closed_no_action: 'good', reported: 'high' };
+const SVG = 'http://www.w3.org/2000/svg';
+// in place of the page's expiry note, for packs that never had the data or only pseudonymised
+const PRIVACY_NOTES = {
+  aggregate: "This run's evidence pack is aggregate-only, so it holds no profile or transactions; the score, reasons and cases below are from the run record.",
+  pseudonymised: "This run's evidence pack is pseudonymised: names, and the transactions outside the client's cases, show as tokens."
+};
+
+function toast(msg, ms=2200){
+  toastEl.textContent = msg; toastEl.hidden = false;
+  requestAnimationFrame(()=> toastEl.classList.add('show'));
+  setTimeout(()=> { toastEl.classList.remove('show'); setTimeout(()=>toastEl.hidden=true, 180); }, ms);
+}
+function esc(s){ return (s??'').toString().replace(/[&<>"']/g,c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c])); }
+function when(iso){ return iso ? iso.replace('T', ' ').slice(0, 16) : '—'; }
+function band(b){ const k = String(b || '').toLowerCase(); return `<span class="badge ${k === 'high' ? 'high' : k === 'medium' ? 'med' : 'low'}">${esc(b || '—')}</span>`; }
+function aud(v){ return Number.isFinite(v) ? v.toLocaleString('en-AU', { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : '—'; }
+function shown({ rows, total }){ return total > rows.length ? ` (latest ${rows.length} of ${total})` : ''; }
+
+async function api(url){
+  const res = await fetch(url);
+  if (res.status === 401){ location.href = '/login?next=' + encodeURIComponent(location.pathname); return new Promise(() => {}); }
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+function txRow(t, { reasons = true } = {}){
+  return `<tr class="${t.rule_ids?.length ? 'flagged' : ''}">
+    <td class="mono">${esc(t.tx_id)}</td><td>${esc(t.date || '—')}</td><td>${esc(t.direction || '—')}</td>
+    <td>${aud(t.amount)} ${esc(t.currency || '')}</td><td>${aud(t.amount_aud)}</td><td>${esc(t.method || '—')}</td>
+    <td>${esc([t.counterparty_name, t.counterparty_country].filter(Boolean).join(', ') || '—')}</td>
+    ${reasons ? `<td>${(t.rule_ids || []).map(r => `<span class="tag">${esc(r)}</span>`).join(' ') || '<span class="muted">—</span>'}</td>` : ''}
+  </tr>`;
+}
+
+function render(p){
+  document.title = `Client ${p.client_id} — TrancheReady`;
+  runNote.innerHTML = `Run <a class="mono" href="/runs">${esc(p.run.run_id)}</a> of ${esc(when(p.run.created_utc))} · ${esc(p.run.ruleset_id)} v${esc(p.run.ruleset_version)} · lookback ${esc(p.run.lookback.start)} → ${esc(p.run.lookback.end)}`;
+  const note = p.run.privacy === 'aggregate' || (p.data_available && p.run.privacy === 'pseudonymised') ? PRIVACY_NOTES[p.run.privacy] : null;
+  expired.hidden = p.data_available && !note;
+  if (note) expired.textContent = note;
+  const rows = [['Score', `${p.score} (rank ${p.rank} of the run)`], ...Object.entries(p.profile || {}).filter(([k]) => k !== 'client_id')];
+  facts.innerHTML = `<div><span class="k">Band</span> <span class="v">${band(p.band)}</span></div>`
+    + rows.map(([k, v]) => `<div><span class="k">${esc(k)}</span> <span class="v">${esc(v === '' || v == null ? '—' : v)}</span></div>`).join('');
+
+  reasonsEl.innerHTML = p.reasons.length ? p.reasons.map(r => `
+    <details class="reason-detail" ${r.tx_ids.length ? '' : 'open'}>
+      <summary><span class="tag">${esc(r.family || r.rule_id)} +${esc(r.points)}</span> ${esc(r.text)} <span class="muted small mono">${esc(r.rule_id)}</span>
+        ${r.case_id ? ` · <a class="small" href="/cases#${esc(r.case_id)}">${esc(r.case_id)}</a>` : ''}</summary>
+      ${!r.tx_ids.length ? '<p class="muted small">From the client profile; no transactions involved.</p>'
+        : !r.transactions ? `<p class="muted small">${r.tx_ids.length} transaction(s): ${esc(r.tx_ids.join(', '))}</p>`
+        : `<div class="table-wrap"><table class="table"><thead><tr><th>Transaction</th><th>Date</th><th>Direction</th><th>Amount</th><th>AUD</th><th>Method</th><th>Counterparty</th></tr></thead>
+            <tbody>${r.transactions.rows.map(t => txRow(t, { reasons: false })).join('')}</tbody></table></div>
+          ${r.transactions.total > r.transactions.rows.length ? `<p class="muted small">First ${r.transactions.rows.length} of ${r.transactions.total}; all are in the case.</p>` : ''}`}
+    </details>`).join('') : '<p class="muted">No risk indicators.</p>';
+
+  timelineWrap.hidden = !p.timeline;
+  if (p.timeline){
+    chart(p.timeline);
+    txNote.textContent = `${p.transactions.total} transaction(s) in the lookback${shown(p.transactions)}: AUD ${aud(p.transactions.in_aud)} in, AUD ${aud(p.transactions.out_aud)} out. Flagged rows triggered a reason.`;
+    txBody.innerHTML = p.transactions.rows.map(t => txRow(t)).join('') || '<tr><td colspan="8" class="muted">No transactions in the lookback.</td></tr>';
+  }
+
+  caseBody.innerHTML = p.cases.length ? p.cases.map(c => `
+    <tr>
+      <td><a class="mono" href="/cases#${esc(c.case_id)}">${esc(c.case_id)}</a>${c.in_run ? '' : ' <span class="tag">other run</span>'}</td>
+      <td><span class="badge ${BADGE[c.status] || ''}">${esc(LABELS[c.status] || c.status)}</span></td>
+      <td>${esc(c.assignee || '—')}</td>
+      <td>${esc(c.reason)} <span class="tag">+${esc(c.points)}</span></td>
+      <td class="small">${esc(when(c.updated_utc))}</td>
+    </tr>`).join('') : '<tr><td colspan="5" class="muted">No cases for this client.</td></tr>';
+}
+
+// Monthly in/out bars, months with flagged transactions marked along the bottom.
+function chart(months){
+  const W = 720, H = 220, pad = { l: 56, r: 8, t: 10, b: 34 };
+  const max = Math.max(1, ...months.map(m => Math.max(m.in_aud, m.out_aud)));
+  const slot = (W - pad.l - pad.r) / months.length;
+  const bw = Math.max(1, slot / 2 - 2);
+  const y = v => pad.t + (H - pad.t - pad.b) * (1 - v / max);
+  const el = (name, attrs, text) => {
+    const n = document.createElementNS(SVG, name);
+    for (const [k, v] of Object.entries(attrs)) n.setAttribute(k, v);
+    if (text != null){ const t = document.createElementNS(SVG, 'title'); t.textContent = text; n.appendChild(t); }
+    return n;
+  };
+  timelineEl.setAttribute('viewBox', `0 0 ${W} ${H}`);
+  timelineEl.replaceChildren();
+  for (const f of [0, 0.5, 1]){
+    timelineEl.appendChild(el('line', { x1: pad.l, x2: W - pad.r, y1: y(max * f), y2: y(max * f) }));
+    const label = el('text', { x: pad.l - 6, y: y(max * f) + 3, 'text-anchor': 'end' });
+    label.textContent = Math.round(max * f).toLocaleString('en-AU');
+    timelineEl.appendChild(label);
+  }
+  const every = Math.ceil(months.length / 12);
+  months.forEach((m, i) => {
+    const x = pad.l + i * slot;
+    const tip = `${m.month}: AUD ${aud(m.in_aud)} in, AUD ${aud(m.out_aud)} out, ${m.count} transaction(s), ${m.flagged} flagged`;
+    timelineEl.appendChild(el('rect', { class: 'in', x: x + 1, y: y(m.in_aud), width: bw, height: H - pad.b - y(m.in_aud) }, tip));
+    timelineEl.appendChild(el('rect', { class: 'out', x: x + 1 + bw, y: y(m.out_aud), width: bw, height: H - pad.b - y(m.out_aud) }, tip));
+    if (m.flagged) timelineEl.appendChild(el('circle', { class: 'flag', cx: x + slot / 2, cy: H - pad.b + 8, r: 4 }, tip));
+    if (i % every === 0){
+      const label = el('text', { x: x + slot / 2, y: H - 6, 'text-anchor': 'middle' });
+      label.textContent = m.month;
+      timelineEl.appendChild(label);
+    }
+  });
+}
+
+api(`/api/runs/${encodeURIComponent(root.dataset.run)}/clients/${encodeURIComponent(root.dataset.client)}`)
+  .then(render)
+  .catch(e => { runNote.textContent = e.message; reasonsEl.innerHTML = ''; toast(e.message, 3500); });
@@ -0,0 +1,49 @@
+// public/login.js
+const loginForm = document.getElementById('loginForm');
+const signupForm = document.getElementById('signupForm');
+const codeRow = document.getElementById('codeRow');
+const toastEl = document.getElementById('toast');
+
+function toast(msg, ms=2600){
+  toastEl.textContent = msg; toastEl.hidden = false;
+  requestAnimationFrame(()=> toastEl.classList.add('show'));
+  setTimeout(()=> { toastEl.classList.remove('show'); setTimeout(()=>toastEl.hidden=true, 180); }, ms);
+}
+
+// back to where the visitor was sent from (local paths only)
+function done(){
+  const next = new URLSearchParams(location.search).get('next') || '/';
+  location.href = /^\/(?![/\\])/.test(next) ? next : '/';
+}
+
+async function post(url, form){
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Requested-With': 'fetch' },
+    body: JSON.stringify(Object.fromEntries(new FormData(form)))
+  });
+  const data = await res.json().catch(() => ({}));
+  return { res, data };
+}
+
+loginForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    const { res, data } = await post('/api/auth/login', loginForm);
+    if (res.ok) return done();
+    if (data.code === 'TOTP_REQUIRED'){
+      codeRow.hidden = false;
+      loginForm.elements.code.focus();
+    }
+    toast(data.error || `Sign-in failed (${res.status})`);
+  } catch (err) { toast('Error: ' + err.message); }
+});
+
+signupForm?.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    const { res, data } = await post('/api/auth/signup', signupForm);
+    if (res.ok) return done();
+    toast(data.error || `Sign-up failed (${res.status})`);
+  } catch (err) { toast('Error: ' + err.message); }
+});
@@ -10,6 +10,7 @@
         headers: { 'Content-Type':'application/json' },
         body: JSON.stringify({ plan })
       });
+      if (res.status === 401) { location.href = '/login?next=/pricing'; return; }
       const data = await res.json();
       if (!res.ok) throw new Error(data.error || 'Checkout failed');
       location.href = data.url;
@@ -23,6 +24,6 @@
   });
 
   const q = new URLSearchParams(location.search);
-  if (q.get('success')) setMsg('Payment successful — thank you!');
+  if (q.get('success')) setMsg('Payment successful — thank you! Your plan updates as soon as Stripe confirms the subscription.');
   if (q.get('canceled')) setMsg('Payment canceled.');
 })();
@@ -0,0 +1,101 @@
+// public/runs.js
+const body = document.getElementById('runsBody');
+const compareBtn = document.getElementById('compareBtn');
+
+const diffWrap = document.getElementById('diffWrap');
+const diffTitle = document.getElementById('diffTitle');
+const diffNote = document.getElementById('diffNote');
+const diffTiles = document.getElementById('diffTiles');
+const bandBody = document.getElementById('bandBody');
+const reasonBody = document.getElementById('reasonBody');
+const caseBody = document.getElementById('caseBody');
+const clientBody = document.getElementById('clientBody');
+const diffJson = document.getElementById('diffJson');
+const toastEl = document.getElementById('toast');
+
+function toast(msg, ms=2200){
+  toastEl.textContent = msg; toastEl.hidden = false;
+  requestAnimationFrame(()=> toastEl.classList.add('show'));
+  setTimeout(()=> { toastEl.classList.remove('show'); setTimeout(()=>toastEl.hidden=true, 180); }, ms);
+}
+function esc(s){ return (s??'').toString().replace(/[&<>"']/g,c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c])); }
+function when(iso){ return iso ? iso.replace('T', ' ').slice(0, 16) : '—'; }
+function band(b){ const k = String(b || '').toLowerCase(); return `<span class="badge ${k === 'high' ? 'high' : k === 'medium' ? 'med' : 'low'}">${esc(b || '—')}</span>`; }
+function clientLink(runId, id){ return `<a class="mono" href="/runs/${encodeURIComponent(runId)}/clients/${encodeURIComponent(id)}">${esc(id)}</a>`; }
+function rows(list, cols, render){ return list.length ? list.map(render).join('') : `<tr><td colspan="${cols}" class="muted">None.</td></tr>`; }
+
+async function api(url){
+  const res = await fetch(url);
+  if (res.status === 401){ location.href = '/login?next=/runs'; return new Promise(() => {}); }
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+async function loadRuns(){
+  try {
+    const { runs } = await api('/api/runs');
+    body.innerHTML = runs.length ? runs.map((r, i) => `
+      <tr>
+        <td><input type="radio" name="from" value="${esc(r.run_id)}" ${i === 1 ? 'checked' : ''} aria-label="Compare from ${esc(r.run_id)}"></td>
+        <td><input type="radio" name="to" value="${esc(r.run_id)}" ${i === 0 ? 'checked' : ''} aria-label="Compare to ${esc(r.run_id)}"></td>
+        <td><span class="mono">${esc(r.run_id)}</span>${r.privacy && r.privacy !== 'full' ? ` <span class="tag">${esc(r.privacy)}</span>` : ''}<div class="muted small">${esc(when(r.created_utc))}</div></td>
+        <td>${esc(r.ruleset_id)} v${esc(r.ruleset_version)}</td>
+        <td class="small">${esc(r.lookback?.start)} → ${esc(r.lookback?.end)}</td>
+        <td>${esc(r.counts.clients)}</td>
+        <td>${Object.entries(r.bands).map(([b, n]) => `${band(b)} ${esc(n)}`).join(' ')}</td>
+        <td>${esc(r.counts.cases)}</td>
+        <td class="small">${Object.entries(r.inputs).map(([k, f]) => `<div title="${esc(f.sha256)}">${esc(f.name || k)} <span class="mono muted">${esc(f.sha256.slice(0, 12))}</span></div>`).join('')}</td>
+      </tr>`).join('') : '<tr><td colspan="9" class="muted">No runs yet: generate an evidence pack from the Upload page.</td></tr>';
+    compareBtn.disabled = runs.length < 2;
+  } catch (e) {
+    body.innerHTML = `<tr><td colspan="9">${esc(e.message)}</td></tr>`;
+  }
+}
+
+function selected(name){ return document.querySelector(`input[name="${name}"]:checked`)?.value; }
+
+async function compare(a, b){
+  let d;
+  try { d = await api(`/api/runs/${encodeURIComponent(a)}/compare/${encodeURIComponent(b)}`); }
+  catch (e) { toast(e.message, 3500); diffWrap.hidden = true; return; }
+  const s = d.summary;
+  diffTitle.textContent = `Changes ${when(d.from.created_utc)} → ${when(d.to.created_utc)}`;
+  diffNote.textContent = [
+    `${d.from.run_id} → ${d.to.run_id}.`,
+    d.ruleset_changed ? `The ruleset changed (${d.from.ruleset_id} v${d.from.ruleset_version} → ${d.to.ruleset_id} v${d.to.ruleset_version}), so some changes come from the rules rather than the clients.` : ''
+  ].join(' ');
+  const tiles = [
+    ['Band changes', `${s.band_changes} (${s.moved_up} up, ${s.moved_down} down)`],
+    ['Reasons', `${s.new_reasons} new, ${s.resolved_reasons} no longer apply`],
+    ['Cases', `${s.new_cases} new, ${s.resolved_cases} no longer detected`],
+    ['Clients', `${s.clients_before} → ${s.clients_after} (${s.new_clients} new, ${s.removed_clients} gone)`]
+  ];
+  diffTiles.innerHTML = tiles.map(([k, v]) => `<div><span class="k">${esc(k)}</span> <span class="v">${esc(v)}</span></div>`).join('');
+  bandBody.innerHTML = rows(d.band_changes, 4, c => `
+    <tr><td>${clientLink(d.to.run_id, c.client_id)}</td><td>${band(c.from_band)}</td><td>${band(c.to_band)} <span class="tag">${c.direction === 'up' ? '▲' : '▼'}</span></td><td>${esc(c.from_score)} → ${esc(c.to_score)}</td></tr>`);
+  const list = (rs) => rs.length ? rs.map(r => `<div>${esc(r.text)} <span class="tag">+${esc(r.points)}</span></div>`).join('') : '<span class="muted">—</span>';
+  reasonBody.innerHTML = rows(d.reasons, 3, r => `<tr><td>${clientLink(d.to.run_id, r.client_id)}</td><td>${list(r.new)}</td><td>${list(r.resolved)}</td></tr>`);
+  caseBody.innerHTML = rows([...d.new_cases.map(k => [k, 'new']), ...d.resolved_cases.map(k => [k, 'no longer detected'])], 4, ([k, change]) => `
+    <tr><td><a class="mono" href="/cases#${esc(k.case_id)}">${esc(k.case_id)}</a></td><td class="mono">${esc(k.client_id)}</td><td>${esc(k.reason)} <span class="tag">+${esc(k.points)}</span></td><td>${esc(change)}</td></tr>`);
+  clientBody.innerHTML = rows([...d.new_clients.map(c => [c, 'new', d.to.run_id]), ...d.removed_clients.map(c => [c, 'not in the later run', d.from.run_id])], 4, ([c, change, runId]) => `
+    <tr><td>${clientLink(runId, c.client_id)}</td><td>${band(c.band)}</td><td>${esc(c.score)}</td><td>${esc(change)}</td></tr>`);
+  diffJson.textContent = JSON.stringify(d, null, 2);
+  diffWrap.hidden = false;
+  diffWrap.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// #<from>..<to> links straight to a comparison (the upload page links here after a compared run)
+function fromHash(){
+  const [a, b] = location.hash.slice(1).split('..');
+  if (a && b) compare(a, b);
+}
+
+compareBtn.addEventListener('click', () => {
+  const a = selected('from'), b = selected('to');
+  if (!a || !b || a === b) return toast('Pick two different runs');
+  if (location.hash === `#${a}..${b}`) compare(a, b);
+  else location.hash = `${a}..${b}`;
+});
+window.addEventListener('hashchange', fromHash);
+loadRuns().then(fromHash);
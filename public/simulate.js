@@ -0,0 +1,132 @@
+// public/simulate.js
+const form = document.getElementById('simForm');
+const sourceSelect = document.getElementById('sourceSelect');
+const uploadRows = document.getElementById('uploadRows');
+const clientsInput = document.getElementById('clientsInput');
+const txInput = document.getElementById('txInput');
+const fxInput = document.getElementById('fxInput');
+const runRow = document.getElementById('runRow'); const runSelect = document.getElementById('runSelect');
+const baselineSelect = document.getElementById('baselineSelect');
+const candidateMode = document.getElementById('candidateMode');
+const candidateRow = document.getElementById('candidateRow'); const candidateSelect = document.getElementById('candidateSelect');
+const editRow = document.getElementById('editRow');
+const candidateText = document.getElementById('candidateText');
+const resetBtn = document.getElementById('resetBtn');
+const runBtn = document.getElementById('runBtn');
+
+const resultWrap = document.getElementById('resultWrap');
+const resultNote = document.getElementById('resultNote');
+const resultFacts = document.getElementById('resultFacts');
+const bandBody = document.getElementById('bandBody');
+const ruleBody = document.getElementById('ruleBody');
+const clientBody = document.getElementById('clientBody');
+const resultJson = document.getElementById('resultJson');
+const toastEl = document.getElementById('toast');
+
+function toast(msg, ms=2200){
+  toastEl.textContent = msg; toastEl.hidden = false;
+  requestAnimationFrame(()=> toastEl.classList.add('show'));
+  setTimeout(()=> { toastEl.classList.remove('show'); setTimeout(()=>toastEl.hidden=true, 180); }, ms);
+}
+function esc(s){ return (s??'').toString().replace(/[&<>"']/g,c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c])); }
+function when(iso){ return iso ? iso.replace('T', ' ').slice(0, 16) : '—'; }
+function band(b){ const k = String(b || '').toLowerCase(); return `<span class="badge ${k === 'high' ? 'high' : k === 'medium' ? 'med' : 'low'}">${esc(b || '—')}</span>`; }
+function signed(n){ return n > 0 ? `+${n}` : String(n); }
+function pair(a, b){ return a === b ? esc(a ?? '—') : `${esc(a ?? '—')} → <strong>${esc(b ?? '—')}</strong>`; }
+
+async function api(url, opts){
+  const res = await fetch(url, opts);
+  if (res.status === 401){ location.href = '/login?next=/simulate'; return new Promise(() => {}); }
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok){
+    const issues = (data.details || []).map(i => `${(i.path || []).join('.')}: ${i.message}`).join('; ');
+    throw new Error([data.error || `HTTP ${res.status}`, issues].filter(Boolean).join(' — '));
+  }
+  return data;
+}
+
+async function loadChoices(){
+  const [rs, runs] = await Promise.all([api('/api/rulesets'), api('/api/runs')]);
+  for (const id of rs.rulesets){
+    baselineSelect.add(new Option(id, id, false, id === rs.default));
+    candidateSelect.add(new Option(id, id));
+  }
+  for (const r of runs.runs) runSelect.add(new Option(`${when(r.created_utc)} · ${r.ruleset_id} v${r.ruleset_version} · ${r.counts.clients} clients`, r.run_id));
+  if (!runs.runs.length) sourceSelect.options[1].disabled = true;
+  await resetCandidate();
+}
+
+async function resetCandidate(){
+  try {
+    const { ruleset } = await api('/api/rulesets/' + encodeURIComponent(baselineSelect.value));
+    candidateText.value = JSON.stringify(ruleset, null, 2);
+  } catch (e) { toast(e.message, 3500); }
+}
+
+function toggle(){
+  const run = sourceSelect.value === 'run';
+  uploadRows.hidden = run; runRow.hidden = !run;
+  const installed = candidateMode.value === 'installed';
+  candidateRow.hidden = !installed; editRow.hidden = installed;
+}
+
+form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const fd = new FormData();
+  if (sourceSelect.value === 'run'){
+    fd.append('run_id', runSelect.value);
+  } else {
+    if (!clientsInput.files[0] || !txInput.files[0]) return toast('Select a clients and a transactions file');
+    fd.append('clients', clientsInput.files[0]);
+    fd.append('transactions', txInput.files[0]);
+    if (fxInput.files[0]) fd.append('fx_rates', fxInput.files[0]);
+  }
+  fd.append('ruleset', baselineSelect.value);
+  if (candidateMode.value === 'installed') fd.append('candidate_ruleset', candidateSelect.value);
+  else fd.append('candidate', candidateText.value);
+
+  runBtn.classList.add('loading'); runBtn.disabled = true;
+  try {
+    render(await api('/api/simulate', { method: 'POST', body: fd }));
+  } catch (err) {
+    toast(err.message, 5000);
+  } finally {
+    runBtn.classList.remove('loading'); runBtn.disabled = false;
+  }
+});
+
+function render(d){
+  const s = d.summary;
+  resultNote.textContent = `${d.dataset.source === 'run' ? `Run ${d.dataset.run_id}` : 'Uploaded data'}: ${d.dataset.clients} clients, ${d.dataset.transactions} transactions. `
+    + `Current ${d.baseline.ruleset_id} v${d.baseline.ruleset_version} (${d.baseline.lookback.start} → ${d.baseline.lookback.end}); `
+    + `candidate ${d.candidate.ruleset_id} v${d.candidate.ruleset_version} (${d.candidate.lookback.start} → ${d.candidate.lookback.end}).`;
+  const facts = [
+    ['Band changes', `${s.band_changes} (${s.moved_up} up, ${s.moved_down} down)`],
+    ['Score changes', s.score_changes],
+    ['Flagged clients', `${s.flagged_before} → ${s.flagged_after}`],
+    ['Cases', `${s.cases_before} → ${s.cases_after} (${s.new_cases} new, ${s.resolved_cases} gone)`]
+  ];
+  resultFacts.innerHTML = facts.map(([k, v]) => `<div><span class="k">${esc(k)}</span> <span class="v">${esc(v)}</span></div>`).join('');
+  bandBody.innerHTML = d.bands.map(b => `<tr><td>${band(b.band)}</td><td>${esc(b.baseline ?? '—')}</td><td>${esc(b.candidate ?? '—')}</td><td>${esc(signed(b.change))}</td></tr>`).join('');
+  ruleBody.innerHTML = d.rules.map(r => `
+    <tr>
+      <td>${esc(r.text)}<div class="muted small"><span class="mono">${esc(r.rule_id)}</span>${r.status !== 'unchanged' ? ` <span class="tag">${esc(r.status)}</span>` : ''}</div></td>
+      <td>${pair(r.baseline?.points, r.candidate?.points)}</td>
+      <td>${pair(r.baseline?.clients, r.candidate?.clients)}</td>
+      <td>${pair(r.baseline?.findings, r.candidate?.findings)}</td>
+      <td>${esc(signed(r.change))}</td>
+    </tr>`).join('');
+  clientBody.innerHTML = d.band_changes.length ? d.band_changes.map(c => `
+    <tr><td class="mono">${esc(c.client_id)}</td><td>${band(c.from_band)}</td><td>${band(c.to_band)} <span class="tag">${c.direction === 'up' ? '▲' : '▼'}</span></td><td>${esc(c.from_score)} → ${esc(c.to_score)}</td></tr>`).join('')
+    : '<tr><td colspan="4" class="muted">No client would change band.</td></tr>';
+  resultJson.textContent = JSON.stringify(d, null, 2);
+  resultWrap.hidden = false;
+  resultWrap.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+sourceSelect.addEventListener('change', toggle);
+candidateMode.addEventListener('change', toggle);
+baselineSelect.addEventListener('change', resetCandidate);
+resetBtn.addEventListener('click', resetCandidate);
+toggle();
+loadChoices().catch(e => toast(e.message, 3500));
@@ -0,0 +1,24 @@
+// public/verify-token.js — in-browser Ed25519 check on the /verify/:token page
+(function(){
+  const btn = document.getElementById('verifyBtn');
+  if(!btn) return;
+  btn.addEventListener('click', async ()=>{
+    const msg = document.getElementById('verifyMsg');
+    msg.textContent = 'Verifying…';
+    try{
+      const m = JSON.parse(document.getElementById('manifestData').textContent);
+      const pub = btn.getAttribute('data-pubkey');
+      const enc = new TextEncoder();
+      const message = enc.encode(JSON.stringify({ files: m.files, created_utc: m.created_utc, ruleset_id: m.ruleset_id }));
+      const sig = Uint8Array.from(atob(m.signing.signature), c=>c.charCodeAt(0));
+      const key = Uint8Array.from(atob(pub), c=>c.charCodeAt(0));
+      const ok = await crypto.subtle.verify(
+        { name: 'Ed25519' },
+        await crypto.subtle.importKey('raw', key, {name:'Ed25519'}, false, ['verify']),
+        sig,
+        message
+      );
+      msg.textContent = ok ? '✔ Signature valid' : '✖ Signature invalid';
+    }catch(e){ msg.textContent = 'Verification failed: ' + e.message; }
+  });
+})();
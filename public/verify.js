@@ -0,0 +1,57 @@
+// public/verify.js — offline evidence-pack verification page
+const vform = document.getElementById('vform');
+const packInput = document.getElementById('packInput');
+const pubkeyInput = document.getElementById('pubkeyInput');
+const allowUnsignedInput = document.getElementById('allowUnsignedInput');
+const verifySubmit = document.getElementById('verifySubmit');
+const resultCard = document.getElementById('resultCard');
+const verdict = document.getElementById('verdict');
+const fileBody = document.getElementById('fileBody');
+const vout = document.getElementById('vout');
+
+function esc(s){ return (s??'').toString().replace(/[&<>"']/g,c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c])); }
+
+vform?.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  if (!packInput.files[0]) return;
+  verifySubmit.classList.add('loading');
+  try{
+    const fd = new FormData();
+    fd.append('pack', packInput.files[0]);
+    if (pubkeyInput.value.trim()) fd.append('pubkey', pubkeyInput.value.trim());
+    if (allowUnsignedInput?.checked) fd.append('allow_unsigned', '1');
+    const res = await fetch('/api/verify', { method:'POST', body: fd, headers: { 'X-Requested-With': 'fetch' } });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+    render(data);
+  }catch(err){
+    resultCard.hidden = false;
+    verdict.innerHTML = `<div class="badge high">${esc(err.message || 'Verification failed')}</div>`;
+    fileBody.innerHTML = ''; vout.textContent = '';
+  }finally{
+    verifySubmit.classList.remove('loading');
+  }
+});
+
+function render(r){
+  resultCard.hidden = false;
+  const s = r.signature || {};
+  const sig = !s.present ? 'No signature'
+    : s.valid === null ? `Signature present (${s.key_id}), no public key to check it`
+    : s.valid ? `Signature valid (${s.key_id})` : `Signature INVALID (${s.key_id})`;
+  const a = r.audit;
+  const audit = !a ? '' : a.ok ? `Audit log segment intact (${a.entries} entries)`
+    : `Audit log segment broken: ${a.problems.map(p => `${p.problem}${p.seq != null ? ` at entry ${p.seq}` : ''}`).join(', ')}`;
+  verdict.innerHTML = `
+    <p><span class="badge ${r.ok && s.checked ? 'low' : !r.ok && !(s.present && !s.checked) ? 'high' : 'warn'}">${r.ok ? (s.checked ? 'Verified' : 'Files match; pack not signed') : s.present && !s.checked ? 'Not verified: signature not checked' : 'Verification failed'}</span></p>
+    <p class="muted small">${esc(sig)}</p>
+    ${audit ? `<p class="muted small">${esc(audit)}</p>` : ''}
+    ${(r.errors||[]).map(e => `<p class="muted small">⚠ ${esc(e)}</p>`).join('')}`;
+  const rows = (r.files||[]).map(f => `<tr>
+      <td class="mono">${esc(f.name)}</td>
+      <td><span class="badge ${f.status==='pass'?'low':'high'}">${esc(f.status)}</span></td>
+      <td class="mono small">${esc(f.actual_sha256 || f.expected_sha256)}</td></tr>`);
+  for (const n of r.extra||[]) rows.push(`<tr><td class="mono">${esc(n)}</td><td><span class="badge high">extra</span></td><td class="muted small">not listed in manifest</td></tr>`);
+  fileBody.innerHTML = rows.join('');
+  vout.textContent = r.manifest ? JSON.stringify(r.manifest, null, 2) : '';
+}
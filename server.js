@@ -8,20 +8,43 @@ import cors from 'cors';
 import rateLimit from 'express-rate-limit';
 import multer from 'multer';
 import fs from 'fs';
-import { parse as csvParse } from 'csv-parse/sync';
+import os from 'os';
+import crypto from 'crypto';
+import swaggerUi from 'swagger-ui-express';
+import YAML from 'yaml';
 
 import { cfg } from './lib/config.js';
-import { normalizeClients, normalizeTransactions } from './lib/csv-normalize.js';
-import { scoreAll } from './lib/rules.js';
-import { buildCases } from './lib/cases.js';
-import { buildManifest } from './lib/manifest.js';
-import { zipNamedBuffers } from './lib/zip.js';
-import { verifyStore, newToken } from './lib/verify-store.js';
+import { logger, httpLogger } from './lib/logger.js';
+import { auditLog } from './lib/audit.js';
+import { loadRuleset, listRulesets } from './lib/ruleset.js';
+import { signingMessage } from './lib/manifest.js';
+import { keyring } from './lib/keyring.js';
+import { runValidation, runSimulation } from './lib/pipeline.js';
+import { jobQueue } from './lib/jobs.js';
+import { parseMapping, orgMappingProfiles } from './lib/mapping.js';
+import { strictOptions, issuesCsv, parseFlag } from './lib/validation.js';
+import { loadWatchlists } from './lib/watchlists.js';
+import { jurisdictionStore } from './lib/jurisdictions.js';
+import { orgCases, STATUSES } from './lib/case-store.js';
+import { orgRuns, diffRuns, runPackData } from './lib/runs.js';
+import { clientProfile } from './lib/client-profile.js';
+import { candidateRuleset, runDataset, simulate } from './lib/simulate.js';
+import { reportsRequested } from './lib/reports.js';
+import { privacyKeys, privacyRequested } from './lib/privacy.js';
+import { encryptStream } from './lib/pack-crypto.js';
+import { verifyStore, downloadKeyMatches, newDownloadKey } from './lib/verify-store.js';
+import { verifyPack } from './lib/verify-pack.js';
+import { auditReferenceChanges, startReferenceWatch } from './lib/reference-audit.js';
+import { accountStore, publicUser, can, ROLES } from './lib/accounts.js';
+import { sessionStore, sessionCookie, readCookie, SESSION_COOKIE } from './lib/sessions.js';
+import { apiKeys } from './lib/api-keys.js';
+import { billingStore, billingEnabled, stripe, priceIdFor, PLANS } from './lib/billing.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
+if (cfg.TRUST_PROXY) app.set('trust proxy', 1); // req.ip from X-Forwarded-For (audit entries, rate limits)
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
@@ -46,26 +69,241 @@ app.use(helmet({
 // ✅ Serve static BEFORE routes
 app.use('/public', express.static(path.join(__dirname, 'public'), { maxAge: '1h', etag: true }));
 
+// request logs with request ids (static files above are not logged)
+app.use(httpLogger);
+
+// Stripe signs the raw body, so the webhook is mounted before the JSON parser.
+app.post('/api/stripe/webhook', express.raw({ type: 'application/json', limit: '1mb' }), async (req, res, next) => {
+  if (!billingEnabled() || !cfg.STRIPE_WEBHOOK_SECRET) return res.status(503).json({ error: 'Billing is not configured' });
+  let event;
+  try { event = stripe().webhooks.constructEvent(req.body, req.get('stripe-signature') || '', cfg.STRIPE_WEBHOOK_SECRET); }
+  catch (e) { return res.status(400).json({ error: `Webhook signature verification failed: ${e.message}` }); }
+  try { res.json({ received: true, ...(await billingStore.applyEvent(event)) }); }
+  catch (e) { next(e); }
+});
+
+// /api/v1 submissions carry the clients and transactions in the body.
+app.use('/api/v1', express.json({ limit: `${cfg.API_JSON_MAX_MB}mb` }));
 app.use(express.json({ limit: '2mb' }));
 app.use(express.urlencoded({ extended: false }));
 
 // CORS: allow same-origin, don’t be fragile about APP_ORIGIN while you iterate
 app.use(cors({
   origin: (_origin, cb) => cb(null, true),
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'X-Requested-With', 'Authorization']
 }));
 
-const baseLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 300 });
+// /api/v1 is limited per API key instead (apiLimiter).
+const baseLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 300, skip: (req) => req.path.startsWith('/api/v1/') });
 const heavyLimiter = rateLimit({ windowMs: 10 * 60 * 1000, max: 60 });
+const authLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 20 });
+// /api/verify needs no login and holds the zip and its contents in memory: a few per IP unless signed in
+const verifyLimiter = rateLimit({ windowMs: 10 * 60 * 1000, max: (req) => req.user ? 60 : 10 });
+// the key's rate_limit per minute; calls without a valid key share a small allowance per IP
+const apiLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: (req) => req.apiKey?.rate_limit || 10,
+  keyGenerator: (req) => req.apiKey ? req.apiKey.key_id : `ip:${req.ip}`,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Rate limit exceeded for this API key', code: 'RATE_LIMITED' }
+});
 app.use(baseLimiter);
 
-// in-memory uploads only
-const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 25 * 1024 * 1024, files: 2 }});
+// The signed-in user (if any) for every route below; requireUser() gates on role permissions.
+// /api/v1 ignores the session cookie: callers present an API key (Authorization: Bearer trk_...)
+// and requireScope() gates on its scopes.
+app.use(async (req, _res, next) => {
+  try {
+    if (req.path.startsWith('/api/v1/')){
+      req.user = null;
+      req.apiKey = await apiKeys.authenticate((req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+    } else {
+      req.user = await sessionUser(req);
+    }
+    next();
+  } catch (e) { next(e); }
+});
+app.use('/api/v1', apiLimiter);
+
+// uploads go to disk and are streamed through the pipeline, then deleted
+fs.mkdirSync(cfg.UPLOAD_TMP_DIR || os.tmpdir(), { recursive: true });
+const upload = multer({ dest: cfg.UPLOAD_TMP_DIR || os.tmpdir(), limits: { fileSize: cfg.MAX_UPLOAD_MB * 1024 * 1024, files: 3 }});
+const packUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: cfg.VERIFY_MAX_MB * 1024 * 1024, files: 1 }});
+const uploadFields = upload.fields([{ name: 'clients', maxCount: 1 }, { name: 'transactions', maxCount: 1 }, { name: 'fx_rates', maxCount: 1 }]);
 
 // --------- health ---------
 app.get('/healthz', (_req, res) => res.send('ok'));
 
+// --------- accounts & sessions ---------
+app.get('/login', (req, res) => {
+  if (req.user) return res.redirect(safeNext(req.query.next));
+  res.render('login', { signup: cfg.SIGNUP_ENABLED });
+});
+app.get('/account', requireUser('read'), (_req, res) => res.render('account'));
+
+// New organisation with the caller as its admin; signs them in.
+app.post('/api/auth/signup', authLimiter, async (req, res, next) => {
+  try {
+    if (!cfg.SIGNUP_ENABLED) return res.status(403).json({ ok:false, error: 'Sign-up is disabled; ask your organisation admin for an account' });
+    const { org_name, name, email, password } = req.body || {};
+    const { org, user } = await accountStore.createOrg({ org_name, name, email, password });
+    await startSession(req, res, user);
+    res.status(201).json({ ok: true, user, org: { id: org.id, name: org.name } });
+  } catch (e) { accountError(e, res, next); }
+});
+// body { email, password, code? }; 401 with code TOTP_REQUIRED asks for the authenticator code.
+app.post('/api/auth/login', authLimiter, async (req, res, next) => {
+  try {
+    const user = await accountStore.authenticate(req.body || {});
+    await startSession(req, res, user);
+    res.json({ ok: true, user });
+  } catch (e) { accountError(e, res, next); }
+});
+app.post('/api/auth/logout', async (req, res, next) => {
+  try {
+    await sessionStore.destroy(readCookie(req.get('cookie'), SESSION_COOKIE));
+    res.setHeader('Set-Cookie', sessionCookie('', { clear: true }));
+    res.json({ ok: true });
+  } catch (e) { next(e); }
+});
+app.get('/api/auth/me', requireUser('read'), async (req, res, next) => {
+  try {
+    const org = await accountStore.getOrg(req.user.org_id);
+    res.json({ user: req.user, org: { id: org.id, name: org.name }, roles: ROLES });
+  } catch (e) { next(e); }
+});
+// Signs the user out everywhere else; this browser gets a fresh session.
+app.post('/api/auth/password', authLimiter, requireUser('read'), async (req, res, next) => {
+  try {
+    await accountStore.changePassword(req.user.id, req.body || {});
+    await startSession(req, res, req.user);
+    res.json({ ok: true });
+  } catch (e) { accountError(e, res, next); }
+});
+app.post('/api/auth/totp/setup', requireUser('read'), async (req, res, next) => {
+  try { res.json({ ok: true, ...(await accountStore.totpSetup(req.user.id)) }); }
+  catch (e) { accountError(e, res, next); }
+});
+app.post('/api/auth/totp/enable', authLimiter, requireUser('read'), async (req, res, next) => {
+  try { res.json({ ok: true, user: await accountStore.totpEnable(req.user.id, req.body?.code) }); }
+  catch (e) { accountError(e, res, next); }
+});
+app.post('/api/auth/totp/disable', authLimiter, requireUser('read'), async (req, res, next) => {
+  try { res.json({ ok: true, user: await accountStore.totpDisable(req.user.id, req.body || {}) }); }
+  catch (e) { accountError(e, res, next); }
+});
+
+// Organisation users (admins only). New users get an initial password to change after sign-in.
+app.get('/api/org/users', requireUser('admin'), async (req, res, next) => {
+  try { res.json({ roles: ROLES, users: await accountStore.listUsers(req.user.org_id) }); }
+  catch (e) { next(e); }
+});
+app.post('/api/org/users', requireUser('admin'), async (req, res, next) => {
+  try {
+    const { name, email, password, role } = req.body || {};
+    res.status(201).json({ ok: true, user: await accountStore.addUser(req.user.org_id, { name, email, password, role }) });
+  } catch (e) { accountError(e, res, next); }
+});
+// body { role?, disabled?, name? }; disabling a user ends their sessions.
+app.patch('/api/org/users/:id', requireUser('admin'), async (req, res, next) => {
+  try {
+    const { role, disabled, name } = req.body || {};
+    const user = await accountStore.updateUser(req.user.org_id, req.params.id, { role, disabled, name });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({ ok: true, user });
+  } catch (e) { accountError(e, res, next); }
+});
+
+async function sessionUser(req){
+  const session = await sessionStore.get(readCookie(req.get('cookie'), SESSION_COOKIE));
+  if (!session) return null;
+  const user = await accountStore.getUser(session.user_id);
+  if (!user || user.disabled || (user.sessions_valid_after && user.sessions_valid_after > session.created_utc)) return null;
+  return publicUser(user);
+}
+
+async function startSession(req, res, user){
+  const { token } = await sessionStore.create(user, { ip: req.ip, userAgent: req.get('user-agent') });
+  res.setHeader('Set-Cookie', sessionCookie(token));
+}
+
+// Pages send anonymous visitors to /login; API routes answer 401. action: read | write | admin.
+function requireUser(action){
+  return (req, res, next) => {
+    if (!req.user){
+      if (req.method === 'GET' && !req.path.startsWith('/api/')) return res.redirect('/login?next=' + encodeURIComponent(req.originalUrl));
+      return res.status(401).json({ error: 'Sign in required' });
+    }
+    if (!can(req.user, action)) return res.status(403).json({ error: `Your role (${req.user.role}) does not allow this` });
+    next();
+  };
+}
+
+// /api/v1 routes: an active API key with the scope (packs:write | packs:read | runs:read).
+function requireScope(scope){
+  return (req, res, next) => {
+    if (!req.apiKey) return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'API key required (Authorization: Bearer trk_...)', code: 'API_KEY_REQUIRED' });
+    if (!req.apiKey.scopes.includes(scope)) return res.status(403).json({ error: `This API key lacks the ${scope} scope`, code: 'API_KEY_SCOPE' });
+    next();
+  };
+}
+
+// Local paths only, so /login?next= can't bounce to another site.
+function safeNext(next){
+  return typeof next === 'string' && /^\/(?![/\\])/.test(next) ? next : '/';
+}
+
+const ACCOUNT_STATUS = { ACCOUNT_INVALID: 400, AUTH_FAILED: 401, TOTP_REQUIRED: 401, ACCOUNT_NOT_FOUND: 404, ACCOUNT_CONFLICT: 409 };
+function accountError(e, res, next){
+  if (ACCOUNT_STATUS[e.code]) return res.status(ACCOUNT_STATUS[e.code]).json({ ok:false, error: e.message, code: e.code });
+  next(e);
+}
+
+// Name recorded in case history.
+function actorOf(user){ return `${user.name} <${user.email}>`; }
+
+// Who and where an audit entry comes from (see lib/audit.js).
+function auditContext(req, actor = req.user ? { type: 'user', id: req.user.id, name: actorOf(req.user) } : req.apiKey ? { type: 'api_key', id: req.apiKey.key_id, name: req.apiKey.name } : { type: 'anonymous' }){
+  return { actor, request_id: req.id, ip: req.ip };
+}
+
+// --------- billing ---------
+app.get('/pricing', (_req, res) => res.sendFile(path.join(__dirname, 'public', 'pricing.html')));
+
+app.get('/api/billing', requireUser('read'), async (req, res, next) => {
+  try { res.json({ plans: PLANS, ...(await billingStore.summary(req.user.org_id)) }); }
+  catch (e) { next(e); }
+});
+
+// body { plan: starter | team }; admins only. The organisation is carried on the session and
+// the subscription (client_reference_id, metadata.org_id) so the webhook can find it.
+app.post('/api/create-checkout-session', requireUser('admin'), async (req, res, next) => {
+  try {
+    if (!billingEnabled()) return res.status(503).json({ error: 'Billing is not configured' });
+    const plan = req.body?.plan;
+    const price = priceIdFor(plan);
+    if (!price) return res.status(400).json({ error: 'plan must be starter or team' });
+    const customer = await billingStore.customerOf(req.user.org_id);
+    const origin = cfg.APP_ORIGIN || 'http://localhost:10000';
+    const session = await stripe().checkout.sessions.create({
+      mode: 'subscription',
+      line_items: [{ price, quantity: 1 }],
+      client_reference_id: req.user.org_id,
+      ...(customer ? { customer } : { customer_email: req.user.email }),
+      metadata: { org_id: req.user.org_id },
+      subscription_data: { metadata: { org_id: req.user.org_id } },
+      success_url: `${origin}/pricing?success=1`,
+      cancel_url: `${origin}/pricing?canceled=1`
+    });
+    res.json({ id: session.id, url: session.url });
+  } catch (e) {
+    if (e.type?.startsWith?.('Stripe')) return res.status(502).json({ error: `Stripe: ${e.message}` });
+    next(e);
+  }
+});
+
 // --------- templates ---------
 app.get('/api/templates', (req, res) => {
   const name = String(req.query.name || '').toLowerCase();
@@ -77,100 +315,685 @@ app.get('/api/templates', (req, res) => {
   fs.createReadStream(full).pipe(res);
 });
 
+// --------- rulesets ---------
+app.get('/api/rulesets', (_req, res) => {
+  res.json({ default: cfg.RULESET_ID, rulesets: listRulesets() });
+});
+app.get('/api/rulesets/:id', (req, res) => {
+  try {
+    const ruleset = loadRuleset(req.params.id);
+    res.json({ sha256: ruleset.sha256, ruleset });
+  } catch (e) {
+    if (e.code === 'RULESET_NOT_FOUND') return res.status(404).json({ error: e.message });
+    res.status(422).json({ error: e.message, issues: e.issues });
+  }
+});
+
+// --------- watchlists ---------
+app.get('/api/watchlists', async (req, res) => {
+  try {
+    res.json({ lists: (await loadWatchlists()).meta() });
+  } catch (e) {
+    if (e.code === 'WATCHLIST_INVALID') return res.status(422).json({ error: e.message });
+    req.log.error({ err: e }, 'watchlists failed to load');
+    res.status(500).json({ error: 'Could not load watchlists' });
+  }
+});
+
+// --------- jurisdiction risk ---------
+app.get('/api/jurisdictions', async (req, res, next) => {
+  try {
+    const table = await jurisdictionStore.get();
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '') ? req.query.date : new Date().toISOString().slice(0, 10);
+    res.json({ sha256: table.sha256, as_of: date, current: table.snapshot(date, date).tiers, ...table.doc });
+  } catch (e) { next(e); }
+});
+// Admin edits: body { tier, effective_from, source, source_url?, note? }; the country's
+// previous rating is closed on effective_from (history is kept).
+app.put('/api/jurisdictions/tiers/:id', requireAdmin, async (req, res, next) => {
+  try {
+    const { result, table } = await jurisdictionStore.setTier({ ...req.body, id: req.params.id });
+    await auditJurisdictions(req, 'jurisdiction.tier', { tier: result }, table);
+    res.json({ ok: true, tier: result, version: table.doc.version, sha256: table.sha256 });
+  } catch (e) { jurisdictionError(e, res, next); }
+});
+app.put('/api/jurisdictions/:country', requireAdmin, async (req, res, next) => {
+  try {
+    const { result, table } = await jurisdictionStore.rate(req.params.country, req.body || {});
+    await auditJurisdictions(req, 'jurisdiction.rate', { rating: result }, table);
+    res.json({ ok: true, rating: result, version: table.doc.version, sha256: table.sha256 });
+  } catch (e) { jurisdictionError(e, res, next); }
+});
+// Ends the country's current rating on ?effective_to (default today).
+app.delete('/api/jurisdictions/:country', requireAdmin, async (req, res, next) => {
+  try {
+    const { result, table } = await jurisdictionStore.end(req.params.country, req.query.effective_to || undefined);
+    if (!result) return res.status(404).json({ error: 'No current rating for that country' });
+    await auditJurisdictions(req, 'jurisdiction.end', { rating: result }, table);
+    res.json({ ok: true, rating: result, version: table.doc.version, sha256: table.sha256 });
+  } catch (e) { jurisdictionError(e, res, next); }
+});
+
+// Edits of the table packs are scored against, in the system audit chain.
+function auditJurisdictions(req, action, details, table){
+  return auditLog.append({ ...auditContext(req, { type: 'admin' }), action, details: { ...details, version: table.doc.version, sha256: table.sha256 } });
+}
+
+function jurisdictionError(e, res, next){
+  if (e.code === 'JURISDICTION_INVALID') return res.status(400).json({ ok:false, error: e.message, details: e.issues });
+  next(e);
+}
+
+function requireAdmin(req, res, next){
+  if (!cfg.ADMIN_TOKEN) return res.status(503).json({ error: 'Admin API is disabled (ADMIN_TOKEN not set)' });
+  const given = Buffer.from((req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const want = Buffer.from(cfg.ADMIN_TOKEN);
+  if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) return res.status(401).json({ error: 'Unauthorized' });
+  next();
+}
+
 // --------- validate ---------
-app.post('/api/validate', heavyLimiter, upload.fields([{ name: 'clients', maxCount: 1 }, { name: 'transactions', maxCount: 1 }]), (req, res) => {
+// ?format=csv returns the row-level issue report (validation-report.csv) instead of JSON.
+app.post('/api/validate', requireUser('write'), heavyLimiter, uploadFields, async (req, res) => {
+  const csv = req.query.format === 'csv';
+  const progress = progressStream(req, res, { enabled: !csv });
   try {
     const clientsFile = req.files?.clients?.[0];
     const txFile = req.files?.transactions?.[0];
     if (!clientsFile || !txFile) return res.status(400).json({ ok:false, error: 'Both files required: clients, transactions' });
 
-    const clientsCsv = csvParse(clientsFile.buffer.toString('utf8'), { columns: true, skip_empty_lines: true });
-    const txCsv = csvParse(txFile.buffer.toString('utf8'), { columns: true, skip_empty_lines: true });
-
-    const { clients, clientHeaderMap } = normalizeClients(clientsCsv);
-    const { txs, txHeaderMap, rejects, lookback } = normalizeTransactions(txCsv);
-
-    res.json({ ok: true, counts: { clients: clients.length, txs: txs.length, rejects: rejects.length }, clientHeaderMap, txHeaderMap, rejects, lookback });
-  } catch {
-    res.status(500).json({ ok:false, error: 'Validation failed' });
+    const mapping = await submittedMapping(req);
+    const result = await runValidation({ ...pipelineInputs(req), mapping, onProgress: progress.onProgress });
+    if (!csv) return progress.send(result);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="validation-report.csv"');
+    res.send(issuesCsv(result.issues));
+  } catch (e) {
+    if (e.code === 'RULESET_NOT_FOUND' || e.code === 'FX_INVALID') return progress.fail(400, { ok:false, error: e.message, details: e.errors });
+    if (MAPPING_ERRORS.has(e.code)) return progress.fail(400, { ok:false, error: e.message, details: e.issues });
+    if (e.code === 'INPUT_INVALID') return progress.fail(400, { ok:false, error: e.message });
+    req.log.error({ err: e }, 'validation failed');
+    progress.fail(500, { ok:false, error: 'Validation failed' });
+  } finally {
+    removeUploads(req);
   }
 });
 
-// --------- upload → evidence pack ---------
-app.post('/upload', heavyLimiter, upload.fields([{ name: 'clients', maxCount: 1 }, { name: 'transactions', maxCount: 1 }]), async (req, res) => {
+// --------- upload → evidence pack (async job) ---------
+// public_manifest=1 opens the pack's verify page to anyone with the link (manifest only).
+// compare_to=<run id>|latest puts the changes since that run in the pack (run_diff.json).
+// privacy=full|pseudonymised|aggregate (default PACK_PRIVACY) limits what the pack shows of the
+// clients (see lib/privacy.js); pseudonymised packs use the organisation's current key.
+app.post('/upload', requireUser('write'), heavyLimiter, uploadFields, async (req, res) => {
   try {
     const clientsFile = req.files?.clients?.[0];
     const txFile = req.files?.transactions?.[0];
     if (!clientsFile || !txFile) return res.status(400).json({ error: 'Both Clients.csv and Transactions.csv are required.' });
+    const { job, downloadKey } = await submitPack(req, {
+      orgId: req.user.org_id,
+      owner: { org_id: req.user.org_id, user_id: req.user.id },
+      files: { clients: clientsFile.path, transactions: txFile.path, fx_rates: req.files?.fx_rates?.[0]?.path },
+      sources: uploadSources(req),
+      details: Object.fromEntries(Object.entries(req.files).map(([field, [f]]) => [field, { name: f.originalname, bytes: f.size }]))
+    });
+    res.status(202).location(`/api/jobs/${job.id}`).json({ ok: true, job_id: job.id, ...jobLinks(job.id), download_key: downloadKey, job });
+  } catch (e) {
+    submitError(e, req, res);
+  } finally {
+    removeUploads(req);
+  }
+});
 
-    const clientsCsv = csvParse(clientsFile.buffer.toString('utf8'), { columns: true, skip_empty_lines: true });
-    const txCsv = csvParse(txFile.buffer.toString('utf8'), { columns: true, skip_empty_lines: true });
+// Queue an evidence pack job (see lib/jobs.js) from input files on disk, with the options of the
+// request body (ruleset, mapping, compare_to, privacy, reports, strict, public_manifest).
+// details: what the audit entry records of the files. PLAN_LIMIT past the plan's monthly packs.
+// -> { job, downloadKey }: the pack's download key is only ever in this response (the job keeps
+// its hash), for sharing the zip without an account as /download/:token?key=.
+async function submitPack(req, { orgId, owner, files, sources, details }){
+  const b = req.body || {};
+  if (b.ruleset) loadRuleset(b.ruleset); // fail fast on an unknown ruleset
+  const billing = await billingStore.summary(orgId);
+  const { packs_per_month } = billing.entitlements;
+  if (packs_per_month != null && billing.usage.packs + jobQueue.activeCount(orgId) >= packs_per_month){
+    throw Object.assign(new Error(`Your plan allows ${packs_per_month} evidence pack(s) per month.`), { code: 'PLAN_LIMIT', billing });
+  }
+  const mapping = await submittedMapping(req, orgId);
+  const compareRun = await compareRunFor(req, orgId);
+  const reports = reportsRequested(b);
+  const privacy = { mode: privacyRequested(b, { reports }) };
+  if (privacy.mode === 'pseudonymised') Object.assign(privacy, await privacyKeys.current(orgId));
+  const publicManifest = ['1', 'true', 'on'].includes(String(b.public_manifest ?? '').toLowerCase());
+  const downloadKey = newDownloadKey();
+  // a ruleset or watchlist edited since the last check is audited before a pack is built with it
+  await auditReferenceChanges(logger).catch(e => logger.error({ err: e }, 'ruleset/watchlist change check failed'));
 
-    const { clients, clientHeaderMap } = normalizeClients(clientsCsv);
-    const { txs, txHeaderMap, rejects, lookback } = normalizeTransactions(txCsv);
+  const job = await jobQueue.submit(files, {
+    rulesetId: b.ruleset,
+    mapping,
+    sources,
+    strict: strictOptions(b),
+    reports,
+    privacy,
+    owner,
+    publicManifest,
+    entitlements: billing.entitlements,
+    compareRun,
+    audit: { ...auditContext(req), details: {
+      files: details,
+      ruleset: b.ruleset || cfg.RULESET_ID,
+      compare_to: compareRun?.run_id || null,
+      privacy: privacy.mode,
+      public_manifest: publicManifest
+    } },
+    // snapshot: workers score against the table as it is now, whatever the storage backend
+    jurisdictions: (await jurisdictionStore.get()).doc,
+    downloadKeySha256: downloadKey.sha256
+  });
+  return { job, downloadKey: downloadKey.key };
+}
 
-    const { scores, rulesMeta } = await scoreAll(clients, txs, lookback);
-    const cases = buildCases(txs, lookback);
+function submitError(e, req, res){
+  if (e.code === 'PLAN_LIMIT') return res.status(402).json({ error: e.message, code: e.code, plan: e.billing.plan, usage: e.billing.usage });
+  if (e.code === 'RULESET_NOT_FOUND' || e.code === 'RULESET_INVALID' || MAPPING_ERRORS.has(e.code)) return res.status(400).json({ error: e.message, details: e.issues });
+  if (e.code === 'RUN_NOT_FOUND' || e.code === 'PRIVACY_INVALID') return res.status(400).json({ error: e.message, code: e.code });
+  req.log.error({ err: e }, 'pack submission failed');
+  res.status(500).json({ error: 'Processing failed.' });
+}
 
-    const files = {
-      'clients.json': Buffer.from(JSON.stringify(clients, null, 2)),
-      'transactions.json': Buffer.from(JSON.stringify(txs, null, 2)),
-      'cases.json': Buffer.from(JSON.stringify(cases, null, 2)),
-      'program.html': Buffer.from(renderProgramHTML(rulesMeta, clientHeaderMap, txHeaderMap, rejects))
-    };
+// --------- what-if simulation ---------
+// Scores a dataset under the current ruleset and a candidate side by side; no pack is built or
+// stored. The dataset is an upload (multipart, as for /upload) or run_id, a stored run of the
+// organisation. ruleset: the baseline (default the run's, or RULESET_ID); the candidate is one
+// of candidate_ruleset (installed ruleset id), candidate (ruleset document) or overrides.
+const SIMULATION_STATUS = { SIMULATION_INVALID: 400, RULESET_INVALID: 400, RULESET_NOT_FOUND: 400, VALIDATION_FAILED: 422, INPUT_INVALID: 400, FX_INVALID: 400, RUN_NOT_FOUND: 404, RUN_DATA_EXPIRED: 410, RUN_DATA_UNAVAILABLE: 409 };
+app.post('/api/simulate', requireUser('write'), heavyLimiter, uploadFields, async (req, res) => {
+  const progress = progressStream(req, res);
+  try {
+    const b = req.body || {};
+    const run = b.run_id ? await orgRuns(req.user.org_id).get(b.run_id) : null;
+    if (b.run_id && !run) return progress.fail(404, { ok:false, error: 'Run not found', code: 'RUN_NOT_FOUND' });
+    const clientsFile = req.files?.clients?.[0];
+    const txFile = req.files?.transactions?.[0];
+    if (!run && (!clientsFile || !txFile)) return progress.fail(400, { ok:false, error: 'Upload clients and transactions, or give run_id' });
 
-    const manifest = buildManifest(files, rulesMeta);
-    const zipBuffer = await zipNamedBuffers({ ...files, 'manifest.json': Buffer.from(JSON.stringify(manifest, null, 2)) });
+    const baseline = loadRuleset(b.ruleset || run?.ruleset_id || cfg.RULESET_ID);
+    const candidate = candidateRuleset(baseline, { ruleset_id: b.candidate_ruleset, document: b.candidate, overrides: b.overrides });
+    const jurisdictions = await jurisdictionStore.get();
+    if (run){
+      const data = await runDataset(run);
+      const result = await simulate({ ...data, baseline, candidate, jurisdictions });
+      return progress.send({ ok: true, dataset: { source: 'run', run_id: run.run_id, clients: data.clients.length, transactions: data.txs.length }, ...result });
+    }
+    const mapping = await submittedMapping(req);
+    progress.send(await runSimulation({
+      ...pipelineInputs(req),
+      rulesetId: baseline.id,
+      mapping,
+      candidate,
+      jurisdictions,
+      onProgress: progress.onProgress
+    }));
+  } catch (e) {
+    if (MAPPING_ERRORS.has(e.code)) return progress.fail(400, { ok:false, error: e.message, details: e.issues });
+    if (SIMULATION_STATUS[e.code]) return progress.fail(SIMULATION_STATUS[e.code], { ok:false, error: e.message, code: e.code, details: e.issues ?? e.details });
+    req.log.error({ err: e }, 'simulation failed');
+    progress.fail(500, { ok:false, error: 'Simulation failed' });
+  } finally {
+    removeUploads(req);
+  }
+});
 
-    const token = newToken();
-    verifyStore.put(token, zipBuffer, manifest, parseInt(process.env.VERIFY_TTL_MIN || '60', 10));
+function pipelineInputs(req){
+  return {
+    clientsFile: req.files.clients[0].path,
+    txFile: req.files.transactions[0].path,
+    fxFile: req.files?.fx_rates?.[0]?.path,
+    rulesetId: req.body?.ruleset,
+    sources: uploadSources(req),
+    strict: strictOptions(req.body)
+  };
+}
 
-    res.json({
-      ok: true,
-      risk: scores,
-      verify_url: new URL('/verify/' + token, cfg.APP_ORIGIN || 'http://localhost:10000').toString(),
-      download_url: new URL('/download/' + token, cfg.APP_ORIGIN || 'http://localhost:10000').toString()
-    });
-  } catch {
-    res.status(500).json({ error: 'Processing failed.' });
+// Original file names (format hints) and the XLSX sheet to read from each workbook.
+function uploadSources(req){
+  const source = (field) => ({ name: req.files[field][0].originalname, sheet: req.body?.[`${field}_sheet`] || null });
+  return { clients: source('clients'), transactions: source('transactions') };
+}
+
+// Column mapping sent with an upload: a saved profile (mapping_profile), overlaid by an
+// explicit JSON mapping ({ clients: { field: header }, transactions: { ... } }).
+const MAPPING_ERRORS = new Set(['MAPPING_INVALID', 'MAPPING_PROFILE_NOT_FOUND']);
+async function submittedMapping(req, orgId = req.user.org_id){
+  const explicit = parseMapping(req.body?.mapping);
+  if (!req.body?.mapping_profile) return explicit;
+  const profile = await orgMappingProfiles(orgId).get(req.body.mapping_profile);
+  if (!profile) throw Object.assign(new Error(`Unknown mapping profile: ${req.body.mapping_profile}`), { code: 'MAPPING_PROFILE_NOT_FOUND' });
+  return {
+    clients: { ...profile.mapping.clients, ...explicit.clients },
+    transactions: { ...profile.mapping.transactions, ...explicit.transactions },
+    profile: { id: profile.id, name: profile.name }
+  };
+}
+
+// The earlier run an upload is compared with: compare_to=<run id>, or latest (none yet: no comparison).
+async function compareRunFor(req, orgId = req.user.org_id){
+  const id = String(req.body?.compare_to || '').trim();
+  if (!id) return null;
+  const runs = orgRuns(orgId);
+  if (id === 'latest') return runs.latest();
+  const run = await runs.get(id);
+  if (!run) throw Object.assign(new Error(`Unknown run: ${id}`), { code: 'RUN_NOT_FOUND' });
+  return run;
+}
+
+function removeUploads(req){
+  for (const f of Object.values(req.files || {}).flat()) if (f.path) fs.rm(f.path, { force: true }, () => {});
+}
+
+// Clients sending `Accept: application/x-ndjson` get progress events streamed as NDJSON
+// lines ({ event: 'progress', stage, bytes, total, rows }) followed by one
+// { event: 'result' | 'error', ... } line; everyone else gets the plain JSON response.
+function progressStream(req, res, { enabled = true } = {}){
+  const streaming = enabled && (req.get('accept') || '').includes('application/x-ndjson');
+  const line = (obj) => { res.write(JSON.stringify(obj) + '\n'); res.flush?.(); };
+  return {
+    onProgress: (p) => {
+      if (!streaming) return;
+      if (!res.headersSent){ res.status(200).setHeader('Content-Type', 'application/x-ndjson; charset=utf-8'); }
+      line({ event: 'progress', ...p });
+    },
+    send: (body) => streaming && res.headersSent ? res.end(JSON.stringify({ event: 'result', ...body }) + '\n') : res.json(body),
+    fail: (status, body) => streaming && res.headersSent ? res.end(JSON.stringify({ event: 'error', status, ...body }) + '\n') : res.status(status).json(body)
+  };
+}
+
+// --------- column mapping profiles ---------
+app.get('/api/mapping-profiles', requireUser('read'), async (req, res, next) => {
+  try { res.json({ profiles: await orgMappingProfiles(req.user.org_id).list() }); }
+  catch (e) { next(e); }
+});
+app.get('/api/mapping-profiles/:id', requireUser('read'), async (req, res, next) => {
+  try {
+    const profile = await orgMappingProfiles(req.user.org_id).get(req.params.id);
+    if (!profile) return res.status(404).json({ error: 'Mapping profile not found' });
+    res.json(profile);
+  } catch (e) { next(e); }
+});
+app.post('/api/mapping-profiles', requireUser('write'), async (req, res, next) => {
+  try {
+    res.json({ ok: true, profile: await orgMappingProfiles(req.user.org_id).save(req.body || {}) });
+  } catch (e) {
+    if (e.code === 'MAPPING_INVALID') return res.status(400).json({ ok:false, error: e.message, details: e.issues });
+    next(e);
+  }
+});
+app.delete('/api/mapping-profiles/:id', requireUser('write'), async (req, res, next) => {
+  try {
+    if (!(await orgMappingProfiles(req.user.org_id).remove(req.params.id))) return res.status(404).json({ error: 'Mapping profile not found' });
+    res.json({ ok: true });
+  } catch (e) { next(e); }
+});
+
+// --------- cases ---------
+// Cases from every pack of the user's organisation (see lib/case-store.js); changes are
+// recorded in case history under the signed-in user.
+app.get('/api/cases', requireUser('read'), async (req, res, next) => {
+  try {
+    const { status, assignee, client_id, type } = req.query;
+    if (status && !STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of ${STATUSES.join(', ')}` });
+    res.json({ statuses: STATUSES, cases: await orgCases(req.user.org_id).list({ status, assignee, client_id, type }) });
+  } catch (e) { next(e); }
+});
+app.get('/api/cases/:id', requireUser('read'), async (req, res, next) => {
+  try {
+    const c = await orgCases(req.user.org_id).get(req.params.id);
+    if (!c) return res.status(404).json({ error: 'Case not found' });
+    res.json(c);
+  } catch (e) { next(e); }
+});
+app.patch('/api/cases/:id', requireUser('write'), async (req, res, next) => {
+  try {
+    const { status, assignee, disposition } = req.body || {};
+    const c = await orgCases(req.user.org_id).update(req.params.id, { status, assignee, disposition }, actorOf(req.user));
+    if (!c) return res.status(404).json({ error: 'Case not found' });
+    res.json({ ok: true, case: c });
+  } catch (e) {
+    if (e.code === 'CASE_INVALID') return res.status(400).json({ ok:false, error: e.message });
+    next(e);
+  }
+});
+app.post('/api/cases/:id/notes', requireUser('write'), async (req, res, next) => {
+  try {
+    const note = await orgCases(req.user.org_id).addNote(req.params.id, req.body?.text, actorOf(req.user));
+    if (!note) return res.status(404).json({ error: 'Case not found' });
+    res.status(201).json({ ok: true, note });
+  } catch (e) {
+    if (e.code === 'CASE_INVALID') return res.status(400).json({ ok:false, error: e.message });
+    next(e);
   }
 });
 
-function renderProgramHTML(rulesMeta, clientHeaderMap, txHeaderMap, rejects){
-  return [
-    '<!doctype html><meta charset="utf-8"><title>TrancheReady Evidence</title>',
-    '<style>body{font-family:ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial;line-height:1.55;padding:24px;color:#0D1321} code,pre{font-family:ui-monospace,Menlo,Consolas,monospace;background:#F7F9FD;border:1px solid #E6EAF2;border-radius:8px;padding:10px;display:block;overflow:auto}</style>',
-    '<h1>TrancheReady Evidence</h1>',
-    `<p>Generated: ${new Date().toISOString()}</p>`,
-    '<h2>Ruleset</h2>',
-    `<pre>${escapeHtml(JSON.stringify(rulesMeta, null, 2))}</pre>`,
-    '<h2>Header Mapping</h2>',
-    `<pre>${escapeHtml(JSON.stringify({ clients: clientHeaderMap, transactions: txHeaderMap }, null, 2))}</pre>`,
-    '<h2>Row Rejects</h2>',
-    `<pre>${escapeHtml(JSON.stringify(rejects, null, 2))}</pre>`
-  ].join('');
+// --------- runs ---------
+// Every stored pack is a run of the organisation (see lib/runs.js); comparing two runs shows
+// the risk drift between them.
+app.get('/api/runs', requireUser('read'), async (req, res, next) => {
+  try { res.json({ runs: await orgRuns(req.user.org_id).list() }); } catch (e) { next(e); }
+});
+app.get('/api/runs/:id', requireUser('read'), async (req, res, next) => {
+  try {
+    const run = await orgRuns(req.user.org_id).get(req.params.id);
+    if (!run) return res.status(404).json({ error: 'Run not found' });
+    res.json(run);
+  } catch (e) { next(e); }
+});
+// One client of a run: profile, reasons with their transactions, timeline and cases.
+app.get('/api/runs/:id/clients/:client_id', requireUser('read'), async (req, res, next) => {
+  try {
+    const run = await orgRuns(req.user.org_id).get(req.params.id);
+    if (!run?.scores.some(s => s.client_id === req.params.client_id)) return res.status(404).json({ error: run ? 'Client not in this run' : 'Run not found' });
+    const [data, cases] = await Promise.all([runPackData(run), orgCases(req.user.org_id).list({ client_id: req.params.client_id })]);
+    res.json(clientProfile(run, req.params.client_id, { data, cases }));
+  } catch (e) { next(e); }
+});
+// a is the earlier run; swapping them shows the same changes the other way round.
+app.get('/api/runs/:a/compare/:b', requireUser('read'), async (req, res, next) => {
+  try {
+    const runs = orgRuns(req.user.org_id);
+    const [a, b] = await Promise.all([runs.get(req.params.a), runs.get(req.params.b)]);
+    if (!a || !b) return res.status(404).json({ error: 'Run not found' });
+    res.json(diffRuns(a, b));
+  } catch (e) { next(e); }
+});
+
+// --------- audit log ---------
+// The organisation's audit chain (see lib/audit.js), for its admins: entries newest first,
+// ?before=<seq> pages back; /verify checks the whole chain as stored.
+app.get('/api/audit', requireUser('admin'), async (req, res, next) => {
+  try {
+    const head = await auditLog.head(req.user.org_id);
+    const before = Math.min(head.seq + 1, parseInt(req.query.before, 10) || head.seq + 1);
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const entries = await auditLog.entries(req.user.org_id, { from: before - limit, to: before - 1 });
+    res.json({ chain: req.user.org_id, head, entries: entries.reverse() });
+  } catch (e) { next(e); }
+});
+app.get('/api/audit/verify', requireUser('admin'), async (req, res, next) => {
+  try { res.json(await auditLog.verify(req.user.org_id)); } catch (e) { next(e); }
+});
+
+// --------- pseudonymisation keys ---------
+// The organisation's keys for pseudonymised packs (see lib/privacy.js), for its admins: the list
+// holds no key material; exporting one (to hold apart and re-identify with bin/reidentify.js) and
+// rotating are audited. Packs made under a retired key stay re-identifiable with it.
+app.get('/api/privacy/keys', requireUser('admin'), async (req, res, next) => {
+  try { res.json({ keys: await privacyKeys.list(req.user.org_id) }); } catch (e) { next(e); }
+});
+app.get('/api/privacy/keys/:key_id', requireUser('admin'), async (req, res, next) => {
+  try {
+    const key = await privacyKeys.find(req.user.org_id, req.params.key_id);
+    if (!key) return res.status(404).json({ error: 'Key not found' });
+    await auditLog.append({ ...auditContext(req), org_id: req.user.org_id, action: 'privacy.key_export', target: { key_id: req.params.key_id } });
+    res.set('Cache-Control', 'no-store').json({ org_id: req.user.org_id, key_id: req.params.key_id, key: key.toString('base64') });
+  } catch (e) { next(e); }
+});
+app.post('/api/privacy/keys/rotate', requireUser('admin'), async (req, res, next) => {
+  try {
+    const { key_id } = await privacyKeys.rotate(req.user.org_id);
+    await auditLog.append({ ...auditContext(req), org_id: req.user.org_id, action: 'privacy.key_rotate', target: { key_id } });
+    res.json({ ok: true, key_id });
+  } catch (e) { next(e); }
+});
+
+// --------- API keys ---------
+// Keys for /api/v1 (see lib/api-keys.js), managed by the organisation's admins: the secret is in
+// the create response only; creating and revoking are audited.
+app.get('/api/api-keys', requireUser('admin'), async (req, res, next) => {
+  try { res.json({ api_keys: await apiKeys.list(req.user.org_id) }); } catch (e) { next(e); }
+});
+app.post('/api/api-keys', requireUser('admin'), async (req, res, next) => {
+  try {
+    const { key, api_key } = await apiKeys.create(req.user.org_id, req.body || {}, req.user.id);
+    await auditLog.append({ ...auditContext(req), org_id: req.user.org_id, action: 'api_key.create', target: { key_id: api_key.key_id }, details: { name: api_key.name, scopes: api_key.scopes, rate_limit: api_key.rate_limit } });
+    res.status(201).set('Cache-Control', 'no-store').json({ ok: true, key, api_key });
+  } catch (e) {
+    if (e.code === 'API_KEY_INVALID' || e.code === 'API_KEY_LIMIT') return res.status(e.code === 'API_KEY_LIMIT' ? 409 : 400).json({ error: e.message, code: e.code });
+    next(e);
+  }
+});
+app.delete('/api/api-keys/:key_id', requireUser('admin'), async (req, res, next) => {
+  try {
+    const api_key = await apiKeys.revoke(req.user.org_id, req.params.key_id);
+    if (!api_key) return res.status(404).json({ error: 'API key not found' });
+    await auditLog.append({ ...auditContext(req), org_id: req.user.org_id, action: 'api_key.revoke', target: { key_id: api_key.key_id } });
+    res.json({ ok: true, api_key });
+  } catch (e) { next(e); }
+});
+
+// --------- jobs ---------
+// Jobs are visible to their organisation only; anyone else gets a 404.
+app.get('/api/jobs/:id', requireUser('read'), (req, res) => {
+  const job = orgJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json({ ...job, ...jobLinks(job.id) });
+});
+
+// Server-sent events: one `job` event per update, stream ends once the job is finished.
+app.get('/api/jobs/:id/events', requireUser('read'), (req, res) => {
+  const job = orgJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  const send = (j) => {
+    res.write(`event: job\ndata: ${JSON.stringify(j)}\n\n`);
+    res.flush?.();
+    if (jobQueue.isTerminal(j.status)) close();
+  };
+  const ping = setInterval(() => { res.write(': ping\n\n'); res.flush?.(); }, 15000);
+  const close = () => { clearInterval(ping); jobQueue.off(`job:${job.id}`, send); res.end(); };
+  jobQueue.on(`job:${job.id}`, send);
+  req.on('close', close);
+  send(job);
+});
+
+app.post('/api/jobs/:id/cancel', requireUser('write'), async (req, res, next) => {
+  try {
+    const before = orgJob(req);
+    if (!before) return res.status(404).json({ error: 'Job not found' });
+    if (jobQueue.isTerminal(before.status)) return res.status(409).json({ error: `Job already ${before.status}`, job: before });
+    res.json({ ok: true, job: await jobQueue.cancel(req.params.id) });
+  } catch (e) { next(e); }
+});
+
+function orgJob(req, orgId = req.user.org_id){
+  const job = jobQueue.get(req.params.id);
+  return job?.org_id === orgId ? job : null;
+}
+
+function jobLinks(id){
+  return { status_url: `/api/jobs/${id}`, events_url: `/api/jobs/${id}/events`, cancel_url: `/api/jobs/${id}/cancel` };
 }
-function escapeHtml(s){ return s.replace(/[&<>"']/g, c=>({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c])); }
+
+// --------- signing keys ---------
+app.get('/.well-known/trancheready-keys.json', (_req, res) => {
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  res.json(keyring.jwks());
+});
 
 // --------- verify & download ---------
-app.get('/verify/:token', (req, res) => {
-  const entry = verifyStore.get(req.params.token);
-  if (!entry) return res.status(404).send('Link expired or not found.');
-  res.render('verify', { manifest: entry.manifest, publicKey: process.env.SIGN_PUBLIC_KEY || '' });
+app.get('/verify', (_req, res) => res.render('verify-upload'));
+app.post('/api/verify', verifyLimiter, packUpload.single('pack'), (req, res) => {
+  if (!req.file) return res.status(400).json({ ok:false, error: 'Evidence zip required: pack' });
+  res.json(verifyPack(req.file.buffer, { keyring, publicKeys: [req.body?.pubkey].filter(Boolean), allowUnsigned: parseFlag(req.body?.allow_unsigned) === true, maxBytes: cfg.VERIFY_MAX_UNZIPPED_MB * 1024 * 1024 }));
+});
+// Public-manifest packs (and packs stored before accounts) show their manifest to anyone with the
+// link; otherwise the page is for members of the pack's organisation.
+app.get('/verify/:token', async (req, res, next) => {
+  try {
+    const entry = await verifyStore.getMeta(req.params.token);
+    if (!entry) return res.status(404).send('Link expired or not found.');
+    const member = !!entry.org_id && req.user?.org_id === entry.org_id && can(req.user, 'read');
+    if (!member && entry.org_id && !entry.public_manifest){
+      if (!req.user) return res.redirect('/login?next=' + encodeURIComponent(req.originalUrl));
+      return res.status(404).send('Link expired or not found.');
+    }
+    await auditLog.append({ ...auditContext(req), org_id: entry.org_id, action: 'pack.verify_view', target: { pack_token: req.params.token }, details: { member, public_manifest: !!entry.public_manifest } });
+    const m = entry.manifest;
+    const key = m.signing ? keyring.find(m.signing.key_id) : null;
+    res.render('verify', {
+      manifest: m,
+      publicKey: key ? key.publicKey.toString('base64') : '',
+      keyStatus: key ? key.status : null,
+      signatureValid: m.signing ? keyring.verify(signingMessage(m), m.signing.signature, m.signing.key_id) : null,
+      downloadUrl: member ? `/download/${req.params.token}` : null
+    });
+  } catch (e) { next(e); }
 });
-app.get('/download/:token', (req, res) => {
-  const entry = verifyStore.get(req.params.token);
-  if (!entry) return res.status(404).send('Link expired or not found.');
-  res.setHeader('Content-Type', 'application/zip');
-  res.setHeader('Content-Disposition', 'attachment; filename="trancheready-evidence.zip"');
-  res.send(entry.zipBuffer);
+// The zip holds client PII: members of the pack's organisation, or ?key= (the download key).
+app.get('/download/:token', async (req, res, next) => {
+  try {
+    const access = await downloadAccess(req, res);
+    if (!access) return;
+    const zip = await verifyStore.openZip(req.params.token);
+    if (!zip) return res.status(404).send('Link expired or not found.');
+    await auditLog.append({ ...auditContext(req, access.member ? undefined : { type: 'download_key' }), org_id: access.entry.org_id, action: 'pack.download', target: { pack_token: req.params.token } });
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', 'attachment; filename="trancheready-evidence.zip"');
+    zip.on('error', next).pipe(res);
+  } catch (e) { next(e); }
+});
+// The same zip encrypted for sending by email (see lib/pack-crypto.js): body { passphrase } (at
+// least 12 characters) or { recipient } (the auditor's X25519 public key, base64). Decrypt with
+// `npm run pack-crypt -- decrypt`.
+app.post('/download/:token/encrypted', heavyLimiter, async (req, res, next) => {
+  try {
+    const access = await downloadAccess(req, res);
+    if (!access) return;
+    const { passphrase, recipient } = req.body || {};
+    let sealer;
+    try { sealer = await encryptStream(recipient ? { recipient } : { passphrase: passphrase || null }); }
+    catch (e) { return res.status(400).json({ error: e.message, code: e.code }); }
+    const zip = await verifyStore.openZip(req.params.token);
+    if (!zip) return res.status(404).send('Link expired or not found.');
+    await auditLog.append({ ...auditContext(req, access.member ? undefined : { type: 'download_key' }), org_id: access.entry.org_id, action: 'pack.download', target: { pack_token: req.params.token }, details: { encrypted: recipient ? 'recipient' : 'passphrase' } });
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Disposition', 'attachment; filename="trancheready-evidence.zip.enc"');
+    zip.on('error', next).pipe(sealer).on('error', next).pipe(res);
+  } catch (e) { next(e); }
 });
 
+// { entry, member } when the request may download the pack, else responds and returns null.
+async function downloadAccess(req, res){
+  const entry = await verifyStore.getMeta(req.params.token);
+  if (!entry){ res.status(404).send('Link expired or not found.'); return null; }
+  const member = !!entry.org_id && req.user?.org_id === entry.org_id && can(req.user, 'read');
+  if (!member && !downloadKeyMatches(entry, req.query.key)){
+    if (!req.user && req.query.key == null) res.redirect('/login?next=' + encodeURIComponent(req.originalUrl));
+    else res.status(404).send('Link expired or not found.');
+    return null;
+  }
+  return { entry, member };
+}
+
+// --------- public API v1 ---------
+// For integrations without a browser: API-key authentication (requireScope), per-key rate limits
+// (apiLimiter) and JSON bodies. A submission is an evidence pack job as for /upload, with the
+// clients and transactions as arrays of records (fields as in the CSV templates, or renamed with
+// mapping); poll the job, then fetch the run and download the pack.
+app.post('/api/v1/packs', requireScope('packs:write'), async (req, res) => {
+  const b = req.body || {};
+  if (!isRecords(b.clients) || !isRecords(b.transactions) || (b.fx_rates != null && !isRecords(b.fx_rates))){
+    return res.status(400).json({ error: 'clients and transactions (and fx_rates, if given) must be non-empty arrays of objects', code: 'INPUT_INVALID' });
+  }
+  let dir = null;
+  try {
+    dir = await fs.promises.mkdtemp(path.join(cfg.UPLOAD_TMP_DIR || os.tmpdir(), 'api-'));
+    const files = {};
+    const details = {};
+    for (const field of ['clients', 'transactions', 'fx_rates']){
+      if (!b[field]) continue;
+      files[field] = path.join(dir, `${field}.json`);
+      await fs.promises.writeFile(files[field], JSON.stringify(b[field]));
+      details[field] = { records: b[field].length, bytes: (await fs.promises.stat(files[field])).size };
+    }
+    const orgId = req.apiKey.org_id;
+    const { job, downloadKey } = await submitPack(req, {
+      orgId,
+      owner: { org_id: orgId, api_key_id: req.apiKey.key_id },
+      files,
+      sources: { clients: { name: 'clients.json', sheet: null }, transactions: { name: 'transactions.json', sheet: null } },
+      details
+    });
+    res.status(202).location(`/api/v1/jobs/${job.id}`).json({ ok: true, job_id: job.id, download_key: downloadKey, job: v1Job(job) });
+  } catch (e) {
+    submitError(e, req, res);
+  } finally {
+    if (dir) fs.rm(dir, { recursive: true, force: true }, () => {});
+  }
+});
+
+app.get('/api/v1/jobs/:id', requireScope('packs:read'), (req, res) => {
+  const job = orgJob(req, req.apiKey.org_id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(v1Job(job));
+});
+
+app.get('/api/v1/runs', requireScope('runs:read'), async (req, res, next) => {
+  try { res.json({ runs: await orgRuns(req.apiKey.org_id).list() }); } catch (e) { next(e); }
+});
+app.get('/api/v1/runs/:id', requireScope('runs:read'), async (req, res, next) => {
+  try {
+    const run = await orgRuns(req.apiKey.org_id).get(req.params.id);
+    if (!run) return res.status(404).json({ error: 'Run not found' });
+    res.json(run);
+  } catch (e) { next(e); }
+});
+
+app.get('/api/v1/packs/:token', requireScope('packs:read'), async (req, res, next) => {
+  try {
+    const entry = await verifyStore.getMeta(req.params.token);
+    if (!entry || entry.org_id !== req.apiKey.org_id) return res.status(404).json({ error: 'Pack not found or expired' });
+    const zip = await verifyStore.openZip(req.params.token);
+    if (!zip) return res.status(404).json({ error: 'Pack not found or expired' });
+    await auditLog.append({ ...auditContext(req), org_id: entry.org_id, action: 'pack.download', target: { pack_token: req.params.token } });
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', 'attachment; filename="trancheready-evidence.zip"');
+    zip.on('error', next).pipe(res);
+  } catch (e) { next(e); }
+});
+
+function isRecords(v){
+  return Array.isArray(v) && v.length > 0 && v.every(r => r && typeof r === 'object' && !Array.isArray(r));
+}
+
+// The job with its /api/v1 links; pack_url once the pack is stored.
+function v1Job(job){
+  return { ...job, status_url: `/api/v1/jobs/${job.id}`, pack_url: job.result?.token ? `/api/v1/packs/${job.result.token}` : null, run_url: job.result?.run_id ? `/api/v1/runs/${job.result.run_id}` : null };
+}
+
+// --------- API docs ---------
+// docs/openapi.yaml, browsable at /docs; `npm run check:openapi` (and npm test) checks it against the routes.
+const openapi = YAML.parse(fs.readFileSync(path.join(__dirname, 'docs', 'openapi.yaml'), 'utf8'));
+app.get('/docs/openapi.json', (_req, res) => res.json(openapi));
+app.use('/docs', swaggerUi.serve, swaggerUi.setup(openapi));
+
 // --------- app UI ---------
-app.get('/', (_req, res) => res.render('app'));
+app.get('/', requireUser('read'), (_req, res) => res.render('app'));
+app.get('/cases', requireUser('read'), (_req, res) => res.render('cases'));
+app.get('/runs', requireUser('read'), (_req, res) => res.render('runs'));
+app.get('/simulate', requireUser('write'), (_req, res) => res.render('simulate'));
+app.get('/runs/:id/clients/:client_id', requireUser('read'), (req, res) => res.render('client', { runId: req.params.id, clientId: req.params.client_id }));
 
 // 404
 app.use((_req, res) => res.status(404).send('Not Found'));
 
-const PORT = parseInt(process.env.PORT || '10000', 10);
-app.listen(PORT, () => console.log('listening on', PORT));
+// Listens when run (node server.js); tests and bin/check-openapi.js import the app without serving it.
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename){
+  const PORT = parseInt(process.env.PORT || '10000', 10);
+  app.listen(PORT, () => logger.info({ port: PORT }, 'listening'));
+  for (const e of keyring.errors) logger.error(`signing keyring: ${e}`);
+  verifyStore.startSweeper(undefined, logger);
+  startReferenceWatch(undefined, logger);
+  jobQueue.start({ log: logger }).catch(e => logger.error({ err: e }, 'job queue failed to start'));
+}
+
+export { app };
@@ -0,0 +1,78 @@
+import assert from 'assert/strict';
+import crypto from 'crypto';
+import { test } from 'node:test';
+
+import { AccountStore } from '../lib/accounts.js';
+import { MemoryStorage } from '../lib/storage/index.js';
+import { newTotpSecret, totpStep } from '../lib/totp.js';
+
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';  // RFC 6238 test key "12345678901234567890"
+
+// The 6-digit code for a base32 secret at a time step (RFC 4226 HOTP on the step).
+function codeAt(secret, step){
+  let bits = '';
+  for (const ch of secret) bits += 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'.indexOf(ch).toString(2).padStart(5, '0');
+  const key = Buffer.from(bits.match(/.{8}/g).map(b => parseInt(b, 2)));
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(step));
+  const mac = crypto.createHmac('sha1', key).update(msg).digest();
+  return String((mac.readUInt32BE(mac[19] & 0x0f) & 0x7fffffff) % 1e6).padStart(6, '0');
+}
+const nowStep = () => Math.floor(Date.now() / 30000);
+
+test('TOTP matches the RFC 6238 vectors, within one step of drift', () => {
+  assert.equal(totpStep(SECRET, '287082', { now: 59 * 1000 }), 1);
+  assert.equal(totpStep(SECRET, '081804', { now: 1111111109 * 1000 }), 37037036);
+  assert.equal(totpStep(SECRET, '081 804', { now: (1111111109 + 30) * 1000 }), 37037036);
+  assert.equal(totpStep(SECRET, '081804', { now: (1111111109 + 90) * 1000 }), null);
+  assert.equal(totpStep(SECRET, '81804', { now: 1111111109 * 1000 }), null);
+  assert.equal(codeAt(SECRET, 37037036), '081804');
+  assert.match(newTotpSecret(), /^[A-Z2-7]{32}$/);
+});
+
+async function setup(){
+  const store = new AccountStore(new MemoryStorage());
+  const { user } = await store.createOrg({ org_name: 'Acme', name: 'Ann', email: 'ann@example.com', password: 'correct horse battery' });
+  return { store, user };
+}
+
+test('wrong passwords and unknown emails fail alike', async () => {
+  const { store } = await setup();
+  for (const attempt of [{ email: 'ann@example.com', password: 'wrong password' }, { email: 'bob@example.com', password: 'correct horse battery' }]){
+    await assert.rejects(store.authenticate(attempt), { code: 'AUTH_FAILED', message: 'Incorrect email or password' });
+  }
+  assert.equal((await store.authenticate({ email: ' ANN@example.com', password: 'correct horse battery' })).email, 'ann@example.com');
+});
+
+test('password checks do not wait for the account queue', async () => {
+  const { store } = await setup();
+  let release;
+  const held = store.exclusive(() => new Promise(resolve => { release = resolve; }));
+  const user = await store.authenticate({ email: 'ann@example.com', password: 'correct horse battery' });
+  assert.equal(user.email, 'ann@example.com');
+  release();
+  await held;
+});
+
+test('a TOTP code signs in once, even when sent twice at the same time', async () => {
+  const { store, user } = await setup();
+  const { secret } = await store.totpSetup(user.id);
+  await store.totpEnable(user.id, codeAt(secret, nowStep() - 1));
+  const login = { email: 'ann@example.com', password: 'correct horse battery' };
+  await assert.rejects(store.authenticate(login), { code: 'TOTP_REQUIRED' });
+  await assert.rejects(store.authenticate({ ...login, code: 'abcdef' }), { code: 'AUTH_FAILED' });
+
+  const code = codeAt(secret, nowStep());
+  const results = await Promise.allSettled([store.authenticate({ ...login, code }), store.authenticate({ ...login, code })]);
+  assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(r => r.status === 'rejected').reason.message, 'Invalid authentication code');
+});
+
+test('a user disabled while their password is checked is not signed in', async () => {
+  const { store, user } = await setup();
+  const { secret } = await store.totpSetup(user.id);
+  await store.totpEnable(user.id, codeAt(secret, nowStep() - 1));
+  const pending = store.authenticate({ email: 'ann@example.com', password: 'correct horse battery', code: codeAt(secret, nowStep()) });
+  await store.putJson(`accounts/users/${user.id}.json`, { ...(await store.getUser(user.id)), disabled: true });
+  await assert.rejects(pending, { code: 'AUTH_FAILED', message: 'Incorrect email or password' });
+});
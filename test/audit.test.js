@@ -0,0 +1,70 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+
+import { AuditLog, GENESIS, entryHash, verifyChain } from '../lib/audit.js';
+import { MemoryStorage } from '../lib/storage/index.js';
+
+const ORG = 'org_0123456789abcdef';
+
+async function logWith(n){
+  const log = new AuditLog(new MemoryStorage());
+  for (let i = 0; i < n; i++) await log.append({ org_id: ORG, action: 'upload', actor: { type: 'user', id: 'usr_1' }, target: { job_id: `job${i}` } });
+  return log;
+}
+const problems = (report) => report.problems.map(p => `${p.seq} ${p.problem}`);
+
+test('entries link to the one before from GENESIS, concurrent appends included', async () => {
+  const log = new AuditLog(new MemoryStorage());
+  await Promise.all(Array.from({ length: 5 }, (_, i) => log.append({ org_id: ORG, action: 'upload', actor: { type: 'user' }, details: { i } })));
+  const entries = await log.entries(ORG);
+  assert.deepEqual(entries.map(e => e.seq), [1, 2, 3, 4, 5]);
+  assert.equal(entries[0].prev_hash, GENESIS);
+  for (let i = 1; i < 5; i++) assert.equal(entries[i].prev_hash, entries[i - 1].hash);
+  assert.equal((await log.verify(ORG)).ok, true);
+  assert.throws(() => log.append({ action: 'rm -rf', actor: null }), /Unknown audit action/);
+});
+
+test('a missing entry is a gap', async () => {
+  const entries = await (await logWith(6)).entries(ORG);
+  const report = verifyChain(entries.filter(e => ![3, 4].includes(e.seq)), { chain: ORG });
+  assert.equal(report.ok, false);
+  assert.deepEqual(problems(report), ['3 gap']);
+  assert.equal(report.problems[0].detail, 'entries 3–4 missing');
+});
+
+test('an edited entry is detected, and so is a rehashed one', async () => {
+  const entries = await (await logWith(4)).entries(ORG);
+  const edited = entries.map(e => e.seq === 2 ? { ...e, actor: { type: 'user', id: 'usr_2' } } : e);
+  assert.deepEqual(problems(verifyChain(edited, { chain: ORG })), ['2 edited']);
+
+  const rehashed = edited.map(e => e.seq === 2 ? { ...e, hash: entryHash(e) } : e);
+  assert.deepEqual(problems(verifyChain(rehashed, { chain: ORG })), ['3 broken_link']);
+});
+
+test('a dropped tail, a moved entry and a segment from the middle', async () => {
+  const log = await logWith(5);
+  const entries = await log.entries(ORG);
+  const head = await log.head(ORG);
+  assert.deepEqual(problems(verifyChain(entries.slice(0, 3), { chain: ORG, head })), ['4 truncated']);
+  assert.equal(problems(verifyChain(entries, { chain: 'system' })).length, 5, 'wrong_chain');
+  assert.equal(verifyChain(entries.slice(2), { chain: ORG, from: 3, prevHash: entries[1].hash }).ok, true);
+  assert.deepEqual(problems(verifyChain(entries.slice(2), { chain: ORG, from: 3 })), ['3 broken_link']);
+});
+
+test('the stored chain: removed and misfiled entries', async () => {
+  const log = await logWith(4);
+  await log.storage.delete(log.key(ORG, 2));
+  assert.deepEqual(problems(await log.verify(ORG)), ['2 gap']);
+
+  const moved = await logWith(3);
+  await moved.storage.put(moved.key(ORG, 2), Buffer.from(JSON.stringify((await moved.entries(ORG))[2])));
+  assert.ok(problems(await moved.verify(ORG)).includes('2 misfiled'));
+});
+
+test('a pack\'s segment is checked against the log', async () => {
+  const log = await logWith(3);
+  const segment = await log.segment(ORG, 2);
+  assert.equal((await log.checkSegment(segment)).ok, true);
+  const forged = await logWith(3);
+  assert.deepEqual(problems(await log.checkSegment(await forged.segment(ORG, 2))).sort(), ['2 differs', '3 differs']);
+});
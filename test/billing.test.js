@@ -0,0 +1,151 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import http from 'http';
+import { after, before, describe, test } from 'node:test';
+
+import Stripe from 'stripe';
+
+// Billing end to end through the app: checkout against a local Stripe mock, and the recorded
+// webhook events in fixtures/stripe/ signed the way Stripe signs them (see bin/stripe-webhook.js).
+const SECRET = 'whsec_test_fixtures';
+const FIXTURES = new URL('../fixtures/stripe/', import.meta.url);
+
+const checkouts = [];
+const stripeMock = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', c => { body += c; });
+  req.on('end', () => {
+    res.setHeader('content-type', 'application/json');
+    if (req.method !== 'POST' || req.url !== '/v1/checkout/sessions'){
+      res.statusCode = 404;
+      return res.end(JSON.stringify({ error: { type: 'invalid_request_error', message: `Unrecognized request URL (${req.method}: ${req.url})` } }));
+    }
+    const params = new URLSearchParams(body);
+    checkouts.push(params);
+    res.end(JSON.stringify({ id: `cs_test_mock${checkouts.length}`, object: 'checkout.session', mode: params.get('mode'), url: `https://checkout.stripe.test/c/${checkouts.length}` }));
+  });
+});
+await new Promise(resolve => stripeMock.listen(0, '127.0.0.1', resolve));
+
+Object.assign(process.env, {
+  STORAGE_BACKEND: 'memory',
+  COOKIE_SECURE: '0',
+  STRIPE_SECRET_KEY: 'sk_test_mock',
+  STRIPE_WEBHOOK_SECRET: SECRET,
+  STRIPE_PRICE_ID_STARTER: 'price_starter',
+  STRIPE_PRICE_ID_TEAM: 'price_team',
+  STRIPE_API_BASE: `http://127.0.0.1:${stripeMock.address().port}`
+});
+const { app } = await import('../server.js');
+const server = app.listen(0, '127.0.0.1');
+await new Promise(resolve => server.once('listening', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+after(() => Promise.all([new Promise(r => server.close(r)), new Promise(r => stripeMock.close(r))]));
+
+let cookie, orgId;
+before(async () => {
+  const res = await fetch(`${base}/api/auth/signup`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ org_name: 'Acme', name: 'Ann', email: 'ann@example.com', password: 'correct horse battery' }) });
+  assert.equal(res.status, 201);
+  cookie = res.headers.get('set-cookie').split(';')[0];
+  orgId = (await res.json()).org.id;
+});
+
+function fixture(name){
+  const fill = { ORG_ID: orgId, PRICE_ID_STARTER: 'price_starter', PRICE_ID_TEAM: 'price_team' };
+  return fs.readFileSync(new URL(name, FIXTURES), 'utf8').replace(/\{\{(\w+)\}\}/g, (m, k) => fill[k] ?? m);
+}
+
+async function deliver(payload, signature = new Stripe('sk_test_mock').webhooks.generateTestHeaderString({ payload, secret: SECRET })){
+  const res = await fetch(`${base}/api/stripe/webhook`, { method: 'POST', headers: { 'Content-Type': 'application/json', ...(signature ? { 'Stripe-Signature': signature } : {}) }, body: payload });
+  return { status: res.status, body: await res.json() };
+}
+
+async function billing(){
+  const res = await fetch(`${base}/api/billing`, { headers: { cookie } });
+  return res.json();
+}
+
+describe('checkout against the Stripe mock', () => {
+  test('creates a subscription session for the organisation', async () => {
+    const res = await fetch(`${base}/api/create-checkout-session`, { method: 'POST', headers: { cookie, 'Content-Type': 'application/json' }, body: JSON.stringify({ plan: 'starter' }) });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { id: 'cs_test_mock1', url: 'https://checkout.stripe.test/c/1' });
+    const sent = checkouts.at(-1);
+    assert.equal(sent.get('mode'), 'subscription');
+    assert.equal(sent.get('line_items[0][price]'), 'price_starter');
+    assert.equal(sent.get('client_reference_id'), orgId);
+    assert.equal(sent.get('subscription_data[metadata][org_id]'), orgId);
+  });
+
+  test('unknown plans never reach Stripe', async () => {
+    const prior = checkouts.length;
+    const res = await fetch(`${base}/api/create-checkout-session`, { method: 'POST', headers: { cookie, 'Content-Type': 'application/json' }, body: JSON.stringify({ plan: 'gold' }) });
+    assert.equal(res.status, 400);
+    assert.equal(checkouts.length, prior);
+  });
+});
+
+describe('webhook signature', () => {
+  test('unsigned, wrongly signed and altered events are refused and change nothing', async () => {
+    const payload = fixture('02-customer.subscription.created.json');
+    assert.equal((await deliver(payload, null)).status, 400);
+    const forged = new Stripe('sk_test_mock').webhooks.generateTestHeaderString({ payload, secret: 'whsec_someone_else' });
+    assert.equal((await deliver(payload, forged)).status, 400);
+    const signed = new Stripe('sk_test_mock').webhooks.generateTestHeaderString({ payload, secret: SECRET });
+    assert.equal((await deliver(payload.replace('price_starter', 'price_team'), signed)).status, 400);
+    assert.equal((await billing()).plan, 'free');
+  });
+});
+
+describe('recorded subscription lifecycle', () => {
+  const steps = [
+    ['01-checkout.session.completed.json', 'free', null],
+    ['02-customer.subscription.created.json', 'starter', 'active'],
+    ['03-customer.subscription.updated-team.json', 'team', 'active'],
+    ['04-customer.subscription.updated-past_due.json', 'team', 'past_due'],
+    ['05-customer.subscription.updated-cancel_at_period_end.json', 'team', 'active'],
+    ['06-customer.subscription.deleted.json', 'free', 'canceled']
+  ];
+  test('covers every recorded event', () => {
+    assert.deepEqual(fs.readdirSync(FIXTURES).filter(f => f.endsWith('.json')).sort(), steps.map(s => s[0]));
+  });
+
+  for (const [file, plan, status] of steps){
+    test(`${file} -> ${plan}`, async () => {
+      const { status: code, body } = await deliver(fixture(file));
+      assert.equal(code, 200);
+      assert.equal(body.handled, true);
+      assert.equal(body.org_id, orgId);
+      const b = await billing();
+      assert.equal(b.plan, plan);
+      assert.equal(b.status, status);
+    });
+  }
+
+  test('the subscription and its cancel_at_period_end are kept', async () => {
+    const b = await billing();
+    assert.equal(b.subscription.id, 'sub_1QFixtureSub0001');
+    assert.equal(b.subscription.cancel_at_period_end, true);
+  });
+});
+
+describe('webhook idempotency', () => {
+  test('a redelivered event leaves the subscription as it was', async () => {
+    const prior = await billing();
+    for (const file of ['06-customer.subscription.deleted.json', '01-checkout.session.completed.json']){
+      const { status, body } = await deliver(fixture(file));
+      assert.equal(status, 200);
+      assert.equal(body.handled, true);
+    }
+    assert.deepEqual(await billing(), prior);
+  });
+
+  test('a late, older event is acknowledged as stale and not applied', async () => {
+    const prior = await billing();
+    const { status, body } = await deliver(fixture('03-customer.subscription.updated-team.json'));
+    assert.equal(status, 200);
+    assert.equal(body.stale, true);
+    assert.deepEqual(await billing(), prior);
+    assert.equal(prior.plan, 'free');
+  });
+});
@@ -0,0 +1,94 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+
+import { detectAll } from '../lib/detect.js';
+import { parseRuleset } from '../lib/ruleset.js';
+
+const lookback = { start: '2025-01-01', end: '2025-12-31' };
+const any = { field: 'amount_aud', op: 'gt', value: 0 };
+
+// Findings of one behavioural rule over the given clients' transactions.
+function detect(trigger, txs, { match = any, clients = ['A'] } = {}){
+  const ruleset = parseRuleset({
+    id: 'test', version: 1, lookback_months: 12, bands: [{ band: 'Low', min: 0 }],
+    rules: [{ id: 'probe', text: 'Probe', points: 10, family: 'behaviour', match, trigger }]
+  });
+  const people = clients.map(id => typeof id === 'string' ? { client_id: id, full_name: `Client ${id}` } : id);
+  return detectAll(people, txs.map((t, i) => ({ tx_id: `t${i + 1}`, client_id: 'A', direction: 'in', ...t })), lookback, ruleset);
+}
+const tx = (date, amount_aud, extra = {}) => ({ date, amount_aud, ...extra });
+
+test('window: enough matches within the days of the first', () => {
+  const trigger = { type: 'window', days: 7, min_count: 3 };
+  assert.deepEqual(detect(trigger, [tx('2025-03-01', 1), tx('2025-03-05', 1), tx('2025-03-09', 1), tx('2025-03-10', 1)]).map(f => f.tx_ids), [['t2', 't3', 't4']]);
+  assert.equal(detect(trigger, [tx('2025-03-01', 1), tx('2025-03-09', 1), tx('2025-03-17', 1)]).length, 0);
+  const [f] = detect(trigger, [tx('2025-03-01', 9000), tx('2025-03-02', 9500, { counterparty_country: 'HK' }), tx('2025-03-03', 9900)]);
+  assert.deepEqual([f.count, f.window_start, f.window_end, f.window_days, f.total_amount, f.max_amount, f.countries], [3, '2025-03-01', '2025-03-03', 7, 28400, 9900, ['HK']]);
+});
+
+test('count: enough matches, at least one meeting `any`', () => {
+  const trigger = { type: 'count', min_count: 2, any: { field: 'amount_aud', op: 'gte', value: 10000 } };
+  assert.equal(detect(trigger, [tx('2025-02-01', 500), tx('2025-08-01', 600)]).length, 0);
+  assert.deepEqual(detect(trigger, [tx('2025-02-01', 500), tx('2025-08-01', 12000)])[0].tx_ids, ['t1', 't2']);
+});
+
+test('in_out: an inflow paired with a similar outflow within the days', () => {
+  const trigger = { type: 'in_out', days: 5, min_ratio: 0.9 };
+  const [f] = detect(trigger, [
+    tx('2025-04-01', 10000),
+    tx('2025-04-02', 5000, { direction: 'out' }),
+    tx('2025-04-03', 9500, { direction: 'out' }),
+    tx('2025-04-20', 8000),
+    tx('2025-04-28', 8000, { direction: 'out' })
+  ]);
+  assert.deepEqual(f.detail.pairs, [{ in_tx: 't1', out_tx: 't3', days: 2 }]);
+  assert.deepEqual(f.tx_ids, ['t1', 't3']);
+  assert.equal(f.text, 'Probe: 1 in/out pair(s)');
+  assert.equal(detect({ ...trigger, min_count: 2 }, [tx('2025-04-01', 10000), tx('2025-04-03', 9500, { direction: 'out' })]).length, 0);
+});
+
+test('spike: a window far above the client\'s own baseline', () => {
+  const steady = ['2025-01-01', '2025-01-08', '2025-01-15', '2025-01-22', '2025-01-29'].map(d => tx(d, 1000));
+  const trigger = { type: 'spike', days: 7, baseline_days: 28, factor: 3, min_total: 5000 };
+  assert.equal(detect(trigger, [...steady, tx('2025-02-05', 1000)]).length, 0);
+  const [f] = detect(trigger, [...steady, tx('2025-02-03', 5000), tx('2025-02-04', 5000)]);
+  assert.deepEqual(f.tx_ids, ['t5', 't6', 't7']);
+  assert.equal(f.detail.window_total, 11000);
+  assert.ok(f.detail.ratio > 3, String(f.detail.ratio));
+  assert.equal(detect(trigger, [tx('2025-02-03', 50000)]).length, 0, 'no history, no baseline');
+});
+
+test('distinct: many counterparties within the days', () => {
+  const trigger = { type: 'distinct', field: 'counterparty_name', days: 7, min_distinct: 3 };
+  const party = (date, name) => tx(date, 100, { counterparty_name: name });
+  assert.equal(detect(trigger, [party('2025-05-01', 'Acme'), party('2025-05-02', 'ACME Pty Ltd'), party('2025-05-03', 'Beta')]).length, 0, 'one party under two spellings');
+  assert.equal(detect(trigger, [party('2025-05-01', 'Acme'), party('2025-05-09', 'Beta'), party('2025-05-17', 'Gamma')]).length, 0);
+  const [f] = detect(trigger, [party('2025-05-01', 'Acme'), party('2025-05-10', 'Beta'), party('2025-05-12', 'Gamma'), party('2025-05-14', 'Delta')]);
+  assert.deepEqual([f.tx_ids, f.detail.distinct], [['t2', 't3', 't4'], 3]);
+});
+
+test('third_party: matter inflows from someone other than the client or a party it paid', () => {
+  const on = (date, direction, name, matter_id = 'M1') => tx(date, 1000, { direction, counterparty_name: name, matter_id });
+  const [f] = detect({ type: 'third_party' }, [
+    on('2025-06-01', 'in', 'Client A'),
+    on('2025-06-02', 'out', 'Agent Co'),
+    on('2025-06-03', 'in', 'Agent Co'),
+    on('2025-06-04', 'in', 'Stranger Holdings'),
+    on('2025-06-05', 'in', 'Other Person', null)
+  ]);
+  assert.deepEqual(f.tx_ids, ['t4']);
+  assert.deepEqual(f.detail, { counterparties: ['Stranger Holdings'], matters: ['M1'] });
+});
+
+test('shared_counterparty: a counterparty several clients use for matching transactions', () => {
+  const cash = { field: 'method', op: 'eq', value: 'cash' };
+  const txs = [
+    tx('2025-07-01', 9500, { method: 'cash', counterparty_name: 'Cash Depot' }),
+    { ...tx('2025-07-02', 9600, { method: 'cash', counterparty_name: 'CASH DEPOT' }), client_id: 'B' },
+    { ...tx('2025-07-03', 9700, { method: 'cash', counterparty_name: 'Solo Traders' }), client_id: 'C' },
+    { ...tx('2025-07-04', 9800, { method: 'eft', counterparty_name: 'Solo Traders' }), client_id: 'A' }
+  ].map((t, i) => ({ tx_id: `s${i + 1}`, client_id: 'A', direction: 'in', ...t }));
+  const found = detect({ type: 'shared_counterparty', min_clients: 2 }, txs, { match: cash, clients: ['A', 'B', 'C'] });
+  assert.deepEqual(found.map(f => [f.client_id, f.tx_ids]), [['A', ['s1']], ['B', ['s2']]]);
+  assert.deepEqual(found[0].detail.counterparties, [{ name: 'Cash Depot', other_clients: ['B'] }]);
+});
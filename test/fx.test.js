@@ -0,0 +1,44 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+
+import { normalizeTransactions } from '../lib/csv-normalize.js';
+import { parseRatesCsv } from '../lib/fx.js';
+import { IssueLog } from '../lib/validation.js';
+
+const rates = parseRatesCsv('date,currency,aud_per_unit\n2025-01-02,USD,1.60\n2025-01-09,USD,1.50\n2025-01-02,NZD,0.90\n');
+
+test('the rate on the date, else the latest earlier one within the staleness limit', () => {
+  assert.deepEqual(rates.rateFor('USD', '2025-01-02'), { rate: 1.6, date: '2025-01-02', source: 'upload' });
+  assert.equal(rates.rateFor('USD', '2025-01-08').rate, 1.6);
+  assert.equal(rates.rateFor('USD', '2025-01-16').date, '2025-01-09');
+  assert.equal(rates.rateFor('USD', '2025-01-17', 7), null, 'eight days stale');
+  assert.equal(rates.rateFor('USD', '2025-01-01'), null, 'no earlier rate');
+  assert.equal(rates.rateFor('EUR', '2025-01-02'), null);
+  assert.deepEqual(rates.rateFor('AUD', '2025-01-02'), { rate: 1, date: '2025-01-02', source: 'base' });
+});
+
+test('RBA-style per-AUD quotes are inverted and bad rows are skipped', () => {
+  const t = parseRatesCsv('Date,CCY,per_aud\n2025-01-02,usd,0.625\n2025-01-02,EURO,1\nnot-a-date,GBP,0.5\n', 'rba');
+  assert.equal(t.rateFor('USD', '2025-01-02').rate, 1.6);
+  assert.deepEqual(t.currencies, ['USD']);
+  assert.throws(() => parseRatesCsv('date,currency,aud_per_unit\n2025-01-02,USD,0\n'), { code: 'FX_INVALID' });
+});
+
+test('uploaded rates replace the bundled ones for the currencies they cover', () => {
+  const upload = parseRatesCsv('date,currency,aud_per_unit\n2025-01-02,USD,2\n');
+  const merged = rates.overlay(upload);
+  assert.equal(merged.rateFor('USD', '2025-01-09').rate, 2);
+  assert.equal(merged.rateFor('NZD', '2025-01-02').rate, 0.9);
+  assert.notEqual(merged.sha256, rates.sha256);
+});
+
+test('transactions get amount_aud with the rate and its date, or a warning without one', () => {
+  const issues = new IssueLog();
+  const { txs, warnings } = normalizeTransactions([
+    { tx_id: '1', client_id: 'C1', date: '2025-01-10', amount: '1,000.005', currency: 'usd' },
+    { tx_id: '2', client_id: 'C1', date: '2025-01-10', amount: '250', currency: '' },
+    { tx_id: '3', client_id: 'C1', date: '2025-01-10', amount: '99', currency: 'EUR' }
+  ], { fx: rates, issues });
+  assert.deepEqual(txs.map(t => [t.amount_aud, t.fx_rate, t.fx_date]), [[1500.01, 1.5, '2025-01-09'], [250, 1, '2025-01-10'], [null, null, null]]);
+  assert.deepEqual(warnings.map(w => [w.tx_id, w.category]), [['3', 'fx_rate_missing']]);
+});
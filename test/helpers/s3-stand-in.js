@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import http from 'http';
+
+// A MinIO-style stand-in for the S3 backend: one path-style bucket in memory, requests checked
+// against AWS Signature V4 the way S3 checks them, ListObjectsV2 paged `pageSize` keys at a time.
+//   const s3 = await s3StandIn({ bucket, accessKeyId, secretAccessKey }); ... await s3.close();
+export async function s3StandIn({ bucket = 'packs', accessKeyId = 'minio', secretAccessKey = 'minio-secret', region = 'us-east-1', pageSize = 2 } = {}){
+  const objects = new Map();  // key -> { body, contentType, headers } (headers of the PUT)
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const url = new URL(req.url, 'http://stand-in');
+      const reply = (status, xml = '', headers = {}) => { res.writeHead(status, { 'content-type': 'application/xml', ...headers }); res.end(xml); };
+      const fail = (status, code) => reply(status, `<Error><Code>${code}</Code></Error>`);
+
+      const auth = signatureProblem(req, url, body, { accessKeyId, secretAccessKey, region });
+      if (auth) return fail(403, auth);
+      const [, b, ...rest] = url.pathname.split('/');
+      if (decodeURIComponent(b) !== bucket) return fail(404, 'NoSuchBucket');
+      const key = rest.map(decodeURIComponent).join('/');
+
+      if (!key && req.method === 'GET' && url.searchParams.get('list-type') === '2'){
+        const prefix = url.searchParams.get('prefix') || '';
+        const all = Array.from(objects.keys()).filter(k => k.startsWith(prefix)).sort();
+        const start = Number(url.searchParams.get('continuation-token') || 0);
+        const page = all.slice(start, start + pageSize);
+        const more = start + pageSize < all.length;
+        return reply(200, `<ListBucketResult><Name>${bucket}</Name><KeyCount>${page.length}</KeyCount>${page.map(k => `<Contents><Key>${xmlEscape(k)}</Key></Contents>`).join('')}<IsTruncated>${more}</IsTruncated>${more ? `<NextContinuationToken>${start + pageSize}</NextContinuationToken>` : ''}</ListBucketResult>`);
+      }
+      if (!key) return fail(400, 'InvalidRequest');
+      if (req.method === 'PUT'){
+        objects.set(key, { body, contentType: req.headers['content-type'], headers: req.headers });
+        return reply(200);
+      }
+      if (req.method === 'GET'){
+        const o = objects.get(key);
+        if (!o) return fail(404, 'NoSuchKey');
+        res.writeHead(200, { 'content-type': o.contentType || 'application/octet-stream' });
+        return res.end(o.body);
+      }
+      if (req.method === 'DELETE'){
+        objects.delete(key);
+        return reply(204);
+      }
+      fail(405, 'MethodNotAllowed');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    bucket,
+    objects,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// null if the request carries a valid SigV4 signature for these credentials, else the S3 error code.
+function signatureProblem(req, url, body, { accessKeyId, secretAccessKey, region }){
+  const m = String(req.headers.authorization || '').match(/^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([a-f0-9]{64})$/);
+  if (!m) return 'AccessDenied';
+  const [, keyId, day, scopeRegion, signed, signature] = m;
+  if (keyId !== accessKeyId) return 'InvalidAccessKeyId';
+  if (scopeRegion !== region) return 'AuthorizationHeaderMalformed';
+  const payloadHash = sha256Hex(body);
+  if (req.headers['x-amz-content-sha256'] !== payloadHash) return 'XAmzContentSHA256Mismatch';
+  const amzDate = String(req.headers['x-amz-date'] || '');
+  if (!amzDate.startsWith(day)) return 'AccessDenied';
+
+  const signedHeaders = signed.split(';');
+  const canonicalQuery = Array.from(url.searchParams.entries()).sort(([a], [b]) => a.localeCompare(b)).map(([k, v]) => `${uriEncode(k)}=${uriEncode(v)}`).join('&');
+  const canonicalHeaders = signedHeaders.map(h => `${h}:${String(req.headers[h] ?? '').trim()}\n`).join('');
+  const canonicalRequest = [req.method, url.pathname, canonicalQuery, canonicalHeaders, signed, payloadHash].join('\n');
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  let k = hmac('AWS4' + secretAccessKey, day);
+  for (const part of [region, 's3', 'aws4_request']) k = hmac(k, part);
+  return hmac(k, stringToSign).toString('hex') === signature ? null : 'SignatureDoesNotMatch';
+}
+
+function uriEncode(s){
+  return encodeURIComponent(s).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+function sha256Hex(b){ return crypto.createHash('sha256').update(b).digest('hex'); }
+function hmac(key, s){ return crypto.createHmac('sha256', key).update(s).digest(); }
+function xmlEscape(s){ return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'); }
@@ -0,0 +1,60 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+
+import { countryCode } from '../lib/countries.js';
+import { evalCondition } from '../lib/detect.js';
+import { JurisdictionError, JurisdictionStore, JurisdictionTable, parseJurisdictions } from '../lib/jurisdictions.js';
+import { MemoryStorage } from '../lib/storage/index.js';
+
+const doc = () => ({
+  version: 't1',
+  tiers: [{ id: 'fatf_black', label: 'Black' }, { id: 'fatf_grey', label: 'Grey' }],
+  ratings: [
+    { country: 'Iran', tier: 'fatf_black', effective_from: '2009-02-25', source: 'FATF' },
+    { country: 'ZAF', tier: 'fatf_grey', effective_from: '2023-02-24', effective_to: '2025-10-24', source: 'FATF' }
+  ]
+});
+const table = new JurisdictionTable(parseJurisdictions(doc()));
+
+test('country names and alpha-3 codes normalise to alpha-2', () => {
+  assert.deepEqual(['Hong Kong', 'HKG', 'hk', 'UK', 'South Africa', 'Atlantis'].map(countryCode), ['HK', 'HK', 'HK', 'GB', 'ZA', null]);
+  assert.deepEqual(table.doc.ratings.map(r => r.country), ['IR', 'ZA']);
+});
+
+test('a tier applies from effective_from up to, not including, effective_to', () => {
+  assert.equal(table.tierOf('ZA', '2023-02-23'), null);
+  assert.equal(table.tierOf('ZA', '2023-02-24'), 'fatf_grey');
+  assert.equal(table.tierOf('ZA', '2025-10-23'), 'fatf_grey');
+  assert.equal(table.tierOf('ZA', '2025-10-24'), null);
+  assert.equal(table.tierOf('IR', '2030-01-01'), 'fatf_black');
+  assert.deepEqual(table.snapshot('2025-11-01', '2026-01-01').tiers.map(t => t.countries), [['IR'], []]);
+});
+
+test('in_tier looks the country up on the transaction date, client fields at the end of the lookback', () => {
+  const ctx = { jurisdictions: table, asOfIso: '2026-01-01' };
+  const grey = { field: 'country', op: 'in_tier', value: ['fatf_black', 'fatf_grey'] };
+  assert.equal(evalCondition(grey, { country: 'South Africa', date: '2024-05-01' }, ctx), true);
+  assert.equal(evalCondition(grey, { country: 'ZA', date: '2025-11-01' }, ctx), false);
+  assert.equal(evalCondition(grey, { country: 'ZA' }, ctx), false);
+  assert.equal(evalCondition({ field: 'country', op: 'in_tier', value: 'fatf_black' }, { country: 'irn' }, ctx), true);
+});
+
+test('tables with unknown tiers, countries or overlapping ratings are rejected', () => {
+  const bad = (edit) => { const d = doc(); edit(d); return () => parseJurisdictions(d); };
+  assert.throws(bad(d => { d.ratings[0].tier = 'nope'; }), JurisdictionError);
+  assert.throws(bad(d => { d.ratings[0].country = 'Atlantis'; }), JurisdictionError);
+  assert.throws(bad(d => { d.ratings.push({ country: 'IR', tier: 'fatf_grey', effective_from: '2020-01-01', source: 'x' }); }), /failed validation/);
+});
+
+test('a new rating closes the previous one, so history is kept', async () => {
+  const store = new JurisdictionStore(new MemoryStorage());
+  await store.storage.put('jurisdictions/table.json', Buffer.from(JSON.stringify(doc())));
+  const { table: rated } = await store.rate('Iran', { tier: 'fatf_grey', effective_from: '2026-02-01', source: 'FATF February 2026' });
+  assert.equal(rated.tierOf('IR', '2026-01-31'), 'fatf_black');
+  assert.equal(rated.tierOf('IR', '2026-02-01'), 'fatf_grey');
+  const { result, table: ended } = await store.end('IR', '2026-06-01');
+  assert.equal(result.tier, 'fatf_grey');
+  assert.equal(ended.tierOf('IR', '2026-06-01'), null);
+  assert.equal(ended.tierOf('IR', '2025-01-01'), 'fatf_black');
+  await assert.rejects(store.rate('IR', { tier: 'fatf_grey', effective_from: 'soon', source: 'x' }), JurisdictionError);
+});
@@ -0,0 +1,31 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import { test } from 'node:test';
+
+import YAML from 'yaml';
+
+import { appRoutes, specProblems } from '../lib/openapi.js';
+
+process.env.STORAGE_BACKEND = 'memory';
+const { app } = await import('../server.js');
+const spec = YAML.parse(fs.readFileSync(new URL('../docs/openapi.yaml', import.meta.url), 'utf8'));
+
+test('every documented operation is a route and every /api route is documented', () => {
+  const { problems } = specProblems(spec, appRoutes(app));
+  assert.deepEqual(problems, []);
+});
+
+test('routes are read from the router, v1 included', () => {
+  const routes = appRoutes(app);
+  for (const id of ['POST /api/v1/packs', 'GET /api/v1/jobs/{id}', 'POST /api/stripe/webhook', 'GET /download/{token}']) assert.ok(routes.has(id), id);
+});
+
+test('a route missing from the spec, or a spec path with no route, is reported', () => {
+  const routes = new Set(appRoutes(app));
+  routes.add('GET /api/undocumented');
+  const doctored = structuredClone(spec);
+  doctored.paths['/api/nowhere'] = { get: { responses: { 200: { description: 'x' } } } };
+  const { problems } = specProblems(doctored, routes);
+  assert.ok(problems.includes('GET /api/undocumented: route not in the spec'));
+  assert.ok(problems.includes('GET /api/nowhere: in the spec, but no such route'));
+});
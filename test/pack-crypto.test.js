@@ -0,0 +1,74 @@
+import assert from 'assert/strict';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { test } from 'node:test';
+
+import { decryptStream, encryptStream, generateRecipientKey } from '../lib/pack-crypto.js';
+
+const CHUNK = 64 * 1024;
+const SEALED = CHUNK + 16;
+const passphrase = 'correct horse battery staple';
+
+// Run buf through a transform in small pieces, so chunk boundaries fall anywhere.
+async function through(buf, transform){
+  const out = [];
+  const pieces = [];
+  for (let i = 0; i < buf.length; i += 10007) pieces.push(buf.subarray(i, i + 10007));
+  await pipeline(Readable.from(pieces), await transform, async function* (src){ for await (const c of src) out.push(c); });
+  return Buffer.concat(out);
+}
+const headerLength = (enc) => enc.indexOf(0x0a, 7) + 1;
+
+test('passphrase round trips, from empty to several chunks', async () => {
+  for (const size of [0, 1, CHUNK, 2 * CHUNK + 5]){
+    const zip = crypto.randomBytes(size);
+    const enc = await through(zip, encryptStream({ passphrase }));
+    assert.equal(enc.length, headerLength(enc) + Math.max(1, Math.ceil(size / CHUNK)) * 16 + size, `${size} bytes`);
+    assert.deepEqual(await through(enc, decryptStream({ passphrase })), zip, `${size} bytes`);
+  }
+});
+
+test('recipient key round trip, and only that key opens it', async () => {
+  const alice = generateRecipientKey();
+  const zip = crypto.randomBytes(CHUNK + 100);
+  const enc = await through(zip, encryptStream({ recipient: alice.public_key }));
+  assert.match(enc.subarray(0, headerLength(enc)).toString(), new RegExp(`"recipient":"${alice.key_id}"`));
+  assert.deepEqual(await through(enc, decryptStream({ identity: alice })), zip);
+  await assert.rejects(through(enc, decryptStream({ identity: generateRecipientKey() })), { code: 'PACK_DECRYPT_FAILED' });
+  await assert.rejects(through(enc, decryptStream({ passphrase })), /encrypted to key/);
+});
+
+test('a wrong passphrase and any changed byte are refused', async () => {
+  const enc = await through(crypto.randomBytes(CHUNK + 10), encryptStream({ passphrase }));
+  await assert.rejects(through(enc, decryptStream({ passphrase: 'not the passphrase' })), { code: 'PACK_DECRYPT_FAILED', message: /Wrong passphrase/ });
+  for (const at of [headerLength(enc) + 5, enc.length - 1]){
+    const bad = Buffer.from(enc);
+    bad[at] ^= 1;
+    await assert.rejects(through(bad, decryptStream({ passphrase })), { code: 'PACK_DECRYPT_FAILED' }, `byte ${at}`);
+  }
+  // the same header fields, spaced differently: still authenticated as bytes
+  const respaced = Buffer.from(enc.toString('latin1').replace('{"v":1', '{ "v": 1'), 'latin1');
+  await assert.rejects(through(respaced, decryptStream({ passphrase })), { code: 'PACK_DECRYPT_FAILED' });
+});
+
+test('a truncated or reordered file is refused, including a dropped last chunk', async () => {
+  const enc = await through(crypto.randomBytes(2 * CHUNK + 5), encryptStream({ passphrase }));
+  const h = headerLength(enc);
+  const cases = {
+    'last chunk dropped': enc.subarray(0, h + 2 * SEALED),
+    'last chunk cut short': enc.subarray(0, enc.length - 3),
+    'only the header': enc.subarray(0, h),
+    'chunks swapped': Buffer.concat([enc.subarray(0, h), enc.subarray(h + SEALED, h + 2 * SEALED), enc.subarray(h, h + SEALED), enc.subarray(h + 2 * SEALED)])
+  };
+  for (const [name, buf] of Object.entries(cases)){
+    await assert.rejects(through(buf, decryptStream({ passphrase })), { code: 'PACK_DECRYPT_FAILED' }, name);
+  }
+  await assert.rejects(through(Buffer.from('PK\u0003\u0004 a plain zip'), decryptStream({ passphrase })), /Not an encrypted/);
+});
+
+test('short passphrases and ambiguous targets are refused', async () => {
+  await assert.rejects(encryptStream({ passphrase: 'short' }), /at least 12/);
+  await assert.rejects(encryptStream({}), /either a passphrase or a recipient/);
+  await assert.rejects(encryptStream({ passphrase, recipient: generateRecipientKey().public_key }), /either/);
+});
@@ -0,0 +1,49 @@
+import assert from 'assert/strict';
+import crypto from 'crypto';
+import { test } from 'node:test';
+
+import { Pseudonymiser } from '../lib/privacy.js';
+import { VALUE_MESSAGES } from '../lib/validation.js';
+
+const p = new Pseudonymiser(crypto.randomBytes(32));
+
+test('a value gets the same token in every file of the pack', () => {
+  const client = p.client({ client_id: 'C-100', full_name: 'Jane  Citizen', dob: '1980-04-02', residency_country: 'AU', notes: 'dropped' });
+  const tx = p.tx({ tx_id: 'T-1', client_id: 'C-100', counterparty_name: 'jane citizen', matter_id: 'M-9', amount: 5 });
+  const kase = p.case({ case_id: 'CASE-1', client_id: 'C-100', reason: 'Paid Acme Pty Ltd', tx_ids: ['T-1'], detail: { counterparties: ['Acme Pty Ltd'], matters: ['M-9'] } });
+  const issue = p.issue({ file: 'transactions', row: 3, id: 'T-1', field: 'client_id', value: 'C-100', code: 'unknown_client', severity: 'error', message: VALUE_MESSAGES.unknown_client('client_id', 'C-100') });
+
+  assert.equal(client.client_id, tx.client_id);
+  assert.equal(client.client_id, kase.client_id);
+  assert.equal(client.client_id, issue.value);
+  assert.equal(tx.tx_id, kase.tx_ids[0]);
+  assert.equal(tx.tx_id, issue.id);
+  assert.equal(client.full_name, tx.counterparty_name, 'names compare case- and space-insensitively');
+  assert.equal(tx.matter_id, kase.detail.matters[0]);
+  assert.equal(kase.reason, `Paid ${kase.detail.counterparties[0]}`);
+  assert.equal(client.dob, '1980');
+  assert.equal('notes' in client, false);
+  assert.match(client.client_id, /^C_[a-f0-9]{16}$/);
+  assert.notEqual(new Pseudonymiser(crypto.randomBytes(32)).token('client', 'C-100'), client.client_id, 'tokens depend on the key');
+});
+
+test('issue messages are rebuilt around the token, never searched for the raw id', () => {
+  const dup = p.issue({ file: 'clients', row: 12, id: '1', field: 'client_id', value: '1', code: 'duplicate_id', severity: 'error', message: VALUE_MESSAGES.duplicate_id('client_id', '1') });
+  assert.equal(dup.message, `Duplicate client_id ${p.token('client', '1')}; only the first row is used`);
+  assert.equal(dup.id, p.token('client', '1'));
+
+  // the raw id '1' also appears in the date and rate of this message; none of it is touched
+  const fx = p.issue({ file: 'transactions', row: 1, id: '1', field: 'currency', value: 'USD', code: 'fx_rate_missing', severity: 'warning', message: 'No USD→AUD rate on or before 2021-01-11' });
+  assert.equal(fx.message, 'No USD→AUD rate on or before 2021-01-11');
+  assert.equal(fx.id, p.token('tx', '1'));
+
+  const unknown = p.issue({ file: 'transactions', row: 4, id: 'A1', field: 'client_id', value: 'A', code: 'unknown_client', severity: 'error', message: VALUE_MESSAGES.unknown_client('client_id', 'A') });
+  assert.equal(unknown.message, `client_id ${p.token('client', 'A')} is not in the clients file`);
+  assert.doesNotMatch(unknown.message, /\bA\b/);
+});
+
+test('dates of birth in issues keep only the year', () => {
+  const i = p.issue({ file: 'clients', row: 2, id: 'C-1', field: 'dob', value: '1975-13-40', code: 'invalid_date', severity: 'warning', message: 'Unparseable date (expected YYYY-MM-DD)' });
+  assert.equal(i.value, '1975');
+  assert.equal(i.id, p.token('client', 'C-1'));
+});
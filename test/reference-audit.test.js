@@ -0,0 +1,78 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, test } from 'node:test';
+
+// Rulesets and watchlists from a scratch copy, audit entries in memory.
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tr-reference-'));
+const rulesetsDir = path.join(tmp, 'rulesets');
+const watchlistsDir = path.join(tmp, 'watchlists');
+fs.mkdirSync(rulesetsDir);
+fs.mkdirSync(watchlistsDir);
+fs.copyFileSync(new URL('../rulesets/dnfbp-2025.11-v6.json', import.meta.url), path.join(rulesetsDir, 'dnfbp-2025.11-v6.json'));
+Object.assign(process.env, { STORAGE_BACKEND: 'memory', RULESETS_DIR: rulesetsDir, WATCHLISTS_DIR: watchlistsDir });
+const { auditReferenceChanges } = await import('../lib/reference-audit.js');
+const { auditLog, verifyChain } = await import('../lib/audit.js');
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const quiet = { warn(){}, error(){} };
+const file = path.join(rulesetsDir, 'dnfbp-2025.11-v6.json');
+
+// Rewrite a file and move its mtime on, so the loaders' caches see the change.
+function rewrite(p, text){
+  fs.writeFileSync(p, text);
+  const t = new Date(Date.now() + Math.random() * 1e6);
+  fs.utimesSync(p, t, t);
+}
+
+test('the first check records what is loaded, later checks only changes', async () => {
+  const first = await auditReferenceChanges(quiet);
+  assert.equal(first.length, 1);
+  assert.equal(first[0].action, 'ruleset.change');
+  assert.equal(first[0].chain, 'system');
+  assert.equal(first[0].details.old_sha256, null);
+  assert.match(first[0].details.new_sha256, /^[a-f0-9]{64}$/);
+  assert.deepEqual(await auditReferenceChanges(quiet), []);
+});
+
+test('a changed weight is audited with the old and new sha256', async () => {
+  const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const before = (await auditLog.entries('system')).at(-1).details.new_sha256;
+  doc.rules[0].points += 1;
+  rewrite(file, JSON.stringify(doc, null, 2));
+  const [entry] = await auditReferenceChanges(quiet);
+  assert.equal(entry.target.ruleset_id, 'dnfbp-2025.11-v6');
+  assert.equal(entry.details.old_sha256, before);
+  assert.notEqual(entry.details.new_sha256, before);
+  assert.equal(entry.details.version, doc.version);
+});
+
+test('reformatting the file without changing the rules is not a change', async () => {
+  rewrite(file, JSON.stringify(JSON.parse(fs.readFileSync(file, 'utf8'))));
+  assert.deepEqual(await auditReferenceChanges(quiet), []);
+});
+
+test('watchlists added, edited and removed are audited', async () => {
+  const list = path.join(watchlistsDir, 'local-sanctions.csv');
+  rewrite(list, 'name,dob,country\nIvan Example,1970-01-01,RU\n');
+  const [added] = await auditReferenceChanges(quiet);
+  assert.equal(added.action, 'watchlist.change');
+  assert.equal(added.details.old_sha256, null);
+  assert.equal(added.details.entries, 1);
+
+  rewrite(list, 'name,dob,country\nIvan Example,1970-01-01,RU\nOlga Example,1980-02-02,BY\n');
+  const [edited] = await auditReferenceChanges(quiet);
+  assert.equal(edited.details.old_sha256, added.details.new_sha256);
+  assert.equal(edited.details.entries, 2);
+
+  fs.rmSync(list);
+  const [removed] = await auditReferenceChanges(quiet);
+  assert.equal(removed.details.new_sha256, null);
+});
+
+test('the entries form an intact system chain', async () => {
+  const entries = await auditLog.entries('system');
+  assert.equal(entries.length, 5);
+  assert.equal(verifyChain(entries, { chain: 'system' }).ok, true);
+});
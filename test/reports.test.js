@@ -0,0 +1,57 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+
+import { parseRuleset } from '../lib/ruleset.js';
+import { buildReportDrafts, reportFiles, reportTxFilter } from '../lib/reports.js';
+
+const ruleset = parseRuleset({
+  id: 'test', version: 1, lookback_months: 12, bands: [{ band: 'Low', min: 0 }],
+  rules: [
+    { id: 'structuring', text: 'Cash under 10k', points: 15, family: 'behaviour', smr_category: 'Structuring', match: { field: 'method', op: 'eq', value: 'cash' }, trigger: { type: 'count', min_count: 2 } },
+    { id: 'pep', text: 'PEP', points: 20, family: 'profile', when: { field: 'pep', op: 'truthy' } }
+  ]
+});
+const entity = { name: 'Acme Conveyancing', id: 'AUSTRAC-1' };
+const clients = [
+  { client_id: 'A', full_name: 'Jane Citizen', dob: '1980-04-02', residency_country: 'AU' },
+  { client_id: 'B', full_name: 'No Birthday' }
+];
+const tx = (tx_id, client_id, amount_aud, method = 'cash', direction = 'in') => ({ tx_id, client_id, date: '2025-06-01', amount: amount_aud, currency: 'AUD', amount_aud, method, direction });
+const txs = [tx('t1', 'A', 10000), tx('t2', 'A', 9999.99), tx('t3', 'A', 25000, 'eft'), tx('t4', 'A', 12000, 'cash', 'out'), tx('t5', 'B', 15000)];
+const cases = [
+  { case_id: 'CASE-1', type: 'structuring', client_id: 'A', reason: 'Cash under 10k', tx_ids: ['t1', 't2'], count: 2, window_start: '2025-06-01', window_end: '2025-06-01', total_amount: 19999.99 },
+  { case_id: 'CASE-2', type: 'pep', client_id: 'A', reason: 'PEP', tx_ids: [] }
+];
+
+test('TTRs for cash of at least the threshold either way; SMRs for cases of rules with a category', () => {
+  const r = buildReportDrafts({ clients, cases, txs, ruleset, entity });
+  assert.deepEqual(r.ttr.map(d => d.tx_id), ['t1', 't4']);
+  assert.deepEqual(r.smr.map(d => [d.case_id, d.category, d.tx_ids]), [['CASE-1', 'Structuring', ['t1', 't2']]]);
+  assert.equal(r.smr[0].grounds, 'Cash under 10k. 2 transaction(s) between 2025-06-01 and 2025-06-01 totalling AUD 19999.99');
+  assert.deepEqual(r.smr[0].transactions.map(t => t.tx_id), ['t1', 't2']);
+  assert.equal(r.ttr[0].reporting_entity_name, 'Acme Conveyancing');
+  assert.equal(buildReportDrafts({ clients, cases, txs, ruleset, entity }).ttr[0].draft_id, r.ttr[0].draft_id, 'draft ids are stable');
+});
+
+test('drafts missing a required field are listed as issues, not exported', () => {
+  const r = buildReportDrafts({ clients, cases, txs, ruleset, entity });
+  assert.deepEqual(r.issues.map(i => [i.file, i.field, i.code]), [['ttr_drafts', 'customer_dob', 'missing_value']]);
+  assert.deepEqual(r.summary.ttr, { drafts: 3, exported: 2 });
+  const noEntity = buildReportDrafts({ clients, cases, txs, ruleset, entity: {} });
+  assert.deepEqual([noEntity.ttr.length, noEntity.smr.length], [0, 0]);
+});
+
+test('the transactions drafts need: TTR candidates and case transactions', () => {
+  assert.deepEqual(txs.filter(reportTxFilter(cases, 10000)).map(t => t.tx_id), ['t1', 't2', 't4', 't5']);
+});
+
+test('XML and CSV files, with a row per exported draft', () => {
+  const files = reportFiles(buildReportDrafts({ clients, cases, txs, ruleset, entity }));
+  assert.deepEqual(Object.keys(files).sort(), ['reports/report_issues.csv', 'reports/smr_drafts.csv', 'reports/smr_drafts.xml', 'reports/summary.json', 'reports/ttr_drafts.csv', 'reports/ttr_drafts.xml']);
+  const csv = files['reports/ttr_drafts.csv'].toString().trim().split('\r\n');
+  assert.equal(csv.length, 3);
+  assert.match(csv[0], /^draft_id,reporting_entity_name,/);
+  assert.match(files['reports/smr_drafts.xml'].toString(), /<smrList layout="trancheready-austrac-draft-1" generated="[^"]+" status="draft">/);
+  assert.match(files['reports/smr_drafts.xml'].toString(), /<transactions count="2" totalAud="19999.99">/);
+  assert.match(files['reports/smr_drafts.csv'].toString(), /,Structuring,Cash under 10k\. [^,]+,structuring,2,t1; t2,19999\.99,/);
+});
@@ -0,0 +1,88 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+
+import { evalCondition } from '../lib/detect.js';
+import { parseRuleset } from '../lib/ruleset.js';
+import { scoreAll } from '../lib/rules.js';
+
+const ctx = { lists: { high_risk: ['IR', 'KP'] }, asOf: new Date('2025-06-30T00:00:00Z'), asOfIso: '2025-06-30' };
+const is = (cond, obj) => evalCondition(cond, obj, ctx);
+
+test('each op', () => {
+  const c = { amount: 9500, country: 'ir', name: ' Jane Citizen ', pep: 'TRUE', notes: '', opened: '2025-05-01' };
+  assert.equal(is({ field: 'amount', op: 'eq', value: 9500 }, c), true);
+  assert.equal(is({ field: 'amount', op: 'eq', value: '9500' }, c), false, 'eq does not coerce');
+  assert.equal(is({ field: 'amount', op: 'ne', value: 1 }, c), true);
+  assert.equal(is({ field: 'amount', op: 'in', value: [1, 9500] }, c), true);
+  assert.equal(is({ field: 'country', op: 'in_list', value: 'high_risk' }, c), true, 'in_list compares upper-cased');
+  assert.equal(is({ field: 'country', op: 'in_list', value: 'missing' }, c), false);
+  assert.equal(is({ field: 'name', op: 'contains', value: 'CITIZEN' }, c), true);
+  assert.equal(is({ field: 'amount', op: 'gt', value: 9500 }, c), false);
+  assert.equal(is({ field: 'amount', op: 'gte', value: 9500 }, c), true);
+  assert.equal(is({ field: 'amount', op: 'lt', value: 10000 }, c), true);
+  assert.equal(is({ field: 'amount', op: 'lte', value: 9499 }, c), false);
+  assert.equal(is({ field: 'amount', op: 'between', value: [9000, 9999.99] }, c), true);
+  assert.equal(is({ field: 'amount', op: 'between', value: [9000, 9499] }, c), false);
+  assert.equal(is({ field: 'amount', op: 'multiple_of', value: 500 }, c), true);
+  assert.equal(is({ field: 'amount', op: 'multiple_of', value: 1000 }, c), false);
+  assert.equal(is({ field: 'pep', op: 'truthy' }, c), true);
+  assert.equal(is({ field: 'notes', op: 'empty' }, c), true);
+  assert.equal(is({ field: 'absent', op: 'empty' }, c), true);
+  assert.equal(is({ field: 'opened', op: 'older_than_days', value: 59 }, c), true);
+  assert.equal(is({ field: 'opened', op: 'older_than_days', value: 60 }, c), false);
+  assert.equal(is({ field: 'notes', op: 'older_than_days', value: 0 }, c), false, 'no date is never old');
+});
+
+test('numeric ops never match a missing or non-numeric value', () => {
+  for (const op of ['gt', 'gte', 'lt', 'lte']) assert.equal(is({ field: 'amount', op, value: 0 }, { amount: '5' }), false, op);
+  assert.equal(is({ field: 'amount', op: 'between', value: [0, 10] }, {}), false);
+  assert.equal(is({ field: 'amount', op: 'multiple_of', value: 100 }, { amount: 0 }), false, 'zero is not a round amount');
+});
+
+test('all, any and not nest', () => {
+  const cond = { all: [{ field: 'a', op: 'gt', value: 1 }, { any: [{ field: 'b', op: 'eq', value: 'x' }, { not: { field: 'c', op: 'empty' } }] }] };
+  assert.equal(is(cond, { a: 2, b: 'x' }), true);
+  assert.equal(is(cond, { a: 2, c: 'set' }), true);
+  assert.equal(is(cond, { a: 2, b: 'y' }), false);
+  assert.equal(is(cond, { a: 1, b: 'x' }), false);
+});
+
+const ruleset = parseRuleset({
+  id: 'test', version: 1, lookback_months: 12,
+  bands: [{ band: 'Low', min: 0 }, { band: 'High', min: 30 }, { band: 'Medium', min: 15 }],
+  rules: [
+    { id: 'pep', text: 'PEP', points: 20, family: 'profile', when: { field: 'pep', op: 'truthy' } },
+    { id: 'new', text: 'New client', points: 5, family: 'profile', when: { not: { field: 'opened', op: 'older_than_days', value: 90 } } },
+    { id: 'structuring', text: 'Cash under 10k', points: 15, family: 'behaviour', match: { field: 'amount_aud', op: 'between', value: [9000, 9999.99] }, trigger: { type: 'window', days: 7, min_count: 2 } }
+  ]
+});
+const lookback = { start: '2024-07-01', end: '2025-06-30' };
+const clients = [
+  { client_id: 'A', pep: 'true', opened: '2020-01-01' },
+  { client_id: 'B', pep: 'false', opened: '2025-06-01' },
+  { client_id: 'C', pep: 'true', opened: '2025-06-01' }
+];
+const txs = [
+  { tx_id: 't1', client_id: 'C', date: '2025-03-01', amount_aud: 9500 },
+  { tx_id: 't2', client_id: 'C', date: '2025-03-05', amount_aud: 9800 },
+  { tx_id: 't3', client_id: 'B', date: '2025-03-01', amount_aud: 9500 },
+  { tx_id: 't4', client_id: 'B', date: '2025-03-20', amount_aud: 9500 },
+  { tx_id: 't5', client_id: 'C', date: '2024-06-01', amount_aud: 9500 }
+];
+
+test('points add up and bands go by their minimum, whatever their order', async () => {
+  const { scores, rulesMeta } = await scoreAll(clients, txs, lookback, ruleset);
+  assert.deepEqual(scores.map(s => [s.client_id, s.score, s.band]), [['A', 20, 'Medium'], ['B', 5, 'Low'], ['C', 40, 'High']]);
+  assert.deepEqual(scores[2].reasons.map(r => r.rule_id), ['pep', 'new', 'structuring']);
+  assert.deepEqual(scores[2].reasons[2].tx_ids, ['t1', 't2'], 'transactions before the lookback are ignored');
+  assert.deepEqual(rulesMeta.banding, { High: '>=30', Medium: '>=15', Low: '<15' });
+  assert.equal(rulesMeta.ruleset_sha256, ruleset.sha256);
+});
+
+test('the same rule on the same transactions gives the same finding and case ids', async () => {
+  const a = await scoreAll(clients, txs, lookback, ruleset);
+  const b = await scoreAll(clients.slice().reverse(), txs.slice().reverse(), lookback, ruleset);
+  const ids = r => r.findings.map(f => `${f.finding_id} ${f.case_id}`).sort();
+  assert.deepEqual(ids(a), ids(b));
+  for (const f of a.findings) assert.equal(f.case_id, 'CASE-' + f.finding_id.slice(2));
+});
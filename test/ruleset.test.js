@@ -0,0 +1,63 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+
+import { listRulesets, loadRuleset, parseRuleset, RulesetError } from '../lib/ruleset.js';
+import { candidateRuleset } from '../lib/simulate.js';
+
+const bundled = loadRuleset('dnfbp-2025.11-v6');
+const withCondition = (when) => {
+  const doc = JSON.parse(JSON.stringify(bundled));
+  doc.rules.push({ id: 'probe', text: 'probe', points: 1, family: 'profile', when });
+  return doc;
+};
+
+// Published rulesets never change: runs and evidence packs cite them by id and sha256. A new
+// version is a new file with its own id; add its hash here once it is published.
+const PUBLISHED = {
+  'dnfbp-2025.11': '175b69b01f581e7a6486b0afd763989508c2080f52ded81d1a39e06cf7936d21',
+  'dnfbp-2025.11-v2': 'd6b02756b7d5ca3f57e4c4d469e76d198b00e3f1ecf39041ca0fca06bc4e6647',
+  'dnfbp-2025.11-v3': '7ae565522b43aa2eaf2e9ba6f2e5639f913930c5b75d18f36169ec6987c35138',
+  'dnfbp-2025.11-v4': '6ac040682b9da0062c3031c2be80a92e3131c93f9fb6c7487db709e6a5691a5e',
+  'dnfbp-2025.11-v5': 'f66e6f6c5702eaf42c4a063168f8320c6cc4cc488d105dc27387397d25a3d0ef',
+  'dnfbp-2025.11-v6': '13560cf2d26ecf6bbf9bb886f101a74257463d67e4ff7b213c1eb09aebfc6564'
+};
+
+test('the bundled rulesets validate and published versions are unchanged', () => {
+  assert.deepEqual(listRulesets(), Object.keys(PUBLISHED).sort());
+  for (const [id, sha256] of Object.entries(PUBLISHED)) assert.equal(loadRuleset(id).sha256, sha256, `${id} was edited after publication`);
+  assert.equal(bundled.version, 6);
+});
+
+test('each op takes a value of its own shape', () => {
+  for (const when of [
+    { field: 'amount', op: 'between', value: [1, 2] },
+    { field: 'amount', op: 'multiple_of', value: 1000 },
+    { field: 'country', op: 'in', value: ['IR', 'KP'] },
+    { field: 'country', op: 'in_tier', value: ['fatf_black', 'fatf_grey'] },
+    { field: 'pep', op: 'truthy' },
+    { field: 'opened', op: 'older_than_days', value: 30 },
+    { not: { field: 'name', op: 'empty' } }
+  ]) assert.doesNotThrow(() => parseRuleset(withCondition(when)), JSON.stringify(when));
+});
+
+test('a value that would make the rule never fire is rejected', () => {
+  for (const [when, message] of [
+    [{ field: 'amount', op: 'between', value: 5 }, /between on amount has an invalid value/],
+    [{ field: 'amount', op: 'between', value: [9, 1] }, /min <= max/],
+    [{ field: 'country', op: 'in', value: 'IR' }, /in on country has an invalid value/],
+    [{ field: 'amount', op: 'multiple_of', value: 0 }, /multiple_of on amount/],
+    [{ field: 'opened', op: 'older_than_days', value: '30' }, /older_than_days on opened/],
+    [{ field: 'amount', op: 'gt' }, /gt on amount needs a value/],
+    [{ field: 'pep', op: 'truthy', value: 1 }, /truthy on pep takes no value/],
+    [{ any: [{ field: 'amount', op: 'lte', value: '10' }] }, /lte on amount/]
+  ]){
+    assert.throws(() => parseRuleset(withCondition(when)), (e) => e instanceof RulesetError && e.code === 'RULESET_INVALID' && e.issues.some(i => message.test(i.message)), JSON.stringify(when));
+  }
+});
+
+test('simulation candidates are checked the same way', () => {
+  const doc = withCondition({ field: 'amount', op: 'multiple_of', value: 0 });
+  assert.throws(() => candidateRuleset(bundled, { document: doc }), (e) => e.code === 'RULESET_INVALID');
+  const overrides = { rules: { probe: { family: 'profile', text: 'probe', points: 5, when: { field: 'amount', op: 'between', value: 10000 } } } };
+  assert.throws(() => candidateRuleset(bundled, { overrides }), (e) => e.code === 'RULESET_INVALID');
+});
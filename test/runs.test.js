@@ -0,0 +1,44 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+
+import { diffRuns } from '../lib/runs.js';
+
+// A run snapshot (see runSnapshot) with scores [client_id, score, band, [rule_id...]] and cases.
+function run(run_id, scores, cases = [], ruleset_sha256 = 'a'.repeat(64)){
+  return {
+    run_id, ruleset_id: 'test', ruleset_version: 1, ruleset_sha256, bands: ['High', 'Medium', 'Low'],
+    lookback: { start: '2025-01-01', end: '2025-12-31' }, inputs: {},
+    scores: scores.map(([client_id, score, band, rules]) => ({ client_id, score, band, reasons: rules.map(rule_id => ({ rule_id, family: 'profile', text: rule_id, points: 10 })) })),
+    cases: cases.map(([case_id, client_id, type, tx_ids]) => ({ case_id, client_id, type, tx_ids, reason: type, points: 10 }))
+  };
+}
+
+const before = run('run_a', [['A', 10, 'Low', ['pep']], ['B', 30, 'High', ['pep', 'structuring', 'cash']], ['C', 20, 'Medium', ['pep', 'cash']], ['D', 0, 'Low', []]],
+  [['CASE-1', 'B', 'structuring', ['t1', 't2']], ['CASE-2', 'B', 'cash', ['t3']], ['CASE-3', 'C', 'cash', ['t9']]]);
+const after = run('run_b', [['A', 30, 'High', ['pep', 'structuring', 'cash']], ['B', 10, 'Low', ['pep']], ['C', 20, 'Medium', ['pep', 'cash']], ['E', 0, 'Low', []]],
+  [['CASE-9', 'B', 'structuring', ['t2', 't4']], ['CASE-4', 'A', 'structuring', ['t5']], ['CASE-3', 'C', 'cash', ['t9']]]);
+
+test('band changes, up first, and reasons gained or lost per client', () => {
+  const d = diffRuns(before, after);
+  assert.deepEqual(d.band_changes.map(c => [c.client_id, c.from_band, c.to_band, c.direction]), [['A', 'Low', 'High', 'up'], ['B', 'High', 'Low', 'down']]);
+  assert.deepEqual(d.reasons.map(r => [r.client_id, r.new.map(x => x.rule_id), r.resolved.map(x => x.rule_id)]), [['A', ['structuring', 'cash'], []], ['B', [], ['structuring', 'cash']]]);
+  assert.deepEqual([d.new_clients.map(c => c.client_id), d.removed_clients.map(c => c.client_id)], [['E'], ['D']]);
+  assert.equal(d.ruleset_changed, false);
+  assert.deepEqual([d.from.run_id, d.to.run_id], ['run_a', 'run_b']);
+});
+
+test('a case is the same when its id matches or its rule, client and a transaction do', () => {
+  const d = diffRuns(before, after);
+  assert.deepEqual(d.new_cases.map(k => k.case_id), ['CASE-4']);
+  assert.deepEqual(d.resolved_cases.map(k => k.case_id), ['CASE-2']);
+  assert.deepEqual(d.summary, {
+    clients_before: 4, clients_after: 4, band_changes: 2, moved_up: 1, moved_down: 1,
+    new_reasons: 2, resolved_reasons: 2, new_cases: 1, resolved_cases: 1, new_clients: 1, removed_clients: 1
+  });
+});
+
+test('a run against itself has no changes; another ruleset is flagged', () => {
+  const same = diffRuns(before, before);
+  assert.equal(Object.values(same.summary).slice(2).every(n => n === 0), true);
+  assert.equal(diffRuns(before, run('run_c', [], [], 'b'.repeat(64))).ruleset_changed, true);
+});
@@ -0,0 +1,51 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, test } from 'node:test';
+
+import { Screener, jaroWinkler, nameTokens } from '../lib/screening.js';
+import { loadWatchlists } from '../lib/watchlists.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tr-screening-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+fs.writeFileSync(path.join(dir, 'sanctions.csv'), [
+  'id,name,aliases,dob,country,type,program',
+  'S1,Abdulrahman Al-Rashid,Abu Rashid,1970-03-15,SY,individual,SYRIA',
+  'S2,Ivan Petrov,,1965,RU,individual,RUSSIA',
+  'S3,Northwind Trading LLC,,,IR,entity,IRAN'
+].join('\n'));
+fs.writeFileSync(path.join(dir, 'pep.csv'), 'id,name,dob,country\nP1,Jane Citizen,1980-04-02,AU\n');
+const screener = new Screener(await loadWatchlists(dir));
+
+test('names are compared case-, accent-, punctuation- and order-insensitively', () => {
+  assert.deepEqual(nameTokens("Mr. José O'Brien-Smith"), ['jose', 'obrien', 'smith']);
+  assert.equal(Math.round(jaroWinkler('martha', 'marhta') * 1000) / 1000, 0.961);
+  for (const name of ['ivan petrov', 'PETROV, Ivan', 'Iván Petróv']){
+    const m = screener.best({ name }, 'sanctions');
+    assert.equal(m?.entry.uid, 'S2', name);
+  }
+});
+
+test('spelling variants, joined names and aliases match', () => {
+  assert.equal(screener.best({ name: 'Abdul Rahman Al Rashid' }, 'sanctions').entry.uid, 'S1');
+  assert.equal(screener.best({ name: 'Abu Rashid' }, 'sanctions').matched_name, 'Abu Rashid');
+  assert.equal(screener.best({ name: 'Northwind Trading Ltd' }, 'sanctions').entry.uid, 'S3', 'company suffixes are noise');
+  assert.equal(screener.best({ name: 'Maria Gonzalez' }, 'sanctions'), null);
+  assert.equal(screener.best({ name: 'Al' }, 'sanctions'), null, 'too short to screen');
+});
+
+test('date of birth and country move the score', () => {
+  const plain = screener.best({ name: 'Ivan Petrova' }, 'sanctions');
+  const same = screener.best({ name: 'Ivan Petrova', dob: '1965-07-01', country: 'RU' }, 'sanctions');
+  const other = screener.best({ name: 'Ivan Petrova', dob: '1990-01-01', country: 'AU' }, 'sanctions');
+  assert.deepEqual([same.dob, same.country], ['year', 'match']);
+  assert.deepEqual([other.dob, other.country], ['mismatch', 'mismatch']);
+  assert.ok(same.score > plain.score && plain.score > other.score);
+  assert.equal(screener.best({ name: 'Ivan Petrov', dob: '1990-01-01', country: 'AU' }, 'sanctions').score, 0.82);
+});
+
+test('categories are screened separately', () => {
+  assert.equal(screener.best({ name: 'Jane Citizen' }, 'sanctions'), null);
+  assert.equal(screener.best({ name: 'Jane Citizen', dob: '1980-04-02' }, 'pep').dob, 'match');
+});
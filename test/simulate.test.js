@@ -0,0 +1,69 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+
+import { parseRuleset } from '../lib/ruleset.js';
+import { SimulationError, candidateRuleset, simulate } from '../lib/simulate.js';
+
+const baseline = parseRuleset({
+  id: 'test', version: 1, lookback_months: 12,
+  bands: [{ band: 'High', min: 30 }, { band: 'Medium', min: 15 }, { band: 'Low', min: 0 }],
+  rules: [
+    { id: 'pep', text: 'PEP', points: 20, family: 'profile', when: { field: 'pep', op: 'truthy' } },
+    { id: 'cash', text: 'Cash', points: 10, family: 'behaviour', match: { field: 'method', op: 'eq', value: 'cash' }, trigger: { type: 'count', min_count: 1 } },
+    { id: 'offshore', text: 'Offshore', points: 5, family: 'profile', when: { field: 'residency_country', op: 'ne', value: 'AU' } }
+  ]
+});
+const clients = [
+  { client_id: 'A', pep: 'true', residency_country: 'AU' },
+  { client_id: 'B', pep: 'false', residency_country: 'NZ' },
+  { client_id: 'C', pep: 'false', residency_country: 'AU' }
+];
+const txs = [
+  { tx_id: 't1', client_id: 'A', date: '2025-06-01', amount_aud: 500, method: 'cash' },
+  { tx_id: 't2', client_id: 'B', date: '2025-06-02', amount_aud: 500, method: 'cash' },
+  { tx_id: 't3', client_id: 'C', date: '2025-06-03', amount_aud: 500, method: 'eft' }
+];
+const run = (candidate) => simulate({ clients, txs, latest: '2025-06-30', baseline, candidate });
+
+test('band and rule tables side by side', async () => {
+  const candidate = candidateRuleset(baseline, { overrides: { rules: { cash: { points: 25 }, offshore: null, eft: { text: 'EFT', points: 1, family: 'behaviour', match: { field: 'method', op: 'eq', value: 'eft' }, trigger: { type: 'count', min_count: 1 } } } } });
+  const r = await run(candidate);
+  // A 30 -> 45, B 15 -> 25, C 0 -> 1
+  assert.deepEqual(r.bands, [
+    { band: 'High', baseline: 1, candidate: 1, change: 0 },
+    { band: 'Medium', baseline: 1, candidate: 1, change: 0 },
+    { band: 'Low', baseline: 1, candidate: 1, change: 0 }
+  ]);
+  assert.deepEqual(r.rules.map(x => [x.rule_id, x.status, x.baseline?.clients ?? null, x.candidate?.clients ?? null, x.change]), [
+    ['pep', 'unchanged', 1, 1, 0],
+    ['cash', 'modified', 2, 2, 0],
+    ['eft', 'added', null, 1, 1],
+    ['offshore', 'removed', 1, null, -1]
+  ]);
+  assert.deepEqual(r.rules[1].candidate, { points: 25, clients: 2, findings: 2 });
+  assert.equal(r.summary.flagged_before, 2);
+  assert.deepEqual([r.summary.flagged_after, r.summary.score_changes, r.summary.band_changes], [3, 3, 0]);
+  assert.deepEqual(r.reasons.map(x => [x.client_id, x.new.map(n => n.rule_id), x.resolved.map(n => n.rule_id)]), [['B', [], ['offshore']], ['C', ['eft'], []]]);
+});
+
+test('clients that change band, and bands only one side has', async () => {
+  const candidate = candidateRuleset(baseline, { overrides: { bands: [{ band: 'Severe', min: 25 }, { band: 'Low', min: 0 }] } });
+  const r = await run(candidate);
+  assert.deepEqual(r.bands, [
+    { band: 'Severe', baseline: null, candidate: 1, change: 1 },
+    { band: 'Low', baseline: 1, candidate: 2, change: 1 },
+    { band: 'High', baseline: 1, candidate: null, change: -1 },
+    { band: 'Medium', baseline: 1, candidate: null, change: -1 }
+  ]);
+  assert.deepEqual(r.band_changes.map(c => [c.client_id, c.from_band, c.to_band]), [['A', 'High', 'Severe'], ['B', 'Medium', 'Low']]);
+  assert.deepEqual([r.baseline.ruleset_sha256, r.candidate.ruleset_sha256 === baseline.sha256], [baseline.sha256, false]);
+});
+
+test('candidates: exactly one source, validated like an installed ruleset', () => {
+  assert.throws(() => candidateRuleset(baseline, {}), SimulationError);
+  assert.throws(() => candidateRuleset(baseline, { overrides: {}, document: {} }), /exactly one/);
+  assert.throws(() => candidateRuleset(baseline, { overrides: { rules: { nope: null } } }), /unknown rule nope/);
+  assert.throws(() => candidateRuleset(baseline, { overrides: { rules: { cash: { trigger: { type: 'count', min_count: 0 } } } } }), { code: 'RULESET_INVALID' });
+  assert.throws(() => candidateRuleset(baseline, { document: 'id: [' }), /not valid JSON or YAML/);
+  assert.equal(candidateRuleset(baseline, { document: `id: draft\nversion: 2\nlookback_months: 6\nbands: [{ band: Low, min: 0 }]\nrules: [{ id: pep, text: PEP, points: 5, family: profile, when: { field: pep, op: truthy } }]\n` }).id, 'draft');
+});
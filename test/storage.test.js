@@ -0,0 +1,136 @@
+import assert from 'assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after, before, describe, test } from 'node:test';
+
+import { s3StandIn } from './helpers/s3-stand-in.js';
+
+// lib/config.js reads the environment once, so the backend is set before anything imports it.
+const s3 = await s3StandIn({ bucket: 'evidence', accessKeyId: 'minio', secretAccessKey: 'minio-secret' });
+Object.assign(process.env, { STORAGE_BACKEND: 's3', S3_ENDPOINT: s3.endpoint, S3_BUCKET: 'evidence', S3_ACCESS_KEY_ID: 'minio', S3_SECRET_ACCESS_KEY: 'minio-secret', S3_PREFIX: 'sweep' });
+const { FsStorage, MemoryStorage, S3Storage } = await import('../lib/storage/index.js');
+const { verifyStore, newToken } = await import('../lib/verify-store.js');
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tr-storage-'));
+after(async () => {
+  await s3.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const s3Options = { endpoint: s3.endpoint, bucket: 'evidence', accessKeyId: 'minio', secretAccessKey: 'minio-secret' };
+const backends = {
+  fs: () => new FsStorage({ root: fs.mkdtempSync(path.join(tmp, 'fs-')) }),
+  memory: () => new MemoryStorage(),
+  s3: () => new S3Storage({ ...s3Options, prefix: `run-${Math.random().toString(36).slice(2)}` })
+};
+
+// Every backend keeps the same contract (see lib/storage/index.js).
+for (const [name, make] of Object.entries(backends)){
+  describe(`${name} storage`, () => {
+    let storage;
+    before(() => { storage = make(); });
+
+    test('put/get round trip, missing keys are null', async () => {
+      await storage.put('packs/a/meta.json', Buffer.from('{"a":1}'), { contentType: 'application/json' });
+      assert.equal((await storage.get('packs/a/meta.json')).toString(), '{"a":1}');
+      assert.equal(await storage.get('packs/missing/meta.json'), null);
+      assert.equal(await storage.getStream('packs/missing/evidence.zip'), null);
+    });
+
+    test('putFile and getStream', async () => {
+      const file = path.join(tmp, `${name}.zip`);
+      fs.writeFileSync(file, Buffer.from([0x50, 0x4b, 3, 4, 0, 255]));
+      await storage.putFile('packs/b/evidence.zip', file, { contentType: 'application/zip' });
+      const chunks = [];
+      for await (const c of await storage.getStream('packs/b/evidence.zip')) chunks.push(c);
+      assert.deepEqual(Buffer.concat(chunks), fs.readFileSync(file));
+    });
+
+    test('list by prefix, sorted, across pages', async () => {
+      for (const k of ['packs/c/1', 'packs/c/3', 'packs/c/2', 'packs/c/with space', 'other/x']) await storage.put(k, Buffer.from(k));
+      assert.deepEqual(await storage.list('packs/c/'), ['packs/c/1', 'packs/c/2', 'packs/c/3', 'packs/c/with space']);
+      assert.ok((await storage.list()).includes('other/x'));
+    });
+
+    test('delete, twice', async () => {
+      await storage.put('packs/d/x', Buffer.from('x'));
+      await storage.delete('packs/d/x');
+      await storage.delete('packs/d/x');
+      assert.equal(await storage.get('packs/d/x'), null);
+      assert.deepEqual(await storage.list('packs/d/'), []);
+    });
+  });
+}
+
+describe('s3 storage against the stand-in', () => {
+  test('objects live under the prefix in the bucket', async () => {
+    const storage = new S3Storage({ ...s3Options, prefix: 'tenant-a/' });
+    await storage.put('packs/e/meta.json', Buffer.from('{}'), { contentType: 'application/json' });
+    assert.equal(s3.objects.get('tenant-a/packs/e/meta.json').contentType, 'application/json');
+    assert.deepEqual(await storage.list('packs/e/'), ['packs/e/meta.json']);
+    assert.deepEqual(await new S3Storage({ ...s3Options, prefix: 'tenant-b' }).list('packs/e/'), []);
+  });
+
+  test('putFile streams the file with its length and signed sha256', async () => {
+    const storage = new S3Storage({ ...s3Options, prefix: 'stream' });
+    const file = path.join(tmp, 'large.zip');
+    fs.writeFileSync(file, crypto.randomBytes(3 * 1024 * 1024));
+    await storage.putFile('packs/g/evidence.zip', file, { contentType: 'application/zip' });
+    const o = s3.objects.get('stream/packs/g/evidence.zip');
+    assert.deepEqual(o.body, fs.readFileSync(file));
+    assert.equal(o.headers['content-length'], String(3 * 1024 * 1024));
+    assert.equal(o.headers['transfer-encoding'], undefined);
+    assert.equal(o.headers['x-amz-content-sha256'], crypto.createHash('sha256').update(o.body).digest('hex'));
+  });
+
+  test('a wrong secret is refused by signature', async () => {
+    const storage = new S3Storage({ ...s3Options, secretAccessKey: 'wrong' });
+    await assert.rejects(storage.put('packs/f/x', Buffer.from('x')), /S3 PUT packs\/f\/x failed: SignatureDoesNotMatch/);
+    await assert.rejects(storage.get('packs/f/x'), /SignatureDoesNotMatch/);
+  });
+
+  test('missing settings are reported', () => {
+    assert.throws(() => new S3Storage({ endpoint: s3.endpoint }), /S3_BUCKET/);
+  });
+});
+
+describe('verify store on STORAGE_BACKEND=s3', () => {
+  test('packs are kept until their retention runs out, then swept', async () => {
+    const kept = newToken();
+    const expired = newToken();
+    const legacy = newToken();  // stored before the expiry index: meta.json only
+    await verifyStore.put(kept, Buffer.from('zip-kept'), { files: [] }, { org_id: null }, 30);
+    await verifyStore.put(expired, Buffer.from('zip-expired'), { files: [] }, { org_id: null }, -1);
+    await verifyStore.storage.put(`packs/${legacy}/evidence.zip`, Buffer.from('zip-legacy'));
+    await verifyStore.storage.put(`packs/${legacy}/meta.json`, Buffer.from(JSON.stringify({ manifest: {}, expires_utc: '2020-01-01T00:00:00.000Z' })));
+    assert.equal(s3.objects.has(`sweep/packs/${expired}/evidence.zip`), true);
+
+    assert.equal(await verifyStore.sweep(), 2);
+    for (const token of [expired, legacy]){
+      assert.equal(s3.objects.has(`sweep/packs/${token}/evidence.zip`), false);
+      assert.equal(s3.objects.has(`sweep/packs/${token}/meta.json`), false);
+    }
+    assert.equal((await verifyStore.get(kept)).zipBuffer.toString(), 'zip-kept');
+    assert.equal(await verifyStore.getMeta(expired), null);
+    assert.deepEqual(await verifyStore.storage.list('expiry/'), [`expiry/${(await verifyStore.getMeta(kept)).expires_utc.replace(/[:-]|\.\d{3}/g, '')}/${kept}`]);
+  });
+
+  test('the sweep reads the expiry index, not the packs', async () => {
+    const expired = newToken();
+    await verifyStore.put(expired, Buffer.from('zip'), { files: [] }, { org_id: null }, -1);
+    const storage = verifyStore.storage;
+    const seen = [];
+    verifyStore.storage = Object.assign(Object.create(storage), {
+      get: k => { seen.push(`get ${k}`); return storage.get(k); },
+      list: p => { seen.push(`list ${p}`); return storage.list(p); }
+    });
+    try {
+      assert.equal(await verifyStore.sweep(), 1);
+    } finally {
+      verifyStore.storage = storage;
+    }
+    assert.deepEqual(seen, ['list expiry/']);
+    assert.equal(s3.objects.has(`sweep/packs/${expired}/meta.json`), false);
+  });
+});
@@ -0,0 +1,82 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+
+import { Keyring, generateKeyPair } from '../lib/keyring.js';
+import { buildManifest, sha256Hex } from '../lib/manifest.js';
+import { verifyPack } from '../lib/verify-pack.js';
+import { zipNamedBuffers } from '../lib/zip.js';
+
+const key = generateKeyPair();
+const ring = new Keyring();
+ring.add({ ...key, status: 'current' });
+const rulesMeta = { ruleset_id: 'test', ruleset_version: 1, ruleset_sha256: 'a'.repeat(64) };
+const files = { 'scores.csv': Buffer.from('client_id,score\nA,20\n'), 'cases.json': Buffer.from('[]') };
+
+// A pack of files (signed by `signer` unless null), then `edit` applied to the zip's entries.
+async function pack({ signer = ring, edit = () => {} } = {}){
+  const manifest = buildManifest(files, rulesMeta, signer ?? new Keyring());
+  const entries = { ...files, 'manifest.json': Buffer.from(JSON.stringify(manifest, null, 2)) };
+  edit(entries, manifest);
+  return zipNamedBuffers(entries);
+}
+const withKey = { publicKeys: [key.public_key] };
+
+test('an untouched signed pack verifies against its key', async () => {
+  const r = verifyPack(await pack(), withKey);
+  assert.equal(r.ok, true, r.errors.join('; '));
+  assert.deepEqual(r.files.map(f => [f.name, f.status]), [['scores.csv', 'pass'], ['cases.json', 'pass']]);
+  assert.deepEqual(r.signature, { present: true, valid: true, checked: true, key_id: key.kid, key_known: true });
+  assert.equal(verifyPack(await pack(), { keyring: ring }).ok, true, 'or against a keyring');
+});
+
+test('a signed pack is not verified when no key was there to check it', async () => {
+  const r = verifyPack(await pack());
+  assert.equal(r.ok, false);
+  assert.equal(r.signature.checked, false);
+  assert.match(r.errors.join(), /Signature not checked/);
+});
+
+test('changed, missing and extra files fail', async () => {
+  const changed = verifyPack(await pack({ edit: e => { e['scores.csv'] = Buffer.from('client_id,score\nA,10\n'); } }), withKey);
+  assert.equal(changed.ok, false);
+  assert.equal(changed.files[0].status, 'fail');
+  assert.equal(changed.signature.valid, true, 'the manifest itself is intact');
+
+  const missing = verifyPack(await pack({ edit: e => { delete e['cases.json']; } }), withKey);
+  assert.deepEqual([missing.ok, missing.missing], [false, ['cases.json']]);
+
+  const extra = verifyPack(await pack({ edit: e => { e['notes.txt'] = Buffer.from('added later'); } }), withKey);
+  assert.deepEqual([extra.ok, extra.extra], [false, ['notes.txt']]);
+});
+
+test('an edited manifest or a different key breaks the signature', async () => {
+  const edited = verifyPack(await pack({ edit: (e, m) => { e['manifest.json'] = Buffer.from(JSON.stringify({ ...m, ruleset_id: 'other' })); } }), withKey);
+  assert.deepEqual([edited.ok, edited.signature.valid], [false, false]);
+
+  const rehashed = verifyPack(await pack({ edit: (e, m) => {
+    const csv = e['scores.csv'] = Buffer.from('client_id,score\nA,0\n');
+    const listed = m.files.map(f => f.name === 'scores.csv' ? { ...f, bytes: csv.length, sha256: sha256Hex(csv) } : f);
+    e['manifest.json'] = Buffer.from(JSON.stringify({ ...m, files: listed }));
+  } }), withKey);
+  assert.equal(rehashed.files[0].status, 'pass');
+  assert.deepEqual([rehashed.ok, rehashed.signature.valid], [false, false], 're-hashed files do not match the signed manifest');
+
+  const other = verifyPack(await pack(), { publicKeys: [generateKeyPair().public_key] });
+  assert.deepEqual([other.ok, other.signature.valid, other.signature.key_known], [false, false, false]);
+});
+
+test('unsigned packs fail against a key unless explicitly allowed', async () => {
+  const zip = await pack({ signer: null });
+  assert.match(verifyPack(zip, withKey).errors.join(), /not signed/);
+  assert.equal(verifyPack(zip, withKey).ok, false);
+  assert.equal(verifyPack(zip, { ...withKey, allowUnsigned: true }).ok, true);
+});
+
+test('unreadable zips and oversized contents are refused before anything is inflated', async () => {
+  assert.match(verifyPack(Buffer.from('not a zip')).errors[0], /Unreadable zip/);
+  const bomb = await zipNamedBuffers({ 'manifest.json': Buffer.from('{"files":[]}'), 'zeros.bin': Buffer.alloc(8 * 1024 * 1024) });
+  assert.ok(bomb.length < 64 * 1024);
+  const r = verifyPack(bomb, { maxBytes: 1024 * 1024 });
+  assert.equal(r.ok, false);
+  assert.match(r.errors[0], /exceed size limit/);
+});